@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Calculation API Endpoint
+ *
+ * Routes:
+ *   POST /api/calculate – calculate a household's cost breakdown and scenarios
+ *
+ * Authentication:
+ *   None. The endpoint is stateless and stores nothing, so internal tools can
+ *   call it without a signed-in user.
+ */
+
+const { app } = require('@azure/functions');
+const { buildErrorBody } = require('../utils/auth');
+const { createCalculationService } = require('../services/calculation');
+
+// Shared service instance
+let _calculationService = null;
+
+function getCalculationService() {
+    if (!_calculationService) {
+        _calculationService = createCalculationService();
+    }
+    return _calculationService;
+}
+
+// ---------------------------------------------------------------------------
+// POST /api/calculate
+// ---------------------------------------------------------------------------
+app.http('calculate', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'calculate',
+    handler: async (request, context) => {
+        context.log('POST /api/calculate');
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return {
+                status: 400,
+                jsonBody: buildErrorBody('Invalid JSON body', 'VALIDATION_ERROR')
+            };
+        }
+
+        try {
+            const service = getCalculationService();
+            const result = await service.calculate(body);
+            return { status: 200, jsonBody: result };
+        } catch (err) {
+            if (err.validationError) {
+                return {
+                    status: 400,
+                    jsonBody: buildErrorBody(err.message, 'VALIDATION_ERROR', err.details)
+                };
+            }
+            context.log.error('Error calculating household:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
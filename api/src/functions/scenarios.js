@@ -10,14 +10,24 @@
  *   PUT    /api/scenarios/{id}         – update a scenario (ETag conflict detection)
  *   DELETE /api/scenarios/{id}         – delete a scenario
  *   POST   /api/scenarios/{id}/activate – set as the active scenario
+ *   GET    /api/scenarios/{id}/versions – list saved revisions, newest first
+ *   GET    /api/scenarios/{id}/versions/{rev} – get a saved revision
+ *   POST   /api/scenarios/{id}/versions/{rev}/restore – restore a revision (ETag conflict detection)
+ *   GET    /api/scenarios/shared       – list scenarios shared with the user
+ *   GET    /api/scenarios/{id}/shares  – list who a scenario is shared with
+ *   POST   /api/scenarios/{id}/shares  – invite someone by email (view or edit)
+ *   POST   /api/scenarios/{id}/shares/accept – accept an invitation
+ *   DELETE /api/scenarios/{id}/shares/{email} – revoke (owner) or decline (invitee) a share
  *
  * Authentication:
  *   All routes require the Azure SWA 'x-ms-client-principal' header.
+ *   Scenarios shared with the user can be read (view role) or also saved and
+ *   restored (edit role); only the owner can delete, activate or share them.
  */
 
 const { app } = require('@azure/functions');
-const { requireAuth, buildErrorBody } = require('../utils/auth');
-const { createScenariosService } = require('../services/scenarios');
+const { requireAuth, requireScenarioRole, buildErrorBody } = require('../utils/auth');
+const { createScenariosService, SHARE_ROLES } = require('../services/scenarios');
 const { createUserProfileService } = require('../services/user-profile');
 const { createTableStorageService } = require('../services/table-storage');
 
@@ -46,6 +56,36 @@ function getProfileService() {
     return _profileService;
 }
 
+/**
+ * Parse a revision number from a route parameter.
+ * @param {string} value
+ * @returns {number|null} The revision, or null if it is not a positive integer
+ */
+function parseRevision(value) {
+    return /^[1-9]\d*$/.test(value || '') ? parseInt(value, 10) : null;
+}
+
+/**
+ * Resolve the user's access to a scenario (their own or shared with them),
+ * requiring at least the given role.
+ * @param {{ userId: string, email: string }} user
+ * @param {string} scenarioId
+ * @param {string} role - One of SHARE_ROLES
+ * @returns {Promise<{ ownerId: string, role: string }>}
+ * @throws {{ status: number, body: object }} 404 without access, 403 when the role is too low
+ */
+async function requireScenarioAccess(user, scenarioId, role) {
+    const access = await getScenarioService().getScenarioAccess(user, scenarioId);
+    return requireScenarioRole(access, role);
+}
+
+function invalidRevisionResponse() {
+    return {
+        status: 400,
+        jsonBody: buildErrorBody('Revision must be a positive integer', 'VALIDATION_ERROR')
+    };
+}
+
 // ---------------------------------------------------------------------------
 // GET /api/scenarios
 // ---------------------------------------------------------------------------
@@ -150,8 +190,9 @@ app.http('getScenario', {
         }
 
         try {
+            const access = await requireScenarioAccess(user, scenarioId, SHARE_ROLES.VIEW);
             const service = getScenarioService();
-            const scenario = await service.getScenario(user.userId, scenarioId);
+            const scenario = await service.getScenario(access.ownerId, scenarioId);
 
             if (!scenario) {
                 return {
@@ -160,8 +201,11 @@ app.http('getScenario', {
                 };
             }
 
-            return { status: 200, jsonBody: scenario };
+            return { status: 200, jsonBody: { ...scenario, role: access.role } };
         } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
             context.log.error('Error retrieving scenario:', err);
             return {
                 status: 500,
@@ -204,8 +248,14 @@ app.http('updateScenario', {
         const updates = { ...body, etag: ifMatch || body.etag };
 
         try {
+            const access = await requireScenarioAccess(user, scenarioId, SHARE_ROLES.EDIT);
+            if (access.role !== SHARE_ROLES.OWNER) {
+                // Which scenario is active is the owner's choice
+                delete updates.isActive;
+            }
+
             const service = getScenarioService();
-            const scenario = await service.updateScenario(user.userId, scenarioId, updates);
+            const scenario = await service.updateScenario(access.ownerId, scenarioId, updates);
 
             if (!scenario) {
                 return {
@@ -216,9 +266,17 @@ app.http('updateScenario', {
 
             return {
                 status: 200,
-                jsonBody: { id: scenario.id, updatedAt: scenario.updatedAt }
+                jsonBody: {
+                    id: scenario.id,
+                    updatedAt: scenario.updatedAt,
+                    revision: scenario.revision,
+                    etag: scenario.etag
+                }
             };
         } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
             if (err.conflict) {
                 return {
                     status: 409,
@@ -264,6 +322,7 @@ app.http('deleteScenario', {
         }
 
         try {
+            await requireScenarioAccess(user, scenarioId, SHARE_ROLES.OWNER);
             const service = getScenarioService();
             const deleted = await service.deleteScenario(user.userId, scenarioId);
 
@@ -276,6 +335,9 @@ app.http('deleteScenario', {
 
             return { status: 204 };
         } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
             context.log.error('Error deleting scenario:', err);
             return {
                 status: 500,
@@ -304,6 +366,7 @@ app.http('activateScenario', {
         }
 
         try {
+            await requireScenarioAccess(user, scenarioId, SHARE_ROLES.OWNER);
             const scenariosService = getScenarioService();
             const activated = await scenariosService.setActiveScenario(
                 user.userId,
@@ -333,6 +396,9 @@ app.http('activateScenario', {
                 jsonBody: { success: true, activeScenarioId: scenarioId }
             };
         } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
             context.log.error('Error activating scenario:', err);
             return {
                 status: 500,
@@ -341,3 +407,381 @@ app.http('activateScenario', {
         }
     }
 });
+
+// ---------------------------------------------------------------------------
+// GET /api/scenarios/{id}/versions
+// ---------------------------------------------------------------------------
+app.http('listScenarioVersions', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/versions',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`GET /api/scenarios/${scenarioId}/versions`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        const url = new URL(request.url);
+        const limit = parseInt(url.searchParams.get('limit') || '100', 10);
+        const continuationToken = url.searchParams.get('continuationToken') || undefined;
+
+        try {
+            const access = await requireScenarioAccess(user, scenarioId, SHARE_ROLES.VIEW);
+            const service = getScenarioService();
+            const result = await service.getScenarioVersions(access.ownerId, scenarioId, {
+                limit,
+                continuationToken
+            });
+
+            if (!result) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Scenario not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: result };
+        } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
+            context.log.error('Error listing scenario versions:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/scenarios/{id}/versions/{rev}
+// ---------------------------------------------------------------------------
+app.http('getScenarioVersion', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/versions/{rev}',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`GET /api/scenarios/${scenarioId}/versions/${request.params.rev}`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        const revision = parseRevision(request.params.rev);
+        if (revision === null) {
+            return invalidRevisionResponse();
+        }
+
+        try {
+            const access = await requireScenarioAccess(user, scenarioId, SHARE_ROLES.VIEW);
+            const service = getScenarioService();
+            const version = await service.getScenarioVersion(access.ownerId, scenarioId, revision);
+
+            if (!version) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Version not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: version };
+        } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
+            context.log.error('Error retrieving scenario version:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/scenarios/{id}/versions/{rev}/restore
+// ---------------------------------------------------------------------------
+app.http('restoreScenarioVersion', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/versions/{rev}/restore',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`POST /api/scenarios/${scenarioId}/versions/${request.params.rev}/restore`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        const revision = parseRevision(request.params.rev);
+        if (revision === null) {
+            return invalidRevisionResponse();
+        }
+
+        try {
+            const access = await requireScenarioAccess(user, scenarioId, SHARE_ROLES.EDIT);
+            const service = getScenarioService();
+            const scenario = await service.restoreScenarioVersion(access.ownerId, scenarioId, revision, {
+                etag: request.headers.get('if-match') || undefined
+            });
+
+            if (!scenario) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Version not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: scenario };
+        } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
+            if (err.conflict) {
+                return {
+                    status: 409,
+                    jsonBody: {
+                        error: 'Conflict detected',
+                        code: 'CONFLICT',
+                        serverVersion: err.serverVersion,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
+            context.log.error('Error restoring scenario version:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/scenarios/shared
+// ---------------------------------------------------------------------------
+app.http('listSharedScenarios', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scenarios/shared',
+    handler: async (request, context) => {
+        context.log('GET /api/scenarios/shared');
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        try {
+            const service = getScenarioService();
+            const result = await service.getSharedScenarios(user);
+            return { status: 200, jsonBody: result };
+        } catch (err) {
+            context.log.error('Error listing shared scenarios:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/scenarios/{id}/shares
+// ---------------------------------------------------------------------------
+app.http('listScenarioShares', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/shares',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`GET /api/scenarios/${scenarioId}/shares`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        try {
+            await requireScenarioAccess(user, scenarioId, SHARE_ROLES.OWNER);
+            const service = getScenarioService();
+            const result = await service.getScenarioShares(user.userId, scenarioId);
+
+            if (!result) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Scenario not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: result };
+        } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
+            context.log.error('Error listing scenario shares:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/scenarios/{id}/shares
+// ---------------------------------------------------------------------------
+app.http('shareScenario', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/shares',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`POST /api/scenarios/${scenarioId}/shares`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return {
+                status: 400,
+                jsonBody: buildErrorBody('Invalid JSON body', 'VALIDATION_ERROR')
+            };
+        }
+
+        try {
+            await requireScenarioAccess(user, scenarioId, SHARE_ROLES.OWNER);
+            const service = getScenarioService();
+            const share = await service.shareScenario(user, scenarioId, body);
+
+            if (!share) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Scenario not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 201, jsonBody: share };
+        } catch (err) {
+            if (err.status) {
+                return { status: err.status, jsonBody: err.body };
+            }
+            if (err.validationError) {
+                return {
+                    status: 400,
+                    jsonBody: buildErrorBody(err.message, 'VALIDATION_ERROR')
+                };
+            }
+            context.log.error('Error sharing scenario:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/scenarios/{id}/shares/accept
+// ---------------------------------------------------------------------------
+app.http('acceptScenarioShare', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/shares/accept',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`POST /api/scenarios/${scenarioId}/shares/accept`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        try {
+            const service = getScenarioService();
+            const share = await service.acceptShare(user, scenarioId);
+
+            if (!share) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Invitation not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: share };
+        } catch (err) {
+            context.log.error('Error accepting scenario share:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// DELETE /api/scenarios/{id}/shares/{email}
+// ---------------------------------------------------------------------------
+app.http('revokeScenarioShare', {
+    methods: ['DELETE'],
+    authLevel: 'anonymous',
+    route: 'scenarios/{id}/shares/{email}',
+    handler: async (request, context) => {
+        const scenarioId = request.params.id;
+        context.log(`DELETE /api/scenarios/${scenarioId}/shares`);
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        try {
+            // The service allows the owner to revoke and the invitee to decline
+            const service = getScenarioService();
+            const revoked = await service.revokeShare(user, scenarioId, request.params.email);
+
+            if (!revoked) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Invitation not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 204 };
+        } catch (err) {
+            context.log.error('Error revoking scenario share:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
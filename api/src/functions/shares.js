@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Share Links API Endpoints
+ *
+ * Routes:
+ *   POST /api/shares        – store a read-only snapshot and return its short code
+ *   GET  /api/shares/{code} – retrieve a snapshot
+ *
+ * Authentication:
+ *   Creating a link requires the Azure SWA 'x-ms-client-principal' header.
+ *   Opening one does not, so anyone with the link can view the snapshot.
+ */
+
+const { app } = require('@azure/functions');
+const { requireAuth, buildErrorBody } = require('../utils/auth');
+const { createShareLinksService } = require('../services/share-links');
+
+// Shared service instance
+let _shareLinksService = null;
+
+function getShareLinksService() {
+    if (!_shareLinksService) {
+        _shareLinksService = createShareLinksService();
+    }
+    return _shareLinksService;
+}
+
+// ---------------------------------------------------------------------------
+// POST /api/shares
+// ---------------------------------------------------------------------------
+app.http('createShareLink', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'shares',
+    handler: async (request, context) => {
+        context.log('POST /api/shares');
+
+        let user;
+        try {
+            user = requireAuth(request);
+        } catch (err) {
+            return { status: err.status || 401, jsonBody: err.body };
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return {
+                status: 400,
+                jsonBody: buildErrorBody('Invalid JSON body', 'VALIDATION_ERROR')
+            };
+        }
+
+        try {
+            const service = getShareLinksService();
+            const shareLink = await service.createShareLink(user.userId, body);
+            return { status: 201, jsonBody: shareLink };
+        } catch (err) {
+            if (err.validationError) {
+                return {
+                    status: 400,
+                    jsonBody: buildErrorBody(err.message, 'VALIDATION_ERROR')
+                };
+            }
+            context.log.error('Error creating share link:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/shares/{code}
+// ---------------------------------------------------------------------------
+app.http('getShareLink', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'shares/{code}',
+    handler: async (request, context) => {
+        const code = request.params.code;
+        context.log(`GET /api/shares/${code}`);
+
+        try {
+            const service = getShareLinksService();
+            const shareLink = await service.getShareLink(code);
+
+            if (!shareLink) {
+                return {
+                    status: 404,
+                    jsonBody: buildErrorBody('Share link not found', 'NOT_FOUND')
+                };
+            }
+
+            return { status: 200, jsonBody: shareLink };
+        } catch (err) {
+            if (err.expired) {
+                return {
+                    status: 410,
+                    jsonBody: buildErrorBody(err.message, 'EXPIRED')
+                };
+            }
+            context.log.error('Error retrieving share link:', err);
+            return {
+                status: 500,
+                jsonBody: buildErrorBody('Internal server error', 'INTERNAL_ERROR')
+            };
+        }
+    }
+});
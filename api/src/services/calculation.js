@@ -0,0 +1,372 @@
+'use strict';
+
+/**
+ * Calculation Service
+ *
+ * Runs the browser calculation engine (src/js, ES modules) on the server so
+ * internal tools can calculate a household without the UI. The modules are
+ * loaded with dynamic import() and shared unchanged with the frontend.
+ *
+ * Module location:
+ *   api/shared/js – copied in by the deploy workflow (the API is deployed on its own)
+ *   src/js        – used when running from a full checkout (local dev and tests)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_DIRS = [
+    path.join(__dirname, '../../shared/js'),
+    path.join(__dirname, '../../../src/js')
+];
+
+/** Scenario sets the endpoint can generate (see scenarios/generator.js). */
+const SCENARIO_MODES = ['none', 'simplified', 'common', 'all', 'single-parent'];
+
+const FEE_TYPES = ['daily', 'session', 'hourly'];
+
+let _modulesPromise = null;
+
+/**
+ * Load the shared calculation modules once per process.
+ *
+ * @returns {Promise<{ config: object, household: object, generator: object }>}
+ */
+function loadCalculationModules() {
+    if (!_modulesPromise) {
+        const moduleDir = MODULE_DIRS.find((dir) => fs.existsSync(dir));
+        if (!moduleDir) {
+            return Promise.reject(new Error('Calculation modules not found'));
+        }
+
+        const load = (file) => import(pathToFileURL(path.join(moduleDir, file)).href);
+
+        // Load one at a time: the modules share dependencies
+        _modulesPromise = (async () => {
+            const ccsConfig = await load('config/ccs-config.js');
+            const { AUSTRALIAN_STATES } = await load('config/public-holidays.js');
+            const household = await load('calculations/household.js');
+            const generator = await load('scenarios/generator.js');
+            return { config: { ...ccsConfig, AUSTRALIAN_STATES }, household, generator };
+        })().catch((err) => {
+            // Don't cache the failure: the next request tries the import again
+            _modulesPromise = null;
+            throw err;
+        });
+    }
+    return _modulesPromise;
+}
+
+/**
+ * Run a calculation engine call. The engine's input checks throw an
+ * InputError (src/js/utils/input-error.js), which is reported as a validation
+ * error; anything else (a TypeError, a missing rate table) is an engine fault
+ * and is rethrown unchanged.
+ *
+ * @param {() => *} fn
+ * @returns {*} The result of fn
+ * @throws {Error} err.validationError for input the engine rejects
+ */
+function runEngine(fn) {
+    try {
+        return fn();
+    } catch (engineErr) {
+        // Checked by name: the engine runs as ES modules, so instanceof is not reliable
+        if (!engineErr || engineErr.name !== 'InputError') {
+            throw engineErr;
+        }
+        const err = new Error(engineErr.message);
+        err.validationError = true;
+        throw err;
+    }
+}
+
+/**
+ * Collects field errors for a household document.
+ */
+class SchemaErrors {
+    constructor() {
+        this.errors = [];
+    }
+
+    add(field, message) {
+        this.errors.push({ field, message });
+    }
+
+    number(value, field, { min, max, required = true, exclusiveMin = false } = {}) {
+        if (value === undefined || value === null) {
+            if (required) {
+                this.add(field, 'is required');
+            }
+            return;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.add(field, 'must be a number');
+            return;
+        }
+        if (min !== undefined && (exclusiveMin ? value <= min : value < min)) {
+            this.add(field, exclusiveMin ? `must be greater than ${min}` : `must be at least ${min}`);
+        }
+        if (max !== undefined && value > max) {
+            this.add(field, `must be at most ${max}`);
+        }
+    }
+
+    oneOf(value, field, allowed) {
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (!allowed.includes(value)) {
+            this.add(field, `must be one of: ${allowed.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Validate a household document against the calculation schema.
+ *
+ * @param {object} document - Request body
+ * @param {object} config   - Loaded ccs-config module plus AUSTRALIAN_STATES
+ * @returns {Array<{ field: string, message: string }>} Field errors (empty when valid)
+ */
+function validateHouseholdDocument(document, config) {
+    const check = new SchemaErrors();
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        check.add('', 'must be a JSON object');
+        return check.errors;
+    }
+
+    const exemptionIds = Object.values(config.ACTIVITY_TEST_EXEMPTIONS).map((entry) => entry.ID);
+    const activityIds = Object.values(config.ACTIVITY_TYPES).map((entry) => entry.ID);
+    const accsIds = Object.values(config.ACCS_CATEGORIES).map((entry) => entry.ID);
+
+    const checkParent = (parent, field, required) => {
+        if (parent === undefined || parent === null) {
+            if (required) {
+                check.add(field, 'is required');
+            }
+            return;
+        }
+        if (typeof parent !== 'object' || Array.isArray(parent)) {
+            check.add(field, 'must be an object');
+            return;
+        }
+        // A roster replaces days and hours; its shifts are checked by the calculation
+        const hasRoster = parent.roster !== undefined && parent.roster !== null;
+        if (hasRoster && !Array.isArray(parent.roster)) {
+            check.add(`${field}.roster`, 'must be an array of weeks');
+        }
+
+        check.number(parent.income, `${field}.income`, { min: 0 });
+        check.number(parent.days, `${field}.days`, {
+            min: 0,
+            max: config.WORK_DEFAULTS.MAX_WORK_DAYS_PER_WEEK,
+            required: !hasRoster
+        });
+        check.number(parent.hours, `${field}.hours`, { min: 0, max: 24, required: !hasRoster });
+        check.number(parent.commuteHours, `${field}.commuteHours`, {
+            min: 0,
+            max: config.WORK_DEFAULTS.MAX_COMMUTE_HOURS,
+            required: false
+        });
+        ['dropOff', 'pickUp'].forEach((key) => {
+            if (parent[key] !== undefined && typeof parent[key] !== 'boolean') {
+                check.add(`${field}.${key}`, 'must be a boolean');
+            }
+        });
+        check.oneOf(parent.exemption, `${field}.exemption`, exemptionIds);
+
+        if (parent.activities !== undefined && parent.activities !== null) {
+            if (typeof parent.activities !== 'object' || Array.isArray(parent.activities)) {
+                check.add(`${field}.activities`, 'must be an object of hours per fortnight');
+            } else {
+                Object.entries(parent.activities).forEach(([type, hours]) => {
+                    check.oneOf(type, `${field}.activities`, activityIds);
+                    check.number(hours, `${field}.activities.${type}`, { min: 0 });
+                });
+            }
+        }
+    };
+
+    checkParent(document.parent1, 'parent1', true);
+    checkParent(document.parent2, 'parent2', false);
+
+    if (!Array.isArray(document.children) || document.children.length === 0) {
+        check.add('children', 'must be a non-empty array');
+    } else {
+        document.children.forEach((child, index) => {
+            const field = `children[${index}]`;
+            if (!child || typeof child !== 'object' || Array.isArray(child)) {
+                check.add(field, 'must be an object');
+                return;
+            }
+            check.number(child.age, `${field}.age`, { min: 0, max: 18 });
+            if (child.careType === undefined) {
+                check.add(`${field}.careType`, 'is required');
+            }
+            check.oneOf(child.careType, `${field}.careType`, Object.values(config.CARE_TYPES));
+            check.oneOf(child.feeType, `${field}.feeType`, FEE_TYPES);
+            check.oneOf(child.accsCategory, `${field}.accsCategory`, accsIds);
+
+            if (child.firstNations !== undefined && typeof child.firstNations !== 'boolean') {
+                check.add(`${field}.firstNations`, 'must be a boolean');
+            }
+
+            const calendar = child.careCalendar;
+            if (calendar !== undefined && calendar !== null && (typeof calendar !== 'object' || Array.isArray(calendar))) {
+                check.add(`${field}.careCalendar`, 'must be an object');
+            }
+
+            // Booked days and hours are checked by the calculation
+            const pattern = child.bookingPattern;
+            const hasPattern = pattern !== undefined && pattern !== null;
+            if (hasPattern && !Array.isArray(pattern)) {
+                check.add(`${field}.bookingPattern`, 'must be an array of weeks');
+            }
+
+            if (child.feeType === 'daily') {
+                check.number(child.dailyFee, `${field}.dailyFee`, { min: 0, exclusiveMin: true });
+                check.number(child.hoursPerDay, `${field}.hoursPerDay`, { min: 0, max: 24, exclusiveMin: true });
+                check.number(child.daysOfCare, `${field}.daysOfCare`, { min: 0, max: 7, required: false });
+            } else if (child.feeType === 'session') {
+                // Session times and fees are checked by the calculation
+                if (!Array.isArray(child.sessions) || child.sessions.length === 0) {
+                    check.add(`${field}.sessions`, 'must be a non-empty array');
+                }
+            } else {
+                check.number(child.providerFee, `${field}.providerFee`, { min: 0, exclusiveMin: true });
+                check.number(child.hoursPerWeek, `${field}.hoursPerWeek`, { min: 0, max: 168, required: !hasPattern });
+            }
+        });
+    }
+
+    check.number(document.withholdingRate, 'withholdingRate', {
+        min: config.WITHHOLDING.MIN_RATE,
+        max: config.WITHHOLDING.MAX_RATE,
+        required: false
+    });
+    check.oneOf(document.financialYear, 'financialYear', config.SUPPORTED_FINANCIAL_YEARS);
+    check.oneOf(document.state, 'state', Object.values(config.AUSTRALIAN_STATES));
+    check.oneOf(document.scenarioMode, 'scenarioMode', SCENARIO_MODES);
+
+    // Dates after the latest registered year use its rates; earlier dates have none
+    const [earliestYear] = config.SUPPORTED_FINANCIAL_YEARS;
+    ['startDate', 'endDate'].forEach((field) => {
+        const value = document[field];
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            check.add(field, 'must be a date (YYYY-MM-DD)');
+        } else if (config.getFinancialYearForDate(value) < earliestYear) {
+            check.add(field, `must be in financial year ${earliestYear} or later`);
+        }
+    });
+    if (Boolean(document.startDate) !== Boolean(document.endDate)) {
+        check.add(document.startDate ? 'endDate' : 'startDate', 'is required when a date range is given');
+    }
+
+    return check.errors;
+}
+
+class CalculationService {
+    /**
+     * @param {() => Promise<object>} [loadModules] - Module loader (override in tests)
+     */
+    constructor(loadModules = loadCalculationModules) {
+        this._loadModules = loadModules;
+    }
+
+    /**
+     * Calculate the full cost breakdown and scenarios for a household.
+     *
+     * @param {object} document - Household document (calculator form data shape)
+     * @param {object} document.parent1 - { income, days, hours, roster?, commuteHours?, dropOff?, pickUp?, exemption?, activities? }
+     * @param {object} [document.parent2]
+     * @param {object[]} document.children - Children with fee type, fees and booked care
+     * @param {number} [document.withholdingRate]
+     * @param {string} [document.financialYear]
+     * @param {string} [document.state]     - State or territory for public holidays (AUSTRALIAN_STATES)
+     * @param {string} [document.startDate] - Date-range budget start (YYYY-MM-DD)
+     * @param {string} [document.endDate]   - Date-range budget end (YYYY-MM-DD)
+     * @param {string} [document.scenarioMode='simplified'] - One of SCENARIO_MODES
+     * @returns {Promise<{ breakdown: object, scenarios: object[] }>}
+     * @throws {Error} err.validationError with err.details.errors for invalid documents
+     */
+    async calculate(document) {
+        const { config, household, generator } = await this._loadModules();
+
+        const errors = validateHouseholdDocument(document, config);
+        if (errors.length > 0) {
+            const err = new Error('Invalid household document');
+            err.validationError = true;
+            err.details = { errors };
+            throw err;
+        }
+
+        const inputs = {
+            parent1: document.parent1,
+            parent2: document.parent2 || { income: 0, days: 0, hours: 0 },
+            children: document.children,
+            withholdingRate: document.withholdingRate,
+            financialYear: document.financialYear,
+            state: document.state
+        };
+
+        // An omitted parent2 is a single parent, not a partner with no activity
+        const breakdown = runEngine(() => household.computeHousehold({ ...inputs, parent2: document.parent2 || null }, {
+            startDate: document.startDate,
+            endDate: document.endDate
+        }));
+
+        return {
+            breakdown,
+            scenarios: runEngine(() => this._generateScenarios(generator, inputs, document))
+        };
+    }
+
+    _generateScenarios(generator, inputs, document) {
+        const mode = document.scenarioMode || 'simplified';
+        if (mode === 'none') {
+            return [];
+        }
+
+        const baseData = {
+            ...generator.buildScenarioBaseData(inputs),
+            startDate: document.startDate,
+            endDate: document.endDate
+        };
+        // Strict: a scenario the engine rejects fails the request instead of being left out
+        const options = { strict: true };
+
+        switch (mode) {
+            case 'all':
+                return generator.generateAllScenarios(baseData, options);
+            case 'common':
+                return generator.generateCommonScenarios(baseData, options);
+            case 'single-parent':
+                return generator.generateSingleParentScenarios(baseData, options);
+            default:
+                return generator.generateSimplifiedScenarios(baseData, options);
+        }
+    }
+}
+
+/**
+ * Factory – creates a CalculationService using the shared calculation modules.
+ *
+ * @returns {CalculationService}
+ */
+function createCalculationService() {
+    return new CalculationService();
+}
+
+module.exports = {
+    CalculationService,
+    createCalculationService,
+    loadCalculationModules,
+    validateHouseholdDocument,
+    SCENARIO_MODES
+};
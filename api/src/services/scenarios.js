@@ -9,16 +9,63 @@
  * Table: userscenarios (TABLE_NAME_SCENARIOS env var)
  *   PartitionKey: userId
  *   RowKey:       scenarioId (GUID)
+ *
+ * Every save also writes an immutable revision row, so earlier versions can be
+ * listed and restored.
+ *
+ * Table: scenarioversions (TABLE_NAME_SCENARIO_VERSIONS env var)
+ *   PartitionKey: userId_scenarioId
+ *   RowKey:       inverted, zero-padded revision number (newest first)
+ *
+ * Owners can share a scenario with other users by email, with a view or edit
+ * role. The invitee accepts the invitation before they can open the scenario.
+ *
+ * Table: scenarioshares (TABLE_NAME_SCENARIO_SHARES env var)
+ *   PartitionKey: scenarioId
+ *   RowKey:       invitee email (lower-case, URI-encoded)
+ *
+ * Each share also has an index row in the same table, so the scenarios shared
+ * with a user are read from a single partition:
+ *   PartitionKey: invitee email (lower-case, URI-encoded)
+ *   RowKey:       scenarioId
  */
 
 const { randomUUID } = require('crypto');
 const { createTableStorageService } = require('./table-storage');
 
 const TABLE_NAME = process.env.TABLE_NAME_SCENARIOS || 'userscenarios';
+const VERSIONS_TABLE_NAME = process.env.TABLE_NAME_SCENARIO_VERSIONS || 'scenarioversions';
+const SHARES_TABLE_NAME = process.env.TABLE_NAME_SCENARIO_SHARES || 'scenarioshares';
 
 /** Maximum number of scenarios a single user may store. */
 const MAX_SCENARIOS_PER_USER = 100;
 
+/** Maximum number of revisions returned in one page of version history. */
+const MAX_VERSIONS_PER_PAGE = 100;
+
+/** Revision row keys count down from here so the table lists newest first. */
+const MAX_REVISION = 9999999999;
+
+/** Maximum number of people a scenario may be shared with. */
+const MAX_SHARES_PER_SCENARIO = 20;
+
+/** Maximum length of an email address. */
+const MAX_EMAIL_LENGTH = 254;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** A user's role on a scenario: their own, or shared with them. */
+const SHARE_ROLES = {
+    VIEW: 'view',
+    EDIT: 'edit',
+    OWNER: 'owner'
+};
+
+const SHARE_STATUSES = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted'
+};
+
 class ScenariosService {
     /**
      * @param {import('./table-storage').TableStorageService} storageService
@@ -90,14 +137,16 @@ class ScenariosService {
             scenarioData: JSON.stringify(scenarioData.data || {}),
             keyInputs: scenarioData.keyInputs ? JSON.stringify(scenarioData.keyInputs) : '',
             version: 1,
+            revision: 1,
             createdAt: now,
             updatedAt: now,
             isActive: scenarioData.isActive === true,
             tags: scenarioData.tags || ''
         };
 
-        await this._storage.createEntity(TABLE_NAME, entity);
-        return this._toScenario(entity);
+        const created = await this._storage.createEntity(TABLE_NAME, entity);
+        await this._createRevision(userId, entity, null);
+        return this._toScenario(created);
     }
 
     /**
@@ -105,6 +154,7 @@ class ScenariosService {
      * Supports ETag-based optimistic concurrency: if the caller supplies an
      * `etag` property in `updates`, the operation will fail with a 409-flavoured
      * error if the server version has changed.
+     * Each save is kept as a new revision (see getScenarioVersions).
      *
      * @param {string} userId
      * @param {string} scenarioId
@@ -117,42 +167,89 @@ class ScenariosService {
      * @throws {{ conflict: true, serverVersion: object }} On ETag mismatch
      */
     async updateScenario(userId, scenarioId, updates) {
-        const existing = await this._storage.getEntity(TABLE_NAME, userId, scenarioId);
+        return this._saveScenario(userId, scenarioId, updates, null);
+    }
 
+    /**
+     * List the saved revisions of a scenario, newest first.
+     *
+     * @param {string} userId
+     * @param {string} scenarioId
+     * @param {object} [options]
+     * @param {number} [options.limit=100]
+     * @param {string} [options.continuationToken]
+     * @returns {Promise<{ versions: object[], continuationToken: string|null }|null>}
+     *   Version summaries (without data), or null if the scenario is not found
+     */
+    async getScenarioVersions(userId, scenarioId, options = {}) {
+        const existing = await this._storage.getEntity(TABLE_NAME, userId, scenarioId);
         if (!existing) {
             return null;
         }
 
-        // ETag-based conflict detection
-        if (updates.etag && updates.etag !== '*' && updates.etag !== existing.etag) {
-            const conflict = new Error('Conflict');
-            conflict.conflict = true;
-            conflict.serverVersion = this._toScenario(existing);
-            throw conflict;
-        }
+        const limit = Math.min(options.limit || MAX_VERSIONS_PER_PAGE, MAX_VERSIONS_PER_PAGE);
+        const partitionKey = this._versionPartitionKey(userId, scenarioId);
+        const result = await this._storage.listEntities(VERSIONS_TABLE_NAME, {
+            filter: `PartitionKey eq '${partitionKey.replace(/'/g, "''")}'`,
+            maxPageSize: limit,
+            continuationToken: options.continuationToken
+        });
 
-        const now = new Date().toISOString();
-        const merged = {
-            ...existing,
-            updatedAt: now,
-            etag: updates.etag || existing.etag
+        return {
+            versions: result.entities
+                .map((entity) => this._toVersionSummary(entity))
+                .sort((a, b) => b.revision - a.revision),
+            continuationToken: result.continuationToken
         };
+    }
 
-        if (updates.name !== undefined) {
-            merged.scenarioName = updates.name;
-        }
-        if (updates.data !== undefined) {
-            merged.scenarioData = JSON.stringify(updates.data);
-        }
-        if (updates.keyInputs !== undefined) {
-            merged.keyInputs = JSON.stringify(updates.keyInputs);
+    /**
+     * Retrieve one saved revision of a scenario.
+     *
+     * @param {string} userId
+     * @param {string} scenarioId
+     * @param {number} revision
+     * @returns {Promise<object|null>} The revision including its data, or null if not found
+     */
+    async getScenarioVersion(userId, scenarioId, revision) {
+        const entity = await this._storage.getEntity(
+            VERSIONS_TABLE_NAME,
+            this._versionPartitionKey(userId, scenarioId),
+            this._versionRowKey(revision)
+        );
+        if (!entity) {
+            return null;
         }
-        if (updates.isActive !== undefined) {
-            merged.isActive = updates.isActive;
+        return {
+            ...this._toVersionSummary(entity),
+            data: this._parseJson(entity.scenarioData, {})
+        };
+    }
+
+    /**
+     * Restore a scenario to an earlier revision.
+     * The restore is saved as a new revision, so the history is never rewritten.
+     *
+     * @param {string} userId
+     * @param {string} scenarioId
+     * @param {number} revision
+     * @param {object} [options]
+     * @param {string} [options.etag] - If supplied, enables conflict detection
+     * @returns {Promise<object|null>} The restored scenario, or null if the scenario or revision is not found
+     * @throws {{ conflict: true, serverVersion: object }} On ETag mismatch
+     */
+    async restoreScenarioVersion(userId, scenarioId, revision, options = {}) {
+        const version = await this.getScenarioVersion(userId, scenarioId, revision);
+        if (!version) {
+            return null;
         }
 
-        const updated = await this._storage.updateEntity(TABLE_NAME, merged);
-        return this._toScenario(updated);
+        return this._saveScenario(userId, scenarioId, {
+            name: version.name,
+            data: version.data,
+            keyInputs: version.keyInputs || {},
+            etag: options.etag
+        }, version.revision);
     }
 
     /**
@@ -168,9 +265,210 @@ class ScenariosService {
             return false;
         }
         await this._storage.deleteEntity(TABLE_NAME, userId, scenarioId);
+        await this._deleteRevisions(userId, scenarioId);
+        await this._deleteShares(scenarioId);
         return true;
     }
 
+    /**
+     * Resolve a user's access to a scenario: either their own, or shared with
+     * their email and accepted.
+     *
+     * @param {{ userId: string, email: string }} user
+     * @param {string} scenarioId
+     * @returns {Promise<{ ownerId: string, role: string }|null>}
+     *   The owner's userId and the user's role ('owner', 'edit' or 'view'),
+     *   or null if the user has no access
+     */
+    async getScenarioAccess(user, scenarioId) {
+        const own = await this._storage.getEntity(TABLE_NAME, user.userId, scenarioId);
+        if (own) {
+            return { ownerId: user.userId, role: SHARE_ROLES.OWNER };
+        }
+
+        const share = await this._getShareEntity(scenarioId, user.email);
+        if (!share || share.status !== SHARE_STATUSES.ACCEPTED || share.inviteeUserId !== user.userId) {
+            return null;
+        }
+        return { ownerId: share.ownerId, role: share.role };
+    }
+
+    /**
+     * Invite someone by email to view or edit a scenario.
+     * Inviting the same email again changes their role.
+     *
+     * @param {{ userId: string, email: string }} owner
+     * @param {string} scenarioId
+     * @param {object} invite
+     * @param {string} invite.email
+     * @param {string} invite.role - 'view' or 'edit'
+     * @returns {Promise<object|null>} The share, or null if the owner has no such scenario
+     */
+    async shareScenario(owner, scenarioId, invite) {
+        const scenario = await this._storage.getEntity(TABLE_NAME, owner.userId, scenarioId);
+        if (!scenario) {
+            return null;
+        }
+
+        const email = this._validateShareInput(invite, owner);
+        const now = new Date().toISOString();
+
+        const existing = await this._getShareEntity(scenarioId, email);
+        if (existing) {
+            const updated = await this._storage.updateEntity(SHARES_TABLE_NAME, {
+                ...existing,
+                role: invite.role,
+                updatedAt: now
+            });
+            await this._writeShareIndex(updated);
+            return this._toShare(updated);
+        }
+
+        const { entities } = await this._storage.listEntities(SHARES_TABLE_NAME, {
+            filter: `PartitionKey eq '${scenarioId.replace(/'/g, "''")}'`,
+            maxPageSize: MAX_SHARES_PER_SCENARIO
+        });
+        if (entities.length >= MAX_SHARES_PER_SCENARIO) {
+            const err = new Error(`A scenario can be shared with at most ${MAX_SHARES_PER_SCENARIO} people`);
+            err.validationError = true;
+            throw err;
+        }
+
+        const entity = {
+            partitionKey: scenarioId,
+            rowKey: this._shareRowKey(email),
+            ownerId: owner.userId,
+            ownerEmail: owner.email || '',
+            inviteeEmail: email,
+            inviteeUserId: '',
+            role: invite.role,
+            status: SHARE_STATUSES.PENDING,
+            createdAt: now,
+            updatedAt: now
+        };
+        await this._storage.createEntity(SHARES_TABLE_NAME, entity);
+        await this._writeShareIndex(entity);
+        return this._toShare(entity);
+    }
+
+    /**
+     * List the people a scenario is shared with.
+     *
+     * @param {string} ownerId
+     * @param {string} scenarioId
+     * @returns {Promise<{ shares: object[] }|null>} Shares, or null if the owner has no such scenario
+     */
+    async getScenarioShares(ownerId, scenarioId) {
+        const scenario = await this._storage.getEntity(TABLE_NAME, ownerId, scenarioId);
+        if (!scenario) {
+            return null;
+        }
+
+        const { entities } = await this._storage.listEntities(SHARES_TABLE_NAME, {
+            filter: `PartitionKey eq '${scenarioId.replace(/'/g, "''")}'`,
+            maxPageSize: MAX_SHARES_PER_SCENARIO
+        });
+        return { shares: entities.map((entity) => this._toShare(entity)) };
+    }
+
+    /**
+     * Accept an invitation to a scenario shared with the user's email.
+     * Once accepted, only this user can use the invitation.
+     *
+     * @param {{ userId: string, email: string }} user
+     * @param {string} scenarioId
+     * @returns {Promise<object|null>} The share, or null if there is no invitation for the user
+     */
+    async acceptShare(user, scenarioId) {
+        const share = await this._getShareEntity(scenarioId, user.email);
+        if (!share || (share.inviteeUserId && share.inviteeUserId !== user.userId)) {
+            return null;
+        }
+        if (share.status === SHARE_STATUSES.ACCEPTED) {
+            return this._toShare(share);
+        }
+
+        const now = new Date().toISOString();
+        const updated = await this._storage.updateEntity(SHARES_TABLE_NAME, {
+            ...share,
+            inviteeUserId: user.userId,
+            status: SHARE_STATUSES.ACCEPTED,
+            acceptedAt: now,
+            updatedAt: now
+        });
+        await this._writeShareIndex(updated);
+        return this._toShare(updated);
+    }
+
+    /**
+     * Remove a share. The owner can revoke any share of their scenario, and an
+     * invitee can decline or leave a scenario shared with them.
+     *
+     * @param {{ userId: string, email: string }} user
+     * @param {string} scenarioId
+     * @param {string} email - The invitee's email
+     * @returns {Promise<boolean>} true if removed, false if not found or not permitted
+     */
+    async revokeShare(user, scenarioId, email) {
+        const share = await this._getShareEntity(scenarioId, email);
+        if (!share) {
+            return false;
+        }
+
+        const isOwner = share.ownerId === user.userId;
+        const isInvitee = share.inviteeEmail === this._normalizeEmail(user.email)
+            && (!share.inviteeUserId || share.inviteeUserId === user.userId);
+        if (!isOwner && !isInvitee) {
+            return false;
+        }
+
+        await this._storage.deleteEntity(SHARES_TABLE_NAME, share.partitionKey, share.rowKey);
+        await this._storage.deleteEntity(SHARES_TABLE_NAME, share.rowKey, share.partitionKey);
+        return true;
+    }
+
+    /**
+     * List scenarios shared with the user's email, including invitations not
+     * yet accepted.
+     *
+     * @param {{ userId: string, email: string }} user
+     * @returns {Promise<{ scenarios: object[] }>} Scenario summaries with role, status and sharedBy
+     */
+    async getSharedScenarios(user) {
+        const email = this._normalizeEmail(user.email);
+        if (!email) {
+            return { scenarios: [] };
+        }
+
+        const filter = `PartitionKey eq '${this._shareRowKey(email).replace(/'/g, "''")}'`;
+        const scenarios = [];
+        let continuationToken;
+
+        do {
+            const result = await this._storage.listEntities(SHARES_TABLE_NAME, { filter, continuationToken });
+            for (const share of result.entities) {
+                if (share.inviteeUserId && share.inviteeUserId !== user.userId) {
+                    continue;
+                }
+                const entity = await this._storage.getEntity(TABLE_NAME, share.ownerId, share.rowKey);
+                if (!entity) {
+                    continue;
+                }
+                scenarios.push({
+                    ...this._toScenarioSummary(entity),
+                    // Active only applies to the owner's own scenarios
+                    isActive: false,
+                    role: share.role,
+                    status: share.status,
+                    sharedBy: share.ownerEmail || ''
+                });
+            }
+            continuationToken = result.continuationToken;
+        } while (continuationToken);
+
+        return { scenarios };
+    }
+
     /**
      * Mark a scenario as the active one for the user.
      * Deactivates all other scenarios for that user.
@@ -214,6 +512,82 @@ class ScenariosService {
     // Private helpers
     // -------------------------------------------------------------------------
 
+    /**
+     * Apply updates to a scenario and record the result as a new revision.
+     * @private
+     */
+    async _saveScenario(userId, scenarioId, updates, restoredFrom) {
+        const existing = await this._storage.getEntity(TABLE_NAME, userId, scenarioId);
+
+        if (!existing) {
+            return null;
+        }
+
+        // ETag-based conflict detection
+        if (updates.etag && updates.etag !== '*' && updates.etag !== existing.etag) {
+            const conflict = new Error('Conflict');
+            conflict.conflict = true;
+            conflict.serverVersion = this._toScenario(existing);
+            throw conflict;
+        }
+
+        // Scenarios saved before version history keep their last state as revision 1
+        const revision = existing.revision || 1;
+        if (!existing.revision) {
+            await this._createRevision(userId, { ...existing, revision }, null);
+        }
+
+        const now = new Date().toISOString();
+        const merged = {
+            ...existing,
+            revision: revision + 1,
+            updatedAt: now,
+            etag: updates.etag || existing.etag
+        };
+
+        if (updates.name !== undefined) {
+            merged.scenarioName = updates.name;
+        }
+        if (updates.data !== undefined) {
+            merged.scenarioData = JSON.stringify(updates.data);
+        }
+        if (updates.keyInputs !== undefined) {
+            merged.keyInputs = JSON.stringify(updates.keyInputs);
+        }
+        if (updates.isActive !== undefined) {
+            merged.isActive = updates.isActive;
+        }
+
+        const updated = await this._storage.updateEntity(TABLE_NAME, merged);
+        await this._createRevision(userId, updated, existing, restoredFrom);
+        return this._toScenario(updated);
+    }
+
+    /**
+     * Validate a share invitation, throwing a structured error on failure.
+     * @private
+     * @returns {string} The normalised invitee email
+     */
+    _validateShareInput(invite, owner) {
+        const email = this._normalizeEmail(invite && invite.email);
+        let message = null;
+
+        if (!email || email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+            message = 'A valid email address is required';
+        } else if (invite.role !== SHARE_ROLES.VIEW && invite.role !== SHARE_ROLES.EDIT) {
+            message = "Role must be 'view' or 'edit'";
+        } else if (email === this._normalizeEmail(owner.email)) {
+            message = 'You cannot share a scenario with yourself';
+        }
+
+        if (message) {
+            const err = new Error(message);
+            err.validationError = true;
+            throw err;
+        }
+        return email;
+    }
+
     /**
      * Validate scenario input, throwing a structured error on failure.
      * @private
@@ -231,6 +605,177 @@ class ScenariosService {
         }
     }
 
+    /**
+     * Write an immutable revision row for a scenario entity, recording which
+     * key inputs changed since the previous revision.
+     * @private
+     */
+    async _createRevision(userId, entity, previous, restoredFrom = null) {
+        const changes = previous
+            ? this._diffKeyInputs(
+                this._parseJson(previous.keyInputs, {}),
+                this._parseJson(entity.keyInputs, {})
+            )
+            : [];
+
+        await this._storage.createEntity(VERSIONS_TABLE_NAME, {
+            partitionKey: this._versionPartitionKey(userId, entity.rowKey),
+            rowKey: this._versionRowKey(entity.revision),
+            revision: entity.revision,
+            scenarioName: entity.scenarioName,
+            scenarioData: entity.scenarioData,
+            keyInputs: entity.keyInputs,
+            changes: JSON.stringify(changes),
+            restoredFrom: restoredFrom || 0,
+            createdAt: entity.updatedAt || entity.createdAt
+        });
+    }
+
+    /**
+     * Delete every revision row of a scenario.
+     * @private
+     */
+    async _deleteRevisions(userId, scenarioId) {
+        const partitionKey = this._versionPartitionKey(userId, scenarioId);
+        const filter = `PartitionKey eq '${partitionKey.replace(/'/g, "''")}'`;
+        let continuationToken;
+
+        do {
+            const result = await this._storage.listEntities(VERSIONS_TABLE_NAME, {
+                filter,
+                maxPageSize: MAX_VERSIONS_PER_PAGE,
+                continuationToken
+            });
+            for (const entity of result.entities) {
+                await this._storage.deleteEntity(VERSIONS_TABLE_NAME, entity.partitionKey, entity.rowKey);
+            }
+            continuationToken = result.continuationToken;
+        } while (continuationToken);
+    }
+
+    /**
+     * Delete every share of a scenario.
+     * @private
+     */
+    async _deleteShares(scenarioId) {
+        const { entities } = await this._storage.listEntities(SHARES_TABLE_NAME, {
+            filter: `PartitionKey eq '${scenarioId.replace(/'/g, "''")}'`,
+            maxPageSize: MAX_SHARES_PER_SCENARIO
+        });
+        for (const entity of entities) {
+            await this._storage.deleteEntity(SHARES_TABLE_NAME, entity.partitionKey, entity.rowKey);
+            await this._storage.deleteEntity(SHARES_TABLE_NAME, entity.rowKey, entity.partitionKey);
+        }
+    }
+
+    /**
+     * Write the invitee's index row for a share, keyed by their email, so
+     * getSharedScenarios reads one partition instead of scanning the table.
+     * @private
+     */
+    async _writeShareIndex(share) {
+        await this._storage.upsertEntity(SHARES_TABLE_NAME, {
+            partitionKey: share.rowKey,
+            rowKey: share.partitionKey,
+            ownerId: share.ownerId,
+            ownerEmail: share.ownerEmail || '',
+            inviteeUserId: share.inviteeUserId || '',
+            role: share.role,
+            status: share.status,
+            updatedAt: share.updatedAt
+        });
+    }
+
+    /** @private */
+    async _getShareEntity(scenarioId, email) {
+        const normalised = this._normalizeEmail(email);
+        if (!normalised) {
+            return null;
+        }
+        return this._storage.getEntity(SHARES_TABLE_NAME, scenarioId, this._shareRowKey(normalised));
+    }
+
+    /** @private */
+    _normalizeEmail(email) {
+        return typeof email === 'string' ? email.trim().toLowerCase() : '';
+    }
+
+    /**
+     * Row keys cannot contain '/', '\\', '#' or '?', so the email is URI-encoded.
+     * @private
+     */
+    _shareRowKey(email) {
+        return encodeURIComponent(this._normalizeEmail(email));
+    }
+
+    /**
+     * Map a raw share entity to a share object.
+     * @private
+     */
+    _toShare(entity) {
+        return {
+            scenarioId: entity.partitionKey,
+            email: entity.inviteeEmail,
+            role: entity.role,
+            status: entity.status,
+            invitedAt: entity.createdAt || null,
+            acceptedAt: entity.acceptedAt || null
+        };
+    }
+
+    /**
+     * List the key inputs whose values differ between two revisions.
+     * @private
+     * @returns {{ field: string, from: *, to: * }[]}
+     */
+    _diffKeyInputs(previous, next) {
+        const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+        return [...fields]
+            .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+            .map((field) => ({
+                field,
+                from: previous[field] ?? null,
+                to: next[field] ?? null
+            }));
+    }
+
+    /** @private */
+    _versionPartitionKey(userId, scenarioId) {
+        return `${userId}_${scenarioId}`;
+    }
+
+    /** @private */
+    _versionRowKey(revision) {
+        return String(MAX_REVISION - revision).padStart(10, '0');
+    }
+
+    /**
+     * Parse a JSON column, falling back when it is empty or invalid.
+     * @private
+     */
+    _parseJson(value, fallback) {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch {
+            return fallback;
+        }
+    }
+
+    /**
+     * Map a raw revision entity to a version summary (used in list responses).
+     * @private
+     */
+    _toVersionSummary(entity) {
+        return {
+            revision: entity.revision,
+            name: entity.scenarioName || '',
+            createdAt: entity.createdAt || null,
+            keyInputs: this._parseJson(entity.keyInputs, null),
+            changes: this._parseJson(entity.changes, []),
+            restoredFrom: entity.restoredFrom || null
+        };
+    }
+
     /**
      * Map a raw entity to a summary object (used in list responses).
      * @private
@@ -270,6 +815,7 @@ class ScenariosService {
             name: entity.scenarioName || '',
             data,
             version: entity.version || 1,
+            revision: entity.revision || 1,
             createdAt: entity.createdAt || null,
             updatedAt: entity.updatedAt || null,
             isActive: entity.isActive === true,
@@ -290,4 +836,4 @@ function createScenariosService(storageService) {
     return new ScenariosService(storage);
 }
 
-module.exports = { ScenariosService, createScenariosService };
+module.exports = { ScenariosService, createScenariosService, SHARE_ROLES };
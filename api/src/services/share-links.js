@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * Share Links Service
+ *
+ * Stores read-only snapshots of calculator state behind short codes, so a
+ * whole scenario can be shared as a link. Snapshots never change once stored
+ * and may expire.
+ *
+ * Table: sharelinks (TABLE_NAME_SHARE_LINKS env var)
+ *   PartitionKey: code
+ *   RowKey:       "snapshot"
+ */
+
+const { randomInt } = require('crypto');
+const { createTableStorageService } = require('./table-storage');
+
+const TABLE_NAME = process.env.TABLE_NAME_SHARE_LINKS || 'sharelinks';
+const ROW_KEY = 'snapshot';
+
+/** Characters used in codes (no 0/O, 1/l/I, to read and type easily). */
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+/** Attempts at finding an unused code before giving up. */
+const MAX_CODE_ATTEMPTS = 5;
+
+/** Longest expiry a link may have, in days. */
+const MAX_EXPIRY_DAYS = 365;
+
+/** Table Storage string properties hold at most 32K characters. */
+const MAX_SNAPSHOT_LENGTH = 32000;
+
+class ShareLinksService {
+    /**
+     * @param {import('./table-storage').TableStorageService} storageService
+     */
+    constructor(storageService) {
+        this._storage = storageService;
+    }
+
+    /**
+     * Store a snapshot and return its code.
+     *
+     * @param {string} userId - The user creating the link
+     * @param {object} snapshot
+     * @param {object} snapshot.data            - Calculator state ({ formData, ... })
+     * @param {string} [snapshot.name]          - Name shown to whoever opens the link
+     * @param {number} [snapshot.expiresInDays] - Days until the link stops working (never if omitted)
+     * @returns {Promise<{ code: string, name: string, createdAt: string, expiresAt: string|null }>}
+     */
+    async createShareLink(userId, snapshot) {
+        const { name, scenarioData, expiresInDays } = this._validateSnapshotInput(snapshot);
+
+        const now = new Date();
+        const expiresAt = expiresInDays
+            ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : '';
+
+        const entity = {
+            partitionKey: await this._generateUnusedCode(),
+            rowKey: ROW_KEY,
+            name,
+            scenarioData,
+            createdBy: userId,
+            createdAt: now.toISOString(),
+            expiresAt
+        };
+
+        await this._storage.createEntity(TABLE_NAME, entity);
+        const { data: _data, ...summary } = this._toShareLink(entity);
+        return summary;
+    }
+
+    /**
+     * Retrieve a snapshot by code. Expired snapshots are deleted.
+     *
+     * @param {string} code
+     * @returns {Promise<object|null>} The snapshot, or null if not found
+     * @throws {{ expired: true }} If the link has expired
+     */
+    async getShareLink(code) {
+        if (!CODE_PATTERN.test(code || '')) {
+            return null;
+        }
+
+        const entity = await this._storage.getEntity(TABLE_NAME, code, ROW_KEY);
+        if (!entity) {
+            return null;
+        }
+
+        if (entity.expiresAt && new Date(entity.expiresAt) <= new Date()) {
+            await this._storage.deleteEntity(TABLE_NAME, code, ROW_KEY);
+            const err = new Error('Share link has expired');
+            err.expired = true;
+            throw err;
+        }
+
+        return this._toShareLink(entity);
+    }
+
+    // -------------------------------------------------------------------------
+    // Private helpers
+    // -------------------------------------------------------------------------
+
+    /**
+     * Validate snapshot input, throwing a structured error on failure.
+     * @private
+     */
+    _validateSnapshotInput(snapshot) {
+        let message = null;
+        let scenarioData = '';
+
+        if (!snapshot || typeof snapshot.data !== 'object' || snapshot.data === null || Array.isArray(snapshot.data)) {
+            message = 'Snapshot data is required';
+        } else if (snapshot.name !== undefined && (typeof snapshot.name !== 'string' || snapshot.name.length > 200)) {
+            message = 'Snapshot name must be a string of at most 200 characters';
+        } else if (snapshot.expiresInDays !== undefined && snapshot.expiresInDays !== null
+            && (!Number.isInteger(snapshot.expiresInDays)
+                || snapshot.expiresInDays < 1
+                || snapshot.expiresInDays > MAX_EXPIRY_DAYS)) {
+            message = `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`;
+        } else {
+            scenarioData = JSON.stringify(snapshot.data);
+            if (scenarioData.length > MAX_SNAPSHOT_LENGTH) {
+                message = 'Snapshot is too large to share';
+            }
+        }
+
+        if (message) {
+            const err = new Error(message);
+            err.validationError = true;
+            throw err;
+        }
+
+        return {
+            name: (snapshot.name || '').trim(),
+            scenarioData,
+            expiresInDays: snapshot.expiresInDays || null
+        };
+    }
+
+    /**
+     * Generate a random code not already in use.
+     * @private
+     */
+    async _generateUnusedCode() {
+        for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+            let code = '';
+            for (let i = 0; i < CODE_LENGTH; i++) {
+                code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+            }
+            if (!(await this._storage.getEntity(TABLE_NAME, code, ROW_KEY))) {
+                return code;
+            }
+        }
+        throw new Error('Could not generate a unique share code');
+    }
+
+    /**
+     * Map a raw entity to a share link object.
+     * @private
+     */
+    _toShareLink(entity) {
+        let data = {};
+        try {
+            data = JSON.parse(entity.scenarioData || '{}');
+        } catch {
+            data = {};
+        }
+
+        return {
+            code: entity.partitionKey,
+            name: entity.name || '',
+            data,
+            createdAt: entity.createdAt || null,
+            expiresAt: entity.expiresAt || null
+        };
+    }
+}
+
+/**
+ * Factory – creates a ShareLinksService backed by Table Storage.
+ *
+ * @param {import('./table-storage').TableStorageService} [storageService]
+ * @returns {ShareLinksService}
+ */
+function createShareLinksService(storageService) {
+    const storage = storageService || createTableStorageService();
+    return new ShareLinksService(storage);
+}
+
+module.exports = { ShareLinksService, createShareLinksService };
@@ -71,12 +71,12 @@ class TableStorageService {
      *
      * @param {string} tableName
      * @param {object} entity - Must include partitionKey and rowKey
-     * @returns {Promise<object>} The created entity
+     * @returns {Promise<object>} The created entity (with its etag if returned)
      */
     async createEntity(tableName, entity) {
         const client = this._getClient(tableName);
-        await client.createEntity(entity);
-        return entity;
+        const response = await client.createEntity(entity);
+        return response && response.etag ? { ...entity, etag: response.etag } : entity;
     }
 
     /**
@@ -115,6 +115,19 @@ class TableStorageService {
         return { ...entity, etag: response.etag || entity.etag };
     }
 
+    /**
+     * Create an entity, or merge it into the existing one with the same keys.
+     *
+     * @param {string} tableName
+     * @param {object} entity - Must include partitionKey and rowKey
+     * @returns {Promise<object>} The entity (with its etag if returned)
+     */
+    async upsertEntity(tableName, entity) {
+        const client = this._getClient(tableName);
+        const response = await client.upsertEntity(entity, 'Merge');
+        return response && response.etag ? { ...entity, etag: response.etag } : entity;
+    }
+
     /**
      * Delete an entity by partition + row key.
      *
@@ -9,6 +9,13 @@
  * @see https://docs.microsoft.com/en-us/azure/static-web-apps/user-information?tabs=javascript#api-functions
  */
 
+/** Scenario roles, from least to most access. */
+const SCENARIO_ROLE_RANKS = {
+    view: 1,
+    edit: 2,
+    owner: 3
+};
+
 /**
  * Extract authenticated user from a request.
  *
@@ -67,6 +74,40 @@ function requireAuth(request) {
     return user;
 }
 
+/**
+ * Require at least a given role on a scenario, throwing a structured error if
+ * the user lacks it. Users with no access at all get a 404, so the existence
+ * of other users' scenarios is not revealed.
+ *
+ * @param {{ ownerId: string, role: string } | null} access - The user's access,
+ *   from ScenariosService#getScenarioAccess
+ * @param {'view'|'edit'|'owner'} role - Least role required
+ * @returns {{ ownerId: string, role: string }} The access.
+ * @throws {{ status: number, body: object }} When the user's role is too low.
+ */
+function requireScenarioRole(access, role) {
+    if (!access) {
+        const err = new Error('Scenario not found');
+        err.status = 404;
+        err.body = buildErrorBody('Scenario not found', 'NOT_FOUND');
+        throw err;
+    }
+
+    if ((SCENARIO_ROLE_RANKS[access.role] || 0) < SCENARIO_ROLE_RANKS[role]) {
+        const err = new Error('Forbidden');
+        err.status = 403;
+        err.body = buildErrorBody(
+            role === 'owner'
+                ? 'Only the owner can do this'
+                : 'This scenario was shared with you as view only',
+            'FORBIDDEN'
+        );
+        throw err;
+    }
+
+    return access;
+}
+
 /**
  * Build a standardised error response body.
  *
@@ -87,4 +128,4 @@ function buildErrorBody(message, code, details) {
     return body;
 }
 
-module.exports = { extractUserFromRequest, requireAuth, buildErrorBody };
+module.exports = { extractUserFromRequest, requireAuth, requireScenarioRole, buildErrorBody };
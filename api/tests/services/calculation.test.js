@@ -0,0 +1,313 @@
+'use strict';
+
+const {
+    CalculationService,
+    loadCalculationModules,
+    validateHouseholdDocument
+} = require('../../src/services/calculation');
+
+/** An error shaped like the engine's InputError (src/js/utils/input-error.js). */
+function inputError(message) {
+    const err = new Error(message);
+    err.name = 'InputError';
+    return err;
+}
+
+function buildDocument(overrides = {}) {
+    return {
+        parent1: { income: 120000, days: 5, hours: 7.6 },
+        parent2: { income: 90000, days: 3, hours: 7.6 },
+        children: [
+            {
+                age: 4,
+                careType: 'centre-based',
+                feeType: 'daily',
+                dailyFee: 150,
+                hoursPerDay: 10,
+                daysOfCare: 3
+            }
+        ],
+        withholdingRate: 5,
+        financialYear: '2025-26',
+        ...overrides
+    };
+}
+
+describe('loadCalculationModules', () => {
+    test('tries the import again after a failed load', async () => {
+        const url = require('url');
+        let loadModules;
+        const spy = jest.spyOn(url, 'pathToFileURL')
+            .mockReturnValueOnce(new URL('file:///missing/config/ccs-config.js'));
+        jest.isolateModules(() => {
+            ({ loadCalculationModules: loadModules } = require('../../src/services/calculation'));
+        });
+
+        await expect(loadModules()).rejects.toThrow();
+
+        const { config } = await loadModules();
+        expect(config.AUSTRALIAN_STATES).toBeDefined();
+        spy.mockRestore();
+    });
+});
+
+describe('CalculationService', () => {
+    let config;
+
+    beforeAll(async () => {
+        ({ config } = await loadCalculationModules());
+    });
+
+    describe('validateHouseholdDocument', () => {
+        test('accepts a complete household document', () => {
+            expect(validateHouseholdDocument(buildDocument(), config)).toEqual([]);
+        });
+
+        test('rejects a non-object body', () => {
+            expect(validateHouseholdDocument([], config)).toEqual([
+                { field: '', message: 'must be a JSON object' }
+            ]);
+        });
+
+        test('reports every invalid field with its path', () => {
+            const errors = validateHouseholdDocument(buildDocument({
+                parent1: { income: -1, days: 6, hours: 7.6 },
+                children: [{ age: 3, careType: 'nanny', feeType: 'daily', hoursPerDay: 10 }],
+                financialYear: '1999-00'
+            }), config);
+
+            expect(errors).toEqual(expect.arrayContaining([
+                { field: 'parent1.income', message: 'must be at least 0' },
+                { field: 'parent1.days', message: 'must be at most 5' },
+                { field: 'children[0].careType', message: expect.stringContaining('must be one of') },
+                { field: 'children[0].dailyFee', message: 'is required' },
+                { field: 'financialYear', message: expect.stringContaining('2025-26') }
+            ]));
+        });
+
+        test('requires at least one child', () => {
+            const errors = validateHouseholdDocument(buildDocument({ children: [] }), config);
+            expect(errors).toEqual([{ field: 'children', message: 'must be a non-empty array' }]);
+        });
+
+        test('rejects unknown activity types and ACCS categories', () => {
+            const document = buildDocument();
+            document.parent1.activities = { hobbies: 4 };
+            document.children[0].accsCategory = 'other';
+
+            const fields = validateHouseholdDocument(document, config).map((error) => error.field);
+            expect(fields).toEqual(['parent1.activities', 'children[0].accsCategory']);
+        });
+
+        test('requires a care calendar to be an object', () => {
+            const document = buildDocument();
+            document.children[0].careCalendar = ['2025-12-25'];
+
+            expect(validateHouseholdDocument(document, config)).toEqual([
+                { field: 'children[0].careCalendar', message: 'must be an object' }
+            ]);
+        });
+
+        test('requires sessions for session fees', () => {
+            const document = buildDocument();
+            document.children[0] = { age: 2, careType: 'centre-based', feeType: 'session', sessions: [] };
+
+            expect(validateHouseholdDocument(document, config)).toEqual([
+                { field: 'children[0].sessions', message: 'must be a non-empty array' }
+            ]);
+        });
+
+        test('requires a booking pattern to be an array of weeks', () => {
+            const document = buildDocument();
+            document.children[0].bookingPattern = { monday: 10 };
+
+            expect(validateHouseholdDocument(document, config)).toEqual([
+                { field: 'children[0].bookingPattern', message: 'must be an array of weeks' }
+            ]);
+        });
+
+        test('accepts a parent roster in place of days and hours', () => {
+            const document = buildDocument();
+            document.parent1 = { income: 100000, roster: [{ monday: 10, saturday: 12 }, { wednesday: 10 }] };
+            expect(validateHouseholdDocument(document, config)).toEqual([]);
+
+            document.parent1.roster = { monday: 10 };
+            expect(validateHouseholdDocument(document, config)).toEqual([
+                { field: 'parent1.roster', message: 'must be an array of weeks' }
+            ]);
+        });
+
+        test('validates commute hours and drop-off and pick-up flags', () => {
+            const document = buildDocument();
+            document.parent1 = { ...document.parent1, commuteHours: 1, dropOff: true, pickUp: false };
+            expect(validateHouseholdDocument(document, config)).toEqual([]);
+
+            document.parent1 = { ...document.parent1, commuteHours: 5, dropOff: 'yes' };
+            expect(validateHouseholdDocument(document, config)).toEqual([
+                { field: 'parent1.commuteHours', message: 'must be at most 4' },
+                { field: 'parent1.dropOff', message: 'must be a boolean' }
+            ]);
+        });
+
+        test('rejects an unknown state', () => {
+            const errors = validateHouseholdDocument(buildDocument({ state: 'nz' }), config);
+            expect(errors).toEqual([{ field: 'state', message: expect.stringContaining('must be one of') }]);
+        });
+
+        test('rejects a date range before the earliest supported financial year', () => {
+            const errors = validateHouseholdDocument(buildDocument({ startDate: '2020-01-01', endDate: '2020-03-31' }), config);
+            expect(errors).toEqual([
+                { field: 'startDate', message: `must be in financial year ${config.SUPPORTED_FINANCIAL_YEARS[0]} or later` },
+                { field: 'endDate', message: `must be in financial year ${config.SUPPORTED_FINANCIAL_YEARS[0]} or later` }
+            ]);
+        });
+
+        test('rejects a date that does not exist', () => {
+            const errors = validateHouseholdDocument(buildDocument({ startDate: '2025-13-01', endDate: '2026-01-31' }), config);
+            expect(errors).toEqual([{ field: 'startDate', message: 'must be a date (YYYY-MM-DD)' }]);
+        });
+
+        test('requires both ends of a date range', () => {
+            const errors = validateHouseholdDocument(buildDocument({ startDate: '2025-07-01' }), config);
+            expect(errors).toEqual([{ field: 'endDate', message: 'is required when a date range is given' }]);
+        });
+    });
+
+    describe('calculate', () => {
+        test('returns the household breakdown and simplified scenarios', async () => {
+            const service = new CalculationService();
+            const result = await service.calculate(buildDocument());
+
+            expect(result.breakdown.householdIncome).toBe(174000);
+            expect(result.breakdown.children[0].weeklySubsidy).toBe(300.21);
+            expect(result.breakdown.weekly.outOfPocket).toBe(149.79);
+            expect(result.scenarios.length).toBeGreaterThan(0);
+            expect(result.scenarios[0].name).toBe('Your Current Settings');
+            expect(result.scenarios[0].totalWeeklyOutOfPocket).toBe(149.79);
+        });
+
+        test('skips scenarios when scenarioMode is none', async () => {
+            const service = new CalculationService();
+            const result = await service.calculate(buildDocument({ scenarioMode: 'none' }));
+            expect(result.scenarios).toEqual([]);
+        });
+
+        test('treats a missing parent2 as a single parent', async () => {
+            const service = new CalculationService();
+            const result = await service.calculate(buildDocument({
+                parent2: undefined,
+                scenarioMode: 'single-parent'
+            }));
+
+            expect(result.breakdown.householdIncome).toBe(120000);
+            expect(result.scenarios).toHaveLength(5);
+        });
+
+        test('throws a validation error with field details', async () => {
+            const service = new CalculationService();
+            await expect(service.calculate(buildDocument({ withholdingRate: 150 })))
+                .rejects.toMatchObject({
+                    validationError: true,
+                    message: 'Invalid household document',
+                    details: { errors: [{ field: 'withholdingRate', message: 'must be at most 100' }] }
+                });
+        });
+
+        test('reports a date range in an unsupported financial year as a validation error', async () => {
+            const service = new CalculationService();
+            await expect(service.calculate(buildDocument({ startDate: '2020-01-01', endDate: '2020-03-31' })))
+                .rejects.toMatchObject({
+                    validationError: true,
+                    message: 'Invalid household document',
+                    details: { errors: expect.arrayContaining([{ field: 'startDate', message: expect.stringContaining('financial year') }]) }
+                });
+        });
+
+        test('reports input the engine rejects as a validation error', async () => {
+            const modules = await loadCalculationModules();
+            const service = new CalculationService(async () => ({
+                ...modules,
+                household: {
+                    computeHousehold: () => { throw inputError('Only one parent can do the drop-off'); }
+                }
+            }));
+
+            await expect(service.calculate(buildDocument()))
+                .rejects.toMatchObject({ validationError: true, message: 'Only one parent can do the drop-off' });
+        });
+
+        test('rethrows engine faults unchanged', async () => {
+            const modules = await loadCalculationModules();
+            const fault = new TypeError("Cannot read properties of undefined (reading 'thresholds')");
+            const service = new CalculationService(async () => ({
+                ...modules,
+                household: { computeHousehold: () => { throw fault; } }
+            }));
+
+            const err = await service.calculate(buildDocument()).catch((e) => e);
+            expect(err).toBe(fault);
+            expect(err.validationError).toBeUndefined();
+        });
+
+        test('treats a plain engine Error as a fault', async () => {
+            const modules = await loadCalculationModules();
+            const fault = new Error('No CCS rates available for financial year 2025-26');
+            const service = new CalculationService(async () => ({
+                ...modules,
+                household: { computeHousehold: () => { throw fault; } }
+            }));
+
+            const err = await service.calculate(buildDocument()).catch((e) => e);
+            expect(err).toBe(fault);
+            expect(err.validationError).toBeUndefined();
+        });
+
+        test('reports a real engine input check as a validation error', async () => {
+            const service = new CalculationService();
+            const document = buildDocument();
+            document.parent1 = { ...document.parent1, dropOff: true };
+            document.parent2 = { ...document.parent2, dropOff: true };
+
+            await expect(service.calculate(document))
+                .rejects.toMatchObject({ validationError: true, message: 'Only one parent can do the drop-off' });
+        });
+
+        test('classifies scenario generation errors the same way', async () => {
+            const modules = await loadCalculationModules();
+            const fault = new TypeError('generator failed');
+            const service = new CalculationService(async () => ({
+                ...modules,
+                generator: {
+                    ...modules.generator,
+                    generateSimplifiedScenarios: () => { throw fault; }
+                }
+            }));
+
+            const err = await service.calculate(buildDocument()).catch((e) => e);
+            expect(err).toBe(fault);
+
+            const rejecting = new CalculationService(async () => ({
+                ...modules,
+                generator: {
+                    ...modules.generator,
+                    generateSimplifiedScenarios: () => { throw inputError('Days count must be between 0 and 5'); }
+                }
+            }));
+            await expect(rejecting.calculate(buildDocument())).rejects.toMatchObject({ validationError: true });
+        });
+
+        test('reports a scenario the engine rejects instead of leaving it out', async () => {
+            const modules = await loadCalculationModules();
+            const service = new CalculationService(async () => ({
+                ...modules,
+                household: { computeHousehold: () => ({}) }
+            }));
+            const document = buildDocument();
+            document.parent1 = { ...document.parent1, dropOff: true };
+            document.parent2 = { ...document.parent2, dropOff: true };
+
+            await expect(service.calculate(document))
+                .rejects.toMatchObject({ validationError: true, message: 'Only one parent can do the drop-off' });
+        });
+    });
+});
@@ -29,6 +29,12 @@ function buildMockStorage() {
             store.set(key(entity.partitionKey, entity.rowKey), updated);
             return updated;
         }),
+        upsertEntity: jest.fn(async (_table, entity) => {
+            const k = key(entity.partitionKey, entity.rowKey);
+            const upserted = { ...store.get(k), ...entity, etag: 'etag-v2' };
+            store.set(k, upserted);
+            return upserted;
+        }),
         deleteEntity: jest.fn(async (_table, pk, rk) => {
             store.delete(key(pk, rk));
         }),
@@ -214,6 +220,239 @@ describe('ScenariosService', () => {
         });
     });
 
+    describe('version history', () => {
+        async function createWithHistory(service) {
+            const created = await service.createScenario('user1', {
+                name: 'Original',
+                data: { v: 1 },
+                keyInputs: { parent1Income: 80000, childrenCount: 1 }
+            });
+            await service.updateScenario('user1', created.id, {
+                data: { v: 2 },
+                keyInputs: { parent1Income: 95000, childrenCount: 1 }
+            });
+            return created;
+        }
+
+        test('keeps a revision for every save, newest first', async () => {
+            const { service } = buildService();
+            const created = await createWithHistory(service);
+
+            const { versions } = await service.getScenarioVersions('user1', created.id);
+            expect(versions.map((v) => v.revision)).toEqual([2, 1]);
+            expect(versions[0]).not.toHaveProperty('data');
+            expect(versions[0].changes).toEqual([
+                { field: 'parent1Income', from: 80000, to: 95000 }
+            ]);
+            expect(versions[1].changes).toEqual([]);
+        });
+
+        test('returns a revision with its data', async () => {
+            const { service } = buildService();
+            const created = await createWithHistory(service);
+
+            const version = await service.getScenarioVersion('user1', created.id, 1);
+            expect(version.data).toEqual({ v: 1 });
+            expect(version.name).toBe('Original');
+            expect(await service.getScenarioVersion('user1', created.id, 3)).toBeNull();
+        });
+
+        test('returns null versions for an unknown scenario', async () => {
+            const { service } = buildService();
+            expect(await service.getScenarioVersions('user1', 'ghost')).toBeNull();
+        });
+
+        test('restores a revision as a new revision', async () => {
+            const { service } = buildService();
+            const created = await createWithHistory(service);
+
+            const restored = await service.restoreScenarioVersion('user1', created.id, 1);
+            expect(restored.data).toEqual({ v: 1 });
+            expect(restored.revision).toBe(3);
+
+            const { versions } = await service.getScenarioVersions('user1', created.id);
+            expect(versions.map((v) => v.revision)).toEqual([3, 2, 1]);
+            expect(versions[0].restoredFrom).toBe(1);
+            expect(versions[0].changes).toEqual([
+                { field: 'parent1Income', from: 95000, to: 80000 }
+            ]);
+        });
+
+        test('returns null when restoring a missing revision', async () => {
+            const { service } = buildService();
+            const created = await createWithHistory(service);
+            expect(await service.restoreScenarioVersion('user1', created.id, 9)).toBeNull();
+        });
+
+        test('records the state of a scenario saved before version history', async () => {
+            const { service, storage } = buildService();
+            const created = await service.createScenario('user1', { name: 'Legacy', data: { v: 1 } });
+            const storedKey = `user1::${created.id}`;
+            const { revision: _revision, ...legacy } = storage._store.get(storedKey);
+            // Drop the revision rows and field written by createScenario
+            storage._store.clear();
+            storage._store.set(storedKey, legacy);
+
+            await service.updateScenario('user1', created.id, { data: { v: 2 } });
+
+            const { versions } = await service.getScenarioVersions('user1', created.id);
+            expect(versions.map((v) => v.revision)).toEqual([2, 1]);
+            expect((await service.getScenarioVersion('user1', created.id, 1)).data).toEqual({ v: 1 });
+        });
+
+        test('deletes the revisions with the scenario', async () => {
+            const { service, storage } = buildService();
+            const created = await createWithHistory(service);
+
+            await service.deleteScenario('user1', created.id);
+            expect(storage._store.size).toBe(0);
+        });
+    });
+
+    describe('sharing', () => {
+        const owner = { userId: 'owner1', email: 'Owner@example.com' };
+        const partner = { userId: 'partner1', email: 'partner@example.com' };
+
+        async function createShared(service, role = 'edit') {
+            const scenario = await service.createScenario(owner.userId, { name: 'Household', data: { v: 1 } });
+            await service.shareScenario(owner, scenario.id, { email: ' Partner@Example.com ', role });
+            return scenario;
+        }
+
+        test('invites by email as a pending share', async () => {
+            const { service } = buildService();
+            const scenario = await service.createScenario(owner.userId, { name: 'Household', data: {} });
+
+            const share = await service.shareScenario(owner, scenario.id, { email: 'Partner@Example.com', role: 'view' });
+
+            expect(share).toMatchObject({
+                scenarioId: scenario.id,
+                email: 'partner@example.com',
+                role: 'view',
+                status: 'pending',
+                acceptedAt: null
+            });
+            const { shares } = await service.getScenarioShares(owner.userId, scenario.id);
+            expect(shares).toHaveLength(1);
+        });
+
+        test('changes the role when the same email is invited again', async () => {
+            const { service } = buildService();
+            const scenario = await createShared(service, 'view');
+
+            const share = await service.shareScenario(owner, scenario.id, { email: 'partner@example.com', role: 'edit' });
+
+            expect(share.role).toBe('edit');
+            expect((await service.getScenarioShares(owner.userId, scenario.id)).shares).toHaveLength(1);
+        });
+
+        test('validates the invitation', async () => {
+            const { service } = buildService();
+            const scenario = await service.createScenario(owner.userId, { name: 'Household', data: {} });
+
+            await expect(service.shareScenario(owner, scenario.id, { email: 'not-an-email', role: 'view' }))
+                .rejects.toMatchObject({ validationError: true, message: 'A valid email address is required' });
+            await expect(service.shareScenario(owner, scenario.id, { email: 'partner@example.com', role: 'admin' }))
+                .rejects.toMatchObject({ validationError: true });
+            await expect(service.shareScenario(owner, scenario.id, { email: 'owner@example.com', role: 'view' }))
+                .rejects.toMatchObject({ message: 'You cannot share a scenario with yourself' });
+        });
+
+        test("returns null when sharing another user's scenario", async () => {
+            const { service } = buildService();
+            const scenario = await service.createScenario(owner.userId, { name: 'Household', data: {} });
+            expect(await service.shareScenario(partner, scenario.id, { email: 'x@example.com', role: 'view' })).toBeNull();
+        });
+
+        test('grants access only after the invitation is accepted', async () => {
+            const { service } = buildService();
+            const scenario = await createShared(service);
+
+            expect(await service.getScenarioAccess(partner, scenario.id)).toBeNull();
+
+            const share = await service.acceptShare(partner, scenario.id);
+            expect(share.status).toBe('accepted');
+            expect(await service.getScenarioAccess(partner, scenario.id)).toEqual({ ownerId: 'owner1', role: 'edit' });
+            expect(await service.getScenarioAccess(owner, scenario.id)).toEqual({ ownerId: 'owner1', role: 'owner' });
+        });
+
+        test('does not let another account with the same email use an accepted invitation', async () => {
+            const { service } = buildService();
+            const scenario = await createShared(service);
+            await service.acceptShare(partner, scenario.id);
+
+            const other = { userId: 'someone-else', email: 'partner@example.com' };
+            expect(await service.acceptShare(other, scenario.id)).toBeNull();
+            expect(await service.getScenarioAccess(other, scenario.id)).toBeNull();
+        });
+
+        test('lists scenarios shared with the user', async () => {
+            const { service } = buildService();
+            const scenario = await createShared(service, 'view');
+
+            const { scenarios } = await service.getSharedScenarios(partner);
+
+            expect(scenarios).toHaveLength(1);
+            expect(scenarios[0]).toMatchObject({
+                id: scenario.id,
+                name: 'Household',
+                role: 'view',
+                status: 'pending',
+                sharedBy: 'Owner@example.com',
+                isActive: false
+            });
+            expect((await service.getSharedScenarios(owner)).scenarios).toEqual([]);
+        });
+
+        test("reads shared scenarios from the invitee's index partition", async () => {
+            const { service, storage } = buildService();
+            const scenario = await createShared(service, 'view');
+            await service.shareScenario(owner, scenario.id, { email: 'partner@example.com', role: 'edit' });
+            await service.acceptShare(partner, scenario.id);
+
+            expect(storage._store.get(`partner%40example.com::${scenario.id}`)).toMatchObject({
+                ownerId: 'owner1',
+                inviteeUserId: 'partner1',
+                role: 'edit',
+                status: 'accepted'
+            });
+
+            storage.listEntities.mockClear();
+            const { scenarios } = await service.getSharedScenarios(partner);
+
+            expect(scenarios[0]).toMatchObject({ id: scenario.id, role: 'edit', status: 'accepted' });
+            expect(storage.listEntities).toHaveBeenCalledTimes(1);
+            expect(storage.listEntities.mock.calls[0][1].filter).toBe("PartitionKey eq 'partner%40example.com'");
+        });
+
+        test('lets the owner revoke and the invitee decline, but nobody else', async () => {
+            const { service } = buildService();
+            const scenario = await createShared(service);
+            await service.acceptShare(partner, scenario.id);
+
+            const stranger = { userId: 'stranger', email: 'stranger@example.com' };
+            expect(await service.revokeShare(stranger, scenario.id, 'partner@example.com')).toBe(false);
+
+            expect(await service.revokeShare(owner, scenario.id, 'Partner@example.com')).toBe(true);
+            expect(await service.getScenarioAccess(partner, scenario.id)).toBeNull();
+            expect((await service.getSharedScenarios(partner)).scenarios).toEqual([]);
+
+            await service.shareScenario(owner, scenario.id, { email: 'partner@example.com', role: 'view' });
+            expect(await service.revokeShare(partner, scenario.id, 'partner@example.com')).toBe(true);
+            expect((await service.getSharedScenarios(partner)).scenarios).toEqual([]);
+        });
+
+        test('deletes the shares with the scenario', async () => {
+            const { service, storage } = buildService();
+            const scenario = await createShared(service);
+
+            await service.deleteScenario(owner.userId, scenario.id);
+            expect(storage._store.has(`partner%40example.com::${scenario.id}`)).toBe(false);
+            expect((await service.getSharedScenarios(partner)).scenarios).toEqual([]);
+            expect(await service.acceptShare(partner, scenario.id)).toBeNull();
+        });
+    });
+
     describe('setActiveScenario', () => {
         test('returns false when scenario not found', async () => {
             const { service } = buildService();
@@ -0,0 +1,122 @@
+'use strict';
+
+const { ShareLinksService } = require('../../src/services/share-links');
+
+/**
+ * Build an in-memory TableStorageService mock for share link tests.
+ */
+function buildMockStorage() {
+    const store = new Map();
+
+    function key(pk, rk) {
+        return `${pk}::${rk}`;
+    }
+
+    return {
+        _store: store,
+        createEntity: jest.fn(async (_table, entity) => {
+            store.set(key(entity.partitionKey, entity.rowKey), { ...entity });
+            return entity;
+        }),
+        getEntity: jest.fn(async (_table, pk, rk) => {
+            return store.get(key(pk, rk)) || null;
+        }),
+        deleteEntity: jest.fn(async (_table, pk, rk) => {
+            store.delete(key(pk, rk));
+        })
+    };
+}
+
+function buildService() {
+    const storage = buildMockStorage();
+    const service = new ShareLinksService(storage);
+    return { service, storage };
+}
+
+const snapshot = {
+    name: 'Two days of care',
+    data: { formData: { parent1: { income: 80000 } } }
+};
+
+describe('ShareLinksService', () => {
+    describe('createShareLink', () => {
+        test('stores the snapshot under a short code', async () => {
+            const { service, storage } = buildService();
+            const link = await service.createShareLink('user1', snapshot);
+
+            expect(link.code).toMatch(/^[a-zA-Z2-9]{8}$/);
+            expect(link.name).toBe('Two days of care');
+            expect(link.expiresAt).toBeNull();
+            expect(link.data).toBeUndefined();
+
+            const stored = storage._store.get(`${link.code}::snapshot`);
+            expect(stored.createdBy).toBe('user1');
+            expect(JSON.parse(stored.scenarioData)).toEqual(snapshot.data);
+        });
+
+        test('sets an expiry when expiresInDays is given', async () => {
+            const { service } = buildService();
+            const link = await service.createShareLink('user1', { ...snapshot, expiresInDays: 7 });
+
+            const days = (new Date(link.expiresAt) - new Date(link.createdAt)) / (24 * 60 * 60 * 1000);
+            expect(days).toBe(7);
+        });
+
+        test('picks another code when one is already in use', async () => {
+            const { service, storage } = buildService();
+            storage.getEntity.mockResolvedValueOnce({ partitionKey: 'taken' });
+
+            const link = await service.createShareLink('user1', snapshot);
+
+            expect(storage.getEntity).toHaveBeenCalledTimes(2);
+            expect(storage._store.has(`${link.code}::snapshot`)).toBe(true);
+        });
+
+        test.each([
+            ['data is missing', { name: 'x' }],
+            ['data is an array', { data: [] }],
+            ['name is too long', { ...snapshot, name: 'x'.repeat(201) }],
+            ['expiresInDays is zero', { ...snapshot, expiresInDays: 0 }],
+            ['expiresInDays is too long', { ...snapshot, expiresInDays: 366 }],
+            ['expiresInDays is fractional', { ...snapshot, expiresInDays: 1.5 }],
+            ['the snapshot is too large', { data: { notes: 'x'.repeat(32000) } }]
+        ])('throws validationError when %s', async (_label, input) => {
+            const { service, storage } = buildService();
+            await expect(
+                service.createShareLink('user1', input)
+            ).rejects.toMatchObject({ validationError: true });
+            expect(storage.createEntity).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getShareLink', () => {
+        test('returns the stored snapshot without its creator', async () => {
+            const { service } = buildService();
+            const { code } = await service.createShareLink('user1', snapshot);
+
+            const link = await service.getShareLink(code);
+
+            expect(link).toMatchObject({ code, name: 'Two days of care', data: snapshot.data });
+            expect(link.createdBy).toBeUndefined();
+        });
+
+        test('returns null for an unknown or malformed code', async () => {
+            const { service, storage } = buildService();
+
+            expect(await service.getShareLink('abcdefgh')).toBeNull();
+            expect(await service.getShareLink('../etc')).toBeNull();
+            expect(await service.getShareLink(undefined)).toBeNull();
+            // Malformed codes never reach storage
+            expect(storage.getEntity).toHaveBeenCalledTimes(1);
+        });
+
+        test('throws expired and deletes a link past its expiry', async () => {
+            const { service, storage } = buildService();
+            const { code } = await service.createShareLink('user1', { ...snapshot, expiresInDays: 1 });
+            storage._store.get(`${code}::snapshot`).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+            await expect(service.getShareLink(code)).rejects.toMatchObject({ expired: true });
+            expect(storage._store.has(`${code}::snapshot`)).toBe(false);
+        });
+    });
+});
@@ -37,6 +37,11 @@ function buildMockTableClient() {
             store.set(k, { ...entity, etag: 'etag-updated' });
             return { etag: 'etag-updated' };
         }),
+        upsertEntity: jest.fn(async (entity) => {
+            const k = key(entity.partitionKey, entity.rowKey);
+            store.set(k, { ...store.get(k), ...entity, etag: 'etag-upserted' });
+            return { etag: 'etag-upserted' };
+        }),
         deleteEntity: jest.fn(async (pk, rk) => {
             const k = key(pk, rk);
             if (!store.has(k)) {
@@ -97,6 +102,13 @@ describe('TableStorageService', () => {
             const result = await svc.createEntity('scenarios', entity);
             expect(result).toEqual(entity);
         });
+
+        test('returns the etag from the create response', async () => {
+            const svc = buildMockService();
+            svc._getClient('scenarios').createEntity = jest.fn(async () => ({ etag: 'etag-new' }));
+            const result = await svc.createEntity('scenarios', { partitionKey: 'user1', rowKey: 'row1' });
+            expect(result.etag).toBe('etag-new');
+        });
     });
 
     describe('getEntity', () => {
@@ -125,6 +137,19 @@ describe('TableStorageService', () => {
         });
     });
 
+    describe('upsertEntity', () => {
+        test('creates a missing entity and merges into an existing one', async () => {
+            const svc = buildMockService();
+            await svc.upsertEntity('t', { partitionKey: 'p', rowKey: 'r', role: 'view', status: 'pending' });
+            const result = await svc.upsertEntity('t', { partitionKey: 'p', rowKey: 'r', status: 'accepted' });
+
+            const client = svc._getClient('t');
+            expect(result.etag).toBe('etag-upserted');
+            expect(client.upsertEntity).toHaveBeenLastCalledWith(expect.any(Object), 'Merge');
+            expect(client._store.get('p::r')).toMatchObject({ role: 'view', status: 'accepted' });
+        });
+    });
+
     describe('deleteEntity', () => {
         test('deletes an existing entity', async () => {
             const svc = buildMockService();
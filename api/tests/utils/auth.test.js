@@ -1,6 +1,6 @@
 'use strict';
 
-const { extractUserFromRequest, requireAuth, buildErrorBody } = require('../../src/utils/auth');
+const { extractUserFromRequest, requireAuth, requireScenarioRole, buildErrorBody } = require('../../src/utils/auth');
 
 // Helper to encode a principal as a base64 x-ms-client-principal header value
 function encodePrincipal(obj) {
@@ -90,6 +90,30 @@ describe('auth utils', () => {
         });
     });
 
+    describe('requireScenarioRole', () => {
+        test('returns the access when the role is high enough', () => {
+            const access = { ownerId: 'owner1', role: 'edit' };
+            expect(requireScenarioRole(access, 'view')).toBe(access);
+            expect(requireScenarioRole(access, 'edit')).toBe(access);
+            expect(requireScenarioRole({ ownerId: 'u1', role: 'owner' }, 'owner').role).toBe('owner');
+        });
+
+        test('throws 404 when the user has no access', () => {
+            expect(() => requireScenarioRole(null, 'view')).toThrow(
+                expect.objectContaining({ status: 404, body: expect.objectContaining({ code: 'NOT_FOUND' }) })
+            );
+        });
+
+        test('throws 403 when the role is too low', () => {
+            expect(() => requireScenarioRole({ ownerId: 'owner1', role: 'view' }, 'edit')).toThrow(
+                expect.objectContaining({ status: 403, body: expect.objectContaining({ code: 'FORBIDDEN' }) })
+            );
+            expect(() => requireScenarioRole({ ownerId: 'owner1', role: 'edit' }, 'owner')).toThrow(
+                expect.objectContaining({ status: 403 })
+            );
+        });
+    });
+
     describe('buildErrorBody', () => {
         test('returns object with required fields', () => {
             const body = buildErrorBody('Something went wrong', 'INTERNAL_ERROR');
@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+/**
+ * Batch Household Calculator
+ * Runs CSV or JSON household records through the shared calculation engine
+ * (computeHousehold) and the scenario generator, then writes a CSV or JSON
+ * report per household
+ *
+ * Every household is checked against the API's household schema first. A
+ * household with a missing or non-numeric value (e.g. "120,000") is reported
+ * with its CSV rows and skipped, and the script exits with status 1. So is a
+ * household with a scenario the engine rejects (e.g. both parents doing the
+ * drop-off on a day only the scenario has them both at work).
+ *
+ * Usage:
+ *   node scripts/calculate-households.js <households.csv|households.json> [options]
+ *
+ * Options:
+ *   --year <2025-26>        Financial year for households that don't set one
+ *   --withholding <5>       Withholding rate for households that don't set one
+ *   --scenarios <mode>      all, simplified (default), common, single-parent or none
+ *   --format <json|csv>     Report format (default: json)
+ *   --out <dir>             Write one report file per household into <dir>
+ *                           (default: print all reports to stdout)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { computeHousehold } from '../src/js/calculations/household.js';
+import {
+  buildScenarioBaseData,
+  generateAllScenarios,
+  generateSimplifiedScenarios,
+  generateCommonScenarios,
+  generateSingleParentScenarios
+} from '../src/js/scenarios/generator.js';
+import * as ccsConfig from '../src/js/config/ccs-config.js';
+import { AUSTRALIAN_STATES } from '../src/js/config/public-holidays.js';
+
+const { SUPPORTED_FINANCIAL_YEARS } = ccsConfig;
+
+// The API's schema check, so the CLI accepts exactly what POST /api/calculate does
+const { validateHouseholdDocument } = createRequire(import.meta.url)('../api/src/services/calculation.js');
+const SCHEMA_CONFIG = { ...ccsConfig, AUSTRALIAN_STATES };
+
+export const SCENARIO_MODES = {
+  all: generateAllScenarios,
+  simplified: generateSimplifiedScenarios,
+  common: generateCommonScenarios,
+  'single-parent': generateSingleParentScenarios,
+  none: () => []
+};
+
+export const REPORT_FORMATS = ['json', 'csv'];
+
+const USAGE = 'Usage: node scripts/calculate-households.js <households.csv|households.json> ' +
+  '[--year 2025-26] [--withholding 5] [--scenarios all|simplified|common|single-parent|none] ' +
+  '[--format json|csv] [--out <dir>]';
+
+/**
+ * Columns of the report CSV (one row for the household as entered, then one per scenario)
+ */
+const REPORT_COLUMNS = [
+  'householdId',
+  'row',
+  'parent1Days',
+  'parent2Days',
+  'householdIncome',
+  'weeklySubsidy',
+  'weeklyOutOfPocket',
+  'annualSubsidy',
+  'annualOutOfPocket',
+  'netIncomeAfterChildcare',
+  'childcareCostPercentage'
+];
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with input, year, withholding, scenarios, format and out
+ */
+export function parseArgs(argv) {
+  const options = { scenarios: 'simplified', format: 'json' };
+  const flags = { '--year': 'year', '--withholding': 'withholding', '--scenarios': 'scenarios', '--format': 'format', '--out': 'out' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[flags[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.input) {
+      options.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!options.input) {
+    throw new Error('An input file is required');
+  }
+
+  if (options.year !== undefined && !SUPPORTED_FINANCIAL_YEARS.includes(options.year)) {
+    throw new Error(`Invalid financial year: ${options.year}`);
+  }
+
+  if (options.withholding !== undefined) {
+    const rate = Number(options.withholding);
+    if (options.withholding === '' || isNaN(rate) || rate < 0 || rate > 100) {
+      throw new Error('Withholding rate must be between 0 and 100');
+    }
+    options.withholding = rate;
+  }
+
+  if (!SCENARIO_MODES[options.scenarios]) {
+    throw new Error(`Invalid scenario mode: ${options.scenarios}`);
+  }
+
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Invalid report format: ${options.format}`);
+  }
+
+  return options;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+const toNumber = value => (value === undefined || value.trim() === '' ? undefined : Number(value));
+const toText = value => (value === undefined || value.trim() === '' ? undefined : value.trim());
+
+/**
+ * Convert CSV rows (one row per child, grouped by household_id) into household records
+ * Parent, withholding and financial year columns are read from each household's first row.
+ * Each record lists its CSV row numbers (the header is row 1, blank lines are not counted)
+ * in child order, for error messages.
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows including the header row
+ * @returns {Array<Object>} Household records
+ */
+export function householdsFromCsvRows(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const [header, ...dataRows] = rows;
+  const columns = header.map(name => name.trim());
+
+  if (!columns.includes('household_id')) {
+    throw new Error('CSV must have a household_id column');
+  }
+
+  const households = new Map();
+
+  dataRows.forEach((fields, index) => {
+    const record = Object.fromEntries(columns.map((name, index) => [name, fields[index]]));
+    const id = toText(record.household_id);
+
+    if (!id) {
+      throw new Error('Every CSV row needs a household_id');
+    }
+
+    if (!households.has(id)) {
+      const parent = prefix => ({
+        income: toNumber(record[`${prefix}_income`]) ?? 0,
+        days: toNumber(record[`${prefix}_days`]) ?? 0,
+        hours: toNumber(record[`${prefix}_hours`]) ?? 0,
+        exemption: toText(record[`${prefix}_exemption`]) ?? null
+      });
+      // Blank parent 2 columns are a single parent; zeros are a partner with no activity
+      const hasParent2 = ['income', 'days', 'hours', 'exemption']
+        .some(field => toText(record[`parent2_${field}`]) !== undefined);
+
+      households.set(id, {
+        id,
+        parent1: parent('parent1'),
+        parent2: hasParent2 ? parent('parent2') : null,
+        children: [],
+        withholdingRate: toNumber(record.withholding_rate),
+        financialYear: toText(record.financial_year),
+        rows: []
+      });
+    }
+
+    households.get(id).rows.push(index + 2);
+
+    const feeType = toText(record.fee_type) || 'daily';
+    households.get(id).children.push({
+      age: toNumber(record.child_age),
+      careType: toText(record.care_type),
+      feeType,
+      dailyFee: toNumber(record.daily_fee),
+      hoursPerDay: toNumber(record.hours_per_day),
+      daysOfCare: toNumber(record.days_of_care) ?? null,
+      providerFee: toNumber(record.provider_fee),
+      hoursPerWeek: toNumber(record.hours_per_week),
+      accsCategory: toText(record.accs_category) ?? null,
+      firstNations: ['true', 'yes', '1'].includes((record.first_nations || '').trim().toLowerCase())
+    });
+  });
+
+  return [...households.values()];
+}
+
+/**
+ * Read household records from a CSV or JSON file
+ * JSON may be an array of households or { "households": [...] }
+ *
+ * @param {string} filePath - Input file path (.csv or .json)
+ * @returns {Array<Object>} Household records
+ */
+export function readHouseholds(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    return householdsFromCsvRows(parseCsv(text));
+  }
+
+  if (extension === '.json') {
+    const parsed = JSON.parse(text);
+    const households = Array.isArray(parsed) ? parsed : parsed.households;
+    if (!Array.isArray(households)) {
+      throw new Error('JSON input must be an array of households or { "households": [...] }');
+    }
+    return households.map((household, index) => ({ id: household.id ?? String(index + 1), ...household }));
+  }
+
+  throw new Error(`Unsupported input file type: ${extension || filePath}`);
+}
+
+/**
+ * Check a household's inputs against the API's household schema
+ * Errors about a child point at that child's CSV row; other errors at the household's first row.
+ *
+ * @param {Object} inputs - Calculation inputs
+ * @param {Array<number>} [rows] - CSV row numbers of the household, in child order
+ * @throws {Error} Listing every invalid field
+ */
+function validateHouseholdInputs(inputs, rows) {
+  const errors = validateHouseholdDocument(inputs, SCHEMA_CONFIG);
+  if (errors.length === 0) {
+    return;
+  }
+
+  const describe = ({ field, message }) => {
+    if (!rows) {
+      return `${field} ${message}`;
+    }
+    const child = /^children\[(\d+)\]/.exec(field);
+    return `${field} ${message} (row ${rows[child ? Number(child[1]) : 0] ?? rows[0]})`;
+  };
+  throw new Error(errors.map(describe).join('; '));
+}
+
+/**
+ * Calculate the report for one household
+ *
+ * @param {Object} household - Household record (calculator form data shape plus id)
+ * @param {Object} options - Parsed options (year, withholding, scenarios)
+ * @returns {Object} Report with householdId, parent work days, breakdown and scenarios
+ * @throws {Error} If the household's inputs are invalid or the engine rejects one of its scenarios
+ */
+export function calculateHouseholdReport(household, options) {
+  const inputs = {
+    parent1: household.parent1,
+    parent2: household.parent2 || { income: 0, days: 0, hours: 0 },
+    children: household.children || [],
+    withholdingRate: household.withholdingRate ?? options.withholding,
+    financialYear: household.financialYear ?? options.year
+  };
+  validateHouseholdInputs(inputs, household.rows);
+
+  const breakdown = computeHousehold({ ...inputs, parent2: household.parent2 || null });
+  // Strict: a scenario the engine rejects fails the household instead of being left out
+  const scenarios = SCENARIO_MODES[options.scenarios](buildScenarioBaseData(inputs), { strict: true });
+
+  return {
+    householdId: household.id,
+    financialYear: breakdown.financialYear,
+    parent1Days: inputs.parent1.days,
+    parent2Days: inputs.parent2.days,
+    breakdown,
+    scenarios
+  };
+}
+
+/**
+ * Escape a value for CSV output
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format household reports as CSV: one row for each household as entered,
+ * followed by one row per generated scenario
+ *
+ * @param {Array<Object>} reports - Household reports
+ * @returns {string} CSV text with a header row
+ */
+export function formatReportsCsv(reports) {
+  const rows = reports.flatMap(report => {
+    const { breakdown } = report;
+    const entered = {
+      householdId: report.householdId,
+      row: 'As entered',
+      parent1Days: report.parent1Days,
+      parent2Days: report.parent2Days,
+      householdIncome: breakdown.householdIncome,
+      weeklySubsidy: breakdown.weekly.subsidy,
+      weeklyOutOfPocket: breakdown.weekly.outOfPocket,
+      annualSubsidy: breakdown.annual.subsidy,
+      annualOutOfPocket: breakdown.annual.outOfPocket,
+      netIncomeAfterChildcare: breakdown.netIncomeAfterChildcare,
+      childcareCostPercentage: breakdown.costPercentage
+    };
+
+    const scenarioRows = report.scenarios.map(scenario => ({
+      householdId: report.householdId,
+      row: scenario.name,
+      parent1Days: scenario.parent1Days,
+      parent2Days: scenario.parent2Days,
+      householdIncome: scenario.householdIncome,
+      weeklySubsidy: scenario.totalWeeklySubsidy,
+      weeklyOutOfPocket: scenario.totalWeeklyOutOfPocket,
+      annualSubsidy: scenario.annualSubsidy,
+      annualOutOfPocket: scenario.annualOutOfPocket,
+      netIncomeAfterChildcare: scenario.netIncomeAfterChildcare,
+      childcareCostPercentage: scenario.childcareCostPercentage
+    }));
+
+    return [entered, ...scenarioRows];
+  });
+
+  return [
+    REPORT_COLUMNS.join(','),
+    ...rows.map(row => REPORT_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Pick a report file name for each household
+ * Characters other than letters, digits, '.', '-' and '_' become '_'. Ids that
+ * end up with the same name (e.g. 'a b' and 'a_b', or names differing only in
+ * case) get a -2, -3, ... suffix so no report overwrites another.
+ *
+ * @param {Array<Object>} reports - Household reports
+ * @param {string} format - Report format (file extension)
+ * @returns {Array<string>} File names, in report order
+ */
+export function reportFileNames(reports, format) {
+  const used = new Set();
+
+  return reports.map(report => {
+    const base = String(report.householdId).replace(/[^\w.-]/g, '_');
+    let fileName = `${base}.${format}`;
+    for (let suffix = 2; used.has(fileName.toLowerCase()); suffix++) {
+      fileName = `${base}-${suffix}.${format}`;
+    }
+    used.add(fileName.toLowerCase());
+    return fileName;
+  });
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code (1 if any household failed, 2 if the arguments or input file are invalid)
+ */
+export function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  let households;
+  try {
+    households = readHouseholds(options.input);
+  } catch (error) {
+    console.error(`Could not read ${options.input}: ${error.message}`);
+    return 2;
+  }
+
+  const reports = [];
+  let failures = 0;
+
+  households.forEach(household => {
+    try {
+      reports.push(calculateHouseholdReport(household, options));
+    } catch (error) {
+      failures++;
+      console.error(`Household ${household.id}: ${error.message}`);
+    }
+  });
+
+  const format = report => (options.format === 'csv'
+    ? formatReportsCsv([report])
+    : JSON.stringify(report, null, 2) + '\n');
+
+  if (options.out) {
+    fs.mkdirSync(options.out, { recursive: true });
+    const fileNames = reportFileNames(reports, options.format);
+    reports.forEach((report, index) => {
+      fs.writeFileSync(path.join(options.out, fileNames[index]), format(report));
+    });
+    console.error(`Wrote ${reports.length} report${reports.length === 1 ? '' : 's'} to ${options.out}`);
+  } else if (options.format === 'csv') {
+    process.stdout.write(formatReportsCsv(reports));
+  } else {
+    process.stdout.write(JSON.stringify(reports, null, 2) + '\n');
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -10,12 +10,14 @@ import {
 import { 
   generateAllScenarios, 
   generateCommonScenarios,
-  generateSimplifiedScenarios 
+  generateSimplifiedScenarios,
+  buildScenarioBaseData
 } from './js/scenarios/generator.js';
 import { loadState, saveState, clearState } from './js/storage/persistence.js';
 import { 
   initializeCharts, 
   updateCharts, 
+  updateIncomeSweepChart,
   clearCharts 
 } from './js/ui/chart-manager.js';
 import {
@@ -52,12 +54,22 @@ import {
 import {
   initializeAdjustableVariablesPanel
 } from './js/ui/adjustable-variables-panel.js';
+import {
+  initializeIncomeTimelinePanel
+} from './js/ui/income-timeline-panel.js';
+import {
+  initializeReconciliationPanel
+} from './js/ui/reconciliation-panel.js';
+import {
+  initializeMarginalImpactPanel
+} from './js/ui/marginal-impact-panel.js';
 import { authManager } from './js/auth/auth-manager.js';
 import { storageManager } from './js/storage/storage-manager.js';
 import {
   openDashboardModal,
   wireDashboardModalHandlers
 } from './js/ui/dashboard-modal.js';
+import { resolveMergeConflicts, wireMergeModalHandlers } from './js/ui/merge-modal.js';
 
 // Global state for scenarios
 let currentScenarios = [];
@@ -93,6 +105,15 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize adjustable variables panel
     initializeAdjustableVariablesPanel();
     
+    // Initialize income changes timeline and weekly projection
+    initializeIncomeTimelinePanel();
+    
+    // Initialize year-end reconciliation estimate
+    initializeReconciliationPanel();
+    
+    // Initialize earning-more estimate
+    initializeMarginalImpactPanel();
+    
     // Initialize formatted income inputs (with thousand separators)
     initFormattedIncomeInputs();
     
@@ -128,6 +149,10 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Wire dashboard modal handlers (must run after DOM is ready)
     wireDashboardModalHandlers();
+
+    // Ask the user to resolve fields changed on two devices when a save conflicts
+    wireMergeModalHandlers();
+    storageManager.conflictResolver = resolveMergeConflicts;
     
     // Check if URL contains shared data and load it (Phase 7)
     const urlData = loadFromURL();
@@ -295,40 +320,8 @@ function generateAndDisplayScenarios(mode = 'simplified') {
     return;
   }
   
-  // Transform children data to the format expected by scenario generator
-  const transformedChildren = currentFormData.children.map(child => {
-    // If using daily rate, convert to hourly
-    if (child.feeType === 'daily') {
-      const hourlyRate = child.hoursPerDay > 0 ? child.dailyFee / child.hoursPerDay : 0;
-      const hoursPerWeek = child.daysOfCare * child.hoursPerDay;
-      
-      return {
-        age: child.age,
-        careType: child.careType,
-        providerFee: hourlyRate,
-        hoursPerWeek: hoursPerWeek
-      };
-    } else {
-      // Already in hourly format
-      return {
-        age: child.age,
-        careType: child.careType,
-        providerFee: child.providerFee,
-        hoursPerWeek: child.hoursPerWeek
-      };
-    }
-  });
-  
   // Prepare base data for scenario generation
-  const baseData = {
-    parent1BaseIncome: currentFormData.parent1.income,
-    parent2BaseIncome: currentFormData.parent2.income || 0,
-    parent1Days: currentFormData.parent1.days,
-    parent2Days: currentFormData.parent2.days || 0,
-    parent1HoursPerDay: currentFormData.parent1.hours,
-    parent2HoursPerDay: currentFormData.parent2.hours || 0,
-    children: transformedChildren
-  };
+  const baseData = buildScenarioBaseData(currentFormData);
   
   // Generate scenarios
   let scenarios;
@@ -349,6 +342,7 @@ function generateAndDisplayScenarios(mode = 'simplified') {
   
   // Update charts (Phase 7)
   updateCharts(scenarios);
+  updateIncomeSweepChart(currentFormData);
   
   // Show count
   const container = document.getElementById('comparison-table-container');
@@ -367,6 +361,9 @@ function generateAndDisplayScenarios(mode = 'simplified') {
  * Save current application state (Phase 6)
  */
 function saveCurrentState() {
+  // A shared snapshot must not overwrite the user's own saved state
+  if (storageManager.viewingSnapshot) return;
+
   try {
     const state = loadState() || {};
     state.scenarios = currentScenarios;
@@ -381,6 +378,8 @@ function saveCurrentState() {
  * Restore saved scenarios (Phase 6)
  */
 function restoreSavedScenarios() {
+  if (storageManager.viewingSnapshot) return;
+
   try {
     const savedState = loadState();
     if (savedState && savedState.scenarios && Array.isArray(savedState.scenarios) && savedState.scenarios.length > 0) {
@@ -566,8 +565,10 @@ function wireAuthHandlers() {
   // Logout button
   const logoutBtn = document.getElementById('btn-logout');
   if (logoutBtn) {
-    logoutBtn.addEventListener('click', () => {
+    logoutBtn.addEventListener('click', async () => {
       if (confirm('Are you sure you want to sign out?')) {
+        // Unsynced writes must not replay into the next account to sign in here
+        await storageManager.discardQueuedWrites();
         authManager.logout();
       }
     });
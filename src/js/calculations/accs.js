@@ -0,0 +1,166 @@
+/**
+ * Additional Child Care Subsidy (ACCS) Calculation Module
+ * Calculates ACCS subsidy rates, rate caps and subsidised hours
+ * for grandparent, child wellbeing, temporary financial hardship
+ * and transition to work categories
+ */
+
+import {
+  ACCS_CATEGORIES,
+  getHourlyRateCap,
+  getDailyRateCap
+} from '../config/ccs-config.js';
+import { calculateSubsidisedHours } from './activity-test.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * Get the ACCS category configuration for a category ID
+ *
+ * @param {string} category - ACCS category ID (e.g. 'grandparent')
+ * @returns {Object} Category configuration from ACCS_CATEGORIES
+ */
+export function getAccsCategory(category) {
+  const config = Object.values(ACCS_CATEGORIES).find(entry => entry.ID === category);
+
+  if (!config) {
+    throw new InputError(`Invalid ACCS category: ${category}`);
+  }
+
+  return config;
+}
+
+/**
+ * Check whether a value is a known ACCS category ID
+ *
+ * @param {string} category - Value to check
+ * @returns {boolean} True if the value is an ACCS category ID
+ */
+export function isAccsCategory(category) {
+  return Object.values(ACCS_CATEGORIES).some(entry => entry.ID === category);
+}
+
+/**
+ * Calculate the ACCS subsidy rate (not income tested)
+ *
+ * @param {string} category - ACCS category ID
+ * @returns {number} Subsidy rate percentage
+ */
+export function calculateAccsSubsidyRate(category) {
+  return getAccsCategory(category).SUBSIDY_RATE;
+}
+
+/**
+ * Get the ACCS hourly rate cap (standard cap × category multiplier)
+ *
+ * @param {string} category - ACCS category ID
+ * @param {string} careType - Type of care (from CARE_TYPES)
+ * @param {number} childAge - Age of child in years
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} ACCS hourly rate cap in AUD
+ */
+export function getAccsHourlyRateCap(category, careType, childAge, financialYear) {
+  const { RATE_CAP_MULTIPLIER } = getAccsCategory(category);
+  const cap = getHourlyRateCap(careType, childAge, financialYear) * RATE_CAP_MULTIPLIER;
+  return Math.round(cap * 100) / 100;
+}
+
+/**
+ * Calculate ACCS effective hourly rate (minimum of provider fee and ACCS rate cap)
+ *
+ * @param {number} providerFee - Provider's hourly fee
+ * @param {string} category - ACCS category ID
+ * @param {string} careType - Type of care (from CARE_TYPES)
+ * @param {number} childAge - Age of child in years
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} Effective hourly rate
+ */
+export function calculateAccsEffectiveHourlyRate(providerFee, category, careType, childAge, financialYear) {
+  if (typeof providerFee !== 'number' || providerFee < 0) {
+    throw new Error('Provider fee must be a non-negative number');
+  }
+
+  return Math.min(providerFee, getAccsHourlyRateCap(category, careType, childAge, financialYear));
+}
+
+/**
+ * Calculate ACCS effective daily rate (minimum of provider fee and ACCS daily rate cap)
+ *
+ * @param {number} providerDailyFee - Provider's daily fee
+ * @param {string} category - ACCS category ID
+ * @param {string} careType - Type of care (from CARE_TYPES)
+ * @param {number} childAge - Age of child in years
+ * @param {number} hoursPerDay - Hours charged per day
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} Effective daily rate
+ */
+export function calculateAccsEffectiveDailyRate(providerDailyFee, category, careType, childAge, hoursPerDay, financialYear) {
+  if (typeof providerDailyFee !== 'number' || providerDailyFee < 0) {
+    throw new Error('Provider daily fee must be a non-negative number');
+  }
+
+  const { RATE_CAP_MULTIPLIER } = getAccsCategory(category);
+  const cap = getDailyRateCap(careType, childAge, hoursPerDay, financialYear) * RATE_CAP_MULTIPLIER;
+  return Math.min(providerDailyFee, Math.round(cap * 100) / 100);
+}
+
+/**
+ * Calculate subsidised hours for an ACCS child
+ * Activity-test-exempt categories get the category's hours regardless of parent activity;
+ * other categories use the normal activity test
+ *
+ * @param {string} category - ACCS category ID
+ * @param {number} parent1HoursPerFortnight - Parent 1's activity hours per fortnight
+ * @param {number|null} parent2HoursPerFortnight - Parent 2's activity hours per fortnight (default: null for a single parent)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @param {number} [householdIncome] - Household income (only used by the tiered activity test)
+ * @returns {Object} Object with hoursPerWeek, hoursPerFortnight and activityTestExempt
+ */
+export function calculateAccsSubsidisedHours(category, parent1HoursPerFortnight, parent2HoursPerFortnight = null, financialYear, householdIncome) {
+  const config = getAccsCategory(category);
+
+  if (config.ACTIVITY_TEST_EXEMPT) {
+    return {
+      hoursPerWeek: config.HOURS_PER_FORTNIGHT / 2,
+      hoursPerFortnight: config.HOURS_PER_FORTNIGHT,
+      activityTestExempt: true
+    };
+  }
+
+  return {
+    ...calculateSubsidisedHours(parent1HoursPerFortnight, parent2HoursPerFortnight, financialYear, householdIncome),
+    activityTestExempt: false
+  };
+}
+
+/**
+ * Calculate subsidised days per week for an ACCS child (daily rate mode)
+ *
+ * @param {string} category - ACCS category ID
+ * @param {number} parent1HoursPerFortnight - Parent 1's activity hours per fortnight
+ * @param {number|null} parent2HoursPerFortnight - Parent 2's activity hours per fortnight (default: null for a single parent)
+ * @param {number} hoursPerDay - Hours per day for conversion (default: 10)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @param {number} [householdIncome] - Household income (only used by the tiered activity test)
+ * @returns {Object} Object with daysPerWeek, hoursPerWeek, hoursPerFortnight and activityTestExempt
+ */
+export function calculateAccsSubsidisedDays(category, parent1HoursPerFortnight, parent2HoursPerFortnight = null, hoursPerDay = 10, financialYear, householdIncome) {
+  if (typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
+    throw new Error('Hours per day must be a positive number');
+  }
+
+  const hoursResult = calculateAccsSubsidisedHours(
+    category,
+    parent1HoursPerFortnight,
+    parent2HoursPerFortnight,
+    financialYear,
+    householdIncome
+  );
+
+  // Convert hours to days (round down to nearest half day)
+  const daysPerWeek = Math.floor(hoursResult.hoursPerWeek / hoursPerDay * 2) / 2;
+
+  return {
+    daysPerWeek,
+    ...hoursResult
+  };
+}
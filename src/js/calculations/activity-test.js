@@ -1,10 +1,18 @@
 /**
  * Activity Test & Subsidised Hours Calculation Module
  * Calculates subsidised childcare hours based on parent work activity
- * Based on 2025-26 CCS policy requirements
+ * Activity test rules are looked up per financial year (default: 2025-26)
  */
 
-import { ACTIVITY_TEST } from '../config/ccs-config.js';
+import {
+  ACTIVITY_TEST,
+  ACTIVITY_TYPES,
+  ACTIVITY_TEST_EXEMPTIONS,
+  ACCS_CATEGORIES,
+  WORK_DEFAULTS,
+  getRateTable
+} from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
 
 // Re-export for backward compatibility
 const ACTIVITY_TEST_CONSTANTS = ACTIVITY_TEST;
@@ -14,13 +22,20 @@ const ACTIVITY_TEST_CONSTANTS = ACTIVITY_TEST;
  * This is for daily rate mode - converts activity test hours to days
  *
  * @param {number} parent1HoursPerFortnight - Parent 1's work hours per fortnight
- * @param {number} parent2HoursPerFortnight - Parent 2's work hours per fortnight (default: 0 for single parent)
+ * @param {number|null} parent2HoursPerFortnight - Parent 2's work hours per fortnight (default: null for a single parent)
  * @param {number} hoursPerDay - Hours per day for conversion (default: 10)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @param {number} [householdIncome] - Household income (only used by the tiered pre-2026 activity test)
  * @returns {Object} Object with daysPerWeek, hoursPerWeek, and hoursPerFortnight
  */
-export function calculateSubsidisedDays(parent1HoursPerFortnight, parent2HoursPerFortnight = 0, hoursPerDay = 10) {
+export function calculateSubsidisedDays(parent1HoursPerFortnight, parent2HoursPerFortnight = null, hoursPerDay = 10, financialYear, householdIncome) {
   // Get subsidised hours
-  const subsidisedHoursResult = calculateSubsidisedHours(parent1HoursPerFortnight, parent2HoursPerFortnight);
+  const subsidisedHoursResult = calculateSubsidisedHours(
+    parent1HoursPerFortnight,
+    parent2HoursPerFortnight,
+    financialYear,
+    householdIncome
+  );
 
   // Validation for hoursPerDay
   if (typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
@@ -41,28 +56,39 @@ export function calculateSubsidisedDays(parent1HoursPerFortnight, parent2HoursPe
  * Calculate subsidised hours per week based on parent activity levels
  *
  * @param {number} parent1HoursPerFortnight - Parent 1's work hours per fortnight
- * @param {number} parent2HoursPerFortnight - Parent 2's work hours per fortnight (default: 0 for single parent)
+ * @param {number|null} parent2HoursPerFortnight - Parent 2's work hours per fortnight (default: null for a single parent)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @param {number} [householdIncome] - Household income (only used by the tiered pre-2026 activity test)
  * @returns {Object} Object with hoursPerWeek and hoursPerFortnight
  */
-export function calculateSubsidisedHours(parent1HoursPerFortnight, parent2HoursPerFortnight = 0) {
+export function calculateSubsidisedHours(parent1HoursPerFortnight, parent2HoursPerFortnight = null, financialYear, householdIncome) {
   // Input validation
   if (typeof parent1HoursPerFortnight !== 'number' || parent1HoursPerFortnight < 0) {
     throw new Error('Parent 1 hours per fortnight must be a non-negative number');
   }
 
-  if (typeof parent2HoursPerFortnight !== 'number' || parent2HoursPerFortnight < 0) {
+  const isSingleParent = parent2HoursPerFortnight === null;
+  if (!isSingleParent && (typeof parent2HoursPerFortnight !== 'number' || parent2HoursPerFortnight < 0)) {
     throw new Error('Parent 2 hours per fortnight must be a non-negative number');
   }
 
-  // Determine lower-activity parent
-  const lowerActivityHours = Math.min(parent1HoursPerFortnight, parent2HoursPerFortnight || Infinity);
+  const activityTest = getRateTable(financialYear).ACTIVITY_TEST;
 
-  // All families: minimum 72 hours/fortnight (36 hours/week)
+  // Determine lower-activity parent: a partner with no activity is the lower-activity
+  // parent, so only a single parent is assessed on their own hours
+  const lowerActivityHours = isSingleParent
+    ? parent1HoursPerFortnight
+    : Math.min(parent1HoursPerFortnight, parent2HoursPerFortnight);
+
+  // 3 Day Guarantee years: all families get a minimum 72 hours/fortnight (36 hours/week)
+  // Earlier years use the tiered test based on the lower-activity parent's hours
   // If lower-activity parent works >48 hours/fortnight → 100 hours/fortnight (50 hours/week)
-  let hoursPerFortnight = ACTIVITY_TEST.BASE_HOURS_PER_FORTNIGHT;
+  let hoursPerFortnight = activityTest.TIERED
+    ? calculateTieredHoursPerFortnight(lowerActivityHours, activityTest, householdIncome)
+    : activityTest.BASE_HOURS_PER_FORTNIGHT;
 
-  if (lowerActivityHours > ACTIVITY_TEST.HIGHER_ACTIVITY_THRESHOLD) {
-    hoursPerFortnight = ACTIVITY_TEST.HIGHER_HOURS_PER_FORTNIGHT;
+  if (lowerActivityHours > activityTest.HIGHER_ACTIVITY_THRESHOLD) {
+    hoursPerFortnight = activityTest.HIGHER_HOURS_PER_FORTNIGHT;
   }
 
   return {
@@ -71,12 +97,177 @@ export function calculateSubsidisedHours(parent1HoursPerFortnight, parent2HoursP
   };
 }
 
+/**
+ * Look up an activity test exemption by ID
+ *
+ * @param {string} exemption - Exemption ID (e.g. 'carer')
+ * @returns {Object} Exemption configuration from ACTIVITY_TEST_EXEMPTIONS
+ */
+function getActivityTestExemption(exemption) {
+  const config = Object.values(ACTIVITY_TEST_EXEMPTIONS).find(entry => entry.ID === exemption);
+
+  if (!config) {
+    throw new InputError(`Invalid activity test exemption: ${exemption}`);
+  }
+
+  return config;
+}
+
+/**
+ * Calculate subsidised hours for a single child
+ * Starts from the household activity test (treating exempt parents as meeting the
+ * higher activity threshold), then applies per-child minimums: the First Nations
+ * entitlement and ACCS activity-test exemptions. The larger entitlement wins.
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.parent1HoursPerFortnight - Parent 1's activity hours per fortnight
+ * @param {number|null} params.parent2HoursPerFortnight - Parent 2's activity hours per fortnight (default: null for a single parent)
+ * @param {string} [params.parent1Exemption] - Parent 1's activity test exemption ID (e.g. 'carer')
+ * @param {string} [params.parent2Exemption] - Parent 2's activity test exemption ID
+ * @param {boolean} [params.firstNations] - Child is Aboriginal and/or Torres Strait Islander
+ * @param {string} [params.accsCategory] - Child's ACCS category ID
+ * @param {string|Date} [params.financialYear] - Financial year ('2024-25') or effective date
+ * @param {number} [params.householdIncome] - Household income (only used by the tiered activity test)
+ * @returns {Object} Object with hoursPerWeek, hoursPerFortnight, reasonCode and reason
+ */
+export function calculateChildSubsidisedHours(params) {
+  const {
+    parent1HoursPerFortnight,
+    parent2HoursPerFortnight = null,
+    parent1Exemption = null,
+    parent2Exemption = null,
+    firstNations = false,
+    accsCategory = null,
+    financialYear,
+    householdIncome
+  } = params;
+
+  const activityTest = getRateTable(financialYear).ACTIVITY_TEST;
+  const exemptions = [parent1Exemption, parent2Exemption]
+    .filter(Boolean)
+    .map(getActivityTestExemption);
+
+  // Exempt parents count as meeting the higher activity threshold
+  const household = calculateSubsidisedHours(
+    parent1Exemption ? Infinity : parent1HoursPerFortnight,
+    parent2Exemption && parent2HoursPerFortnight !== null ? Infinity : parent2HoursPerFortnight,
+    financialYear,
+    householdIncome
+  );
+
+  let hoursPerFortnight = household.hoursPerFortnight;
+  let reasonCode;
+  let reason;
+
+  if (exemptions.length > 0) {
+    reasonCode = 'parent-exemption';
+    reason = `Activity test exemption (${exemptions.map(entry => entry.LABEL).join(', ')})`;
+  } else if (hoursPerFortnight === activityTest.HIGHER_HOURS_PER_FORTNIGHT) {
+    reasonCode = 'higher-activity';
+    reason = `Lower-activity parent has more than ${activityTest.HIGHER_ACTIVITY_THRESHOLD} hours of activity per fortnight`;
+  } else if (!activityTest.TIERED) {
+    reasonCode = 'base-entitlement';
+    reason = 'Base entitlement (3 Day Guarantee)';
+  } else {
+    reasonCode = 'activity-test';
+    reason = 'Activity test based on the lower-activity parent';
+  }
+
+  // Per-child minimums
+  const accsConfig = accsCategory
+    ? Object.values(ACCS_CATEGORIES).find(entry => entry.ID === accsCategory)
+    : null;
+  if (accsConfig?.ACTIVITY_TEST_EXEMPT && accsConfig.HOURS_PER_FORTNIGHT > hoursPerFortnight) {
+    hoursPerFortnight = accsConfig.HOURS_PER_FORTNIGHT;
+    reasonCode = 'accs-exemption';
+    reason = `ACCS (${accsConfig.LABEL}) - exempt from the activity test`;
+  }
+
+  const { FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT } = activityTest;
+  if (firstNations && FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT > hoursPerFortnight) {
+    hoursPerFortnight = FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT;
+    reasonCode = 'first-nations';
+    reason = `First Nations child - minimum ${FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT} hours per fortnight`;
+  }
+
+  return {
+    hoursPerWeek: hoursPerFortnight / 2,
+    hoursPerFortnight,
+    reasonCode,
+    reason: `${reason}: ${hoursPerFortnight} hours per fortnight`
+  };
+}
+
+/**
+ * Calculate subsidised days per week for a single child (daily rate mode)
+ *
+ * @param {Object} params - Same parameters as calculateChildSubsidisedHours
+ * @param {number} params.hoursPerDay - Hours per day for conversion (default: 10)
+ * @returns {Object} calculateChildSubsidisedHours result plus daysPerWeek
+ */
+export function calculateChildSubsidisedDays(params) {
+  const { hoursPerDay = 10 } = params;
+
+  if (typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
+    throw new Error('Hours per day must be a positive number');
+  }
+
+  const hoursResult = calculateChildSubsidisedHours(params);
+
+  // Convert hours to days (round down to nearest half day)
+  return {
+    daysPerWeek: Math.floor(hoursResult.hoursPerWeek / hoursPerDay * 2) / 2,
+    ...hoursResult
+  };
+}
+
+/**
+ * Subsidised hours under the tiered activity test used before the 3 Day Guarantee
+ * - Less than 8 hours → 0 hours (24 hours if income is at or below the low-income threshold)
+ * - 8 to 16 hours → 36 hours
+ * - More than 16 hours → 72 hours (100 hours above 48 is applied by the caller)
+ *
+ * @param {number} activityHours - Lower-activity parent's hours per fortnight
+ * @param {Object} activityTest - ACTIVITY_TEST table for the financial year
+ * @param {number} [householdIncome] - Household income for the low-income result
+ * @returns {number} Subsidised hours per fortnight
+ */
+function calculateTieredHoursPerFortnight(activityHours, activityTest, householdIncome) {
+  if (activityHours > activityTest.LOW_ACTIVITY_THRESHOLD) {
+    return activityTest.BASE_HOURS_PER_FORTNIGHT;
+  }
+
+  if (activityHours >= activityTest.MIN_ACTIVITY_HOURS) {
+    return activityTest.LOW_ACTIVITY_HOURS_PER_FORTNIGHT;
+  }
+
+  const isLowIncome = typeof householdIncome === 'number' && householdIncome <= activityTest.LOW_INCOME_THRESHOLD;
+  return isLowIncome ? activityTest.LOW_INCOME_HOURS_PER_FORTNIGHT : 0;
+}
+
+/**
+ * Hours a parent is away from home each work day: work plus the commute each way
+ *
+ * @param {Object} schedule - {hoursPerDay, commuteHours?}
+ * @returns {number} Hours away per work day
+ * @throws {Error} If the commute is not between 0 and MAX_COMMUTE_HOURS
+ */
+function hoursAwayPerDay(schedule) {
+  const commuteHours = schedule.commuteHours ?? 0;
+  if (typeof commuteHours !== 'number' || commuteHours < 0 || commuteHours > WORK_DEFAULTS.MAX_COMMUTE_HOURS) {
+    throw new Error(`Commute must be between 0 and ${WORK_DEFAULTS.MAX_COMMUTE_HOURS} hours each way`);
+  }
+  return schedule.hoursPerDay + 2 * commuteHours;
+}
+
 /**
  * Calculate actual childcare hours needed per week based on parent work schedules
- * Considers overlapping work hours where both parents are working
+ * Considers overlapping work hours where both parents are working. Care covers
+ * each parent's commute too, so 8 hours of work with a 1-hour commute each way
+ * needs 10 hours of care.
  *
- * @param {Object} parent1Schedule - {daysPerWeek, hoursPerDay}
- * @param {Object} parent2Schedule - {daysPerWeek, hoursPerDay} (optional)
+ * @param {Object} parent1Schedule - {daysPerWeek, hoursPerDay, commuteHours?} (commute each way)
+ * @param {Object} parent2Schedule - {daysPerWeek, hoursPerDay, commuteHours?} (optional)
  * @returns {Object} Object with actualHoursPerWeek and explanation
  */
 export function calculateActualChildcareHours(parent1Schedule, parent2Schedule = null) {
@@ -95,10 +286,13 @@ export function calculateActualChildcareHours(parent1Schedule, parent2Schedule =
 
   // Single parent scenario
   if (!parent2Schedule) {
-    const actualHoursPerWeek = parent1Schedule.daysPerWeek * parent1Schedule.hoursPerDay;
+    const hoursAway = hoursAwayPerDay(parent1Schedule);
+    const actualHoursPerWeek = parent1Schedule.daysPerWeek * hoursAway;
+    const { commuteHours } = parent1Schedule;
+    const travel = commuteHours > 0 ? ` plus ${commuteHours} hour${commuteHours === 1 ? '' : 's'} commute each way` : '';
     return {
       actualHoursPerWeek,
-      explanation: `Single parent working ${parent1Schedule.daysPerWeek} days × ${parent1Schedule.hoursPerDay} hours`
+      explanation: `Single parent working ${parent1Schedule.daysPerWeek} days × ${parent1Schedule.hoursPerDay} hours${travel}`
     };
   }
 
@@ -118,8 +312,8 @@ export function calculateActualChildcareHours(parent1Schedule, parent2Schedule =
   // Two-parent scenario
   // Simplified calculation: assume maximum overlap
   // In reality, this would need more detailed schedule information
-  const parent1WeeklyHours = parent1Schedule.daysPerWeek * parent1Schedule.hoursPerDay;
-  const parent2WeeklyHours = parent2Schedule.daysPerWeek * parent2Schedule.hoursPerDay;
+  const parent1WeeklyHours = parent1Schedule.daysPerWeek * hoursAwayPerDay(parent1Schedule);
+  const parent2WeeklyHours = parent2Schedule.daysPerWeek * hoursAwayPerDay(parent2Schedule);
 
   // Simple heuristic: use the maximum of the two parents' weekly hours
   // This assumes that when one parent is working, childcare is needed
@@ -132,14 +326,43 @@ export function calculateActualChildcareHours(parent1Schedule, parent2Schedule =
   };
 }
 
+/**
+ * Calculate total recognised activity hours per fortnight (other than paid work)
+ *
+ * @param {Object} activities - Hours per fortnight keyed by activity type ID
+ *   (e.g. { study: 10, volunteering: 4 }); see ACTIVITY_TYPES
+ * @returns {number} Total activity hours per fortnight
+ */
+export function calculateActivityHoursPerFortnight(activities = {}) {
+  if (activities === null || typeof activities !== 'object' || Array.isArray(activities)) {
+    throw new InputError('Activities must be an object of hours per fortnight');
+  }
+
+  const validTypes = Object.values(ACTIVITY_TYPES).map(type => type.ID);
+
+  return Object.entries(activities).reduce((total, [type, hours]) => {
+    if (!validTypes.includes(type)) {
+      throw new InputError(`Invalid activity type: ${type}`);
+    }
+
+    if (typeof hours !== 'number' || isNaN(hours) || hours < 0) {
+      throw new InputError(`Hours for ${type} must be a non-negative number`);
+    }
+
+    return total + hours;
+  }, 0);
+}
+
 /**
  * Calculate parent's hours per fortnight from their work schedule
+ * and any other recognised activities (study, training, volunteering, etc.)
  *
  * @param {number} daysPerWeek - Number of days worked per week
  * @param {number} hoursPerDay - Number of hours worked per day
+ * @param {Object} activities - Other activity hours per fortnight keyed by activity type ID (default: none)
  * @returns {number} Hours per fortnight
  */
-export function calculateHoursPerFortnight(daysPerWeek, hoursPerDay) {
+export function calculateHoursPerFortnight(daysPerWeek, hoursPerDay, activities = {}) {
   if (typeof daysPerWeek !== 'number' || daysPerWeek < 0 || daysPerWeek > 7) {
     throw new Error('Days per week must be between 0 and 7');
   }
@@ -148,7 +371,26 @@ export function calculateHoursPerFortnight(daysPerWeek, hoursPerDay) {
     throw new Error('Hours per day must be between 0 and 24');
   }
 
-  return daysPerWeek * hoursPerDay * 2; // 2 weeks in a fortnight
+  const workHours = daysPerWeek * hoursPerDay * 2; // 2 weeks in a fortnight
+  return workHours + calculateActivityHoursPerFortnight(activities);
+}
+
+/**
+ * Calculate parent's hours per fortnight from a fortnightly roster
+ * and any other recognised activities
+ * Every rostered shift counts, including weekends, so a 9-day fortnight or
+ * week-on/week-off roster is assessed on the hours actually worked.
+ *
+ * @param {Array<Object>} roster - Normalised roster (see roster.js): two weeks of hours or shifts by day
+ * @param {Object} activities - Other activity hours per fortnight keyed by activity type ID (default: none)
+ * @returns {number} Hours per fortnight
+ */
+export function calculateRosterHoursPerFortnight(roster, activities = {}) {
+  const workHours = roster.reduce((total, week) => (
+    total + Object.values(week).reduce((sum, day) => sum + (typeof day === 'number' ? day : day.hours), 0)
+  ), 0);
+
+  return Math.round((workHours + calculateActivityHoursPerFortnight(activities)) * 100) / 100;
 }
 
 /**
@@ -0,0 +1,178 @@
+/**
+ * Booking Pattern Module
+ * A child's care booked day by day instead of as a days-per-week count.
+ *
+ * A pattern is one week, or two alternating weeks for fortnightly rosters.
+ * Each week maps the booked weekdays to the hours booked that day, so a child
+ * can do long days early in the week and short days later. Weekly figures
+ * are averaged over the cycle: CCS subsidised hours are a fortnightly limit,
+ * so two alternating weeks use them the same as two average weeks.
+ */
+
+import { DAYS_OF_WEEK, WITHHOLDING } from '../config/ccs-config.js';
+import { applyWithholding } from './costs.js';
+import { InputError } from '../utils/input-error.js';
+
+export const MAX_CYCLE_WEEKS = 2;
+
+const WEEKDAYS = Object.values(DAYS_OF_WEEK);
+
+/**
+ * @typedef {Array<Object<string, number>>} BookingPattern
+ * One entry per week of the cycle (1 or 2), each mapping weekday IDs
+ * (from DAYS_OF_WEEK) to hours booked that day, e.g.
+ * [{ monday: 10, tuesday: 10 }, { monday: 10, thursday: 6 }]
+ */
+
+/**
+ * Round to 2 decimal places
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a booking pattern and put each week's days in weekday order
+ *
+ * @param {BookingPattern} pattern - Booking pattern
+ * @param {string} [name='Booking pattern'] - Name used in error messages (e.g. 'Child 1 booking pattern')
+ * @returns {BookingPattern} Pattern with weekdays in order
+ * @throws {Error} If the pattern has no weeks, too many weeks, an unknown day or invalid hours
+ */
+export function normaliseBookingPattern(pattern, name = 'Booking pattern') {
+  if (!Array.isArray(pattern) || pattern.length === 0 || pattern.length > MAX_CYCLE_WEEKS) {
+    throw new InputError(`${name} must have 1 to ${MAX_CYCLE_WEEKS} weeks`);
+  }
+
+  return pattern.map((week, index) => {
+    const label = `${name} week ${index + 1}`;
+    if (!week || typeof week !== 'object' || Array.isArray(week)) {
+      throw new InputError(`${label} must be an object of hours by weekday`);
+    }
+
+    Object.entries(week).forEach(([day, hours]) => {
+      if (!WEEKDAYS.includes(day)) {
+        throw new InputError(`${label} has an unknown day: ${day}`);
+      }
+      if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > 24) {
+        throw new InputError(`${label} ${day} hours must be between 0 and 24`);
+      }
+    });
+
+    return Object.fromEntries(WEEKDAYS.filter(day => week[day] !== undefined).map(day => [day, week[day]]));
+  });
+}
+
+/**
+ * Keep each week's booked days, in weekday order, up to a number of days
+ * Used when care is capped at the days both parents are at work.
+ *
+ * @param {BookingPattern} pattern - Normalised booking pattern
+ * @param {number} maxDays - Most booked days per week
+ * @returns {BookingPattern} Pattern with later days dropped
+ */
+export function capBookingPattern(pattern, maxDays) {
+  return pattern.map(week => Object.fromEntries(Object.entries(week).slice(0, Math.max(0, maxDays))));
+}
+
+/**
+ * Average a booking pattern over its cycle
+ *
+ * @param {BookingPattern} pattern - Normalised booking pattern
+ * @returns {Object} cycleWeeks, daysPerWeek, hoursPerWeek, hoursPerDay (average booked day),
+ *   dayShares (booked days per week on each weekday) and dayLengths (booked days per week of each length)
+ */
+export function summariseBookingPattern(pattern) {
+  const cycleWeeks = pattern.length;
+  const dayShares = {};
+  const dayLengths = [];
+
+  pattern.forEach(week => {
+    Object.entries(week).forEach(([day, hours]) => {
+      dayShares[day] = (dayShares[day] || 0) + 1 / cycleWeeks;
+
+      const length = dayLengths.find(item => item.hours === hours);
+      if (length) {
+        length.daysPerWeek += 1 / cycleWeeks;
+      } else {
+        dayLengths.push({ hours, daysPerWeek: 1 / cycleWeeks });
+      }
+    });
+  });
+
+  const daysPerWeek = dayLengths.reduce((sum, item) => sum + item.daysPerWeek, 0);
+  const hoursPerWeek = dayLengths.reduce((sum, item) => sum + item.hours * item.daysPerWeek, 0);
+
+  return {
+    cycleWeeks,
+    daysPerWeek: round2(daysPerWeek),
+    hoursPerWeek: round2(hoursPerWeek),
+    hoursPerDay: daysPerWeek > 0 ? round2(hoursPerWeek / daysPerWeek) : 0,
+    dayShares,
+    dayLengths
+  };
+}
+
+/**
+ * Calculate weekly subsidy and costs for daily-fee care booked by pattern
+ *
+ * Each day length has its own daily rate cap (hourly cap × hours). Subsidised
+ * hours are used by the day lengths in the order first booked, rounded down to
+ * half days as for a days-per-week booking:
+ * Subsidised Days = min(Days Booked, ⌊Remaining Hours ÷ Hours per Day × 2⌋ ÷ 2)
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {Array<Object>} params.dayLengths - From summariseBookingPattern
+ * @param {number} params.dailyFee - Provider daily fee
+ * @param {number} params.subsidyRate - Subsidy rate percentage
+ * @param {number} params.subsidisedHoursPerWeek - Subsidised hours per week from the activity test
+ * @param {function(number): number} params.effectiveDailyRate - Caps the daily fee for a day of that many hours
+ * @param {number} [params.withholdingRate=5] - Withholding percentage
+ * @returns {Object} Weekly costs breakdown in the shape of calculateWeeklyCostsFromDailyRate, plus per-length detail
+ */
+export function calculateWeeklyPatternCosts(params) {
+  const {
+    dayLengths,
+    dailyFee,
+    subsidyRate,
+    subsidisedHoursPerWeek,
+    effectiveDailyRate,
+    withholdingRate = WITHHOLDING.DEFAULT_RATE
+  } = params;
+
+  let remainingHours = subsidisedHoursPerWeek;
+  const lengths = dayLengths.map(({ hours, daysPerWeek }) => {
+    const cappedDailyRate = effectiveDailyRate(hours);
+    const daysWithSubsidy = Math.min(daysPerWeek, Math.floor(remainingHours / hours * 2) / 2);
+    remainingHours -= daysWithSubsidy * hours;
+
+    return {
+      hours,
+      daysPerWeek,
+      effectiveDailyRate: cappedDailyRate,
+      subsidyPerDay: (subsidyRate / 100) * cappedDailyRate,
+      daysWithSubsidy
+    };
+  });
+
+  const sumOf = key => lengths.reduce((sum, item) => sum + item[key], 0);
+  const grossSubsidy = lengths.reduce((sum, item) => sum + item.subsidyPerDay * item.daysWithSubsidy, 0);
+  const withholding = applyWithholding(grossSubsidy, withholdingRate);
+  const weeklyFullCost = round2(dailyFee * sumOf('daysPerWeek'));
+  const daysWithSubsidy = round2(sumOf('daysWithSubsidy'));
+
+  return {
+    dayLengths: lengths,
+    weeklySubsidy: withholding.paidSubsidy,
+    weeklyGrossSubsidy: withholding.grossSubsidy,
+    weeklyWithheld: withholding.withheldAmount,
+    weeklyFullCost,
+    weeklyOutOfPocket: round2(weeklyFullCost - withholding.paidSubsidy),
+    daysWithSubsidy,
+    daysWithoutSubsidy: round2(sumOf('daysPerWeek') - daysWithSubsidy),
+    withholdingRate
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Care Calendar Module
+ * Works out how many weeks of care a child is actually billed for, and how
+ * many of those attract CCS, from centre closures, family holidays, public
+ * holidays and other absences.
+ *
+ * - Closures: the centre is shut, so nothing is charged and no CCS is paid
+ * - Family holidays and public holidays on booked days: fees are charged and
+ *   count as absences (public holidays are closures at centres that do not
+ *   charge for them)
+ * - The first 42 absence days each financial year still attract CCS; further
+ *   absent days are charged at the full fee
+ */
+
+import { toDayNumber, fromDayNumber } from './care-periods.js';
+import { ABSENCES, DAYS_OF_WEEK, getFinancialYearForDate } from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+const DAYS_PER_WEEK = 7;
+const WEEKDAYS_PER_WEEK = 5;
+
+/**
+ * @typedef {Object} CalendarDateRange
+ * @property {string} startDate - First day (YYYY-MM-DD, inclusive)
+ * @property {string} endDate - Last day (YYYY-MM-DD, inclusive)
+ * @property {string} [label] - Description (e.g. 'Christmas closure')
+ */
+
+/**
+ * @typedef {Object} CareCalendar
+ * @property {Array<CalendarDateRange>} [closures] - Centre closures (no fees, no CCS)
+ * @property {Array<CalendarDateRange>} [holidays] - Family holidays (booked days charged as absences)
+ * @property {Array<string>} [publicHolidays] - Public holidays (YYYY-MM-DD) on which the centre is closed
+ * @property {boolean} [chargePublicHolidays=true] - Whether booked days on public holidays are charged as absences
+ * @property {number} [absenceDays] - Other absent days per financial year (e.g. illness), spread evenly
+ */
+
+/**
+ * Round to 2 decimal places
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the weekday ID (from DAYS_OF_WEEK) of a day number
+ *
+ * @param {number} dayNumber - Days since the Unix epoch (a Thursday)
+ * @returns {string|null} Weekday ID, or null on a weekend
+ */
+function weekdayOf(dayNumber) {
+  const dayOfWeek = (dayNumber + 4) % DAYS_PER_WEEK;
+  return dayOfWeek >= 1 && dayOfWeek <= 5 ? Object.values(DAYS_OF_WEEK)[dayOfWeek - 1] : null;
+}
+
+/**
+ * Parse a list of date ranges into day-number ranges
+ *
+ * @param {Array<CalendarDateRange>} [ranges] - Date ranges
+ * @param {string} label - Field name used in error messages
+ * @returns {Array<Object>} Ranges with start and end day numbers
+ */
+function parseRanges(ranges = [], label) {
+  if (!Array.isArray(ranges)) {
+    throw new InputError(`${label} must be an array`);
+  }
+
+  return ranges.map((range, index) => {
+    const start = toDayNumber(range?.startDate, `${label} ${index + 1} start date`);
+    const end = toDayNumber(range?.endDate, `${label} ${index + 1} end date`);
+
+    if (end < start) {
+      throw new InputError(`${label} ${index + 1} must end on or after its start date`);
+    }
+
+    return { start, end };
+  });
+}
+
+/**
+ * Validate a care calendar and convert its dates to day numbers
+ *
+ * @param {CareCalendar} calendar - Care calendar
+ * @returns {Object} closures, holidays, publicHolidays (Set) and absenceDays
+ * @throws {Error} If a date or the absence days are invalid
+ */
+function parseCalendar(calendar) {
+  if (!calendar || typeof calendar !== 'object') {
+    throw new InputError('Care calendar must be an object');
+  }
+
+  const { publicHolidays = [], chargePublicHolidays = true, absenceDays = 0 } = calendar;
+
+  if (!Array.isArray(publicHolidays)) {
+    throw new InputError('Public holidays must be an array');
+  }
+
+  if (typeof absenceDays !== 'number' || !Number.isFinite(absenceDays) || absenceDays < 0) {
+    throw new InputError('Absence days must be a non-negative number');
+  }
+
+  return {
+    closures: parseRanges(calendar.closures, 'Closure'),
+    holidays: parseRanges(calendar.holidays, 'Holiday'),
+    publicHolidays: new Set(publicHolidays.map((date, index) => toDayNumber(date, `Public holiday ${index + 1}`))),
+    chargePublicHolidays: chargePublicHolidays !== false,
+    absenceDays
+  };
+}
+
+/**
+ * Lay out a child's care day by day
+ *
+ * When the booked weekdays are known, each counts as one booked day; a
+ * booking pattern gives the booked days per week on each weekday instead
+ * (0.5 for a day booked every other week). Otherwise booked days are spread
+ * evenly across the weekdays, so a child
+ * booked 3 days a week misses 0.6 of a booked day for each weekday of a
+ * holiday. Other absences are spread evenly across the booked days the child
+ * would attend in each financial year. Absences are counted against the
+ * 42-day allowance in date order, restarting each 1 July.
+ *
+ * @param {CareCalendar} calendar - Care calendar
+ * @param {string|Date} startDate - First day of care (inclusive)
+ * @param {string|Date} endDate - Last day of care (inclusive)
+ * @param {number} daysPerWeek - Booked days per week (5 for hourly care)
+ * @param {Array<string>|Object<string, number>} [bookedDays] - Booked weekdays (from DAYS_OF_WEEK), used when
+ *   there are daysPerWeek of them, or booked days per week on each weekday
+ * @returns {Object} daysPerWeek and one record per day (dayNumber, weekday, booked, open, publicHoliday, absent, excess)
+ */
+export function buildCareDays(calendar, startDate, endDate, daysPerWeek, bookedDays = []) {
+  const { closures, holidays, publicHolidays, chargePublicHolidays, absenceDays } = parseCalendar(calendar);
+  const start = toDayNumber(startDate, 'Start date');
+  const end = toDayNumber(endDate, 'End date');
+
+  if (end < start) {
+    throw new InputError('End date must be on or after start date');
+  }
+
+  const inRanges = (ranges, day) => ranges.some(range => day >= range.start && day <= range.end);
+  const isOpen = day => weekdayOf(day) !== null && !inRanges(closures, day)
+    && (chargePublicHolidays || !publicHolidays.has(day));
+  const isAway = day => publicHolidays.has(day) || inRanges(holidays, day);
+
+  // Booked days on each weekday: whole days when the booked weekdays are known
+  const knownDays = Array.isArray(bookedDays) && bookedDays.length > 0 && bookedDays.length === daysPerWeek;
+  const dayShares = bookedDays && !Array.isArray(bookedDays) ? bookedDays : null;
+  const bookedOn = day => {
+    const weekday = weekdayOf(day);
+    if (weekday === null) {
+      return 0;
+    }
+    if (dayShares) {
+      return dayShares[weekday] || 0;
+    }
+    return knownDays ? Number(bookedDays.includes(weekday)) : daysPerWeek / WEEKDAYS_PER_WEEK;
+  };
+
+  // Other absences per booked day attended, worked out over each whole financial year
+  const otherAbsenceRates = {};
+  const otherAbsenceRate = financialYear => {
+    if (otherAbsenceRates[financialYear] === undefined) {
+      const yearStart = toDayNumber(`${financialYear.slice(0, 4)}-07-01`, 'Start date');
+      const yearEnd = toDayNumber(`${Number(financialYear.slice(0, 4)) + 1}-06-30`, 'End date');
+      let attendingDays = 0;
+      for (let day = yearStart; day <= yearEnd; day++) {
+        if (isOpen(day) && !isAway(day)) {
+          attendingDays += bookedOn(day);
+        }
+      }
+      otherAbsenceRates[financialYear] = attendingDays > 0 ? Math.min(absenceDays / attendingDays, 1) : 0;
+    }
+    return otherAbsenceRates[financialYear];
+  };
+
+  const used = {};
+  const days = [];
+  for (let day = start; day <= end; day++) {
+    const weekday = weekdayOf(day) !== null;
+    const booked = bookedOn(day);
+    const open = isOpen(day);
+    const publicHoliday = weekday && publicHolidays.has(day);
+    let absent = 0;
+
+    if (open) {
+      const financialYear = getFinancialYearForDate(fromDayNumber(day));
+      absent = isAway(day) ? booked : booked * otherAbsenceRate(financialYear);
+      used[financialYear] = used[financialYear] || 0;
+
+      const allowable = Math.max(0, Math.min(absent, ABSENCES.ALLOWABLE_DAYS_PER_YEAR - used[financialYear]));
+      used[financialYear] += absent;
+      days.push({ dayNumber: day, weekday, booked, open, publicHoliday, absent, excess: absent - allowable });
+    } else {
+      days.push({ dayNumber: day, weekday, booked, open, publicHoliday, absent, excess: 0 });
+    }
+  }
+
+  return { daysPerWeek, days };
+}
+
+/**
+ * Summarise billed weeks and absences between two dates
+ *
+ * Billed weeks scale the calendar weeks by the share of booked days the
+ * centre is open, so a calendar with no closures bills every week. Subsidised
+ * weeks take off the absent days beyond the 42-day allowance:
+ * Subsidised Weeks = Billed Weeks − Excess Absence Days ÷ Days per Week
+ *
+ * @param {Object} careDays - Result of buildCareDays
+ * @param {string|Date} startDate - First day to include
+ * @param {string|Date} endDate - Last day to include
+ * @returns {Object} Weekdays, closedDays, publicHolidayDays, absence counts, billedWeeks and subsidisedWeeks
+ */
+export function summariseCareDays(careDays, startDate, endDate) {
+  const start = toDayNumber(startDate, 'Start date');
+  const end = toDayNumber(endDate, 'End date');
+  const days = careDays.days.filter(day => day.dayNumber >= start && day.dayNumber <= end);
+
+  const sumOf = (items, key) => items.reduce((sum, day) => sum + day[key], 0);
+  const weekdays = days.filter(day => day.weekday).length;
+  const openDays = days.filter(day => day.open);
+  const bookedDays = sumOf(days, 'booked');
+  const absenceDays = sumOf(days, 'absent');
+  const excessAbsenceDays = sumOf(days, 'excess');
+
+  // Share of booked days the centre is open (of weekdays when nothing is booked)
+  const openShare = bookedDays > 0
+    ? sumOf(openDays, 'booked') / bookedDays
+    : openDays.length / weekdays;
+  const billedWeeks = weekdays > 0 ? (days.length / DAYS_PER_WEEK) * openShare : 0;
+  const subsidisedWeeks = careDays.daysPerWeek > 0
+    ? Math.max(0, billedWeeks - excessAbsenceDays / careDays.daysPerWeek)
+    : billedWeeks;
+
+  return {
+    weekdays,
+    closedDays: weekdays - openDays.length,
+    publicHolidayDays: round2(sumOf(days.filter(day => day.publicHoliday), 'booked')),
+    absenceDays: round2(absenceDays),
+    allowableAbsenceDays: round2(absenceDays - excessAbsenceDays),
+    excessAbsenceDays: round2(excessAbsenceDays),
+    billedWeeks: Math.round(billedWeeks * 10000) / 10000,
+    subsidisedWeeks: Math.round(subsidisedWeeks * 10000) / 10000
+  };
+}
+
+/**
+ * Calculate billed weeks and absences for a child's care calendar
+ *
+ * @param {CareCalendar} calendar - Care calendar
+ * @param {Object} params - Date range and booking
+ * @param {string|Date} params.startDate - First day of care (inclusive)
+ * @param {string|Date} params.endDate - Last day of care (inclusive)
+ * @param {number} params.daysPerWeek - Booked days per week (5 for hourly care)
+ * @param {Array<string>|Object<string, number>} [params.bookedDays] - Booked weekdays, or booked days per week on each weekday
+ * @returns {Object} Summary from summariseCareDays
+ */
+export function calculateCareCalendar(calendar, params) {
+  const { startDate, endDate, daysPerWeek, bookedDays } = params;
+  return summariseCareDays(buildCareDays(calendar, startDate, endDate, daysPerWeek, bookedDays), startDate, endDate);
+}
+
+/**
+ * Cost a child's weekly figures over a calendar summary
+ * Fees are charged for every billed week; subsidy and withholding only for
+ * subsidised weeks, so excess absences are paid in full.
+ *
+ * @param {Object} weekly - Child weekly costs (weeklySubsidy, weeklyGrossSubsidy, weeklyWithheld, weeklyFullCost)
+ * @param {Object} summary - Result of summariseCareDays
+ * @returns {Object} subsidy, grossSubsidy, withheld, fullCost and outOfPocket
+ */
+export function applyCareCalendar(weekly, summary) {
+  const fullCost = round2(weekly.weeklyFullCost * summary.billedWeeks);
+  const subsidy = round2(weekly.weeklySubsidy * summary.subsidisedWeeks);
+
+  return {
+    subsidy,
+    grossSubsidy: round2(weekly.weeklyGrossSubsidy * summary.subsidisedWeeks),
+    withheld: round2(weekly.weeklyWithheld * summary.subsidisedWeeks),
+    fullCost,
+    outOfPocket: round2(fullCost - subsidy)
+  };
+}
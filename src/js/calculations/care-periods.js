@@ -0,0 +1,232 @@
+/**
+ * Care Period (Date-Range) Cost Module
+ * Splits a care date range at financial year changeovers (1 July), mid-year
+ * activity test changes (e.g. the 3 Day Guarantee) and any extra changeover
+ * dates (e.g. indexation or fee increases), then totals costs per period using
+ * each period's rate table
+ */
+
+import {
+  ACTIVITY_TEST_CHANGEOVER_DATES,
+  getFinancialYearForDate,
+  getRateTable,
+  resolveFinancialYear,
+  RATE_TABLES
+} from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_WEEK = 7;
+
+/**
+ * Parse a 'YYYY-MM-DD' string or Date into a UTC day number
+ *
+ * @param {string|Date} date - Date-only string or Date
+ * @param {string} label - Field name used in error messages
+ * @returns {number} Days since the Unix epoch
+ */
+export function toDayNumber(date, label) {
+  let utcMs;
+
+  if (date instanceof Date) {
+    utcMs = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  } else if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    utcMs = Date.UTC(year, month - 1, day);
+  } else {
+    utcMs = NaN;
+  }
+
+  if (isNaN(utcMs)) {
+    throw new InputError(`${label} must be a date (YYYY-MM-DD)`);
+  }
+
+  return utcMs / MS_PER_DAY;
+}
+
+/**
+ * Format a UTC day number as 'YYYY-MM-DD'
+ *
+ * @param {number} dayNumber - Days since the Unix epoch
+ * @returns {string} Date-only string
+ */
+export function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Split a care date range into periods at each 1 July, each mid-year activity
+ * test change and any extra changeover dates
+ * A changeover date starts a new period on that day. A changeover given as
+ * { date, rateTable } also changes rates from that day until the next 1 July
+ * (e.g. mid-year indexation): rateTable holds the values that change and is
+ * merged over the rate table in force on each later day of that financial year.
+ *
+ * @param {string|Date} startDate - First day of care (inclusive)
+ * @param {string|Date} endDate - Last day of care (inclusive)
+ * @param {Array<string|Date|{date: string|Date, rateTable: Object}>} changeoverDates - Extra dates
+ *   that start a new period (default: none)
+ * @returns {Array} Periods with startDate, endDate, days, weeks, financialYear, ratesFinancialYear
+ *   and rateTable (the changed or earlier-activity-test rate table in effect, or null)
+ */
+export function splitCarePeriods(startDate, endDate, changeoverDates = []) {
+  const start = toDayNumber(startDate, 'Start date');
+  const end = toDayNumber(endDate, 'End date');
+
+  if (end < start) {
+    throw new InputError('End date must be on or after start date');
+  }
+
+  if (!Array.isArray(changeoverDates)) {
+    throw new InputError('Changeover dates must be an array');
+  }
+
+  // Every 1 July inside the range starts a new financial year
+  const boundaries = new Set();
+  const firstYear = Number(fromDayNumber(start).slice(0, 4));
+  const lastYear = Number(fromDayNumber(end).slice(0, 4));
+  for (let year = firstYear; year <= lastYear; year++) {
+    boundaries.add(Date.UTC(year, 6, 1) / MS_PER_DAY);
+  }
+  ACTIVITY_TEST_CHANGEOVER_DATES.forEach(date => boundaries.add(toDayNumber(date, 'Changeover date')));
+
+  const rateChanges = [];
+  changeoverDates.forEach(changeover => {
+    const isRateChange = changeover !== null && typeof changeover === 'object' && !(changeover instanceof Date);
+    const day = toDayNumber(isRateChange ? changeover.date : changeover, 'Changeover date');
+    boundaries.add(day);
+
+    if (isRateChange) {
+      if (!changeover.rateTable || typeof changeover.rateTable !== 'object') {
+        throw new InputError('Changeover rate table must be an object');
+      }
+      rateChanges.push({
+        day,
+        financialYear: getFinancialYearForDate(fromDayNumber(day)),
+        rateTable: changeover.rateTable,
+        merged: new Map()
+      });
+    }
+  });
+  rateChanges.sort((a, b) => a.day - b.day);
+
+  // The latest rate change on or before a day in the same financial year, merged
+  // over the table in force that day; null when that is the year's own table
+  const rateTableOn = (day, financialYear) => {
+    const date = fromDayNumber(day);
+    const base = getRateTable(date);
+    const changes = rateChanges.filter(change => change.day <= day && change.financialYear === financialYear);
+
+    if (changes.length === 0) {
+      return base === RATE_TABLES[resolveFinancialYear(date)] ? null : base;
+    }
+
+    const change = changes[changes.length - 1];
+    if (!change.merged.has(base)) {
+      change.merged.set(base, { ...base, ...change.rateTable });
+    }
+    return change.merged.get(base);
+  };
+
+  const splitPoints = [...boundaries]
+    .filter(day => day > start && day <= end)
+    .sort((a, b) => a - b);
+
+  const periods = [];
+  let periodStart = start;
+  [...splitPoints, end + 1].forEach(nextStart => {
+    const days = nextStart - periodStart;
+    const periodStartDate = fromDayNumber(periodStart);
+    const financialYear = getFinancialYearForDate(periodStartDate);
+
+    periods.push({
+      startDate: periodStartDate,
+      endDate: fromDayNumber(nextStart - 1),
+      days,
+      weeks: days / DAYS_PER_WEEK,
+      financialYear,
+      ratesFinancialYear: resolveFinancialYear(periodStartDate),
+      rateTable: rateTableOn(periodStart, financialYear)
+    });
+
+    periodStart = nextStart;
+  });
+
+  return periods;
+}
+
+/**
+ * Rates for a care period: its changed rate table, or else its financial year
+ * Pass the result wherever a calculation takes a financial year
+ *
+ * @param {Object} period - A period from splitCarePeriods
+ * @returns {string|Object} Rate table or financial year label
+ */
+export function getPeriodRates(period) {
+  return period.rateTable || period.ratesFinancialYear;
+}
+
+/**
+ * Calculate costs over a care date range with per-period subtotals
+ * The weekly cost callback is called once per period so each period can use
+ * its own financial year's caps and thresholds
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {string|Date} params.startDate - First day of care (inclusive)
+ * @param {string|Date} params.endDate - Last day of care (inclusive)
+ * @param {Function} params.calculateWeekly - (period) => weekly costs object with
+ *   weeklySubsidy, weeklyGrossSubsidy, weeklyWithheld, weeklyFullCost and weeklyOutOfPocket
+ * @param {Array<string|Date|Object>} params.changeoverDates - Extra dates that start a new period,
+ *   optionally with a rateTable (default: none; see splitCarePeriods)
+ * @param {Function} [params.calculateSubtotal] - (period, weekly) => subtotal object with subsidy,
+ *   grossSubsidy, withheld, fullCost and outOfPocket (default: weekly costs × period weeks)
+ * @returns {Object} Date range totals and per-period breakdown
+ */
+export function calculateDateRangeCosts(params) {
+  const {
+    startDate,
+    endDate,
+    calculateWeekly,
+    calculateSubtotal,
+    changeoverDates = []
+  } = params;
+
+  if (typeof calculateWeekly !== 'function') {
+    throw new Error('calculateWeekly must be a function');
+  }
+
+  const periods = splitCarePeriods(startDate, endDate, changeoverDates).map(period => {
+    const weekly = calculateWeekly(period);
+    const subtotal = (amount = 0) => Math.round(amount * period.weeks * 100) / 100;
+
+    return {
+      ...period,
+      weekly,
+      subtotal: calculateSubtotal ? calculateSubtotal(period, weekly) : {
+        subsidy: subtotal(weekly.weeklySubsidy),
+        grossSubsidy: subtotal(weekly.weeklyGrossSubsidy),
+        withheld: subtotal(weekly.weeklyWithheld),
+        fullCost: subtotal(weekly.weeklyFullCost),
+        outOfPocket: subtotal(weekly.weeklyOutOfPocket)
+      }
+    };
+  });
+
+  const sumOf = key => Math.round(periods.reduce((sum, period) => sum + period.subtotal[key], 0) * 100) / 100;
+  const days = periods.reduce((sum, period) => sum + period.days, 0);
+
+  return {
+    startDate: periods[0].startDate,
+    endDate: periods[periods.length - 1].endDate,
+    days,
+    weeks: days / DAYS_PER_WEEK,
+    periods,
+    totals: {
+      subsidy: sumOf('subsidy'),
+      grossSubsidy: sumOf('grossSubsidy'),
+      withheld: sumOf('withheld'),
+      fullCost: sumOf('fullCost'),
+      outOfPocket: sumOf('outOfPocket')
+    }
+  };
+}
@@ -1,7 +1,7 @@
 /**
  * Cost Calculation Module
  * Calculates childcare costs, subsidies, and out-of-pocket expenses
- * Based on 2025-26 CCS policy requirements
+ * Hourly rate caps are looked up per financial year (default: 2025-26)
  */
 
 import {
@@ -13,6 +13,8 @@ import {
   getHourlyRateCap,
   getDailyRateCap
 } from '../config/ccs-config.js';
+import { calculateDateRangeCosts, getPeriodRates } from './care-periods.js';
+import { calculateAccsSubsidyRate, calculateAccsEffectiveHourlyRate } from './accs.js';
 
 /**
  * Apply withholding to subsidy amount
@@ -49,9 +51,10 @@ export function applyWithholding(subsidyAmount, withholdingRate = WITHHOLDING.DE
  * @param {string} careType - Type of care (from CARE_TYPES)
  * @param {number} childAge - Age of child in years
  * @param {number} hoursPerDay - Hours charged per day (default: 10)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} Effective daily rate
  */
-export function calculateEffectiveDailyRate(providerDailyFee, careType, childAge, hoursPerDay = CHILDCARE_DEFAULTS.DEFAULT_HOURS_PER_DAY) {
+export function calculateEffectiveDailyRate(providerDailyFee, careType, childAge, hoursPerDay = CHILDCARE_DEFAULTS.DEFAULT_HOURS_PER_DAY, financialYear) {
   if (typeof providerDailyFee !== 'number' || providerDailyFee < 0) {
     throw new Error('Provider daily fee must be a non-negative number');
   }
@@ -64,7 +67,7 @@ export function calculateEffectiveDailyRate(providerDailyFee, careType, childAge
     throw new Error('Hours per day must be a positive number');
   }
 
-  const rateCap = getDailyRateCap(careType, childAge, hoursPerDay);
+  const rateCap = getDailyRateCap(careType, childAge, hoursPerDay, financialYear);
   return Math.min(providerDailyFee, rateCap);
 }
 
@@ -152,9 +155,10 @@ export function calculateWeeklyCostsFromDailyRate(params) {
  * @param {number} providerFee - Provider's hourly fee
  * @param {string} careType - Type of care (from CARE_TYPES)
  * @param {number} childAge - Age of child in years
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} Effective hourly rate
  */
-export function calculateEffectiveHourlyRate(providerFee, careType, childAge) {
+export function calculateEffectiveHourlyRate(providerFee, careType, childAge, financialYear) {
   if (typeof providerFee !== 'number' || providerFee < 0) {
     throw new Error('Provider fee must be a non-negative number');
   }
@@ -163,7 +167,7 @@ export function calculateEffectiveHourlyRate(providerFee, careType, childAge) {
     throw new Error('Child age must be between 0 and 18');
   }
 
-  const rateCap = getHourlyRateCap(careType, childAge);
+  const rateCap = getHourlyRateCap(careType, childAge, financialYear);
   return Math.min(providerFee, rateCap);
 }
 
@@ -311,7 +315,18 @@ export function calculateCostAsPercentageOfIncome(annualChildcareCost, household
  * Calculate complete cost breakdown for a family
  * This is a convenience function that combines all calculations
  *
+ * When startDate and endDate are given, the result also includes a dateRange
+ * breakdown split at each 1 July (and any changeoverDates), with each period
+ * using its own financial year's rate cap.
+ *
  * @param {Object} params - Complete calculation parameters
+ * @param {string|Date} [params.financialYear] - Financial year ('2024-25') or effective date for rate caps
+ * @param {string|Date} [params.startDate] - First day of care for a date-range breakdown
+ * @param {string|Date} [params.endDate] - Last day of care for a date-range breakdown
+ * @param {Array<string|Date|Object>} [params.changeoverDates] - Extra dates that start a new period, optionally
+ *   with a rateTable (e.g. indexation; see splitCarePeriods)
+ * @param {Object} [params.subsidyRatesByYear] - Subsidy rate per financial year for date-range periods (default: subsidyRate)
+ * @param {string} [params.accsCategory] - ACCS category ID; replaces subsidyRate and the rate cap with the category's values
  * @returns {Object} Complete cost breakdown
  */
 export function calculateCompleteCostBreakdown(params) {
@@ -323,23 +338,40 @@ export function calculateCompleteCostBreakdown(params) {
     childAge,
     subsidisedHours,
     actualHours,
-    withholdingRate = WITHHOLDING.DEFAULT_RATE
+    withholdingRate = WITHHOLDING.DEFAULT_RATE,
+    financialYear,
+    startDate,
+    endDate,
+    changeoverDates = [],
+    subsidyRatesByYear = {},
+    accsCategory
   } = params;
 
-  // Calculate effective hourly rate
-  const effectiveHourlyRate = calculateEffectiveHourlyRate(providerFee, careType, childAge);
+  const calculateWeeklyForYear = (year, rate) => {
+    // Calculate effective hourly rate (capped at the financial year's hourly rate cap,
+    // or the category's ACCS cap)
+    const effectiveHourlyRate = accsCategory
+      ? calculateAccsEffectiveHourlyRate(providerFee, accsCategory, careType, childAge, year)
+      : calculateEffectiveHourlyRate(providerFee, careType, childAge, year);
+
+    // Calculate subsidy per hour
+    const subsidyPerHour = calculateSubsidyPerHour(rate, effectiveHourlyRate);
+
+    // Calculate weekly costs (including withholding)
+    const weeklyCosts = calculateWeeklyCosts({
+      subsidyPerHour,
+      providerFee,
+      subsidisedHours,
+      actualHours,
+      withholdingRate
+    });
+
+    return { effectiveHourlyRate, subsidyPerHour, weeklyCosts };
+  };
 
-  // Calculate subsidy per hour
-  const subsidyPerHour = calculateSubsidyPerHour(subsidyRate, effectiveHourlyRate);
-
-  // Calculate weekly costs (including withholding)
-  const weeklyCosts = calculateWeeklyCosts({
-    subsidyPerHour,
-    providerFee,
-    subsidisedHours,
-    actualHours,
-    withholdingRate
-  });
+  // ACCS rates are not income tested, so they apply in every period
+  const baseSubsidyRate = accsCategory ? calculateAccsSubsidyRate(accsCategory) : subsidyRate;
+  const { effectiveHourlyRate, subsidyPerHour, weeklyCosts } = calculateWeeklyForYear(financialYear, baseSubsidyRate);
 
   // Calculate annual costs
   const annualSubsidy = calculateAnnualCost(weeklyCosts.weeklySubsidy);
@@ -352,7 +384,7 @@ export function calculateCompleteCostBreakdown(params) {
   const netIncome = calculateNetIncome(householdIncome, annualOutOfPocket);
   const costPercentage = calculateCostAsPercentageOfIncome(annualOutOfPocket, householdIncome);
 
-  return {
+  const breakdown = {
     effectiveHourlyRate,
     subsidyPerHour,
     weekly: weeklyCosts,
@@ -363,10 +395,31 @@ export function calculateCompleteCostBreakdown(params) {
       fullCost: annualFullCost,
       outOfPocket: annualOutOfPocket
     },
+    subsidyRate: baseSubsidyRate,
+    accsCategory: accsCategory || null,
     netIncome,
     costPercentage,
     withholdingRate
   };
+
+  if (startDate || endDate) {
+    breakdown.dateRange = calculateDateRangeCosts({
+      startDate,
+      endDate,
+      changeoverDates,
+      calculateWeekly: period => {
+        const rate = accsCategory ? baseSubsidyRate : (subsidyRatesByYear[period.ratesFinancialYear] ?? subsidyRate);
+        const result = calculateWeeklyForYear(getPeriodRates(period), rate);
+        return {
+          ...result.weeklyCosts,
+          effectiveHourlyRate: result.effectiveHourlyRate,
+          subsidyRate: rate
+        };
+      }
+    });
+  }
+
+  return breakdown;
 }
 
 // Export care types and withholding for convenience
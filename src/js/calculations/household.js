@@ -0,0 +1,859 @@
+/**
+ * Household Calculation Engine
+ * Turns a household (parents, children, withholding and financial year) into a
+ * complete result tree. The calculator form and the scenario generator both
+ * call computeHousehold, so child order, subsidy rate choice, withholding and
+ * daily/hourly fees follow the same rules everywhere.
+ */
+
+import { calculateAdjustedIncome, calculateHouseholdIncome } from './income.js';
+import { calculateTaxBreakdown } from './income-tax.js';
+import { calculateChildSubsidyRate } from './subsidy-rate.js';
+import {
+  calculateSubsidisedHours,
+  calculateChildSubsidisedHours,
+  calculateChildSubsidisedDays,
+  calculateHoursPerFortnight,
+  calculateRosterHoursPerFortnight
+} from './activity-test.js';
+import {
+  calculateEffectiveHourlyRate,
+  calculateSubsidyPerHour,
+  calculateWeeklyCosts,
+  calculateEffectiveDailyRate,
+  calculateSubsidyPerDay,
+  calculateWeeklyCostsFromDailyRate,
+  calculateAnnualCost
+} from './costs.js';
+import {
+  calculateAccsSubsidyRate,
+  calculateAccsEffectiveHourlyRate,
+  calculateAccsEffectiveDailyRate,
+  getAccsCategory
+} from './accs.js';
+import { normaliseSessions, capSessionDays, calculateWeeklySessionCosts } from './sessions.js';
+import {
+  normaliseBookingPattern,
+  capBookingPattern,
+  summariseBookingPattern,
+  calculateWeeklyPatternCosts
+} from './booking-pattern.js';
+import {
+  normaliseRoster,
+  summariseRoster,
+  rosterFromWorkDays,
+  getRosterIncomeDays,
+  calculateRosterCareNeed
+} from './roster.js';
+import { calculateCareDayLength, getCommuteHours } from './parent-schedule.js';
+import { calculateDateRangeCosts, getPeriodRates, toDayNumber, fromDayNumber } from './care-periods.js';
+import { buildCareDays, summariseCareDays, applyCareCalendar } from './care-calendar.js';
+import {
+  AGE_CATEGORIES,
+  DAYS_OF_WEEK,
+  WITHHOLDING,
+  WORK_DEFAULTS,
+  getRateTable,
+  resolveFinancialYear
+} from '../config/ccs-config.js';
+import { getPublicHolidays } from '../config/public-holidays.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * How much care each child needs per week
+ * BOOKED uses the child's booked days or hours as entered.
+ * PARENT_AVAILABILITY caps booked care at the time parents are at work, which
+ * lets the scenario generator vary work days without re-entering bookings.
+ */
+export const CARE_NEED_MODES = {
+  BOOKED: 'booked',
+  PARENT_AVAILABILITY: 'parent-availability'
+};
+
+const DEFAULT_DAYS_OF_CARE = 5;
+
+/**
+ * @typedef {Object} HouseholdParentInput
+ * @property {number} income - Full-time equivalent annual income
+ * @property {number} days - Work days per week (0-5)
+ * @property {number} hours - Work hours per day
+ * @property {string|null} [exemption] - Activity test exemption ID (from ACTIVITY_TEST_EXEMPTIONS)
+ * @property {Object<string, number>} [activities] - Other recognised activity hours per fortnight by type
+ * @property {number} [adjustedIncome] - Known adjusted income (e.g. actual income at reconciliation); replaces income × days ÷ 5
+ * @property {Array<string>} [workDays] - Weekdays worked; with the other parent's roster, care is matched day by day
+ * @property {Array<Object>} [roster] - Fortnightly roster (see Roster in roster.js); replaces days and hours
+ *   with its averages, and the activity test counts every rostered hour
+ * @property {number} [commuteHours] - Travel each way between home, care and work (0 to MAX_COMMUTE_HOURS);
+ *   adds to the care needed, not to activity hours
+ * @property {boolean} [dropOff] - This parent takes the child to care on days both parents work
+ * @property {boolean} [pickUp] - This parent collects the child from care on days both parents work
+ */
+
+/**
+ * @typedef {Object} HouseholdChildInput
+ * @property {number} age - Child age in years
+ * @property {string} careType - Type of care (from CARE_TYPES)
+ * @property {'daily'|'session'|'hourly'} [feeType] - Fee type (default: 'hourly')
+ * @property {number} [dailyFee] - Daily fee (daily fee type)
+ * @property {number} [hoursPerDay] - Hours charged per day (daily fee type)
+ * @property {number|null} [daysOfCare] - Booked days per week (daily fee type)
+ * @property {number} [providerFee] - Hourly fee (hourly fee type)
+ * @property {number} [hoursPerWeek] - Booked hours per week (hourly fee type)
+ * @property {Array<Object>} [sessions] - Session types booked each week (session fee type; see CareSession in sessions.js)
+ * @property {Array<Object>} [bookingPattern] - Hours booked on each weekday, one or two alternating weeks
+ *   (daily and hourly fee types; see BookingPattern in booking-pattern.js); replaces daysOfCare and hoursPerWeek
+ * @property {string|null} [accsCategory] - ACCS category ID
+ * @property {boolean} [firstNations] - Aboriginal and/or Torres Strait Islander child
+ * @property {Object} [careCalendar] - Closures, holidays and absences (see CareCalendar in care-calendar.js)
+ */
+
+/**
+ * @typedef {Object} HouseholdInputs
+ * @property {HouseholdParentInput} parent1 - Parent 1
+ * @property {HouseholdParentInput|null} [parent2] - Parent 2 (omit or null for a single parent; a partner
+ *   with no work or activity is assessed as the lower-activity parent)
+ * @property {Array<HouseholdChildInput>} children - Children in care
+ * @property {number} [withholdingRate] - Withholding percentage (default: 5)
+ * @property {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @property {string|null} [state] - State or territory ID (from AUSTRALIAN_STATES); adds its public
+ *   holidays to every child's care calendar
+ * @property {Array<Object>} [incomeChanges] - Income and work pattern changes during the year
+ *   (see IncomeChange in income-timeline.js); computeHousehold uses the parents as entered
+ */
+
+/**
+ * @typedef {Object} HouseholdOptions
+ * @property {string} [careNeed] - Care need mode (from CARE_NEED_MODES, default: 'booked')
+ * @property {number} [defaultDaysOfCare] - Days of care for daily-fee children without daysOfCare (default: 5)
+ * @property {number} [weeksPerYear] - Weeks of care per year (default: 52; ignored when a child has a care calendar)
+ * @property {string|Date} [startDate] - First day of care for a date-range budget
+ * @property {string|Date} [endDate] - Last day of care for a date-range budget
+ * @property {Array<string|Date|Object>} [changeoverDates] - Extra dates that start a new period, optionally
+ *   with a rateTable that applies until the next 1 July (see splitCarePeriods)
+ * @property {Array<string>} [childcareDays] - Weekdays care is booked (from calculateMinimumChildcareDays);
+ *   care calendars use them for daily- and session-fee children booked that many days
+ */
+
+/**
+ * @typedef {Object} CostTotals
+ * @property {number} subsidy - Subsidy paid to the provider (after withholding)
+ * @property {number} grossSubsidy - Subsidy before withholding
+ * @property {number} withheld - Subsidy withheld until reconciliation
+ * @property {number} fullCost - Provider fees before subsidy
+ * @property {number} outOfPocket - Fees less paid subsidy
+ */
+
+/**
+ * @typedef {Object} HouseholdParentResult
+ * @property {number} baseIncome - Full-time equivalent annual income
+ * @property {number} adjustedIncome - Income adjusted for days worked
+ * @property {number} activityHoursPerFortnight - Work plus other recognised activity hours
+ * @property {string|null} exemption - Activity test exemption ID
+ * @property {number} incomeTax - Income tax less offsets, plus Medicare levy, on adjusted income
+ * @property {number} afterTaxIncome - Adjusted income less incomeTax
+ */
+
+/**
+ * @typedef {Object} HouseholdChildResult
+ * @property {number} childNumber - Position in the input list (1-based)
+ * @property {number} age - Child age in years
+ * @property {string} careType - Type of care
+ * @property {'daily'|'session'|'hourly'} feeType - Fee type
+ * @property {string|null} accsCategory - ACCS category ID
+ * @property {boolean} firstNations - Aboriginal and/or Torres Strait Islander child
+ * @property {number|null} position - Order among children aged 5 or under (eldest = 1), null if older
+ * @property {'standard'|'higher'|'accs'} rateType - Which subsidy rate applies
+ * @property {number} subsidyRate - Subsidy rate percentage
+ * @property {number} subsidisedHoursPerFortnight - Subsidised hours entitlement
+ * @property {string} subsidisedHoursReason - Why the child gets those hours
+ * @property {number} weeklySubsidy - Weekly subsidy after withholding
+ * @property {number} weeklyGrossSubsidy - Weekly subsidy before withholding
+ * @property {number} weeklyWithheld - Weekly withheld amount
+ * @property {number} weeklyFullCost - Weekly provider fees
+ * @property {number} weeklyOutOfPocket - Weekly fees less paid subsidy
+ * @property {number} withholdingRate - Withholding percentage applied
+ * @property {number} [dailyFee] - Daily fee (daily fee type)
+ * @property {number} [hoursPerDay] - Hours charged per day (daily fee type)
+ * @property {number} [actualDaysNeeded] - Days of care per week (daily and session fee types)
+ * @property {number} [subsidisedDays] - Subsidised days per week (daily fee type)
+ * @property {number} [effectiveDailyRate] - Daily fee capped at the daily rate cap (daily fee type)
+ * @property {number} [subsidyPerDay] - Subsidy per day before withholding (daily fee type)
+ * @property {number} [daysWithSubsidy] - Days of care that attract subsidy (daily fee type)
+ * @property {number} [daysWithoutSubsidy] - Days of care paid in full (daily fee type)
+ * @property {number} [providerFee] - Hourly fee (hourly fee type)
+ * @property {number} [hoursPerWeek] - Hours of care per week (hourly and session fee types)
+ * @property {number} [effectiveHourlyRate] - Hourly fee capped at the hourly rate cap (hourly fee type)
+ * @property {number} [subsidyPerHour] - Subsidy per hour before withholding (hourly fee type)
+ * @property {number} [hoursWithSubsidy] - Hours of care that attract subsidy (hourly and session fee types)
+ * @property {number} [hoursWithoutSubsidy] - Hours of care paid in full (hourly and session fee types)
+ * @property {Array<Object>} [sessions] - Per-session charged hours, capped hourly rate and costs (session fee type)
+ * @property {Object|null} [bookingPattern] - Booking pattern averaged over its cycle (from summariseBookingPattern)
+ *   with the booked weeks, or null without one (daily and hourly fee types)
+ */
+
+/**
+ * @typedef {Object} HouseholdResult
+ * @property {string} financialYear - Financial year whose rates were used
+ * @property {HouseholdParentResult} parent1 - Parent 1 income and activity
+ * @property {HouseholdParentResult} parent2 - Parent 2 income and activity
+ * @property {number} householdIncome - Combined adjusted income
+ * @property {Object} subsidisedHours - Household activity test result (hoursPerWeek, hoursPerFortnight)
+ * @property {Array<HouseholdChildResult>} children - Per-child results in input order
+ * @property {CostTotals} weekly - Weekly totals across children
+ * @property {CostTotals} annual - Annual totals (date-range totals when a range is given)
+ * @property {Object|null} dateRange - Date-range breakdown from calculateDateRangeCosts, or null
+ * @property {Array<Object|null>|null} careCalendar - Billed weeks and absences per child
+ *   (from summariseCareDays, null for children without a calendar), or null when no child has one
+ * @property {Array<Object>|null} publicHolidays - The state's public holidays ({ date, name }) in the
+ *   care calendar range, or null when no state is given
+ * @property {number} incomeTax - Combined tax of both parents
+ * @property {number} afterTaxIncome - Household income less incomeTax
+ * @property {number} grossIncomeAfterChildcare - Household income less annual out-of-pocket (before tax)
+ * @property {number} netIncomeAfterChildcare - After-tax income less annual out-of-pocket
+ * @property {number} costPercentage - Annual out-of-pocket as a percentage of household income
+ * @property {number} withholdingRate - Withholding percentage applied
+ * @property {string} careNeed - Care need mode used
+ */
+
+/**
+ * Rank children aged 5 or under from eldest to youngest
+ * Children of the same age keep their input order
+ *
+ * @param {Array<HouseholdChildInput>} children - Children in input order
+ * @returns {Array<number|null>} Position per child (1 = eldest), null for children over 5
+ */
+export function rankChildrenByAge(children) {
+  const positions = children.map(() => null);
+
+  children
+    .map((child, index) => ({ age: child.age, index }))
+    .filter(child => child.age <= AGE_CATEGORIES.HIGHER_RATE_AGE_THRESHOLD)
+    .sort((a, b) => b.age - a.age || a.index - b.index)
+    .forEach((child, rank) => {
+      positions[child.index] = rank + 1;
+    });
+
+  return positions;
+}
+
+/**
+ * Roster for a parent's schedule, building one from weekly work days if needed
+ *
+ * @param {HouseholdParentInput} parent - Parent schedule
+ * @returns {Array<Object>|null} Normalised roster, or null for a parent who does not work
+ */
+function rosterOf(parent) {
+  if (parent.roster) {
+    return parent.roster;
+  }
+  const days = parent.days || 0;
+  if (days === 0) {
+    return null;
+  }
+  return rosterFromWorkDays(parent.workDays || Object.values(DAYS_OF_WEEK).slice(0, days), parent.hours || 0);
+}
+
+/**
+ * Calculate the care parents' work schedules leave uncovered each week
+ * Assumes both parents work the same days where they overlap: care is needed on
+ * every work day of the parent working more days, from drop-off to pick-up when
+ * both are out (see calculateCareDayLength) and for the shorter day away
+ * otherwise. A day away is the work hours plus the commute each way.
+ * When either parent has a roster, care is matched day by day over the
+ * fortnight instead (see calculateRosterCareNeed); drop-off and pick-up
+ * are not used there.
+ *
+ * @param {HouseholdParentInput} parent1 - Parent 1 schedule
+ * @param {HouseholdParentInput} parent2 - Parent 2 schedule
+ * @returns {Object} Object with daysPerWeek and hoursPerWeek of care needed
+ */
+export function calculateCareNeededByParents(parent1, parent2) {
+  if (parent1.roster || parent2.roster) {
+    const working = [parent1, parent2].map(parent => ({
+      ...parent,
+      roster: parent.roster ? normaliseRoster(parent.roster) : null
+    })).map(parent => ({ roster: rosterOf(parent), commuteHours: getCommuteHours(parent) }))
+      .filter(parent => parent.roster);
+    const { daysPerWeek, hoursPerWeek } = calculateRosterCareNeed(
+      working[0].roster,
+      working[1]?.roster || null,
+      working.map(parent => parent.commuteHours)
+    );
+    return { daysPerWeek, hoursPerWeek };
+  }
+
+  const p1Days = parent1.days || 0;
+  const p2Days = parent2.days || 0;
+
+  if (p1Days === 0 && p2Days === 0) {
+    return { daysPerWeek: 0, hoursPerWeek: 0 };
+  }
+
+  // One parent at home: care only while the other is away
+  if (p1Days === 0 || p2Days === 0) {
+    const workingDays = Math.max(p1Days, p2Days);
+    const { hours } = calculateCareDayLength(p1Days > 0 ? parent1 : parent2);
+    return { daysPerWeek: workingDays, hoursPerWeek: workingDays * hours };
+  }
+
+  const overlappingDays = Math.min(p1Days, p2Days);
+  const nonOverlappingDays = Math.abs(p1Days - p2Days);
+  const shorterDayAway = Math.min(calculateCareDayLength(parent1).hours, calculateCareDayLength(parent2).hours);
+
+  return {
+    daysPerWeek: overlappingDays + nonOverlappingDays,
+    hoursPerWeek: (overlappingDays * calculateCareDayLength(parent1, parent2).hours) +
+      (nonOverlappingDays * shorterDayAway)
+  };
+}
+
+/**
+ * Normalise a parent input, filling defaults for a missing or single parent
+ * A roster sets days and hours to its averages per week and per day. Missing
+ * income, days and hours count as 0.
+ *
+ * @param {HouseholdParentInput|null} [parent] - Parent input
+ * @param {string} [name='Parent'] - Name used in error messages (e.g. 'Parent 1')
+ * @returns {HouseholdParentInput} Parent with every field set
+ * @throws {Error} If income, days or hours is not a non-negative number
+ */
+function normaliseParent(parent, name = 'Parent') {
+  parent = parent || {};
+  const roster = parent.roster ? normaliseRoster(parent.roster, `${name} roster`) : null;
+  const summary = roster ? summariseRoster(roster) : null;
+
+  const numberOf = (value, label) => {
+    if (value === undefined || value === null) {
+      return 0;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new InputError(`${name} ${label} must be a non-negative number`);
+    }
+    return value;
+  };
+
+  return {
+    income: numberOf(parent.income, 'income'),
+    days: summary ? summary.daysPerWeek : numberOf(parent.days, 'days'),
+    hours: summary ? summary.hoursPerDay : numberOf(parent.hours, 'hours'),
+    workDays: parent.workDays || null,
+    roster,
+    commuteHours: getCommuteHours(parent, name),
+    dropOff: Boolean(parent.dropOff),
+    pickUp: Boolean(parent.pickUp),
+    exemption: parent.exemption || null,
+    activities: parent.activities || {},
+    adjustedIncome: parent.adjustedIncome ?? null
+  };
+}
+
+/**
+ * Whether a parent input is blank: no income, work, roster, exemption or other activity
+ *
+ * @param {HouseholdParentInput|null} [parent] - Parent input
+ * @returns {boolean} True if nothing was entered for the parent
+ */
+function isBlankParent(parent) {
+  if (!parent) {
+    return true;
+  }
+
+  const activityHours = Object.values(parent.activities || {}).reduce((sum, hours) => sum + (Number(hours) || 0), 0);
+  return !(parent.income > 0) && !(parent.days > 0) && !(parent.hours > 0) &&
+    !parent.roster && !parent.exemption && activityHours === 0;
+}
+
+/**
+ * Household inputs with a blank parent 2 replaced by null (a single parent)
+ * For forms that always collect a second parent: computeHousehold itself treats
+ * any parent2 object as a partner, so a partner with no activity is the
+ * lower-activity parent.
+ *
+ * @param {HouseholdInputs} inputs - Household inputs
+ * @returns {HouseholdInputs} Inputs with parent2 null when nothing was entered for it
+ */
+export function resolveSingleParent(inputs) {
+  return inputs.parent2 && isBlankParent(inputs.parent2) ? { ...inputs, parent2: null } : inputs;
+}
+
+/**
+ * Activity test hours per fortnight for a normalised parent
+ * Paid work plus study, training, volunteering, etc.
+ *
+ * @param {HouseholdParentInput} parent - Normalised parent
+ * @returns {number} Hours per fortnight
+ */
+function hoursPerFortnightOf(parent) {
+  return parent.roster
+    ? calculateRosterHoursPerFortnight(parent.roster, parent.activities)
+    : calculateHoursPerFortnight(parent.days, parent.hours, parent.activities);
+}
+
+/**
+ * Adjusted income for a normalised parent
+ * A known adjustedIncome wins; otherwise income is scaled by days worked
+ *
+ * @param {HouseholdParentInput} parent - Normalised parent
+ * @returns {number} Adjusted annual income
+ */
+function adjustedIncomeOf(parent) {
+  if (parent.adjustedIncome !== null) {
+    if (typeof parent.adjustedIncome !== 'number' || parent.adjustedIncome < 0) {
+      throw new InputError('Adjusted income must be a non-negative number');
+    }
+    return parent.adjustedIncome;
+  }
+
+  const days = parent.roster ? getRosterIncomeDays(parent.roster) : parent.days;
+  return parent.income > 0 ? calculateAdjustedIncome(parent.income, days, parent.hours) : 0;
+}
+
+/**
+ * Sum weekly cost fields across children
+ *
+ * @param {Array<Object>} childResults - Per-child weekly results
+ * @returns {Object} Weekly totals using the weekly* field names
+ */
+function sumWeeklyCosts(childResults) {
+  const sumOf = key => Math.round(childResults.reduce((sum, child) => sum + child[key], 0) * 100) / 100;
+
+  return {
+    weeklySubsidy: sumOf('weeklySubsidy'),
+    weeklyGrossSubsidy: sumOf('weeklyGrossSubsidy'),
+    weeklyWithheld: sumOf('weeklyWithheld'),
+    weeklyFullCost: sumOf('weeklyFullCost'),
+    weeklyOutOfPocket: sumOf('weeklyOutOfPocket')
+  };
+}
+
+/**
+ * Calculate per-child weekly results for one financial year
+ *
+ * @param {Object} household - Normalised household (parents, activity hours, income)
+ * @param {Array<HouseholdChildInput>} children - Children in input order
+ * @param {string|Date|Object} financialYear - Financial year or rate table for caps and thresholds
+ * @param {Object} settings - Resolved options (careNeed, defaultDaysOfCare, withholdingRate)
+ * @returns {Array<HouseholdChildResult>} Per-child results
+ */
+function calculateChildResults(household, children, financialYear, settings) {
+  const { parent1, parent2, parent1HoursPerFortnight, parent2HoursPerFortnight, isSingleParent, householdIncome } = household;
+  const { careNeed, defaultDaysOfCare, withholdingRate } = settings;
+  const positions = rankChildrenByAge(children);
+  const careNeededByParents = calculateCareNeededByParents(parent1, parent2);
+
+  return children.map((child, index) => {
+    const accsCategory = child.accsCategory || null;
+    const feeType = ['daily', 'session'].includes(child.feeType) ? child.feeType : 'hourly';
+    const fee = feeType === 'daily' ? child.dailyFee : child.providerFee;
+
+    // Session fees are checked per session by normaliseSessions
+    if (feeType !== 'session' && (typeof fee !== 'number' || isNaN(fee) || fee <= 0)) {
+      throw new InputError(`Child ${index + 1} fee must be a positive number`);
+    }
+
+    // Subsidy rate: ACCS is not income tested; otherwise the eldest child
+    // aged 5 or under gets the standard rate and younger siblings the higher rate
+    const position = positions[index];
+    let subsidyRate, rateType;
+    if (accsCategory) {
+      subsidyRate = calculateAccsSubsidyRate(accsCategory);
+      rateType = 'accs';
+    } else {
+      subsidyRate = calculateChildSubsidyRate(householdIncome, child.age, position || 1, financialYear);
+      rateType = position > 1 ? 'higher' : 'standard';
+    }
+
+    const hoursParams = {
+      parent1HoursPerFortnight,
+      parent2HoursPerFortnight: isSingleParent ? null : parent2HoursPerFortnight,
+      parent1Exemption: parent1.exemption,
+      parent2Exemption: parent2.exemption,
+      firstNations: Boolean(child.firstNations),
+      accsCategory,
+      financialYear,
+      householdIncome
+    };
+
+    // ACCS children exempt from the activity test keep their booked care even
+    // when parents are not working (e.g. grandparent carers)
+    const capByParents = careNeed === CARE_NEED_MODES.PARENT_AVAILABILITY &&
+      !(accsCategory && getAccsCategory(accsCategory).ACTIVITY_TEST_EXEMPT);
+
+    const base = {
+      childNumber: index + 1,
+      age: child.age,
+      careType: child.careType,
+      feeType,
+      accsCategory,
+      firstNations: Boolean(child.firstNations),
+      position,
+      rateType,
+      subsidyRate
+    };
+
+    // A booking pattern gives the days and hours booked, averaged over its cycle
+    let bookingPattern = null;
+    if (child.bookingPattern && feeType !== 'session') {
+      let weeks = normaliseBookingPattern(child.bookingPattern, `Child ${index + 1} booking pattern`);
+      if (capByParents) {
+        weeks = capBookingPattern(weeks, careNeededByParents.daysPerWeek);
+      }
+      bookingPattern = { ...summariseBookingPattern(weeks), weeks };
+    }
+
+    if (feeType === 'daily' && bookingPattern) {
+      const childHours = calculateChildSubsidisedHours(hoursParams);
+      const capDailyFee = hours => (accsCategory
+        ? calculateAccsEffectiveDailyRate(child.dailyFee, accsCategory, child.careType, child.age, hours, financialYear)
+        : calculateEffectiveDailyRate(child.dailyFee, child.careType, child.age, hours, financialYear));
+      const patternCosts = calculateWeeklyPatternCosts({
+        dayLengths: bookingPattern.dayLengths,
+        dailyFee: child.dailyFee,
+        subsidyRate,
+        subsidisedHoursPerWeek: childHours.hoursPerWeek,
+        effectiveDailyRate: capDailyFee,
+        withholdingRate
+      });
+      const { dayLengths, ...weeklyCosts } = patternCosts;
+      const daysPerWeek = bookingPattern.daysPerWeek;
+
+      // Rate and subsidy per day are averaged over the booked days
+      const averageOf = key => (daysPerWeek > 0
+        ? Math.round(dayLengths.reduce((sum, item) => sum + item[key] * item.daysPerWeek, 0) / daysPerWeek * 100) / 100
+        : 0);
+
+      return {
+        ...base,
+        subsidisedHoursPerFortnight: childHours.hoursPerFortnight,
+        subsidisedHoursReason: childHours.reason,
+        dailyFee: child.dailyFee,
+        hoursPerDay: bookingPattern.hoursPerDay,
+        actualDaysNeeded: daysPerWeek,
+        subsidisedDays: bookingPattern.hoursPerDay > 0
+          ? Math.floor(childHours.hoursPerWeek / bookingPattern.hoursPerDay * 2) / 2
+          : 0,
+        effectiveDailyRate: averageOf('effectiveDailyRate'),
+        subsidyPerDay: averageOf('subsidyPerDay'),
+        bookingPattern: { ...bookingPattern, dayLengths },
+        ...weeklyCosts
+      };
+    }
+
+    if (feeType === 'daily') {
+      const effectiveDailyRate = accsCategory
+        ? calculateAccsEffectiveDailyRate(child.dailyFee, accsCategory, child.careType, child.age, child.hoursPerDay, financialYear)
+        : calculateEffectiveDailyRate(child.dailyFee, child.careType, child.age, child.hoursPerDay, financialYear);
+      const subsidyPerDay = calculateSubsidyPerDay(subsidyRate, effectiveDailyRate);
+      const subsidisedDaysResult = calculateChildSubsidisedDays({ ...hoursParams, hoursPerDay: child.hoursPerDay });
+
+      const bookedDays = child.daysOfCare !== null && child.daysOfCare !== undefined
+        ? child.daysOfCare
+        : defaultDaysOfCare;
+      const actualDaysNeeded = capByParents
+        ? Math.min(bookedDays, careNeededByParents.daysPerWeek)
+        : bookedDays;
+
+      return {
+        ...base,
+        subsidisedHoursPerFortnight: subsidisedDaysResult.hoursPerFortnight,
+        subsidisedHoursReason: subsidisedDaysResult.reason,
+        dailyFee: child.dailyFee,
+        hoursPerDay: child.hoursPerDay,
+        actualDaysNeeded,
+        bookingPattern: null,
+        subsidisedDays: subsidisedDaysResult.daysPerWeek,
+        effectiveDailyRate,
+        subsidyPerDay,
+        ...calculateWeeklyCostsFromDailyRate({
+          subsidyPerDay,
+          providerDailyFee: child.dailyFee,
+          subsidisedDays: subsidisedDaysResult.daysPerWeek,
+          actualDays: actualDaysNeeded,
+          withholdingRate
+        })
+      };
+    }
+
+    if (feeType === 'session') {
+      const childHours = calculateChildSubsidisedHours(hoursParams);
+      let sessions = normaliseSessions(child.sessions, `Child ${index + 1} session`);
+      if (capByParents) {
+        sessions = capSessionDays(sessions, careNeededByParents.daysPerWeek);
+      }
+
+      const sessionCosts = calculateWeeklySessionCosts({
+        sessions,
+        subsidyRate,
+        subsidisedHoursPerWeek: childHours.hoursPerWeek,
+        effectiveHourlyRate: hourlyFee => (accsCategory
+          ? calculateAccsEffectiveHourlyRate(hourlyFee, accsCategory, child.careType, child.age, financialYear)
+          : calculateEffectiveHourlyRate(hourlyFee, child.careType, child.age, financialYear)),
+        withholdingRate
+      });
+
+      return {
+        ...base,
+        subsidisedHoursPerFortnight: childHours.hoursPerFortnight,
+        subsidisedHoursReason: childHours.reason,
+        actualDaysNeeded: sessionCosts.sessionsPerWeek,
+        ...sessionCosts
+      };
+    }
+
+    const effectiveHourlyRate = accsCategory
+      ? calculateAccsEffectiveHourlyRate(child.providerFee, accsCategory, child.careType, child.age, financialYear)
+      : calculateEffectiveHourlyRate(child.providerFee, child.careType, child.age, financialYear);
+    const subsidyPerHour = calculateSubsidyPerHour(subsidyRate, effectiveHourlyRate);
+    const childHours = calculateChildSubsidisedHours(hoursParams);
+
+    let hoursPerWeek = bookingPattern ? bookingPattern.hoursPerWeek : child.hoursPerWeek;
+    if (capByParents && !bookingPattern) {
+      hoursPerWeek = typeof hoursPerWeek === 'number'
+        ? Math.min(hoursPerWeek, careNeededByParents.hoursPerWeek)
+        : careNeededByParents.hoursPerWeek;
+    }
+
+    return {
+      ...base,
+      subsidisedHoursPerFortnight: childHours.hoursPerFortnight,
+      subsidisedHoursReason: childHours.reason,
+      providerFee: child.providerFee,
+      hoursPerWeek,
+      bookingPattern,
+      effectiveHourlyRate,
+      subsidyPerHour,
+      ...calculateWeeklyCosts({
+        subsidyPerHour,
+        providerFee: child.providerFee,
+        subsidisedHours: childHours.hoursPerWeek,
+        actualHours: hoursPerWeek,
+        withholdingRate
+      })
+    };
+  });
+}
+
+/**
+ * Total children's costs over a date range using their care calendars
+ *
+ * @param {Array<HouseholdChildResult>} childResults - Per-child weekly results
+ * @param {Array<Object>} careDays - Per-child result of buildCareDays
+ * @param {string} startDate - First day to total
+ * @param {string} endDate - Last day to total
+ * @returns {CostTotals} Totals across children
+ */
+function sumCalendarCosts(childResults, careDays, startDate, endDate) {
+  const costs = childResults.map((child, index) => (
+    applyCareCalendar(child, summariseCareDays(careDays[index], startDate, endDate))
+  ));
+
+  const sumOf = key => Math.round(costs.reduce((sum, cost) => sum + cost[key], 0) * 100) / 100;
+
+  return {
+    subsidy: sumOf('subsidy'),
+    grossSubsidy: sumOf('grossSubsidy'),
+    withheld: sumOf('withheld'),
+    fullCost: sumOf('fullCost'),
+    outOfPocket: sumOf('outOfPocket')
+  };
+}
+
+/**
+ * Compute subsidy and costs for a whole household
+ * Pure: the same inputs and options always give the same result tree.
+ *
+ * Rules applied for every caller:
+ * - the eldest child aged 5 or under (by age, ties in input order) gets the standard rate;
+ *   younger siblings aged 5 or under get the higher rate
+ * - withholding is always applied at inputs.withholdingRate
+ * - daily-fee children use daily rate caps and subsidised half days;
+ *   hourly-fee children use hourly caps and subsidised hours;
+ *   session-fee children use hourly caps on each session's fee over its charged hours
+ *
+ * @param {HouseholdInputs} inputs - Household inputs
+ * @param {HouseholdOptions} [options] - Calculation options
+ * @returns {HouseholdResult} Complete result tree
+ */
+export function computeHousehold(inputs, options = {}) {
+  if (!inputs || typeof inputs !== 'object') {
+    throw new InputError('Household inputs must be an object');
+  }
+
+  if (!Array.isArray(inputs.children)) {
+    throw new InputError('Children must be an array');
+  }
+
+  const {
+    careNeed = CARE_NEED_MODES.BOOKED,
+    defaultDaysOfCare = DEFAULT_DAYS_OF_CARE,
+    weeksPerYear = WORK_DEFAULTS.WEEKS_PER_YEAR,
+    startDate,
+    endDate,
+    changeoverDates = [],
+    childcareDays = []
+  } = options;
+
+  if (!Object.values(CARE_NEED_MODES).includes(careNeed)) {
+    throw new InputError(`Invalid care need mode: ${careNeed}`);
+  }
+
+  const withholdingRate = inputs.withholdingRate ?? WITHHOLDING.DEFAULT_RATE;
+  const hasDateRange = Boolean(startDate || endDate);
+  const financialYear = inputs.financialYear ?? (hasDateRange ? startDate : undefined);
+
+  const parent1 = normaliseParent(inputs.parent1, 'Parent 1');
+  const parent2 = normaliseParent(inputs.parent2, 'Parent 2');
+  const isSingleParent = !inputs.parent2;
+
+  const parent1Adjusted = adjustedIncomeOf(parent1);
+  const parent2Adjusted = adjustedIncomeOf(parent2);
+  const householdIncome = calculateHouseholdIncome(parent1Adjusted, parent2Adjusted);
+
+  // Activity hours include paid work plus study, training, volunteering, etc.
+  const parent1HoursPerFortnight = hoursPerFortnightOf(parent1);
+  const parent2HoursPerFortnight = hoursPerFortnightOf(parent2);
+
+  // Exempt parents count as meeting the higher activity threshold
+  const subsidisedHours = calculateSubsidisedHours(
+    parent1.exemption ? Infinity : parent1HoursPerFortnight,
+    isSingleParent ? null : (parent2.exemption ? Infinity : parent2HoursPerFortnight),
+    financialYear,
+    householdIncome
+  );
+
+  const household = { parent1, parent2, parent1HoursPerFortnight, parent2HoursPerFortnight, isSingleParent, householdIncome };
+  const settings = { careNeed, defaultDaysOfCare, withholdingRate };
+
+  const children = calculateChildResults(household, inputs.children, financialYear, settings);
+  const weeklyCosts = sumWeeklyCosts(children);
+
+  const weekly = {
+    subsidy: weeklyCosts.weeklySubsidy,
+    grossSubsidy: weeklyCosts.weeklyGrossSubsidy,
+    withheld: weeklyCosts.weeklyWithheld,
+    fullCost: weeklyCosts.weeklyFullCost,
+    outOfPocket: weeklyCosts.weeklyOutOfPocket
+  };
+
+  // Care calendars bill real weeks over the date range, or the financial year without one.
+  // Children without a calendar are billed and subsidised for every week; a state gives
+  // every child a calendar with its public holidays.
+  const hasCalendar = Boolean(inputs.state) || inputs.children.some(child => child.careCalendar);
+  let careDays = null;
+  let careRange = null;
+  let publicHolidays = null;
+  if (hasCalendar) {
+    const { START_DATE, END_DATE } = getRateTable(financialYear).FINANCIAL_YEAR;
+    careRange = hasDateRange
+      ? { startDate: fromDayNumber(toDayNumber(startDate, 'Start date')), endDate: fromDayNumber(toDayNumber(endDate, 'End date')) }
+      : { startDate: START_DATE, endDate: END_DATE };
+    publicHolidays = inputs.state ? getPublicHolidays(inputs.state, careRange.startDate, careRange.endDate) : null;
+
+    // Booked days: a booking pattern gives its own weekdays; otherwise daily and
+    // session care is on the parents' shared work days and hourly care is spread
+    // across the week
+    const bookingDaysPerWeek = child => {
+      if (child.bookingPattern) {
+        return child.bookingPattern.daysPerWeek;
+      }
+      return child.feeType === 'hourly' ? WORK_DEFAULTS.FULL_TIME_DAYS_PER_WEEK : child.actualDaysNeeded;
+    };
+    const bookedDaysFor = child => {
+      if (child.bookingPattern) {
+        return child.bookingPattern.dayShares;
+      }
+      return child.feeType === 'hourly' ? [] : childcareDays;
+    };
+
+    careDays = children.map((child, index) => {
+      const calendar = inputs.children[index].careCalendar || {};
+      return buildCareDays(
+        publicHolidays ? { publicHolidays: publicHolidays.map(holiday => holiday.date), ...calendar } : calendar,
+        careRange.startDate,
+        careRange.endDate,
+        bookingDaysPerWeek(child),
+        bookedDaysFor(child)
+      );
+    });
+  }
+
+  // Date-range budgets: recalculate each period with that period's rate table
+  const periodChildren = new Map();
+  const childResultsFor = period => {
+    const rates = getPeriodRates(period);
+    if (!periodChildren.has(rates)) {
+      periodChildren.set(rates, calculateChildResults(household, inputs.children, rates, settings));
+    }
+    return periodChildren.get(rates);
+  };
+
+  let dateRange = null;
+  let annual;
+  if (hasDateRange) {
+    dateRange = calculateDateRangeCosts({
+      startDate,
+      endDate,
+      changeoverDates,
+      calculateWeekly: period => sumWeeklyCosts(childResultsFor(period)),
+      calculateSubtotal: hasCalendar
+        ? period => sumCalendarCosts(childResultsFor(period), careDays, period.startDate, period.endDate)
+        : undefined
+    });
+    annual = { ...dateRange.totals };
+  } else if (hasCalendar) {
+    annual = sumCalendarCosts(children, careDays, careRange.startDate, careRange.endDate);
+  } else {
+    annual = {
+      subsidy: calculateAnnualCost(weekly.subsidy, weeksPerYear),
+      grossSubsidy: calculateAnnualCost(weekly.grossSubsidy, weeksPerYear),
+      withheld: calculateAnnualCost(weekly.withheld, weeksPerYear),
+      fullCost: calculateAnnualCost(weekly.fullCost, weeksPerYear),
+      outOfPocket: calculateAnnualCost(weekly.outOfPocket, weeksPerYear)
+    };
+  }
+
+  // Childcare is paid from take-home pay, so net income is after each parent's tax
+  const parent1Tax = calculateTaxBreakdown(parent1Adjusted, financialYear);
+  const parent2Tax = calculateTaxBreakdown(parent2Adjusted, financialYear);
+  const incomeTax = parent1Tax.totalTax + parent2Tax.totalTax;
+  const afterTaxIncome = parent1Tax.afterTaxIncome + parent2Tax.afterTaxIncome;
+
+  return {
+    financialYear: resolveFinancialYear(financialYear),
+    parent1: {
+      baseIncome: parent1.income,
+      adjustedIncome: parent1Adjusted,
+      activityHoursPerFortnight: parent1HoursPerFortnight,
+      exemption: parent1.exemption,
+      incomeTax: parent1Tax.totalTax,
+      afterTaxIncome: parent1Tax.afterTaxIncome
+    },
+    parent2: {
+      baseIncome: parent2.income,
+      adjustedIncome: parent2Adjusted,
+      activityHoursPerFortnight: parent2HoursPerFortnight,
+      exemption: parent2.exemption,
+      incomeTax: parent2Tax.totalTax,
+      afterTaxIncome: parent2Tax.afterTaxIncome
+    },
+    householdIncome,
+    subsidisedHours,
+    children,
+    weekly,
+    annual,
+    dateRange,
+    careCalendar: hasCalendar
+      ? children.map((child, index) => (inputs.state || inputs.children[index].careCalendar
+        ? { childNumber: child.childNumber, ...summariseCareDays(careDays[index], careRange.startDate, careRange.endDate) }
+        : null))
+      : null,
+    publicHolidays,
+    incomeTax,
+    afterTaxIncome,
+    grossIncomeAfterChildcare: householdIncome - annual.outOfPocket,
+    netIncomeAfterChildcare: afterTaxIncome - annual.outOfPocket,
+    costPercentage: householdIncome > 0 ? (annual.outOfPocket / householdIncome) * 100 : 0,
+    withholdingRate,
+    careNeed
+  };
+}
@@ -0,0 +1,213 @@
+/**
+ * Income Sweep Module
+ * Re-runs the household calculation across a range of incomes so charts can
+ * show how subsidy, out-of-pocket cost and net income change as a family
+ * earns more, and where the rate band edges (the cliffs) fall.
+ */
+
+import { computeHousehold } from './household.js';
+import { calculateAdjustedIncome } from './income.js';
+import { getRosterIncomeDays } from './roster.js';
+import { calculateAnnualCost } from './costs.js';
+import { getRateTable, WORK_DEFAULTS } from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * What an income sweep varies
+ * HOUSEHOLD scales both parents' incomes, keeping their current split.
+ * PARENT1 / PARENT2 vary one parent's income; the other parent stays as entered.
+ */
+export const SWEEP_TARGETS = {
+  HOUSEHOLD: 'household',
+  PARENT1: 'parent1',
+  PARENT2: 'parent2'
+};
+
+/**
+ * Default sweep settings
+ */
+export const SWEEP_DEFAULTS = {
+  MIN_INCOME: 0,
+  MAX_HOUSEHOLD_INCOME: 450000,
+  MAX_PARENT_INCOME: 300000,
+  POINTS: 181
+};
+
+/**
+ * Get the rate band edges for a financial year
+ * Each marker is the first household income in a new band.
+ *
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {Array<Object>} Markers with householdIncome, rateType ('standard'|'higher') and label
+ */
+export function getRateBandMarkers(financialYear) {
+  const { STANDARD_RATE_THRESHOLDS, HIGHER_RATE_THRESHOLDS } = getRateTable(financialYear);
+
+  return [
+    { householdIncome: STANDARD_RATE_THRESHOLDS.TAPER_START, rateType: 'standard', label: 'Standard rate tapers from 90%' },
+    { householdIncome: HIGHER_RATE_THRESHOLDS.BAND1_START, rateType: 'higher', label: 'Higher rate tapers from 95%' },
+    { householdIncome: HIGHER_RATE_THRESHOLDS.BAND2_START, rateType: 'higher', label: 'Higher rate flat 80%' },
+    { householdIncome: HIGHER_RATE_THRESHOLDS.BAND3_START, rateType: 'higher', label: 'Higher rate tapers from 80%' },
+    { householdIncome: HIGHER_RATE_THRESHOLDS.BAND4_START, rateType: 'higher', label: 'Higher rate flat 50%' },
+    { householdIncome: HIGHER_RATE_THRESHOLDS.REVERT_TO_STANDARD, rateType: 'higher', label: 'Higher rate reverts to standard' },
+    { householdIncome: STANDARD_RATE_THRESHOLDS.MIN_ZERO_PERCENT, rateType: 'standard', label: 'Standard rate reaches 0%' }
+  ].sort((a, b) => a.householdIncome - b.householdIncome);
+}
+
+/**
+ * Adjusted income a parent currently contributes
+ *
+ * @param {Object} [parent] - Parent input ({ income, days, hours })
+ * @returns {number} Adjusted income (0 without income)
+ */
+function adjustedIncomeOf(parent = {}) {
+  return parent.income > 0 ? calculateAdjustedIncome(parent.income, parent.days || 0, parent.hours || 0) : 0;
+}
+
+/**
+ * Parent input with days set from its roster, if any
+ * Income is scaled by days worked, and a roster replaces the days entered.
+ *
+ * @param {Object} [parent] - Parent input
+ * @returns {Object} Parent input with days matching the roster
+ */
+function withRosterDays(parent = {}) {
+  return parent.roster ? { ...parent, days: getRosterIncomeDays(parent.roster) } : parent;
+}
+
+/**
+ * Build household inputs with one parent earning a given adjusted income
+ * Adjusted income is income × days ÷ 5, so the base income is scaled back up.
+ *
+ * @param {Object} parent - Parent input
+ * @param {number} adjustedIncome - Adjusted income wanted
+ * @returns {Object} Parent input with the matching base income
+ */
+function withAdjustedIncome(parent, adjustedIncome) {
+  return { ...parent, income: parent.days > 0 ? (adjustedIncome * 5) / parent.days : 0 };
+}
+
+/**
+ * Calculate subsidy, out-of-pocket cost and net income across an income range
+ *
+ * Points are spaced evenly across the range, plus one either side of every
+ * rate band edge inside it so the cliffs show as steps rather than slopes.
+ * For a single-parent sweep, band markers are moved onto that parent's income
+ * axis (household threshold less the other parent's adjusted income).
+ *
+ * @param {Object} inputs - Household inputs (see HouseholdInputs in household.js)
+ * @param {Object} [options] - computeHousehold options plus the settings below
+ * @param {string} [options.target='household'] - What to vary (from SWEEP_TARGETS)
+ * @param {number} [options.minIncome=0] - Lowest swept adjusted income
+ * @param {number} [options.maxIncome] - Highest swept adjusted income (default depends on target)
+ * @param {number} [options.points=181] - Evenly spaced points across the range
+ * @param {number} [options.weeksPerYear=52] - Weeks of care per year (date ranges are ignored)
+ * @returns {Object} target, financialYear, currentIncome, points and markers
+ * @throws {Error} If the target is unknown, the range is invalid or the swept parent has no work days
+ */
+export function calculateIncomeSweep(inputs, options = {}) {
+  const {
+    target = SWEEP_TARGETS.HOUSEHOLD,
+    minIncome = SWEEP_DEFAULTS.MIN_INCOME,
+    maxIncome = target === SWEEP_TARGETS.HOUSEHOLD
+      ? SWEEP_DEFAULTS.MAX_HOUSEHOLD_INCOME
+      : SWEEP_DEFAULTS.MAX_PARENT_INCOME,
+    points = SWEEP_DEFAULTS.POINTS,
+    weeksPerYear = WORK_DEFAULTS.WEEKS_PER_YEAR,
+    ...otherOptions
+  } = options;
+
+  // Sweeps are annual: a date-range budget would mix several years' rates
+  const { startDate: _startDate, endDate: _endDate, ...rest } = otherOptions;
+  const householdOptions = { ...rest, weeksPerYear };
+
+  if (!Object.values(SWEEP_TARGETS).includes(target)) {
+    throw new InputError(`Invalid sweep target: ${target}`);
+  }
+
+  if (typeof minIncome !== 'number' || typeof maxIncome !== 'number' || minIncome < 0 || maxIncome <= minIncome) {
+    throw new InputError('Sweep range must have a maximum above a non-negative minimum');
+  }
+
+  if (!Number.isInteger(points) || points < 2) {
+    throw new InputError('Sweep must have at least 2 points');
+  }
+
+  const parent1 = withRosterDays(inputs.parent1);
+  const parent2 = withRosterDays(inputs.parent2 || {});
+  const parent1Adjusted = adjustedIncomeOf(parent1);
+  const parent2Adjusted = adjustedIncomeOf(parent2);
+
+  let buildInputs;
+  let currentIncome;
+  let offset;
+
+  if (target === SWEEP_TARGETS.HOUSEHOLD) {
+    const total = parent1Adjusted + parent2Adjusted;
+    // Keep the current split; with no income yet it goes to whoever works
+    const parent1Share = total > 0 ? parent1Adjusted / total : (parent1.days > 0 ? 1 : 0);
+
+    if (total === 0 && !(parent1.days > 0) && !(parent2.days > 0)) {
+      throw new InputError('Neither parent has work days to sweep');
+    }
+
+    buildInputs = income => ({
+      ...inputs,
+      parent1: withAdjustedIncome(parent1, income * parent1Share),
+      parent2: inputs.parent2 ? withAdjustedIncome(parent2, income * (1 - parent1Share)) : inputs.parent2
+    });
+    currentIncome = total;
+    offset = 0;
+  } else {
+    const parent = target === SWEEP_TARGETS.PARENT1 ? parent1 : parent2;
+
+    if (!(parent.days > 0)) {
+      throw new InputError(`${target === SWEEP_TARGETS.PARENT1 ? 'Parent 1' : 'Parent 2'} has no work days to sweep`);
+    }
+
+    buildInputs = income => ({ ...inputs, [target]: withAdjustedIncome(parent, income) });
+    currentIncome = target === SWEEP_TARGETS.PARENT1 ? parent1Adjusted : parent2Adjusted;
+    offset = target === SWEEP_TARGETS.PARENT1 ? parent2Adjusted : parent1Adjusted;
+  }
+
+  const financialYear = computeHousehold(inputs, householdOptions).financialYear;
+  const markers = getRateBandMarkers(financialYear)
+    .map(marker => ({ ...marker, income: marker.householdIncome - offset }))
+    .filter(marker => marker.income > minIncome && marker.income <= maxIncome);
+
+  const incomes = new Set();
+  const step = (maxIncome - minIncome) / (points - 1);
+  for (let i = 0; i < points; i++) {
+    incomes.add(Math.round(minIncome + step * i));
+  }
+  markers.forEach(marker => {
+    incomes.add(marker.income - 1);
+    incomes.add(marker.income);
+  });
+
+  const sweepPoints = [...incomes]
+    .sort((a, b) => a - b)
+    .map(income => {
+      const household = computeHousehold(buildInputs(income), householdOptions);
+      return {
+        income,
+        householdIncome: Math.round(household.householdIncome),
+        annualSubsidy: household.annual.subsidy,
+        annualOutOfPocket: household.annual.outOfPocket,
+        netIncome: Math.round(household.netIncomeAfterChildcare * 100) / 100,
+        children: household.children.map(child => ({
+          childNumber: child.childNumber,
+          subsidyRate: child.subsidyRate,
+          annualOutOfPocket: calculateAnnualCost(child.weeklyOutOfPocket, weeksPerYear)
+        }))
+      };
+    });
+
+  return {
+    target,
+    financialYear,
+    currentIncome,
+    points: sweepPoints,
+    markers
+  };
+}
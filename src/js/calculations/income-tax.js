@@ -0,0 +1,166 @@
+/**
+ * Income Tax Calculation Module
+ * Estimates resident individual income tax, the low income tax offset and the
+ * Medicare levy for each parent, so net income reflects take-home pay rather
+ * than gross income.
+ *
+ * Each parent is taxed separately on their adjusted income. Deductions, other
+ * offsets, HELP repayments and the Medicare levy surcharge are not modelled.
+ */
+
+import { getTaxTable } from '../config/tax-config.js';
+
+/**
+ * Round a dollar amount to cents
+ *
+ * @param {number} amount - Amount in AUD
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate a taxable income amount
+ *
+ * @param {number} taxableIncome - Taxable income in AUD
+ */
+function assertTaxableIncome(taxableIncome) {
+  if (typeof taxableIncome !== 'number' || !Number.isFinite(taxableIncome) || taxableIncome < 0) {
+    throw new Error('Taxable income must be a non-negative number');
+  }
+}
+
+/**
+ * Calculate income tax from the resident tax brackets (before offsets)
+ * Each bracket's rate applies to the dollars between its threshold and the next.
+ *
+ * @param {number} taxableIncome - Annual taxable income in AUD
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} Income tax in AUD
+ */
+export function calculateIncomeTax(taxableIncome, financialYear) {
+  assertTaxableIncome(taxableIncome);
+
+  const { BRACKETS } = getTaxTable(financialYear);
+  let tax = 0;
+
+  BRACKETS.forEach((bracket, index) => {
+    const next = BRACKETS[index + 1];
+    const upper = next ? Math.min(taxableIncome, next.THRESHOLD) : taxableIncome;
+    if (upper > bracket.THRESHOLD) {
+      tax += (upper - bracket.THRESHOLD) * bracket.RATE;
+    }
+  });
+
+  return roundToCents(tax);
+}
+
+/**
+ * Calculate the low income tax offset (LITO)
+ * Full offset up to the first taper start, then reduced by the first taper rate
+ * to the second taper start and by the second taper rate after that.
+ *
+ * @param {number} taxableIncome - Annual taxable income in AUD
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} Offset in AUD (before limiting to the tax payable)
+ */
+export function calculateLowIncomeTaxOffset(taxableIncome, financialYear) {
+  assertTaxableIncome(taxableIncome);
+
+  const {
+    MAX_OFFSET,
+    FIRST_TAPER_START,
+    FIRST_TAPER_RATE,
+    SECOND_TAPER_START,
+    SECOND_TAPER_RATE
+  } = getTaxTable(financialYear).LOW_INCOME_OFFSET;
+
+  let offset = MAX_OFFSET;
+
+  if (taxableIncome > FIRST_TAPER_START) {
+    offset -= (Math.min(taxableIncome, SECOND_TAPER_START) - FIRST_TAPER_START) * FIRST_TAPER_RATE;
+  }
+
+  if (taxableIncome > SECOND_TAPER_START) {
+    offset -= (taxableIncome - SECOND_TAPER_START) * SECOND_TAPER_RATE;
+  }
+
+  return roundToCents(Math.max(0, offset));
+}
+
+/**
+ * Calculate the Medicare levy for an individual
+ * Nil up to the low-income threshold, then phased in on the income above the
+ * threshold until the full rate applies.
+ *
+ * @param {number} taxableIncome - Annual taxable income in AUD
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {number} Medicare levy in AUD
+ */
+export function calculateMedicareLevy(taxableIncome, financialYear) {
+  assertTaxableIncome(taxableIncome);
+
+  const { RATE, LOW_INCOME_THRESHOLD, PHASE_IN_RATE } = getTaxTable(financialYear).MEDICARE_LEVY;
+
+  if (taxableIncome <= LOW_INCOME_THRESHOLD) {
+    return 0;
+  }
+
+  const fullLevy = taxableIncome * RATE;
+  const phaseInLevy = (taxableIncome - LOW_INCOME_THRESHOLD) * PHASE_IN_RATE;
+
+  return roundToCents(Math.min(fullLevy, phaseInLevy));
+}
+
+/**
+ * Calculate total tax and take-home income for one person
+ * The low income tax offset is non-refundable, so it can reduce income tax to
+ * nil but not the Medicare levy.
+ *
+ * @param {number} taxableIncome - Annual taxable income in AUD
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {Object} Tax breakdown
+ * @returns {number} returns.taxableIncome - Income the tax was calculated on
+ * @returns {number} returns.incomeTax - Tax from the brackets, before offsets
+ * @returns {number} returns.lowIncomeOffset - Offset actually applied
+ * @returns {number} returns.medicareLevy - Medicare levy
+ * @returns {number} returns.totalTax - Income tax less offset, plus Medicare levy
+ * @returns {number} returns.afterTaxIncome - Taxable income less total tax
+ */
+export function calculateTaxBreakdown(taxableIncome, financialYear) {
+  const incomeTax = calculateIncomeTax(taxableIncome, financialYear);
+  const lowIncomeOffset = Math.min(incomeTax, calculateLowIncomeTaxOffset(taxableIncome, financialYear));
+  const medicareLevy = calculateMedicareLevy(taxableIncome, financialYear);
+  const totalTax = roundToCents(incomeTax - lowIncomeOffset + medicareLevy);
+
+  return {
+    taxableIncome,
+    incomeTax,
+    lowIncomeOffset,
+    medicareLevy,
+    totalTax,
+    afterTaxIncome: roundToCents(taxableIncome - totalTax)
+  };
+}
+
+/**
+ * Calculate combined after-tax income for a household
+ * Each parent is taxed on their own income; tax is not shared between partners.
+ *
+ * @param {number} parent1Income - Parent 1 taxable income
+ * @param {number} [parent2Income=0] - Parent 2 taxable income (0 for single parent)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {Object} Per-parent breakdowns plus household totalTax and afterTaxIncome
+ */
+export function calculateHouseholdAfterTaxIncome(parent1Income, parent2Income = 0, financialYear) {
+  const parent1 = calculateTaxBreakdown(parent1Income, financialYear);
+  const parent2 = calculateTaxBreakdown(parent2Income, financialYear);
+
+  return {
+    parent1,
+    parent2,
+    totalTax: roundToCents(parent1.totalTax + parent2.totalTax),
+    afterTaxIncome: roundToCents(parent1.afterTaxIncome + parent2.afterTaxIncome)
+  };
+}
@@ -0,0 +1,308 @@
+/**
+ * Income Timeline Module
+ * Models income and work pattern changes during the year (a promotion, a
+ * stretch of parental leave, a part-time return to work) and projects
+ * subsidy week by week.
+ *
+ * CCS is assessed on adjusted taxable income for the whole financial year, so
+ * by default every week uses the financial-year income the timeline adds up
+ * to. The activity test and care need follow each week's work pattern.
+ */
+
+import { computeHousehold } from './household.js';
+import { calculateAdjustedIncome } from './income.js';
+import { getRosterIncomeDays } from './roster.js';
+import { toDayNumber, fromDayNumber } from './care-periods.js';
+import { getFinancialYearForDate, resolveFinancialYear } from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+const DAYS_PER_WEEK = 7;
+const PARENTS = ['parent1', 'parent2'];
+const CHANGE_FIELDS = ['income', 'days', 'hours'];
+
+/**
+ * Which income sets each week's subsidy rate
+ * FINANCIAL_YEAR uses the income the timeline adds up to over the financial
+ * year, which is what reconciliation uses.
+ * CURRENT uses the pay in force that week as if it continued all year, which
+ * is what is paid when the income estimate is updated at each change.
+ */
+export const INCOME_BASES = {
+  FINANCIAL_YEAR: 'financial-year',
+  CURRENT: 'current'
+};
+
+/**
+ * @typedef {Object} IncomeChange
+ * @property {string} date - Date the change takes effect (YYYY-MM-DD)
+ * @property {'parent1'|'parent2'} parent - Parent whose income or work pattern changes
+ * @property {number} [income] - New full-time equivalent annual income
+ * @property {number} [days] - New work days per week (0-5)
+ * @property {number} [hours] - New work hours per day
+ * @property {string} [label] - Description (e.g. 'Parental leave')
+ */
+
+/**
+ * Validate and sort a household's income changes by date
+ *
+ * @param {Array<IncomeChange>} [changes] - Income changes
+ * @returns {Array<Object>} Changes with a dayNumber, earliest first
+ * @throws {Error} If a change is malformed
+ */
+function normaliseChanges(changes = []) {
+  if (!Array.isArray(changes)) {
+    throw new InputError('Income changes must be an array');
+  }
+
+  return changes
+    .map((change, index) => {
+      const label = `Income change ${index + 1}`;
+
+      if (!change || !PARENTS.includes(change.parent)) {
+        throw new InputError(`${label} must be for parent1 or parent2`);
+      }
+
+      CHANGE_FIELDS.forEach(field => {
+        const value = change[field];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+          throw new InputError(`${label} ${field} must be a non-negative number`);
+        }
+      });
+
+      if (change.days > 5) {
+        throw new InputError(`${label} days must be between 0 and 5`);
+      }
+
+      return { ...change, index, dayNumber: toDayNumber(change.date, `${label} date`) };
+    })
+    .sort((a, b) => a.dayNumber - b.dayNumber || a.index - b.index);
+}
+
+/**
+ * Apply every change up to a date to one parent's inputs
+ *
+ * @param {Object} [parent] - Parent input as entered
+ * @param {Array<Object>} changes - Normalised changes for that parent
+ * @param {number} dayNumber - Day to apply changes up to (inclusive)
+ * @returns {Object} Parent input in force on that day
+ */
+function parentOnDay(parent = {}, changes, dayNumber) {
+  return changes
+    .filter(change => change.dayNumber <= dayNumber)
+    .reduce((current, change) => {
+      const updated = { ...current };
+      CHANGE_FIELDS.forEach(field => {
+        if (change[field] !== undefined) {
+          updated[field] = change[field];
+        }
+      });
+      // New days or hours replace the roster they were averaged from
+      if (change.days !== undefined || change.hours !== undefined) {
+        delete updated.roster;
+      }
+      return updated;
+    }, { ...parent });
+}
+
+/**
+ * Adjusted income a parent's pay works out to over a full year
+ *
+ * @param {Object} parent - Parent input
+ * @returns {number} Adjusted annual income
+ */
+function annualAdjustedIncome(parent) {
+  const days = parent.roster ? getRosterIncomeDays(parent.roster) : parent.days || 0;
+  return parent.income > 0 ? calculateAdjustedIncome(parent.income, days, parent.hours || 0) : 0;
+}
+
+/**
+ * Get the parents' inputs in force on a date
+ * Changes on or before the date are applied in date order; fields a change
+ * leaves out keep their previous value.
+ *
+ * @param {Object} inputs - Household inputs with optional incomeChanges
+ * @param {string|Date} date - Date to look up (YYYY-MM-DD)
+ * @returns {Object} parent1 and parent2 inputs on that date
+ */
+export function getParentsOnDate(inputs, date) {
+  const changes = normaliseChanges(inputs.incomeChanges);
+  const dayNumber = toDayNumber(date, 'Date');
+
+  return {
+    parent1: parentOnDay(inputs.parent1, changes.filter(change => change.parent === 'parent1'), dayNumber),
+    parent2: parentOnDay(inputs.parent2, changes.filter(change => change.parent === 'parent2'), dayNumber)
+  };
+}
+
+/**
+ * Calculate each parent's adjusted income for a financial year from the timeline
+ * Each stretch between changes counts for the share of the year's days it covers:
+ * Income = Σ (Adjusted Annual Income × Days in Force ÷ Days in Year)
+ *
+ * @param {Object} inputs - Household inputs with optional incomeChanges
+ * @param {string|Date} financialYear - Financial year ('2025-26') or a date inside it
+ * @returns {Object} financialYear, startDate, endDate, parent1, parent2, householdIncome and segments
+ */
+export function calculateTimelineIncome(inputs, financialYear) {
+  const year = /^\d{4}-\d{2}$/.test(financialYear) ? financialYear : getFinancialYearForDate(financialYear);
+  const startYear = Number(year.slice(0, 4));
+  const start = toDayNumber(`${startYear}-07-01`, 'Start date');
+  const end = toDayNumber(`${startYear + 1}-06-30`, 'End date');
+  const daysInYear = end - start + 1;
+
+  const changes = normaliseChanges(inputs.incomeChanges);
+  const changeDays = [...new Set(changes.map(change => change.dayNumber))]
+    .filter(day => day > start && day <= end);
+
+  const totals = { parent1: 0, parent2: 0 };
+  const segments = [start, ...changeDays].map((segmentStart, index, starts) => {
+    const segmentEnd = index + 1 < starts.length ? starts[index + 1] - 1 : end;
+    const days = segmentEnd - segmentStart + 1;
+    const parents = getParentsOnDate(inputs, fromDayNumber(segmentStart));
+    const parent1Income = annualAdjustedIncome(parents.parent1);
+    const parent2Income = annualAdjustedIncome(parents.parent2);
+
+    totals.parent1 += parent1Income * days / daysInYear;
+    totals.parent2 += parent2Income * days / daysInYear;
+
+    return {
+      startDate: fromDayNumber(segmentStart),
+      endDate: fromDayNumber(segmentEnd),
+      days,
+      parent1Income,
+      parent2Income
+    };
+  });
+
+  const parent1 = Math.round(totals.parent1 * 100) / 100;
+  const parent2 = Math.round(totals.parent2 * 100) / 100;
+
+  return {
+    financialYear: year,
+    startDate: fromDayNumber(start),
+    endDate: fromDayNumber(end),
+    parent1,
+    parent2,
+    householdIncome: Math.round((parent1 + parent2) * 100) / 100,
+    segments
+  };
+}
+
+/**
+ * Project subsidy, subsidised hours and gap fee week by week
+ *
+ * Weeks run in 7-day steps from the start date; the last week may be shorter
+ * and is costed pro rata. Each week uses the work pattern in force on its
+ * first day, so a change part-way through a week applies from the next week.
+ *
+ * @param {Object} inputs - Household inputs with optional incomeChanges (see HouseholdInputs in household.js)
+ * @param {Object} [options] - computeHousehold options plus the settings below
+ * @param {string|Date} [options.startDate] - First day projected (default: 1 July of the input financial year)
+ * @param {string|Date} [options.endDate] - Last day projected (default: the following 30 June)
+ * @param {string} [options.incomeBasis='financial-year'] - Income used for the subsidy rate (from INCOME_BASES)
+ * @returns {Object} startDate, endDate, incomeBasis, incomes per financial year, weeks and totals
+ * @throws {Error} If the income basis is unknown or a change is malformed
+ */
+export function calculateWeeklyProjection(inputs, options = {}) {
+  const {
+    startDate,
+    endDate,
+    incomeBasis = INCOME_BASES.FINANCIAL_YEAR,
+    changeoverDates: _changeoverDates,
+    ...householdOptions
+  } = options;
+
+  if (!Object.values(INCOME_BASES).includes(incomeBasis)) {
+    throw new InputError(`Invalid income basis: ${incomeBasis}`);
+  }
+
+  const financialYear = resolveFinancialYear(inputs.financialYear ?? startDate);
+  const defaultStartYear = Number(financialYear.slice(0, 4));
+  const start = toDayNumber(startDate ?? `${defaultStartYear}-07-01`, 'Start date');
+  const end = toDayNumber(endDate ?? `${defaultStartYear + 1}-06-30`, 'End date');
+
+  if (end < start) {
+    throw new InputError('End date must be on or after start date');
+  }
+
+  const changes = normaliseChanges(inputs.incomeChanges);
+  const yearIncomes = {};
+  const incomeForYear = year => {
+    if (!yearIncomes[year]) {
+      yearIncomes[year] = calculateTimelineIncome(inputs, year);
+    }
+    return yearIncomes[year];
+  };
+
+  const weeks = [];
+  for (let weekStart = start, weekNumber = 1; weekStart <= end; weekStart += DAYS_PER_WEEK, weekNumber++) {
+    const weekEnd = Math.min(weekStart + DAYS_PER_WEEK - 1, end);
+    const days = weekEnd - weekStart + 1;
+    const weekStartDate = fromDayNumber(weekStart);
+    const weekYear = getFinancialYearForDate(weekStartDate);
+    const parents = getParentsOnDate(inputs, weekStartDate);
+    const yearIncome = incomeForYear(weekYear);
+
+    const basisIncome = incomeBasis === INCOME_BASES.FINANCIAL_YEAR
+      ? yearIncome
+      : { parent1: annualAdjustedIncome(parents.parent1), parent2: annualAdjustedIncome(parents.parent2) };
+
+    const household = computeHousehold({
+      ...inputs,
+      financialYear: weekStartDate,
+      parent1: { ...parents.parent1, adjustedIncome: basisIncome.parent1 },
+      // A single parent stays single until a change gives them a partner
+      parent2: inputs.parent2 || Object.keys(parents.parent2).length > 0
+        ? { ...parents.parent2, adjustedIncome: basisIncome.parent2 }
+        : null
+    }, householdOptions);
+
+    // Changes since the previous week started (or on the first day)
+    const previousStart = weekNumber === 1 ? weekStart - 1 : weekStart - DAYS_PER_WEEK;
+    const share = amount => Math.round(amount * days / DAYS_PER_WEEK * 100) / 100;
+
+    weeks.push({
+      weekNumber,
+      startDate: weekStartDate,
+      endDate: fromDayNumber(weekEnd),
+      days,
+      financialYear: weekYear,
+      ratesFinancialYear: household.financialYear,
+      parent1: { income: parents.parent1.income || 0, days: parents.parent1.days || 0, hours: parents.parent1.hours || 0 },
+      parent2: { income: parents.parent2.income || 0, days: parents.parent2.days || 0, hours: parents.parent2.hours || 0 },
+      householdIncome: household.householdIncome,
+      subsidisedHoursPerFortnight: household.subsidisedHours.hoursPerFortnight,
+      children: household.children.map(child => ({
+        childNumber: child.childNumber,
+        subsidyRate: child.subsidyRate,
+        subsidisedHoursPerFortnight: child.subsidisedHoursPerFortnight,
+        outOfPocket: share(child.weeklyOutOfPocket)
+      })),
+      subsidy: share(household.weekly.subsidy),
+      grossSubsidy: share(household.weekly.grossSubsidy),
+      withheld: share(household.weekly.withheld),
+      fullCost: share(household.weekly.fullCost),
+      outOfPocket: share(household.weekly.outOfPocket),
+      changes: changes
+        .filter(change => change.dayNumber > previousStart && change.dayNumber <= weekStart)
+        .map(change => change.label || `${change.parent === 'parent1' ? 'Parent 1' : 'Parent 2'} change`)
+    });
+  }
+
+  const sumOf = key => Math.round(weeks.reduce((sum, week) => sum + week[key], 0) * 100) / 100;
+
+  return {
+    startDate: fromDayNumber(start),
+    endDate: fromDayNumber(end),
+    incomeBasis,
+    incomes: Object.values(yearIncomes),
+    weeks,
+    totals: {
+      subsidy: sumOf('subsidy'),
+      grossSubsidy: sumOf('grossSubsidy'),
+      withheld: sumOf('withheld'),
+      fullCost: sumOf('fullCost'),
+      outOfPocket: sumOf('outOfPocket')
+    }
+  };
+}
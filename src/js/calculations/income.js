@@ -4,6 +4,8 @@
  * Based on 2025-26 CCS policy requirements
  */
 
+import { InputError } from '../utils/input-error.js';
+
 /**
  * Calculate adjusted income for a single parent
  * Formula: (Base Annual Income) × (Work Days per Week ÷ 5)
@@ -105,15 +107,15 @@ export function splitHouseholdIncome(combinedIncome, parent1Ratio = 0.5) {
  */
 export function validateIncome(income, minIncome = 0, maxIncome = 10000000) {
   if (typeof income !== 'number' || isNaN(income)) {
-    throw new Error('Income must be a valid number');
+    throw new InputError('Income must be a valid number');
   }
 
   if (income < minIncome) {
-    throw new Error(`Income must be at least ${minIncome}`);
+    throw new InputError(`Income must be at least ${minIncome}`);
   }
 
   if (income > maxIncome) {
-    throw new Error(`Income must not exceed ${maxIncome}`);
+    throw new InputError(`Income must not exceed ${maxIncome}`);
   }
 
   return true;
@@ -4,25 +4,61 @@
  * Determines which specific days childcare is needed
  */
 
-import { DAYS_OF_WEEK, DAYS_OF_WEEK_LABELS } from '../config/ccs-config.js';
+import {
+  DAYS_OF_WEEK,
+  DAYS_OF_WEEK_LABELS,
+  ROSTER_DAYS,
+  ROSTER_WEEKS,
+  CHILDCARE_DEFAULTS,
+  WORK_DEFAULTS
+} from '../config/ccs-config.js';
+import {
+  normaliseRoster,
+  rosterFromWorkDays,
+  getRosterWorkDays,
+  isTimedRoster,
+  calculateShiftCareNeed
+} from './roster.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * Check whether a parent's schedule is a roster rather than a list of days
+ * @param {Array} days - Work days or roster weeks
+ * @returns {boolean} True for a roster (an array of weeks of hours by day)
+ */
+function isRoster(days) {
+  return days.length > 0 && typeof days[0] === 'object' && days[0] !== null;
+}
 
 /**
  * Calculate minimum childcare days needed based on parent work schedules
  * Key insight: Childcare is only needed on days when BOTH parents are working.
  * If either parent is home on a given day, they can care for the children.
  *
- * @param {Array<string>} parent1Days - Array of days parent 1 works (e.g., ['monday', 'tuesday', 'wednesday'])
- * @param {Array<string>} parent2Days - Array of days parent 2 works (empty array if single parent)
+ * Either parent can give a fortnightly roster (see roster.js) instead of a
+ * weekly list of days; the other parent's days then repeat each week and care
+ * is worked out for each week of the fortnight (see calculateFortnightChildcareDays).
+ *
+ * @param {Array<string>|Array<Object>} parent1Days - Array of days parent 1 works (e.g., ['monday', 'tuesday', 'wednesday']) or roster
+ * @param {Array<string>|Array<Object>} parent2Days - Array of days parent 2 works (empty array if single parent) or roster
  * @returns {Object} Result with childcareDays array and breakdown
  */
 export function calculateMinimumChildcareDays(parent1Days = [], parent2Days = []) {
   // Validation
   if (!Array.isArray(parent1Days)) {
-    throw new Error('Parent 1 days must be an array');
+    throw new InputError('Parent 1 days must be an array');
   }
 
   if (!Array.isArray(parent2Days)) {
-    throw new Error('Parent 2 days must be an array');
+    throw new InputError('Parent 2 days must be an array');
+  }
+
+  if (isRoster(parent1Days) || isRoster(parent2Days)) {
+    const toRoster = (days, name) => (isRoster(days) ? normaliseRoster(days, name) : rosterFromWorkDays(days, 0));
+    return calculateFortnightChildcareDays(
+      toRoster(parent1Days, 'Parent 1 roster'),
+      toRoster(parent2Days, 'Parent 2 roster')
+    );
   }
 
   // Single parent or parent 2 not working - need care on all parent 1 work days
@@ -43,8 +79,7 @@ export function calculateMinimumChildcareDays(parent1Days = [], parent2Days = []
   // Two parents: childcare needed only when BOTH parents are working
   // Intersection of both parents' work days (days when neither parent is home)
   const childcareDays = parent1Days.filter(day => parent2Days.includes(day)).sort((a, b) => {
-    const order = Object.values(DAYS_OF_WEEK);
-    return order.indexOf(a) - order.indexOf(b);
+    return ROSTER_DAYS.indexOf(a) - ROSTER_DAYS.indexOf(b);
   });
 
   // Calculate overlapping days (both parents working) - same as childcare days
@@ -71,6 +106,81 @@ export function calculateMinimumChildcareDays(parent1Days = [], parent2Days = []
   };
 }
 
+/**
+ * Calculate childcare days for each week of a fortnightly roster
+ * Each week is worked out as a weekly schedule; the fortnight's results list
+ * every day care is needed in either week, and daysCount is the average per week.
+ * Parent 2 is a single parent's absent partner only if they work neither week;
+ * a rostered-off week means they are home all week.
+ *
+ * When every shift has start and end times, care days come from the hours
+ * both parents are at work (see calculateShiftCareNeed), so a day both work
+ * non-overlapping shifts needs no care, and care through a night shift
+ * counts on the day it starts.
+ *
+ * @param {Array<Object>} parent1Roster - Parent 1 normalised roster
+ * @param {Array<Object>} parent2Roster - Parent 2 normalised roster (weeks with no days if single parent)
+ * @returns {Object} Result in the shape of calculateMinimumChildcareDays plus daysPerFortnight,
+ *   fortnight (one result per week) and careBlocks (each stretch of care, or null without shift times)
+ */
+export function calculateFortnightChildcareDays(parent1Roster, parent2Roster) {
+  const parent2Weeks = getRosterWorkDays(parent2Roster);
+  const singleParent = parent2Weeks.every(days => days.length === 0);
+  const shiftCare = isTimedRoster(parent1Roster) && (singleParent || isTimedRoster(parent2Roster))
+    ? calculateShiftCareNeed(parent1Roster, singleParent ? null : parent2Roster)
+    : null;
+
+  const fortnight = getRosterWorkDays(parent1Roster).map((parent1Days, index) => {
+    const parent2Days = parent2Weeks[index];
+    const working = singleParent || parent2Days.length > 0;
+    let week = working
+      ? calculateMinimumChildcareDays(parent1Days, parent2Days)
+      : {
+        childcareDays: [],
+        daysCount: 0,
+        parent1WorkDays: parent1Days,
+        parent2WorkDays: [],
+        overlappingDays: [],
+        parent1OnlyDays: parent1Days,
+        parent2OnlyDays: [],
+        daysWithoutCare: getDaysWithoutCare([]),
+        explanation: `Parent 1: ${parent1Days.map(day => DAYS_OF_WEEK_LABELS[day]).join(', ') || 'None'}. Parent 2 is home all week.`
+      };
+
+    if (shiftCare && working) {
+      const childcareDays = shiftCare.careDays[index];
+      week = {
+        ...week,
+        childcareDays,
+        daysCount: childcareDays.length,
+        daysWithoutCare: getDaysWithoutCare(childcareDays),
+        explanation: generateExplanation(parent1Days, parent2Days, childcareDays)
+      };
+    }
+
+    return { week: index + 1, ...week };
+  });
+
+  const daysInEitherWeek = key => ROSTER_DAYS.filter(day => fortnight.some(week => week[key].includes(day)));
+  const childcareDays = daysInEitherWeek('childcareDays');
+  const daysPerFortnight = fortnight.reduce((sum, week) => sum + week.daysCount, 0);
+
+  return {
+    childcareDays,
+    daysCount: daysPerFortnight / ROSTER_WEEKS,
+    daysPerFortnight,
+    parent1WorkDays: daysInEitherWeek('parent1WorkDays'),
+    parent2WorkDays: daysInEitherWeek('parent2WorkDays'),
+    overlappingDays: daysInEitherWeek('overlappingDays'),
+    parent1OnlyDays: daysInEitherWeek('parent1OnlyDays'),
+    parent2OnlyDays: daysInEitherWeek('parent2OnlyDays'),
+    daysWithoutCare: ROSTER_DAYS.filter(day => !childcareDays.includes(day)),
+    fortnight,
+    careBlocks: shiftCare ? shiftCare.careBlocks : null,
+    explanation: fortnight.map(week => `Week ${week.week}: ${week.explanation}`).join(' ')
+  };
+}
+
 /**
  * Get days of the week without childcare needed
  * For single parent: days not working
@@ -152,17 +262,218 @@ export function calculateCostSavings(totalDays, childcareDays, dailyRate) {
   };
 }
 
+/**
+ * Find the public holidays that fall on childcare days
+ * @param {Array<string>} childcareDays - Weekdays care is booked (e.g., ['monday', 'tuesday'])
+ * @param {Array<Object>} publicHolidays - Holidays ({ date: 'YYYY-MM-DD', name })
+ * @returns {Array<Object>} Holidays on childcare days, with their weekday added
+ */
+export function findPublicHolidaysOnCareDays(childcareDays, publicHolidays) {
+  const weekdays = Object.values(DAYS_OF_WEEK);
+
+  return publicHolidays
+    .map(holiday => ({
+      ...holiday,
+      // getUTCDay(): 0 = Sunday, so Monday to Friday map to weekdays[0..4]
+      day: weekdays[new Date(`${holiday.date}T00:00:00Z`).getUTCDay() - 1]
+    }))
+    .filter(holiday => childcareDays.includes(holiday.day));
+}
+
+/**
+ * Find booked days when a parent is home to care for the child
+ * Weekly work days repeat every week, so each week of a fortnightly booking
+ * pattern is checked against the same schedule. With a parent roster, a
+ * one-week pattern repeats and each week is checked against that roster week.
+ *
+ * @param {Array<Object>} bookingPattern - Normalised booking pattern (see booking-pattern.js)
+ * @param {Object} scheduleResult - Result from calculateMinimumChildcareDays
+ * @returns {Array<Object>} Warnings with week (1-based), day, parentsHome and message
+ */
+export function findBookingConflicts(bookingPattern, scheduleResult) {
+  const weeks = scheduleResult.fortnight ? ROSTER_WEEKS : bookingPattern.length;
+  const showWeek = weeks > 1;
+  const hasParent2 = scheduleResult.parent2WorkDays.length > 0;
+
+  return Array.from({ length: weeks }, (_, index) => index).flatMap(index => {
+    const week = bookingPattern[index % bookingPattern.length];
+    const { childcareDays, parent1WorkDays, parent2WorkDays } = scheduleResult.fortnight
+      ? scheduleResult.fortnight[index]
+      : scheduleResult;
+
+    return Object.keys(week)
+      .filter(day => !childcareDays.includes(day))
+      .map(day => {
+        const parentsHome = [];
+        if (!parent1WorkDays.includes(day)) {
+          parentsHome.push('parent1');
+        }
+        if (hasParent2 && !parent2WorkDays.includes(day)) {
+          parentsHome.push('parent2');
+        }
+
+        // Both parents rostered on with shifts that do not overlap
+        let who = 'a parent is';
+        if (parentsHome.length === 2) {
+          who = 'both parents are';
+        } else if (parentsHome.length === 1) {
+          who = `Parent ${parentsHome[0] === 'parent1' ? 1 : 2} is`;
+        }
+        const when = showWeek ? `Week ${index + 1} ${DAYS_OF_WEEK_LABELS[day]}` : DAYS_OF_WEEK_LABELS[day];
+
+        return {
+          week: index + 1,
+          day,
+          parentsHome,
+          message: `${when} is booked but ${who} home`
+        };
+      });
+  });
+}
+
+/**
+ * Format a number of hours for an explanation
+ * @param {number} hours - Hours
+ * @returns {string} e.g. '1 hour' or '7.6 hours'
+ */
+function formatHours(hours) {
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Check a parent's commute and return it in hours each way
+ * @param {Object} parent - Parent schedule with optional commuteHours
+ * @param {string} name - Name used in error messages (e.g. 'Parent 1')
+ * @returns {number} Commute hours each way (0 when not given)
+ * @throws {Error} If the commute is not between 0 and MAX_COMMUTE_HOURS
+ */
+export function getCommuteHours(parent, name = 'Parent') {
+  const commuteHours = parent?.commuteHours ?? 0;
+
+  if (typeof commuteHours !== 'number' || !Number.isFinite(commuteHours) ||
+      commuteHours < 0 || commuteHours > WORK_DEFAULTS.MAX_COMMUTE_HOURS) {
+    throw new InputError(`${name} commute must be between 0 and ${WORK_DEFAULTS.MAX_COMMUTE_HOURS} hours each way`);
+  }
+
+  return commuteHours;
+}
+
+/**
+ * Work out how long a child is in care on a work day
+ * Each parent is away for their work hours plus a commute each way. On a day
+ * both parents work, they are assumed to start work at the same time, so care
+ * starts when the drop-off parent leaves home and ends when the pick-up parent
+ * gets back:
+ * Care Hours = Drop-off Commute + Pick-up Hours + Pick-up Commute
+ * Without a parent marked for drop-off (or pick-up), the parent who leaves
+ * first (or gets home last) does it. With one parent at work, care covers
+ * their hours plus both commutes.
+ *
+ * @param {Object} parent1 - { hours, commuteHours?, dropOff?, pickUp? } (dropOff and pickUp: does this parent do it)
+ * @param {Object|null} [parent2] - Second parent at work that day, in the same shape (null if only parent 1 works)
+ * @returns {Object} hours of care, dropOffBy and pickUpBy ('parent1' or 'parent2') and explanation
+ * @throws {Error} If a commute is out of range or both parents are marked for the drop-off or the pick-up
+ */
+export function calculateCareDayLength(parent1, parent2 = null) {
+  const parents = [parent1, parent2].filter(Boolean).map((parent, index) => ({
+    key: `parent${index + 1}`,
+    label: `Parent ${index + 1}`,
+    hours: parent.hours || 0,
+    commuteHours: getCommuteHours(parent, `Parent ${index + 1}`),
+    dropOff: Boolean(parent.dropOff),
+    pickUp: Boolean(parent.pickUp)
+  }));
+
+  if (parents.length === 1) {
+    const [{ hours, commuteHours }] = parents;
+    const careHours = Math.min(24, Math.round((hours + 2 * commuteHours) * 100) / 100);
+    const travel = commuteHours > 0 ? ` plus a ${formatHours(commuteHours)} commute each way` : '';
+
+    return {
+      hours: careHours,
+      dropOffBy: 'parent1',
+      pickUpBy: 'parent1',
+      explanation: `${formatHours(hours)} of work${travel}: ${formatHours(careHours)} of care a day.`
+    };
+  }
+
+  if (parents.every(parent => parent.dropOff)) {
+    throw new InputError('Only one parent can do the drop-off');
+  }
+  if (parents.every(parent => parent.pickUp)) {
+    throw new InputError('Only one parent can do the pick-up');
+  }
+
+  // Ties go to parent 1
+  const dropOff = parents.find(parent => parent.dropOff) ||
+    parents.reduce((first, parent) => (parent.commuteHours > first.commuteHours ? parent : first));
+  const pickUp = parents.find(parent => parent.pickUp) ||
+    parents.reduce((last, parent) => (
+      parent.hours + parent.commuteHours > last.hours + last.commuteHours ? parent : last
+    ));
+  const careHours = Math.min(24, Math.round((dropOff.commuteHours + pickUp.hours + pickUp.commuteHours) * 100) / 100);
+
+  const leaves = dropOff.commuteHours > 0 ? `${formatHours(dropOff.commuteHours)} before work` : 'on the way to work';
+  const returns = pickUp.commuteHours > 0
+    ? `${formatHours(pickUp.commuteHours)} after ${formatHours(pickUp.hours)} of work`
+    : `after ${formatHours(pickUp.hours)} of work`;
+
+  return {
+    hours: careHours,
+    dropOffBy: dropOff.key,
+    pickUpBy: pickUp.key,
+    explanation: `${dropOff.label} drops off ${leaves} and ${pickUp.label} picks up ${returns}: ` +
+      `${formatHours(careHours)} of care a day.`
+  };
+}
+
+/**
+ * Find care a centre is unlikely to cover
+ * Long day care and OSHC usually open weekdays from CENTRE_OPENS to
+ * CENTRE_CLOSES. Care on weekends, overnight or outside those hours is
+ * flagged unless the care type is one that covers them (family day care,
+ * in-home care).
+ *
+ * @param {Object} scheduleResult - Result from calculateFortnightChildcareDays
+ * @param {string} careType - Child's care type (e.g. 'centre-based')
+ * @returns {Array<Object>} Warnings with week (1-based), day, startTime, endTime and message
+ */
+export function findOutOfHoursCare(scheduleResult, careType) {
+  if (!scheduleResult.careBlocks || CHILDCARE_DEFAULTS.EXTENDED_HOURS_CARE_TYPES.includes(careType)) {
+    return [];
+  }
+
+  return scheduleResult.careBlocks
+    .filter(block => block.outsideCentreHours)
+    .map(({ week, day, startTime, endTime }) => ({
+      week,
+      day,
+      startTime,
+      endTime,
+      message: `Week ${week} ${DAYS_OF_WEEK_LABELS[day]} ${startTime}–${endTime} is outside usual centre hours; ` +
+        'family day care or in-home care may cover it'
+    }));
+}
+
 /**
  * Format schedule breakdown for display
  * @param {Object} scheduleResult - Result from calculateMinimumChildcareDays
+ * @param {Object} [options] - Extra detail to include
+ * @param {Array<Object>|null} [options.publicHolidays] - The state's public holidays for the year
+ * @param {Object|null} [options.careDay] - Result from calculateCareDayLength; adds the suggested session length
  * @returns {Object} Formatted breakdown for UI display
  */
-export function formatScheduleBreakdown(scheduleResult) {
+export function formatScheduleBreakdown(scheduleResult, options = {}) {
   const formatDayList = (days) => {
     if (days.length === 0) return 'None';
     return days.map(d => DAYS_OF_WEEK_LABELS[d]).join(', ');
   };
 
+  const { publicHolidays = null, careDay = null } = options;
+  const holidaysOnCareDays = publicHolidays
+    ? findPublicHolidaysOnCareDays(scheduleResult.childcareDays, publicHolidays)
+    : null;
+
   return {
     parent1Days: formatDayList(scheduleResult.parent1WorkDays),
     parent2Days: formatDayList(scheduleResult.parent2WorkDays),
@@ -171,6 +482,12 @@ export function formatScheduleBreakdown(scheduleResult) {
     overlappingDays: formatDayList(scheduleResult.overlappingDays),
     parent1OnlyDays: formatDayList(scheduleResult.parent1OnlyDays),
     parent2OnlyDays: formatDayList(scheduleResult.parent2OnlyDays),
-    explanation: scheduleResult.explanation
+    explanation: careDay ? `${scheduleResult.explanation} ${careDay.explanation}` : scheduleResult.explanation,
+    sessionLength: careDay ? `At least ${formatHours(careDay.hours)} a day` : null,
+    publicHolidays: holidaysOnCareDays === null
+      ? null
+      : holidaysOnCareDays.length === 0
+        ? 'None'
+        : `${holidaysOnCareDays.length} (${holidaysOnCareDays.map(holiday => holiday.name).join(', ')})`
   };
 }
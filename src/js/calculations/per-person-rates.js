@@ -6,17 +6,22 @@
  * This helps families understand the impact of childcare costs on each parent's income.
  */
 
-import { HIGHER_RATE_THRESHOLDS } from '../config/ccs-config.js';
+import { getRateTable, WORK_DEFAULTS } from '../config/ccs-config.js';
+import { calculateTaxBreakdown } from './income-tax.js';
+import { computeHousehold, calculateCareNeededByParents } from './household.js';
+import { getRosterIncomeDays } from './roster.js';
+import { InputError } from '../utils/input-error.js';
 
 /**
  * Calculate effective rates per person
  *
- * @param {number} parent1Income - Parent 1's annual income
- * @param {number} parent2Income - Parent 2's annual income
+ * @param {number} parent1Income - Parent 1's adjusted annual income (for the days they work)
+ * @param {number} parent2Income - Parent 2's adjusted annual income (for the days they work)
  * @param {number} annualOutOfPocket - Total annual out-of-pocket childcare cost
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date for tax rates
  * @returns {Object} Per-person rate information
  */
-export function calculatePerPersonRates(parent1Income, parent2Income, annualOutOfPocket) {
+export function calculatePerPersonRates(parent1Income, parent2Income, annualOutOfPocket, financialYear) {
   const weeklyOutOfPocket = annualOutOfPocket / 52;
   const monthlyOutOfPocket = annualOutOfPocket / 12;
   const dailyOutOfPocket = weeklyOutOfPocket / 5; // Assuming 5-day work week
@@ -41,9 +46,11 @@ export function calculatePerPersonRates(parent1Income, parent2Income, annualOutO
   const parent1AnnualRate = parent1Income > 0 ? annualOutOfPocket : 0;
   const parent2AnnualRate = parent2Income > 0 ? annualOutOfPocket : 0;
 
-  // Calculate net income after childcare
-  const parent1NetIncome = parent1Income > 0 ? parent1Income - annualOutOfPocket : 0;
-  const parent2NetIncome = parent2Income > 0 ? parent2Income - annualOutOfPocket : 0;
+  // Childcare is paid from take-home pay, so net income is after tax and childcare
+  const parent1Tax = calculateTaxBreakdown(Math.max(0, parent1Income), financialYear);
+  const parent2Tax = calculateTaxBreakdown(Math.max(0, parent2Income), financialYear);
+  const parent1NetIncome = parent1Income > 0 ? parent1Tax.afterTaxIncome - annualOutOfPocket : 0;
+  const parent2NetIncome = parent2Income > 0 ? parent2Tax.afterTaxIncome - annualOutOfPocket : 0;
 
   return {
     parent1: {
@@ -53,6 +60,8 @@ export function calculatePerPersonRates(parent1Income, parent2Income, annualOutO
       annualRate: parent1AnnualRate,
       percentage: parent1Percentage,
       netIncome: parent1NetIncome,
+      incomeTax: parent1Tax.totalTax,
+      afterTaxIncome: parent1Tax.afterTaxIncome,
       income: parent1Income
     },
     parent2: {
@@ -62,6 +71,8 @@ export function calculatePerPersonRates(parent1Income, parent2Income, annualOutO
       annualRate: parent2AnnualRate,
       percentage: parent2Percentage,
       netIncome: parent2NetIncome,
+      incomeTax: parent2Tax.totalTax,
+      afterTaxIncome: parent2Tax.afterTaxIncome,
       income: parent2Income
     },
     shared: {
@@ -83,11 +94,13 @@ export function calculatePerPersonRates(parent1Income, parent2Income, annualOutO
  *
  * @param {number} householdIncome - Total household income
  * @param {boolean} hasMultipleChildrenUnder5 - True if family has 2+ children aged ≤5
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {Object} Threshold warning information
  */
-export function checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5) {
-  const LOWER_THRESHOLD = HIGHER_RATE_THRESHOLDS.BAND4_START; // $357,563
-  const UPPER_THRESHOLD = HIGHER_RATE_THRESHOLDS.REVERT_TO_STANDARD; // $367,563
+export function checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5, financialYear) {
+  const { HIGHER_RATE_THRESHOLDS } = getRateTable(financialYear);
+  const LOWER_THRESHOLD = HIGHER_RATE_THRESHOLDS.BAND4_START; // $357,563 in 2025-26
+  const UPPER_THRESHOLD = HIGHER_RATE_THRESHOLDS.REVERT_TO_STANDARD; // $367,563 in 2025-26
   const WARNING_RANGE = 10000; // Warn if within $10k of threshold
 
   let riskLevel = 'none';
@@ -113,7 +126,7 @@ export function checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5) {
     riskLevel = 'low';
     distanceFromThreshold = LOWER_THRESHOLD - householdIncome;
     thresholdAmount = LOWER_THRESHOLD;
-    message = `Approaching $357,563 threshold`;
+    message = `Approaching $${LOWER_THRESHOLD.toLocaleString()} threshold`;
     detail = `Your income is $${distanceFromThreshold.toLocaleString()} below the threshold. ` +
              `Above this amount, younger children receive a flat 50% subsidy instead of the current higher rate.`;
   }
@@ -133,7 +146,7 @@ export function checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5) {
     riskLevel = 'high';
     distanceFromThreshold = householdIncome - UPPER_THRESHOLD;
     thresholdAmount = UPPER_THRESHOLD;
-    message = `Just crossed the $367,563 threshold`;
+    message = `Just crossed the $${UPPER_THRESHOLD.toLocaleString()} threshold`;
     detail = `You're $${distanceFromThreshold.toLocaleString()} over the threshold. ` +
              `Younger children now use the standard rate instead of 50%. ` +
              `Consider if earning slightly less (via salary sacrifice, etc.) could increase your net position.`;
@@ -152,23 +165,260 @@ export function checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5) {
 }
 
 /**
- * Calculate the marginal impact of earning additional income
- * Shows how much of each extra dollar earned is lost to reduced subsidy
+ * Default settings for calculateMarginalImpact
+ */
+const MARGINAL_DEFAULTS = {
+  INCOME_INCREASE: 1000,       // Extra adjusted income tested per parent
+  CLIFF_SEARCH_RANGE: 20000,   // How far above current income to look for cliffs
+  CLIFF_SEARCH_STEP: 500       // Scan step before narrowing a cliff to the dollar
+};
+
+/**
+ * Round a dollar amount to cents
+ *
+ * @param {number} amount - Amount in AUD
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Summarise a household result on an entitlement basis
+ * Withholding is paid back at reconciliation, so marginal figures use the
+ * subsidy before withholding.
+ *
+ * @param {Object} household - Result from computeHousehold
+ * @returns {Object} householdIncome, tax, subsidy, outOfPocket and netIncome (annual)
+ */
+function summariseEntitlement(household) {
+  const outOfPocket = household.annual.fullCost - household.annual.grossSubsidy;
+
+  return {
+    householdIncome: household.householdIncome,
+    tax: household.incomeTax,
+    subsidy: household.annual.grossSubsidy,
+    outOfPocket,
+    netIncome: household.afterTaxIncome - outOfPocket
+  };
+}
+
+/**
+ * Describe the change between two household summaries
  *
- * @param {number} currentIncome - Current household income
- * @param {number} currentSubsidy - Current annual subsidy amount
- * @param {number} incomeIncrease - Amount of income increase to test (default: $1000)
- * @returns {Object} Marginal impact analysis
+ * @param {Object} before - Summary from summariseEntitlement
+ * @param {Object} after - Summary from summariseEntitlement
+ * @returns {Object} Income, tax, subsidy, out-of-pocket and net changes with the marginal rate
  */
-export function calculateMarginalImpact(currentIncome, currentSubsidy, incomeIncrease = 1000) {
-  // This is a simplified version - actual calculation would need to recalculate
-  // subsidy rates at the new income level
-  // For now, return structure for future enhancement
+function describeChange(before, after) {
+  const incomeChange = after.householdIncome - before.householdIncome;
+  const netIncomeChange = after.netIncome - before.netIncome;
+  const keptPerDollar = incomeChange > 0 ? netIncomeChange / incomeChange : 0;
 
   return {
+    incomeChange: roundToCents(incomeChange),
+    taxChange: roundToCents(after.tax - before.tax),
+    subsidyChange: roundToCents(after.subsidy - before.subsidy),
+    outOfPocketChange: roundToCents(after.outOfPocket - before.outOfPocket),
+    netIncomeChange: roundToCents(netIncomeChange),
+    keptPerDollar: Math.round(keptPerDollar * 10000) / 10000,
+    effectiveMarginalRate: incomeChange > 0 ? Math.round((1 - keptPerDollar) * 10000) / 100 : 0
+  };
+}
+
+/**
+ * Calculate the marginal impact of one parent earning more
+ * Re-runs the household calculation at higher income and combines the lost
+ * subsidy with the extra income tax and Medicare levy.
+ *
+ * - Extra income: the parent's adjusted income rises by incomeIncrease with the
+ *   same work days (e.g. a pay rise)
+ * - Extra work day: the parent works one more day; when that leaves a day with
+ *   both parents at work, each child gets one more day (or that day's hours) of
+ *   care. keptPerDay is the net gain for each extra day worked. Not worked out
+ *   for a parent on a roster, where an extra shift could fall on any day
+ * - Cliffs: income levels within cliffSearchRange of current income where one
+ *   more dollar drops the subsidy by more than it earns (net income falls)
+ *
+ * @param {Object} inputs - Household inputs (see HouseholdInputs in household.js)
+ * @param {Object} [options] - computeHousehold options plus the settings below
+ * @param {number} [options.incomeIncrease=1000] - Extra adjusted income to test per parent
+ * @param {number} [options.cliffSearchRange=20000] - Extra income to search for cliffs
+ * @param {number} [options.cliffSearchStep=500] - Scan step for the cliff search
+ * @returns {Object} Baseline summary plus parent1 and parent2 impact (null for a parent with no income or work days)
+ */
+export function calculateMarginalImpact(inputs, options = {}) {
+  const {
+    incomeIncrease = MARGINAL_DEFAULTS.INCOME_INCREASE,
+    cliffSearchRange = MARGINAL_DEFAULTS.CLIFF_SEARCH_RANGE,
+    cliffSearchStep = MARGINAL_DEFAULTS.CLIFF_SEARCH_STEP,
+    ...householdOptions
+  } = options;
+
+  if (typeof incomeIncrease !== 'number' || incomeIncrease <= 0) {
+    throw new InputError('Income increase must be a positive number');
+  }
+
+  if (typeof cliffSearchStep !== 'number' || cliffSearchStep < 1) {
+    throw new InputError('Cliff search step must be at least 1');
+  }
+
+  const calculate = (householdInputs, extraOptions = {}) =>
+    summariseEntitlement(computeHousehold(householdInputs, { ...householdOptions, ...extraOptions }));
+
+  const household = computeHousehold(inputs, householdOptions);
+  const baseline = summariseEntitlement(household);
+
+  const analyseParent = (key) => {
+    const parent = inputs[key] || {};
+    const days = parent.roster ? getRosterIncomeDays(parent.roster) : parent.days || 0;
+    const income = parent.income || 0;
+
+    if (days === 0 && income === 0) {
+      return null;
+    }
+
+    // Adjusted income is income × days ÷ 5, so scale the raise to the days worked
+    const withExtraIncome = (extra) => ({
+      ...inputs,
+      [key]: { ...parent, income: income + (extra * 5) / days }
+    });
+
+    return {
+      extraIncome: days > 0 ? describeChange(baseline, calculate(withExtraIncome(incomeIncrease))) : null,
+      extraDay: days < 5 && !parent.roster ? analyseExtraDay(inputs, key, householdOptions, baseline, calculate) : null,
+      cliffs: days > 0
+        ? findCliffs(extra => calculate(withExtraIncome(extra)), baseline, cliffSearchRange, cliffSearchStep)
+        : []
+    };
+  };
+
+  return {
+    financialYear: household.financialYear,
     incomeIncrease,
-    estimatedSubsidyReduction: 0,
-    netBenefit: incomeIncrease,
-    effectiveMargin: 100 // Percentage of extra income actually kept
+    baseline: {
+      householdIncome: roundToCents(baseline.householdIncome),
+      tax: roundToCents(baseline.tax),
+      subsidy: roundToCents(baseline.subsidy),
+      outOfPocket: roundToCents(baseline.outOfPocket),
+      netIncome: roundToCents(baseline.netIncome)
+    },
+    parent1: analyseParent('parent1'),
+    parent2: analyseParent('parent2')
   };
 }
+
+/**
+ * Calculate the change from one parent working an extra day
+ *
+ * @param {Object} inputs - Household inputs
+ * @param {string} key - 'parent1' or 'parent2'
+ * @param {Object} householdOptions - computeHousehold options
+ * @param {Object} baseline - Current household summary
+ * @param {Function} calculate - Summarises computeHousehold for new inputs
+ * @returns {Object|null} Change description plus careDaysChange and keptPerDay,
+ *   or null when the extra care would fall on a child's booking pattern
+ */
+function analyseExtraDay(inputs, key, householdOptions, baseline, calculate) {
+  const parent = inputs[key] || {};
+  const otherKey = key === 'parent1' ? 'parent2' : 'parent1';
+  const other = inputs[otherKey] || {};
+  const moreWork = { ...parent, days: (parent.days || 0) + 1 };
+
+  const careBefore = calculateCareNeededByParents(parent, other);
+  const careAfter = calculateCareNeededByParents(moreWork, other);
+  const careDaysChange = careAfter.daysPerWeek - careBefore.daysPerWeek;
+  const careHoursChange = careAfter.hoursPerWeek - careBefore.hoursPerWeek;
+  const defaultDays = householdOptions.defaultDaysOfCare ?? 5;
+
+  // A booking pattern fixes the weekdays booked, so which day to add is unknown
+  const booked = (inputs.children || []).some(child => child.bookingPattern && child.feeType !== 'session');
+  if (careDaysChange > 0 && booked) {
+    return null;
+  }
+
+  const children = (inputs.children || []).map(child => {
+    if (careDaysChange <= 0) {
+      return child;
+    }
+    if (child.feeType === 'daily') {
+      return { ...child, daysOfCare: Math.min(5, (child.daysOfCare ?? defaultDays) + careDaysChange) };
+    }
+    if (child.feeType === 'session' && Array.isArray(child.sessions) && child.sessions.length > 0) {
+      // Extra days are booked as the first session type, up to 5 sessions a week
+      const [first, ...rest] = child.sessions;
+      const booked = child.sessions.reduce((sum, session) => sum + (session.daysPerWeek || 0), 0);
+      const extra = Math.max(0, Math.min(careDaysChange, 5 - booked));
+      return { ...child, sessions: [{ ...first, daysPerWeek: (first.daysPerWeek || 0) + extra }, ...rest] };
+    }
+    return { ...child, hoursPerWeek: (child.hoursPerWeek || 0) + careHoursChange };
+  });
+
+  const change = describeChange(baseline, calculate({ ...inputs, [key]: moreWork, children }));
+  const weeksPerYear = householdOptions.weeksPerYear ?? WORK_DEFAULTS.WEEKS_PER_YEAR;
+
+  return {
+    ...change,
+    careDaysChange,
+    keptPerDay: roundToCents(change.netIncomeChange / weeksPerYear)
+  };
+}
+
+/**
+ * Find income levels where earning one more dollar lowers net income
+ * Scans in steps, then narrows each subsidy drop down to the dollar.
+ *
+ * @param {Function} calculateAt - Returns a household summary for extra income
+ * @param {Object} baseline - Summary at current income
+ * @param {number} range - Extra income to search
+ * @param {number} step - Scan step
+ * @returns {Array<Object>} Cliffs with extraIncome, householdIncome, subsidyLoss and netIncomeChange
+ */
+function findCliffs(calculateAt, baseline, range, step) {
+  const cliffs = [];
+  let lowExtra = 0;
+  let low = baseline;
+
+  for (let extra = step; extra <= range; extra += step) {
+    let high = calculateAt(extra);
+
+    // Narrow every subsidy drop in this step to the first dollar it applies
+    while (high.subsidy < low.subsidy) {
+      let from = lowExtra;
+      let to = extra;
+      let fromResult = low;
+
+      while (to - from > 1) {
+        const middle = Math.floor((from + to) / 2);
+        const middleResult = calculateAt(middle);
+        if (middleResult.subsidy < fromResult.subsidy) {
+          to = middle;
+        } else {
+          from = middle;
+          fromResult = middleResult;
+        }
+      }
+
+      const cliffResult = calculateAt(to);
+      const change = describeChange(fromResult, cliffResult);
+
+      if (change.netIncomeChange < 0) {
+        cliffs.push({
+          extraIncome: to,
+          householdIncome: Math.round(cliffResult.householdIncome),
+          subsidyLoss: roundToCents(-change.subsidyChange),
+          netIncomeChange: change.netIncomeChange
+        });
+      }
+
+      lowExtra = to;
+      low = cliffResult;
+      high = to === extra ? low : high;
+    }
+
+    lowExtra = extra;
+    low = high;
+  }
+
+  return cliffs;
+}
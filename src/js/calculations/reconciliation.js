@@ -0,0 +1,181 @@
+/**
+ * CCS Reconciliation Module
+ * Predicts the end-of-year balance when Services Australia reconciles CCS
+ * against a family's actual income. During the year subsidy is paid on the
+ * estimated income less withholding; at reconciliation the entitlement is
+ * recalculated on actual income for each period and the withheld amounts are
+ * netted off, leaving a top-up or a debt.
+ */
+
+import { computeHousehold } from './household.js';
+import { calculateTimelineIncome } from './income-timeline.js';
+import { getRateTable, resolveFinancialYear, WITHHOLDING } from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * Reconciliation outcomes
+ */
+export const RECONCILIATION_OUTCOMES = {
+  TOP_UP: 'top-up',
+  DEBT: 'debt',
+  BALANCED: 'balanced'
+};
+
+/**
+ * Round a dollar amount to cents
+ *
+ * @param {number} amount - Amount in AUD
+ * @returns {number} Amount rounded to 2 decimal places
+ */
+function roundToCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate an actual income amount
+ *
+ * @param {*} value - Value to check
+ * @param {string} label - Field name used in error messages
+ */
+function assertIncome(value, label) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new InputError(`${label} must be a non-negative number`);
+  }
+}
+
+/**
+ * Work out the withholding rate that would have avoided a debt
+ * Withholding must cover the entitlement lost to the higher actual income:
+ * Minimum Rate = (Estimated Entitlement − Actual Entitlement) ÷ Estimated Entitlement × 100
+ *
+ * @param {number} estimatedEntitlement - Subsidy entitlement on estimated income
+ * @param {number} actualEntitlement - Subsidy entitlement on actual income
+ * @param {number} currentRate - Withholding percentage used during the year
+ * @returns {Object} currentRate, minimumRate, recommendedRate and message
+ */
+export function calculateWithholdingAdvice(estimatedEntitlement, actualEntitlement, currentRate) {
+  const shortfall = estimatedEntitlement - actualEntitlement;
+  const minimumRate = estimatedEntitlement > 0 && shortfall > 0
+    ? Math.min(WITHHOLDING.MAX_RATE, (shortfall / estimatedEntitlement) * 100)
+    : WITHHOLDING.MIN_RATE;
+  const recommendedRate = Math.max(
+    WITHHOLDING.MIN_RATE,
+    Math.min(WITHHOLDING.MAX_RATE, Math.ceil(minimumRate - 1e-9))
+  );
+
+  let message;
+  if (shortfall <= 0) {
+    message = 'Your actual income does not reduce your entitlement, so no withholding is needed to avoid a debt.';
+  } else if (currentRate >= minimumRate) {
+    message = `Your ${currentRate}% withholding covers the lower entitlement. ` +
+      `Any withholding above ${recommendedRate}% is paid back as a top-up.`;
+  } else {
+    message = `Raise withholding to at least ${recommendedRate}% (currently ${currentRate}%), ` +
+      'or update your income estimate, to avoid a debt.';
+  }
+
+  return {
+    currentRate,
+    minimumRate: Math.round(minimumRate * 100) / 100,
+    recommendedRate,
+    message
+  };
+}
+
+/**
+ * Estimate the end-of-year CCS reconciliation
+ *
+ * Care is costed over the financial year (or the care dates given), split at
+ * any changeover dates so each period uses its own rates. Each period's
+ * entitlement is recalculated on actual income and compared with the subsidy
+ * paid on the estimate.
+ *
+ * @param {Object} inputs - Household inputs used during the year (see HouseholdInputs in household.js)
+ * @param {Object} [actualIncome] - Actual adjusted income for the financial year
+ *   (default: the income inputs.incomeChanges add up to, see calculateTimelineIncome)
+ * @param {number} actualIncome.parent1 - Parent 1 actual income
+ * @param {number} [actualIncome.parent2=0] - Parent 2 actual income
+ * @param {Object} [options] - computeHousehold options
+ * @param {string|Date} [options.startDate] - First day of care (default: 1 July)
+ * @param {string|Date} [options.endDate] - Last day of care (default: 30 June)
+ * @returns {Object} Entitlements, subsidy paid, withheld, balance, outcome, periods and withholdingAdvice
+ * @throws {Error} If actual income is missing or negative
+ */
+export function calculateReconciliation(inputs, actualIncome, options = {}) {
+  const financialYear = resolveFinancialYear(inputs.financialYear ?? options.startDate);
+
+  // With an income timeline, actual income defaults to what the timeline adds up to
+  const yearIncome = actualIncome === undefined && Array.isArray(inputs.incomeChanges)
+    ? calculateTimelineIncome(inputs, financialYear)
+    : actualIncome;
+
+  if (!yearIncome || typeof yearIncome !== 'object') {
+    throw new InputError('Actual income must be an object');
+  }
+
+  const actualParent1 = yearIncome.parent1;
+  const actualParent2 = yearIncome.parent2 ?? 0;
+  assertIncome(actualParent1, 'Parent 1 actual income');
+  assertIncome(actualParent2, 'Parent 2 actual income');
+
+  const { START_DATE, END_DATE } = getRateTable(financialYear).FINANCIAL_YEAR;
+
+  const rangeOptions = {
+    ...options,
+    startDate: options.startDate ?? START_DATE,
+    endDate: options.endDate ?? END_DATE
+  };
+  const estimateInputs = { ...inputs, financialYear };
+
+  const estimated = computeHousehold(estimateInputs, rangeOptions);
+  const actual = computeHousehold({
+    ...estimateInputs,
+    parent1: { ...inputs.parent1, adjustedIncome: actualParent1 },
+    parent2: inputs.parent2 ? { ...inputs.parent2, adjustedIncome: actualParent2 } : null
+  }, rangeOptions);
+
+  const periods = estimated.dateRange.periods.map((period, index) => {
+    const actualPeriod = actual.dateRange.periods[index].subtotal;
+
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      days: period.days,
+      ratesFinancialYear: period.ratesFinancialYear,
+      estimatedEntitlement: period.subtotal.grossSubsidy,
+      actualEntitlement: actualPeriod.grossSubsidy,
+      subsidyPaid: period.subtotal.subsidy,
+      withheld: period.subtotal.withheld,
+      balance: roundToCents(actualPeriod.grossSubsidy - period.subtotal.subsidy)
+    };
+  });
+
+  const estimatedEntitlement = estimated.annual.grossSubsidy;
+  const actualEntitlement = actual.annual.grossSubsidy;
+  const subsidyPaid = estimated.annual.subsidy;
+  const balance = roundToCents(actualEntitlement - subsidyPaid);
+
+  let outcome = RECONCILIATION_OUTCOMES.BALANCED;
+  if (balance > 0) {
+    outcome = RECONCILIATION_OUTCOMES.TOP_UP;
+  } else if (balance < 0) {
+    outcome = RECONCILIATION_OUTCOMES.DEBT;
+  }
+
+  return {
+    financialYear,
+    startDate: estimated.dateRange.startDate,
+    endDate: estimated.dateRange.endDate,
+    estimatedIncome: estimated.householdIncome,
+    actualIncome: actual.householdIncome,
+    withholdingRate: estimated.withholdingRate,
+    estimatedEntitlement,
+    actualEntitlement,
+    subsidyPaid,
+    withheld: estimated.annual.withheld,
+    balance,
+    outcome,
+    periods,
+    withholdingAdvice: calculateWithholdingAdvice(estimatedEntitlement, actualEntitlement, estimated.withholdingRate)
+  };
+}
@@ -0,0 +1,380 @@
+/**
+ * Parent Roster Module
+ * A parent's work over a 14-day roster, including weekends and different
+ * hours each day, for shift workers and 9-day-fortnight arrangements.
+ *
+ * CCS is assessed per fortnight, so the activity test uses the roster's
+ * fortnightly hours directly, and care is needed on the roster days when no
+ * parent is home. When every shift has start and end times, care is matched
+ * to the hours both parents are at work, including nights and weekends.
+ */
+
+import { ROSTER_DAYS, ROSTER_WEEKS, WORK_DEFAULTS, CHILDCARE_DEFAULTS, WEEKEND_DAYS } from '../config/ccs-config.js';
+import { parseTime } from './sessions.js';
+import { InputError } from '../utils/input-error.js';
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+const FORTNIGHT_MINUTES = ROSTER_WEEKS * ROSTER_DAYS.length * MINUTES_PER_DAY;
+
+/**
+ * @typedef {Object} Shift
+ * @property {string} startTime - Shift start (HH:MM, 24-hour)
+ * @property {string} endTime - Shift end (HH:MM, 24-hour); at or before the start for a shift ending the next day
+ */
+
+/**
+ * @typedef {Array<Object<string, number|Shift>>} Roster
+ * One entry per roster week (a single week repeats), each mapping day IDs
+ * (from ROSTER_DAYS, Monday to Sunday) to hours worked that day or the
+ * shift's start and end times, e.g.
+ * [{ monday: 8.5, tuesday: 8.5, saturday: 10 }, { wednesday: 12, thursday: 12 }] or
+ * [{ friday: { startTime: '22:00', endTime: '06:00' } }]
+ */
+
+/**
+ * Round to 2 decimal places
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Hours worked on a normalised roster day
+ *
+ * @param {number|Object} value - Hours, or a shift with its hours
+ * @returns {number} Hours worked
+ */
+function hoursOf(value) {
+  return typeof value === 'number' ? value : value.hours;
+}
+
+/**
+ * Work out how long a shift lasts
+ * A shift ending at or before its start time runs past midnight:
+ * Hours = End − Start, or End + 24 − Start overnight (22:00–06:00 is 8 hours)
+ *
+ * @param {Shift} shift - Shift times
+ * @param {string} [label='Shift'] - Name used in error messages
+ * @returns {number} Shift length in hours
+ * @throws {Error} If a time is malformed or the shift starts and ends at the same time
+ */
+export function calculateShiftHours(shift, label = 'Shift') {
+  const start = parseTime(shift?.startTime, `${label} start time`);
+  const end = parseTime(shift?.endTime, `${label} end time`);
+
+  if (start === end) {
+    throw new InputError(`${label} must not start and end at the same time`);
+  }
+
+  return round2(end > start ? end - start : end + 24 - start);
+}
+
+/**
+ * Validate a roster, repeat a one-week roster and put each week's days in order
+ * Shifts keep their times and gain their length in hours.
+ *
+ * @param {Roster} roster - Work roster
+ * @param {string} [name='Roster'] - Name used in error messages (e.g. 'Parent 1 roster')
+ * @returns {Roster} Two weeks with days in roster order
+ * @throws {Error} If the roster has no weeks, too many weeks, an unknown day, invalid hours or invalid times
+ */
+export function normaliseRoster(roster, name = 'Roster') {
+  if (!Array.isArray(roster) || roster.length === 0 || roster.length > ROSTER_WEEKS) {
+    throw new InputError(`${name} must have 1 to ${ROSTER_WEEKS} weeks`);
+  }
+
+  const weeks = roster.map((week, index) => {
+    const label = `${name} week ${index + 1}`;
+    if (!week || typeof week !== 'object' || Array.isArray(week)) {
+      throw new InputError(`${label} must be an object of hours by day`);
+    }
+
+    Object.keys(week).forEach(day => {
+      if (!ROSTER_DAYS.includes(day)) {
+        throw new InputError(`${label} has an unknown day: ${day}`);
+      }
+    });
+
+    return Object.fromEntries(ROSTER_DAYS.filter(day => week[day] !== undefined).map(day => {
+      const value = week[day];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const { startTime, endTime } = value;
+        return [day, { startTime, endTime, hours: calculateShiftHours(value, `${label} ${day}`) }];
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 24) {
+        throw new InputError(`${label} ${day} hours must be between 0 and 24`);
+      }
+      return [day, value];
+    }));
+  });
+
+  return weeks.length < ROSTER_WEEKS ? [weeks[0], { ...weeks[0] }] : weeks;
+}
+
+/**
+ * Build a roster from a weekly schedule that repeats each week
+ *
+ * @param {Array<string>} workDays - Days worked (from ROSTER_DAYS)
+ * @param {number} hoursPerDay - Hours worked each day
+ * @returns {Roster} Two identical weeks
+ */
+export function rosterFromWorkDays(workDays, hoursPerDay) {
+  const week = Object.fromEntries(ROSTER_DAYS.filter(day => workDays.includes(day)).map(day => [day, hoursPerDay]));
+  return [week, { ...week }];
+}
+
+/**
+ * Get the days worked in each week of a roster
+ *
+ * @param {Roster} roster - Normalised roster
+ * @returns {Array<Array<string>>} Days worked, one list per week
+ */
+export function getRosterWorkDays(roster) {
+  return roster.map(week => Object.keys(week));
+}
+
+/**
+ * Check whether a roster has shifts and every one has start and end times
+ *
+ * @param {Roster} roster - Normalised roster
+ * @returns {boolean} True when care can be matched hour by hour
+ */
+export function isTimedRoster(roster) {
+  const days = roster.flatMap(week => Object.values(week));
+  return days.length > 0 && days.every(value => typeof value === 'object');
+}
+
+/**
+ * Total a roster over the fortnight
+ * Days and hours per day are averages, so days × hours per day × 2 is the
+ * fortnight's hours.
+ *
+ * @param {Roster} roster - Normalised roster
+ * @returns {Object} daysPerFortnight, hoursPerFortnight, daysPerWeek and hoursPerDay
+ */
+export function summariseRoster(roster) {
+  const days = roster.flatMap(week => Object.values(week).map(hoursOf));
+  const hoursPerFortnight = days.reduce((sum, hours) => sum + hours, 0);
+
+  return {
+    daysPerFortnight: days.length,
+    hoursPerFortnight: round2(hoursPerFortnight),
+    daysPerWeek: days.length / ROSTER_WEEKS,
+    hoursPerDay: days.length > 0 ? hoursPerFortnight / days.length : 0
+  };
+}
+
+/**
+ * Days per week a roster counts as for adjusted income
+ * Adjusted income scales income by days worked up to full time, so a roster
+ * averaging more than 5 days a week (e.g. 12 shifts a fortnight) counts as 5.
+ *
+ * @param {Roster} roster - Work roster
+ * @returns {number} Average days worked per week, at most 5
+ */
+export function getRosterIncomeDays(roster) {
+  return Math.min(summariseRoster(normaliseRoster(roster)).daysPerWeek, WORK_DEFAULTS.FULL_TIME_DAYS_PER_WEEK);
+}
+
+/**
+ * Sort intervals and join any that overlap or run back to back
+ *
+ * @param {Array<Array<number>>} intervals - [start, end] in minutes
+ * @returns {Array<Array<number>>} Joined intervals in time order
+ */
+function mergeIntervals(intervals) {
+  return [...intervals].sort((a, b) => a[0] - b[0]).reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Place a timed roster's time away from home on the fortnight, in minutes from Monday of week 1
+ * Each shift is widened by the commute both ways. The roster repeats, so time
+ * away running past the end of week 2 carries on into Monday of week 1 (and
+ * before the start of week 1 comes from Sunday of week 2).
+ *
+ * @param {Roster} roster - Normalised timed roster
+ * @param {number} [commuteHours=0] - Commute each way in hours
+ * @returns {Array<Array<number>>} Joined [start, end] intervals
+ */
+function shiftIntervals(roster, commuteHours = 0) {
+  const commute = Math.round(commuteHours * MINUTES_PER_HOUR);
+  const intervals = [];
+
+  roster.forEach((week, weekIndex) => {
+    Object.entries(week).forEach(([day, shift]) => {
+      const dayStart = (weekIndex * ROSTER_DAYS.length + ROSTER_DAYS.indexOf(day)) * MINUTES_PER_DAY;
+      const shiftStart = dayStart + Math.round(parseTime(shift.startTime, 'Shift start time') * MINUTES_PER_HOUR);
+      const start = shiftStart - commute;
+      const end = Math.min(start + MINUTES_PER_DAY, shiftStart + Math.round(shift.hours * MINUTES_PER_HOUR) + commute);
+
+      if (start < 0) {
+        intervals.push([FORTNIGHT_MINUTES + start, FORTNIGHT_MINUTES], [0, end]);
+      } else if (end > FORTNIGHT_MINUTES) {
+        intervals.push([start, FORTNIGHT_MINUTES], [0, end - FORTNIGHT_MINUTES]);
+      } else {
+        intervals.push([start, end]);
+      }
+    });
+  });
+
+  return mergeIntervals(intervals);
+}
+
+/**
+ * Find the times covered by both lists of intervals
+ *
+ * @param {Array<Array<number>>} first - Joined intervals
+ * @param {Array<Array<number>>} second - Joined intervals
+ * @returns {Array<Array<number>>} Overlapping [start, end] intervals
+ */
+function intersectIntervals(first, second) {
+  const overlaps = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < first.length && j < second.length) {
+    const start = Math.max(first[i][0], second[j][0]);
+    const end = Math.min(first[i][1], second[j][1]);
+    if (start < end) {
+      overlaps.push([start, end]);
+    }
+    if (first[i][1] < second[j][1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return overlaps;
+}
+
+/**
+ * Format minutes as a time of day
+ *
+ * @param {number} minutes - Minutes from any midnight
+ * @returns {string} Time (HH:MM)
+ */
+function formatTime(minutes) {
+  const inDay = minutes % MINUTES_PER_DAY;
+  const hours = String(Math.floor(inDay / MINUTES_PER_HOUR)).padStart(2, '0');
+  return `${hours}:${String(inDay % MINUTES_PER_HOUR).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a stretch of care on the day it starts
+ * Care is outside centre hours on weekends, before CENTRE_OPENS, after
+ * CENTRE_CLOSES or overnight.
+ *
+ * @param {Array<number>} interval - [start, end] minutes from Monday of week 1
+ * @returns {Object} week (1-based), day, startTime, endTime, hours and outsideCentreHours
+ */
+function toCareBlock([start, end]) {
+  const dayIndex = Math.floor(start / MINUTES_PER_DAY);
+  const day = ROSTER_DAYS[dayIndex % ROSTER_DAYS.length];
+  const startInDay = start % MINUTES_PER_DAY;
+  const endInDay = startInDay + end - start;
+  const opens = parseTime(CHILDCARE_DEFAULTS.CENTRE_OPENS, 'Centre opening time') * MINUTES_PER_HOUR;
+  const closes = parseTime(CHILDCARE_DEFAULTS.CENTRE_CLOSES, 'Centre closing time') * MINUTES_PER_HOUR;
+
+  return {
+    week: Math.floor(dayIndex / ROSTER_DAYS.length) + 1,
+    day,
+    startTime: formatTime(start),
+    endTime: formatTime(end),
+    hours: round2((end - start) / MINUTES_PER_HOUR),
+    outsideCentreHours: Object.values(WEEKEND_DAYS).includes(day) || startInDay < opens || endInDay > closes
+  };
+}
+
+/**
+ * Work out the care timed rosters leave uncovered, hour by hour
+ * Care is needed while every parent is away at work or commuting. Each
+ * stretch of care counts on the day it starts, so care through a night shift
+ * is one day of care.
+ *
+ * @param {Roster} parent1Roster - Parent 1 normalised timed roster
+ * @param {Roster|null} parent2Roster - Parent 2 normalised timed roster (null for a single parent)
+ * @param {Array<number>} [commuteHours=[0, 0]] - Each parent's commute each way in hours
+ * @returns {Object} daysPerWeek and hoursPerWeek of care needed (fortnight averages),
+ *   careDays per week and careBlocks (each stretch of care)
+ */
+export function calculateShiftCareNeed(parent1Roster, parent2Roster, commuteHours = [0, 0]) {
+  let care = shiftIntervals(parent1Roster, commuteHours[0]);
+  if (parent2Roster) {
+    care = intersectIntervals(care, shiftIntervals(parent2Roster, commuteHours[1]));
+  }
+
+  // Care from Sunday night of week 2 into Monday of week 1 is one stretch
+  const first = care[0];
+  const last = care[care.length - 1];
+  if (care.length > 1 && first[0] === 0 && last[1] === FORTNIGHT_MINUTES) {
+    care = [...care.slice(1, -1), [last[0], FORTNIGHT_MINUTES + first[1]]];
+  }
+
+  const careBlocks = care.map(toCareBlock);
+  const careDays = Array.from({ length: ROSTER_WEEKS }, (_, index) => ROSTER_DAYS.filter(day => (
+    careBlocks.some(block => block.week === index + 1 && block.day === day)
+  )));
+  const daysPerFortnight = careDays.reduce((sum, days) => sum + days.length, 0);
+  const hoursPerFortnight = careBlocks.reduce((sum, block) => sum + block.hours, 0);
+
+  return {
+    daysPerWeek: Math.min(daysPerFortnight / ROSTER_WEEKS, WORK_DEFAULTS.FULL_TIME_DAYS_PER_WEEK),
+    hoursPerWeek: round2(hoursPerFortnight / ROSTER_WEEKS),
+    careDays,
+    careBlocks
+  };
+}
+
+/**
+ * Work out the care two rosters leave uncovered over the fortnight
+ * Care is needed on days every parent is rostered on, for the longest of
+ * their days away (shift plus a commute each way); a parent who is not
+ * rostered on is home. When every shift has times, care is matched hour by
+ * hour instead (see calculateShiftCareNeed).
+ *
+ * @param {Roster} parent1Roster - Parent 1 normalised roster
+ * @param {Roster|null} parent2Roster - Parent 2 normalised roster (null for a single parent)
+ * @param {Array<number>} [commuteHours=[0, 0]] - Each parent's commute each way in hours
+ * @returns {Object} daysPerWeek and hoursPerWeek of care needed (fortnight averages), careDays per week
+ *   and careBlocks (null unless every shift has times)
+ */
+export function calculateRosterCareNeed(parent1Roster, parent2Roster, commuteHours = [0, 0]) {
+  if (isTimedRoster(parent1Roster) && (!parent2Roster || isTimedRoster(parent2Roster))) {
+    return calculateShiftCareNeed(parent1Roster, parent2Roster, commuteHours);
+  }
+
+  const [parent1Commute, parent2Commute] = commuteHours;
+  const awayHours = (value, commute) => Math.min(24, hoursOf(value) + 2 * commute);
+
+  const careDays = parent1Roster.map((week, index) => Object.keys(week).filter(day => (
+    !parent2Roster || parent2Roster[index][day] !== undefined
+  )));
+
+  const hoursPerFortnight = careDays.reduce((sum, days, index) => sum + days.reduce((total, day) => (
+    total + Math.max(
+      awayHours(parent1Roster[index][day], parent1Commute),
+      parent2Roster ? awayHours(parent2Roster[index][day], parent2Commute) : 0
+    )
+  ), 0), 0);
+  const daysPerFortnight = careDays.reduce((sum, days) => sum + days.length, 0);
+
+  return {
+    daysPerWeek: Math.min(daysPerFortnight / ROSTER_WEEKS, WORK_DEFAULTS.FULL_TIME_DAYS_PER_WEEK),
+    hoursPerWeek: hoursPerFortnight / ROSTER_WEEKS,
+    careDays,
+    careBlocks: null
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Session Billing Module
+ * Costs care billed in fixed sessions (e.g. a 7am–6pm long day or a 9am–3pm
+ * short day), with several session types per week.
+ *
+ * CCS is worked out per hour of each charged session: the session fee is
+ * spread over its hours, capped at the hourly rate cap, and subsidised hours
+ * from the activity test are used up by session hours. A session charged as a
+ * fixed block counts every hour of the block, even if the child leaves early.
+ */
+
+import { applyWithholding } from './costs.js';
+import { WITHHOLDING } from '../config/ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+const MINUTES_PER_HOUR = 60;
+
+/**
+ * @typedef {Object} CareSession
+ * @property {string} [label] - Session name (e.g. 'Long day')
+ * @property {string} startTime - Session start (HH:MM, 24-hour)
+ * @property {string} endTime - Session end (HH:MM, 24-hour)
+ * @property {number} [minimumHours] - Shortest charged length (e.g. 10 for a 10-hour minimum)
+ * @property {number} fee - Fee per session
+ * @property {number} daysPerWeek - Sessions of this type per week
+ */
+
+/**
+ * Round to 2 decimal places
+ *
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a 24-hour time to hours after midnight
+ *
+ * @param {string} value - Time (HH:MM)
+ * @param {string} label - Field name used in error messages
+ * @returns {number} Hours after midnight
+ * @throws {Error} If the time is malformed
+ */
+export function parseTime(value, label) {
+  const match = typeof value === 'string' ? /^(\d{1,2}):(\d{2})$/.exec(value) : null;
+  const hours = match ? Number(match[1]) : NaN;
+  const minutes = match ? Number(match[2]) : NaN;
+
+  if (!match || hours > 24 || minutes >= MINUTES_PER_HOUR || (hours === 24 && minutes > 0)) {
+    throw new InputError(`${label} must be a time (HH:MM)`);
+  }
+
+  return hours + minutes / MINUTES_PER_HOUR;
+}
+
+/**
+ * Work out how long a session lasts and how many hours are charged
+ * Charged Hours = max(End − Start, Minimum Hours)
+ *
+ * @param {CareSession} session - Session
+ * @param {string} [label='Session'] - Name used in error messages
+ * @returns {Object} attendedHours and chargedHours
+ * @throws {Error} If the times are malformed or the session ends before it starts
+ */
+export function calculateSessionLength(session, label = 'Session') {
+  const start = parseTime(session?.startTime, `${label} start time`);
+  const end = parseTime(session?.endTime, `${label} end time`);
+
+  if (end <= start) {
+    throw new InputError(`${label} must end after it starts`);
+  }
+
+  const { minimumHours = 0 } = session;
+  if (typeof minimumHours !== 'number' || !Number.isFinite(minimumHours) || minimumHours < 0 || minimumHours > 24) {
+    throw new InputError(`${label} minimum hours must be between 0 and 24`);
+  }
+
+  const attendedHours = round2(end - start);
+  return {
+    attendedHours,
+    chargedHours: Math.max(attendedHours, minimumHours)
+  };
+}
+
+/**
+ * Validate a child's sessions
+ *
+ * @param {Array<CareSession>} sessions - Session types
+ * @param {string} [name='Session'] - Name used in error messages (e.g. 'Child 1 session')
+ * @returns {Array<Object>} Sessions with label, attendedHours and chargedHours
+ * @throws {Error} If a session is malformed or there are more than 7 a week
+ */
+export function normaliseSessions(sessions, name = 'Session') {
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    throw new InputError(`${name}s must be a non-empty array`);
+  }
+
+  const normalised = sessions.map((session, index) => {
+    const label = `${name} ${index + 1}`;
+    const length = calculateSessionLength(session, label);
+
+    if (typeof session.fee !== 'number' || !Number.isFinite(session.fee) || session.fee <= 0) {
+      throw new InputError(`${label} fee must be a positive number`);
+    }
+
+    if (typeof session.daysPerWeek !== 'number' || session.daysPerWeek < 0 || session.daysPerWeek > 7) {
+      throw new InputError(`${label} days per week must be between 0 and 7`);
+    }
+
+    return {
+      label: session.label || label,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      fee: session.fee,
+      daysPerWeek: session.daysPerWeek,
+      ...length
+    };
+  });
+
+  if (normalised.reduce((sum, session) => sum + session.daysPerWeek, 0) > 7) {
+    throw new InputError(`${name}s must total at most 7 per week`);
+  }
+
+  return normalised;
+}
+
+/**
+ * Keep sessions, in order, up to a number of days per week
+ * Used when care is capped at the days both parents are at work.
+ *
+ * @param {Array<Object>} sessions - Normalised sessions
+ * @param {number} maxDays - Most sessions per week
+ * @returns {Array<Object>} Sessions with daysPerWeek reduced to fit
+ */
+export function capSessionDays(sessions, maxDays) {
+  let remaining = maxDays;
+  return sessions.map(session => {
+    const daysPerWeek = Math.max(0, Math.min(session.daysPerWeek, remaining));
+    remaining -= daysPerWeek;
+    return { ...session, daysPerWeek };
+  });
+}
+
+/**
+ * Calculate weekly subsidy and costs for session-billed care
+ *
+ * Each session's hourly fee is its fee spread over its charged hours:
+ * Subsidy per Hour = Subsidy Rate × min(Fee ÷ Charged Hours, Hourly Rate Cap)
+ * Subsidised hours are used by sessions in the order listed; hours beyond
+ * them are paid in full.
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {Array<Object>} params.sessions - Normalised sessions (from normaliseSessions)
+ * @param {number} params.subsidyRate - Subsidy rate percentage
+ * @param {number} params.subsidisedHoursPerWeek - Subsidised hours per week from the activity test
+ * @param {function(number): number} params.effectiveHourlyRate - Caps an hourly fee at the child's rate cap
+ * @param {number} [params.withholdingRate=5] - Withholding percentage
+ * @returns {Object} Weekly costs breakdown with per-session detail
+ */
+export function calculateWeeklySessionCosts(params) {
+  const {
+    sessions,
+    subsidyRate,
+    subsidisedHoursPerWeek,
+    effectiveHourlyRate,
+    withholdingRate = WITHHOLDING.DEFAULT_RATE
+  } = params;
+
+  if (typeof subsidisedHoursPerWeek !== 'number' || subsidisedHoursPerWeek < 0) {
+    throw new Error('Subsidised hours must be a non-negative number');
+  }
+
+  let remainingHours = subsidisedHoursPerWeek;
+  const sessionResults = sessions.map(session => {
+    const hourlyFee = session.fee / session.chargedHours;
+    const cappedHourlyRate = effectiveHourlyRate(hourlyFee);
+    const subsidyPerHour = (subsidyRate / 100) * cappedHourlyRate;
+    const hoursPerWeek = session.chargedHours * session.daysPerWeek;
+    const hoursWithSubsidy = Math.min(hoursPerWeek, remainingHours);
+    remainingHours -= hoursWithSubsidy;
+
+    return {
+      ...session,
+      hourlyFee: round2(hourlyFee),
+      effectiveHourlyRate: round2(cappedHourlyRate),
+      subsidyPerHour,
+      hoursPerWeek,
+      hoursWithSubsidy,
+      hoursWithoutSubsidy: hoursPerWeek - hoursWithSubsidy,
+      weeklyGrossSubsidy: round2(subsidyPerHour * hoursWithSubsidy),
+      weeklyFullCost: round2(session.fee * session.daysPerWeek)
+    };
+  });
+
+  const sumOf = key => sessionResults.reduce((sum, session) => sum + session[key], 0);
+  const grossSubsidy = sessionResults.reduce((sum, session) => sum + session.subsidyPerHour * session.hoursWithSubsidy, 0);
+  const withholding = applyWithholding(grossSubsidy, withholdingRate);
+  const weeklyFullCost = round2(sumOf('weeklyFullCost'));
+
+  return {
+    sessions: sessionResults,
+    sessionsPerWeek: sumOf('daysPerWeek'),
+    hoursPerWeek: round2(sumOf('hoursPerWeek')),
+    hoursWithSubsidy: round2(sumOf('hoursWithSubsidy')),
+    hoursWithoutSubsidy: round2(sumOf('hoursWithoutSubsidy')),
+    weeklySubsidy: withholding.paidSubsidy,
+    weeklyGrossSubsidy: withholding.grossSubsidy,
+    weeklyWithheld: withholding.withheldAmount,
+    weeklyFullCost,
+    weeklyOutOfPocket: round2(weeklyFullCost - withholding.paidSubsidy),
+    withholdingRate
+  };
+}
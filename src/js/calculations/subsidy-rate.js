@@ -1,13 +1,11 @@
 /**
  * Subsidy Rate Calculation Module
  * Calculates CCS percentage based on household income and child details
- * Based on 2025-26 CCS policy requirements
+ * Thresholds are looked up per financial year (default: 2025-26)
  */
 
-import {
-  STANDARD_RATE_THRESHOLDS,
-  HIGHER_RATE_THRESHOLDS
-} from '../config/ccs-config.js';
+import { DEFAULT_FINANCIAL_YEAR, getRateTable } from '../config/ccs-config.js';
+import { calculateAccsSubsidyRate } from './accs.js';
 
 /**
  * Calculate the subsidy percentage reduction for an income taper band.
@@ -32,27 +30,28 @@ function applyTaperBand(income, bandStart, increment, percentDecrease, baseRate,
  * Calculate standard CCS rate for eldest child aged ≤5
  *
  * @param {number} householdIncome - Adjusted household income
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} CCS percentage (0-90)
  */
-export function calculateStandardRate(householdIncome) {
+export function calculateStandardRate(householdIncome, financialYear) {
   if (typeof householdIncome !== 'number' || householdIncome < 0) {
     throw new Error('Household income must be a non-negative number');
   }
 
-  // Income ≤ $85,279 → 90%
+  const { STANDARD_RATE_THRESHOLDS } = getRateTable(financialYear);
+
+  // Income up to MAX_90_PERCENT → 90%
   if (householdIncome <= STANDARD_RATE_THRESHOLDS.MAX_90_PERCENT) {
     return 90;
   }
 
-  // ≥ $535,279 → 0%
+  // Income at or above MIN_ZERO_PERCENT → 0%
   if (householdIncome >= STANDARD_RATE_THRESHOLDS.MIN_ZERO_PERCENT) {
     return 0;
   }
 
-  // $85,280–$535,278 → Decreases by 1% per $5,000
-  // Rate drops by 1% for each complete $5,000 bracket
-  // $85,280-$90,279 = 89% (bracket 0)
-  // $90,280-$95,279 = 88% (bracket 1)
+  // From TAPER_START → Drops by TAPER_RATE_PERCENTAGE_DECREASE for each
+  // TAPER_RATE_INCOME_INCREMENT bracket, starting with the first (bracket 0)
   return applyTaperBand(
     householdIncome,
     STANDARD_RATE_THRESHOLDS.TAPER_START,
@@ -67,19 +66,22 @@ export function calculateStandardRate(householdIncome) {
  * Calculate higher CCS rate for second and younger children aged ≤5
  *
  * @param {number} householdIncome - Adjusted household income
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} CCS percentage (0-95)
  */
-export function calculateHigherRate(householdIncome) {
+export function calculateHigherRate(householdIncome, financialYear) {
   if (typeof householdIncome !== 'number' || householdIncome < 0) {
     throw new Error('Household income must be a non-negative number');
   }
 
-  // Income ≤ $143,273 → 95%
+  const { HIGHER_RATE_THRESHOLDS } = getRateTable(financialYear);
+
+  // Income up to MAX_95_PERCENT → 95%
   if (householdIncome <= HIGHER_RATE_THRESHOLDS.MAX_95_PERCENT) {
     return 95;
   }
 
-  // $143,274–$188,272 → Decreases by 1% per $3,000 from 95%
+  // BAND1_START–BAND1_END → Tapers from 95% down to 80%
   if (householdIncome <= HIGHER_RATE_THRESHOLDS.BAND1_END) {
     return applyTaperBand(
       householdIncome,
@@ -91,12 +93,12 @@ export function calculateHigherRate(householdIncome) {
     );
   }
 
-  // $188,273–$267,562 → 80%
+  // Up to BAND2_END → 80%
   if (householdIncome <= HIGHER_RATE_THRESHOLDS.BAND2_END) {
     return 80;
   }
 
-  // $267,563–$357,562 → Decreases by 1% per $3,000 from 80%
+  // BAND3_START–BAND3_END → Tapers from 80% down to 50%
   if (householdIncome <= HIGHER_RATE_THRESHOLDS.BAND3_END) {
     return applyTaperBand(
       householdIncome,
@@ -108,13 +110,13 @@ export function calculateHigherRate(householdIncome) {
     );
   }
 
-  // $357,563–$367,562 → 50%
+  // Up to BAND4_END → 50%
   if (householdIncome <= HIGHER_RATE_THRESHOLDS.BAND4_END) {
     return 50;
   }
 
-  // ≥ $367,563 → Reverts to standard CCS rate
-  return calculateStandardRate(householdIncome);
+  // Above BAND4_END → Reverts to standard CCS rate
+  return calculateStandardRate(householdIncome, financialYear);
 }
 
 /**
@@ -123,9 +125,10 @@ export function calculateHigherRate(householdIncome) {
  * @param {number} householdIncome - Adjusted household income
  * @param {number} childAge - Age of the child in years
  * @param {number} childPosition - Position of child (1 for eldest, 2+ for younger siblings)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} CCS percentage for this child
  */
-export function calculateChildSubsidyRate(householdIncome, childAge, childPosition = 1) {
+export function calculateChildSubsidyRate(householdIncome, childAge, childPosition = 1, financialYear) {
   if (typeof householdIncome !== 'number' || householdIncome < 0) {
     throw new Error('Household income must be a non-negative number');
   }
@@ -140,16 +143,16 @@ export function calculateChildSubsidyRate(householdIncome, childAge, childPositi
 
   // Children over 5 use standard rate
   if (childAge > 5) {
-    return calculateStandardRate(householdIncome);
+    return calculateStandardRate(householdIncome, financialYear);
   }
 
   // First child aged ≤5 uses standard rate
   if (childPosition === 1) {
-    return calculateStandardRate(householdIncome);
+    return calculateStandardRate(householdIncome, financialYear);
   }
 
   // Second and younger children aged ≤5 use higher rate
-  return calculateHigherRate(householdIncome);
+  return calculateHigherRate(householdIncome, financialYear);
 }
 
 /**
@@ -157,9 +160,11 @@ export function calculateChildSubsidyRate(householdIncome, childAge, childPositi
  *
  * @param {number} householdIncome - Adjusted household income
  * @param {Array<Object>} children - Array of child objects with {age, position} or just {age}
+ *   Children with an accsCategory get the ACCS rate instead of the income-tested rate
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {Array<Object>} Array of subsidy rates with child details
  */
-export function calculateMultipleChildrenRates(householdIncome, children) {
+export function calculateMultipleChildrenRates(householdIncome, children, financialYear) {
   if (typeof householdIncome !== 'number' || householdIncome < 0) {
     throw new Error('Household income must be a non-negative number');
   }
@@ -173,20 +178,24 @@ export function calculateMultipleChildrenRates(householdIncome, children) {
 
   return sortedChildren.map((child, index) => {
     const position = child.position !== undefined ? child.position : index + 1;
-    const subsidyRate = calculateChildSubsidyRate(householdIncome, child.age, position);
+    const accsCategory = child.accsCategory || null;
+    const subsidyRate = accsCategory
+      ? calculateAccsSubsidyRate(accsCategory)
+      : calculateChildSubsidyRate(householdIncome, child.age, position, financialYear);
 
     return {
       age: child.age,
       position,
       subsidyRate,
+      accsCategory,
       isEldest: position === 1,
-      usesHigherRate: child.age <= 5 && position > 1
+      usesHigherRate: !accsCategory && child.age <= 5 && position > 1
     };
   });
 }
 
-// Export constants for testing and reference
+// Export the default financial year's thresholds for testing and reference
 export const SUBSIDY_CONSTANTS = {
-  STANDARD_RATE_THRESHOLDS,
-  HIGHER_RATE_THRESHOLDS
+  STANDARD_RATE_THRESHOLDS: getRateTable(DEFAULT_FINANCIAL_YEAR).STANDARD_RATE_THRESHOLDS,
+  HIGHER_RATE_THRESHOLDS: getRateTable(DEFAULT_FINANCIAL_YEAR).HIGHER_RATE_THRESHOLDS
 };
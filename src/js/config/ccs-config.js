@@ -1,109 +1,419 @@
 /**
- * CCS Configuration - 2025-26 Financial Year
+ * CCS Configuration - Versioned by Financial Year (2023-24 to 2026-27)
  *
  * This file contains all the rates, thresholds, and constants used in CCS calculations.
- * Update this file when new financial year rates are published.
+ * Add a new entry to RATE_TABLES when new financial year rates are published.
  *
- * Last updated: 2025-26 Financial Year
+ * Default year: 2025-26
  * Source: Australian Government Department of Education
  */
 
+import { InputError } from '../utils/input-error.js';
+
 /**
- * Income thresholds for standard CCS rate (eldest child aged ≤5)
+ * Versioned rate registry
+ *
+ * Each financial year carries its own income thresholds, activity test and
+ * hourly rate caps. Calculation functions accept a financial year ('2024-25')
+ * or an effective date and look up the matching table via getRateTable().
+ *
+ * Years before 2026-27 use published figures. 2026-27 carries the 2025-26
+ * figures forward (ESTIMATED: true) until indexed values are confirmed.
+ * Dates after the last registered year resolve to the latest table.
+ *
+ * An activity test that starts part way through a year has an EFFECTIVE_FROM
+ * date; EARLIER_ACTIVITY_TEST holds the rules before it. A financial year label
+ * gets ACTIVITY_TEST, an effective date gets the rules in force on that day.
  */
-export const STANDARD_RATE_THRESHOLDS = {
-  // Maximum income for 90% subsidy
-  MAX_90_PERCENT: 85279,
-
-  // Taper range start (income above which subsidy starts decreasing)
-  TAPER_START: 85280,
+export const RATE_TABLES = {
+  '2023-24': {
+    FINANCIAL_YEAR: {
+      YEAR: '2023-24',
+      START_DATE: '2023-07-01',
+      END_DATE: '2024-06-30',
+      ESTIMATED: false
+    },
+    STANDARD_RATE_THRESHOLDS: {
+      MAX_90_PERCENT: 80000,
+      TAPER_START: 80001,
+      TAPER_END: 529999,
+      MIN_ZERO_PERCENT: 530000,
+      TAPER_RATE_INCOME_INCREMENT: 5000,
+      TAPER_RATE_PERCENTAGE_DECREASE: 1
+    },
+    HIGHER_RATE_THRESHOLDS: {
+      MAX_95_PERCENT: 138117,
+      BAND1_START: 138118,
+      BAND1_END: 183117,
+      BAND2_START: 183118,
+      BAND2_END: 262407,
+      BAND3_START: 262408,
+      BAND3_END: 352407,
+      BAND4_START: 352408,
+      BAND4_END: 362407,
+      REVERT_TO_STANDARD: 362408,
+      TAPER_RATE_INCOME_INCREMENT: 3000,
+      TAPER_RATE_PERCENTAGE_DECREASE: 1
+    },
+    // Tiered activity test (before the 3 Day Guarantee)
+    // >16 hours → BASE (72), >48 hours → HIGHER (100)
+    ACTIVITY_TEST: {
+      BASE_HOURS_PER_FORTNIGHT: 72,
+      BASE_HOURS_PER_WEEK: 36,
+      HIGHER_HOURS_PER_FORTNIGHT: 100,
+      HIGHER_HOURS_PER_WEEK: 50,
+      HIGHER_ACTIVITY_THRESHOLD: 48,
+      TIERED: true,
+      MIN_ACTIVITY_HOURS: 8,                 // Below this: no subsidised hours
+      LOW_ACTIVITY_THRESHOLD: 16,            // 8-16 hours → 36 hours/fortnight
+      LOW_ACTIVITY_HOURS_PER_FORTNIGHT: 36,
+      // Families at or below this income with <8 hours of activity still get 24 hours
+      LOW_INCOME_THRESHOLD: 80000,
+      LOW_INCOME_HOURS_PER_FORTNIGHT: 24,
+      // Aboriginal and/or Torres Strait Islander children get at least this many hours
+      FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT: 36
+    },
+    HOURLY_RATE_CAPS: {
+      CENTRE_BASED: { SCHOOL_AGE: 12.02, NON_SCHOOL_AGE: 13.73 },
+      OSHC: { SCHOOL_AGE: 12.02, NON_SCHOOL_AGE: 13.73 },
+      FAMILY_DAY_CARE: { SCHOOL_AGE: 12.72, NON_SCHOOL_AGE: 12.72 },
+      IN_HOME_CARE: { SCHOOL_AGE: 37.34, NON_SCHOOL_AGE: 37.34, IS_PER_FAMILY: true }
+    }
+  },
 
-  // Taper range end (last income level with subsidy)
-  TAPER_END: 535278,
+  '2024-25': {
+    FINANCIAL_YEAR: {
+      YEAR: '2024-25',
+      START_DATE: '2024-07-01',
+      END_DATE: '2025-06-30',
+      ESTIMATED: false
+    },
+    STANDARD_RATE_THRESHOLDS: {
+      MAX_90_PERCENT: 83280,
+      TAPER_START: 83281,
+      TAPER_END: 533279,
+      MIN_ZERO_PERCENT: 533280,
+      TAPER_RATE_INCOME_INCREMENT: 5000,
+      TAPER_RATE_PERCENTAGE_DECREASE: 1
+    },
+    HIGHER_RATE_THRESHOLDS: {
+      MAX_95_PERCENT: 141321,
+      BAND1_START: 141322,
+      BAND1_END: 186320,
+      BAND2_START: 186321,
+      BAND2_END: 265610,
+      BAND3_START: 265611,
+      BAND3_END: 355610,
+      BAND4_START: 355611,
+      BAND4_END: 365610,
+      REVERT_TO_STANDARD: 365611,
+      TAPER_RATE_INCOME_INCREMENT: 3000,
+      TAPER_RATE_PERCENTAGE_DECREASE: 1
+    },
+    ACTIVITY_TEST: {
+      BASE_HOURS_PER_FORTNIGHT: 72,
+      BASE_HOURS_PER_WEEK: 36,
+      HIGHER_HOURS_PER_FORTNIGHT: 100,
+      HIGHER_HOURS_PER_WEEK: 50,
+      HIGHER_ACTIVITY_THRESHOLD: 48,
+      TIERED: true,
+      MIN_ACTIVITY_HOURS: 8,                 // Below this: no subsidised hours
+      LOW_ACTIVITY_THRESHOLD: 16,            // 8-16 hours → 36 hours/fortnight
+      LOW_ACTIVITY_HOURS_PER_FORTNIGHT: 36,
+      LOW_INCOME_THRESHOLD: 83280,
+      LOW_INCOME_HOURS_PER_FORTNIGHT: 24,
+      // Aboriginal and/or Torres Strait Islander children get at least this many hours
+      FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT: 36
+    },
+    HOURLY_RATE_CAPS: {
+      CENTRE_BASED: { SCHOOL_AGE: 12.51, NON_SCHOOL_AGE: 14.29 },
+      OSHC: { SCHOOL_AGE: 12.51, NON_SCHOOL_AGE: 14.29 },
+      FAMILY_DAY_CARE: { SCHOOL_AGE: 13.23, NON_SCHOOL_AGE: 13.23 },
+      IN_HOME_CARE: { SCHOOL_AGE: 38.86, NON_SCHOOL_AGE: 38.86, IS_PER_FAMILY: true }
+    }
+  },
 
-  // Minimum income for 0% subsidy
-  MIN_ZERO_PERCENT: 535279,
+  '2025-26': {
+    FINANCIAL_YEAR: {
+      YEAR: '2025-26',
+      START_DATE: '2025-07-01',
+      END_DATE: '2026-06-30',
+      LAST_UPDATED: '2026-01-31',
+      ESTIMATED: false
+    },
+
+    /**
+     * Income thresholds for standard CCS rate (eldest child aged ≤5)
+     */
+    STANDARD_RATE_THRESHOLDS: {
+      // Maximum income for 90% subsidy
+      MAX_90_PERCENT: 85279,
+
+      // Taper range start (income above which subsidy starts decreasing)
+      TAPER_START: 85280,
+
+      // Taper range end (last income level with subsidy)
+      TAPER_END: 535278,
+
+      // Minimum income for 0% subsidy
+      MIN_ZERO_PERCENT: 535279,
+
+      // Rate decrease parameters
+      TAPER_RATE_INCOME_INCREMENT: 5000,  // Subsidy decreases for each $5,000 of income
+      TAPER_RATE_PERCENTAGE_DECREASE: 1   // Decreases by 1% per increment
+    },
+
+    /**
+     * Income thresholds for higher CCS rate (second and younger children aged ≤5)
+     */
+    HIGHER_RATE_THRESHOLDS: {
+      // Band 1: 95% subsidy
+      MAX_95_PERCENT: 143273,
+      BAND1_START: 143274,
+      BAND1_END: 188272,
+
+      // Band 2: 80% flat subsidy
+      BAND2_START: 188273,
+      BAND2_END: 267562,
+
+      // Band 3: Taper from 80% to 50%
+      BAND3_START: 267563,
+      BAND3_END: 357562,
+
+      // Band 4: 50% flat subsidy
+      BAND4_START: 357563,
+      BAND4_END: 367562,
+
+      // Revert to standard rate threshold
+      REVERT_TO_STANDARD: 367563,
+
+      // Rate decrease parameters
+      TAPER_RATE_INCOME_INCREMENT: 3000,  // Subsidy decreases for each $3,000 of income
+      TAPER_RATE_PERCENTAGE_DECREASE: 1   // Decreases by 1% per increment
+    },
+
+    /**
+     * Activity test thresholds for subsidised hours (3 Day Guarantee from 5 January 2026)
+     */
+    ACTIVITY_TEST: {
+      EFFECTIVE_FROM: '2026-01-05',
+
+      // Base subsidy hours (minimum for all families)
+      BASE_HOURS_PER_FORTNIGHT: 72,
+      BASE_HOURS_PER_WEEK: 36,
+
+      // Higher subsidy hours (for higher activity families)
+      HIGHER_HOURS_PER_FORTNIGHT: 100,
+      HIGHER_HOURS_PER_WEEK: 50,
+
+      // Threshold for higher hours (lower-activity parent must work more than this)
+      HIGHER_ACTIVITY_THRESHOLD: 48,  // hours per fortnight
+
+      // Minimum for Aboriginal and/or Torres Strait Islander children, regardless of activity
+      FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT: 100
+    },
+
+    /**
+     * Tiered activity test from 1 July 2025 until the 3 Day Guarantee started
+     */
+    EARLIER_ACTIVITY_TEST: {
+      BASE_HOURS_PER_FORTNIGHT: 72,
+      BASE_HOURS_PER_WEEK: 36,
+      HIGHER_HOURS_PER_FORTNIGHT: 100,
+      HIGHER_HOURS_PER_WEEK: 50,
+      HIGHER_ACTIVITY_THRESHOLD: 48,
+      TIERED: true,
+      MIN_ACTIVITY_HOURS: 8,                 // Below this: no subsidised hours
+      LOW_ACTIVITY_THRESHOLD: 16,            // 8-16 hours → 36 hours/fortnight
+      LOW_ACTIVITY_HOURS_PER_FORTNIGHT: 36,
+      LOW_INCOME_THRESHOLD: 85279,
+      LOW_INCOME_HOURS_PER_FORTNIGHT: 24,
+      // Aboriginal and/or Torres Strait Islander children get at least this many hours
+      FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT: 36
+    },
+
+    /**
+     * Hourly rate caps by care type and child age
+     * Amounts are in AUD per hour
+     */
+    HOURLY_RATE_CAPS: {
+      // Centre-Based Day Care
+      CENTRE_BASED: {
+        SCHOOL_AGE: 12.81,      // Children of school age
+        NON_SCHOOL_AGE: 14.63   // Children not yet school age
+      },
+
+      // Outside School Hours Care (OSHC)
+      OSHC: {
+        SCHOOL_AGE: 12.81,
+        NON_SCHOOL_AGE: 14.63
+      },
+
+      // Family Day Care
+      FAMILY_DAY_CARE: {
+        SCHOOL_AGE: 13.56,
+        NON_SCHOOL_AGE: 13.56
+      },
+
+      // In-Home Care (per family, not per child)
+      IN_HOME_CARE: {
+        SCHOOL_AGE: 39.80,
+        NON_SCHOOL_AGE: 39.80,
+        IS_PER_FAMILY: true  // Flag to indicate this rate is per family
+      }
+    }
+  }
+};
 
-  // Rate decrease parameters
-  TAPER_RATE_INCOME_INCREMENT: 5000,  // Subsidy decreases for each $5,000 of income
-  TAPER_RATE_PERCENTAGE_DECREASE: 1   // Decreases by 1% per increment
+// 2026-27: indexed figures not yet confirmed - carry 2025-26 values forward
+RATE_TABLES['2026-27'] = {
+  ...RATE_TABLES['2025-26'],
+  // The 3 Day Guarantee applies for the whole year
+  EARLIER_ACTIVITY_TEST: null,
+  FINANCIAL_YEAR: {
+    YEAR: '2026-27',
+    START_DATE: '2026-07-01',
+    END_DATE: '2027-06-30',
+    ESTIMATED: true
+  }
 };
 
 /**
- * Income thresholds for higher CCS rate (second and younger children aged ≤5)
+ * Financial years available in the rate registry (oldest first)
+ */
+export const SUPPORTED_FINANCIAL_YEARS = Object.keys(RATE_TABLES);
+
+/**
+ * Financial year used when no year or date is supplied
+ */
+export const DEFAULT_FINANCIAL_YEAR = '2025-26';
+
+/**
+ * Get the financial year label ('2025-26') containing a date.
+ * Australian financial years run 1 July to 30 June.
+ *
+ * @param {Date|string} date - Date object or ISO date string (YYYY-MM-DD)
+ * @returns {string} Financial year label
  */
-export const HIGHER_RATE_THRESHOLDS = {
-  // Band 1: 95% subsidy
-  MAX_95_PERCENT: 143273,
-  BAND1_START: 143274,
-  BAND1_END: 188272,
+export function getFinancialYearForDate(date) {
+  // Parse date-only strings as local midnight so 1 July is never shifted into June
+  const isDateOnly = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+  const parsed = date instanceof Date ? date : new Date(isDateOnly ? `${date}T00:00:00` : date);
 
-  // Band 2: 80% flat subsidy
-  BAND2_START: 188273,
-  BAND2_END: 267562,
+  if (isNaN(parsed.getTime())) {
+    throw new InputError(`Invalid date: ${date}`);
+  }
 
-  // Band 3: Taper from 80% to 50%
-  BAND3_START: 267563,
-  BAND3_END: 357562,
+  // July is month 6 (zero-based)
+  const startYear = parsed.getMonth() >= 6 ? parsed.getFullYear() : parsed.getFullYear() - 1;
+  const endYearShort = String((startYear + 1) % 100).padStart(2, '0');
+  return `${startYear}-${endYearShort}`;
+}
 
-  // Band 4: 50% flat subsidy
-  BAND4_START: 357563,
-  BAND4_END: 367562,
+/**
+ * Resolve a financial year label or effective date to a registered financial year.
+ * Dates after the latest registered year resolve to the latest year.
+ *
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date; defaults to DEFAULT_FINANCIAL_YEAR
+ * @returns {string} Registered financial year label
+ * @throws {InputError} If the year is before the earliest registered year
+ */
+export function resolveFinancialYear(financialYear = DEFAULT_FINANCIAL_YEAR) {
+  if (financialYear === null) {
+    return DEFAULT_FINANCIAL_YEAR;
+  }
 
-  // Revert to standard rate threshold
-  REVERT_TO_STANDARD: 367563,
+  const isYearLabel = typeof financialYear === 'string' && /^\d{4}-\d{2}$/.test(financialYear);
+  const year = isYearLabel ? financialYear : getFinancialYearForDate(financialYear);
 
-  // Rate decrease parameters
-  TAPER_RATE_INCOME_INCREMENT: 3000,  // Subsidy decreases for each $3,000 of income
-  TAPER_RATE_PERCENTAGE_DECREASE: 1   // Decreases by 1% per increment
-};
+  if (RATE_TABLES[year]) {
+    return year;
+  }
+
+  const latestYear = SUPPORTED_FINANCIAL_YEARS[SUPPORTED_FINANCIAL_YEARS.length - 1];
+  if (year > latestYear) {
+    return latestYear;
+  }
+
+  throw new InputError(`No CCS rates available for financial year ${year}`);
+}
 
 /**
- * Activity test thresholds for subsidised hours
+ * Dates an activity test starts part way through a financial year (YYYY-MM-DD, oldest first)
+ * Date ranges are split on these days as well as on each 1 July
  */
-export const ACTIVITY_TEST = {
-  // Base subsidy hours (minimum for all families)
-  BASE_HOURS_PER_FORTNIGHT: 72,
-  BASE_HOURS_PER_WEEK: 36,
+export const ACTIVITY_TEST_CHANGEOVER_DATES = Object.values(RATE_TABLES)
+  .filter(table => table.EARLIER_ACTIVITY_TEST)
+  .map(table => table.ACTIVITY_TEST.EFFECTIVE_FROM);
 
-  // Higher subsidy hours (for higher activity families)
-  HIGHER_HOURS_PER_FORTNIGHT: 100,
-  HIGHER_HOURS_PER_WEEK: 50,
+// Year tables with their earlier activity test, built once so each is always the same object
+const earlierRateTables = new Map();
 
-  // Threshold for higher hours (lower-activity parent must work more than this)
-  HIGHER_ACTIVITY_THRESHOLD: 48  // hours per fortnight
-};
+/**
+ * Format a date as 'YYYY-MM-DD' in local time
+ *
+ * @param {Date|string} date - Date object or ISO date string
+ * @returns {string} Date-only string
+ */
+function toDateString(date) {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return date;
+  }
+
+  const parsed = date instanceof Date ? date : new Date(date);
+  const month = String(parsed.getMonth() + 1).padStart(2, '0');
+  const day = String(parsed.getDate()).padStart(2, '0');
+  return `${parsed.getFullYear()}-${month}-${day}`;
+}
 
 /**
- * Hourly rate caps by care type and child age
- * Amounts are in AUD per hour
+ * Get the full rate table for a financial year or effective date
+ * A rate table (e.g. one with mid-year indexation applied) is returned as is.
+ * An effective date before the year's ACTIVITY_TEST.EFFECTIVE_FROM gets the
+ * table with its EARLIER_ACTIVITY_TEST.
+ *
+ * @param {string|Date|Object} [financialYear] - Financial year ('2024-25'), effective date or rate table
+ * @returns {Object} Rate table with thresholds, activity test and hourly rate caps
  */
-export const HOURLY_RATE_CAPS = {
-  // Centre-Based Day Care
-  CENTRE_BASED: {
-    SCHOOL_AGE: 12.81,      // Children of school age
-    NON_SCHOOL_AGE: 14.63   // Children not yet school age
-  },
+export function getRateTable(financialYear) {
+  if (financialYear && typeof financialYear === 'object' && financialYear.FINANCIAL_YEAR) {
+    return financialYear;
+  }
 
-  // Outside School Hours Care (OSHC)
-  OSHC: {
-    SCHOOL_AGE: 12.81,
-    NON_SCHOOL_AGE: 14.63
-  },
+  const year = resolveFinancialYear(financialYear);
+  const table = RATE_TABLES[year];
+  const isDate = financialYear instanceof Date ||
+    (typeof financialYear === 'string' && !/^\d{4}-\d{2}$/.test(financialYear));
 
-  // Family Day Care
-  FAMILY_DAY_CARE: {
-    SCHOOL_AGE: 13.56,
-    NON_SCHOOL_AGE: 13.56
-  },
+  if (!isDate || !table.EARLIER_ACTIVITY_TEST || toDateString(financialYear) >= table.ACTIVITY_TEST.EFFECTIVE_FROM) {
+    return table;
+  }
 
-  // In-Home Care (per family, not per child)
-  IN_HOME_CARE: {
-    SCHOOL_AGE: 39.80,
-    NON_SCHOOL_AGE: 39.80,
-    IS_PER_FAMILY: true  // Flag to indicate this rate is per family
+  if (!earlierRateTables.has(year)) {
+    earlierRateTables.set(year, { ...table, ACTIVITY_TEST: table.EARLIER_ACTIVITY_TEST });
   }
-};
+  return earlierRateTables.get(year);
+}
+
+/**
+ * Income thresholds for standard CCS rate (eldest child aged ≤5) - default year
+ */
+export const STANDARD_RATE_THRESHOLDS = RATE_TABLES[DEFAULT_FINANCIAL_YEAR].STANDARD_RATE_THRESHOLDS;
+
+/**
+ * Income thresholds for higher CCS rate (second and younger children aged ≤5) - default year
+ */
+export const HIGHER_RATE_THRESHOLDS = RATE_TABLES[DEFAULT_FINANCIAL_YEAR].HIGHER_RATE_THRESHOLDS;
+
+/**
+ * Activity test thresholds for subsidised hours - default year
+ */
+export const ACTIVITY_TEST = RATE_TABLES[DEFAULT_FINANCIAL_YEAR].ACTIVITY_TEST;
+
+/**
+ * Hourly rate caps by care type and child age - default year
+ */
+export const HOURLY_RATE_CAPS = RATE_TABLES[DEFAULT_FINANCIAL_YEAR].HOURLY_RATE_CAPS;
 
 /**
  * Care type constants for consistent identification
@@ -130,6 +440,7 @@ export const WORK_DEFAULTS = {
   FULL_TIME_HOURS_PER_DAY: 7.6,  // Standard full-time hours per day
   FULL_TIME_DAYS_PER_WEEK: 5,    // Standard full-time days per week
   MAX_WORK_DAYS_PER_WEEK: 5,     // Maximum days per week for CCS calculations
+  MAX_COMMUTE_HOURS: 4,          // Longest commute each way counted towards care
   WEEKS_PER_FORTNIGHT: 2,
   WEEKS_PER_YEAR: 52
 };
@@ -145,7 +456,11 @@ export const CHILDCARE_DEFAULTS = {
   CHARGING_MODE: {
     DAILY: 'daily',               // Most common - charge per day
     HOURLY: 'hourly'              // Less common - charge per hour
-  }
+  },
+  CENTRE_OPENS: '06:30',          // Typical long day care and OSHC opening time (weekdays)
+  CENTRE_CLOSES: '18:30',         // Typical closing time
+  // Care types that commonly cover nights and weekends for shift-working parents
+  EXTENDED_HOURS_CARE_TYPES: [CARE_TYPES.FAMILY_DAY_CARE, CARE_TYPES.IN_HOME_CARE]
 };
 
 /**
@@ -159,12 +474,32 @@ export const DAYS_OF_WEEK = {
   FRIDAY: 'friday'
 };
 
+/**
+ * Weekend days, used by parent work rosters
+ */
+export const WEEKEND_DAYS = {
+  SATURDAY: 'saturday',
+  SUNDAY: 'sunday'
+};
+
+/**
+ * Every day of a roster week, Monday first
+ */
+export const ROSTER_DAYS = [...Object.values(DAYS_OF_WEEK), ...Object.values(WEEKEND_DAYS)];
+
+/**
+ * Parent work rosters repeat every fortnight, the period CCS is assessed over
+ */
+export const ROSTER_WEEKS = 2;
+
 export const DAYS_OF_WEEK_LABELS = {
   monday: 'Monday',
   tuesday: 'Tuesday',
   wednesday: 'Wednesday',
   thursday: 'Thursday',
-  friday: 'Friday'
+  friday: 'Friday',
+  saturday: 'Saturday',
+  sunday: 'Sunday'
 };
 
 /**
@@ -207,37 +542,134 @@ export const WITHHOLDING = {
 };
 
 /**
- * Financial year information
+ * Absences from care
+ * CCS is paid for up to 42 absence days per child each financial year (public
+ * holidays and family holidays on booked days count). Beyond that the family
+ * pays the full fee for each absent day unless the absence is exempt.
+ *
+ * Source: Services Australia
+ * See: https://www.servicesaustralia.gov.au/absences-from-child-care
+ */
+export const ABSENCES = {
+  ALLOWABLE_DAYS_PER_YEAR: 42
+};
+
+/**
+ * Recognised activity types beyond paid work
+ * Hours of each type (per fortnight) count towards a parent's activity test hours
+ */
+export const ACTIVITY_TYPES = {
+  STUDY: { ID: 'study', LABEL: 'Study' },
+  TRAINING: { ID: 'training', LABEL: 'Training' },
+  VOLUNTEERING: { ID: 'volunteering', LABEL: 'Volunteering' },
+  FAMILY_BUSINESS: { ID: 'unpaid-family-business', LABEL: 'Unpaid work in a family business' },
+  JOB_SEARCH: { ID: 'job-search', LABEL: 'Job searching' }
+};
+
+/**
+ * Activity test exemptions for a parent
+ * An exempt parent is treated as meeting the higher activity threshold,
+ * so the family's hours are set by the other parent (100 hours if both are exempt)
+ */
+export const ACTIVITY_TEST_EXEMPTIONS = {
+  APPROVED_STUDY: { ID: 'approved-study', LABEL: 'Approved study' },
+  VOLUNTEERING: { ID: 'volunteering', LABEL: 'Volunteering' },
+  JOB_SEARCH: { ID: 'job-search', LABEL: 'Job searching' },
+  CARER: { ID: 'carer', LABEL: 'Carer' }
+};
+
+/**
+ * Per-child entitlements that set a minimum number of subsidised hours
+ * regardless of parent activity. The minimum changes with the activity test,
+ * so it is read from the year's ACTIVITY_TEST (FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT).
+ */
+export const CHILD_ENTITLEMENTS = {
+  FIRST_NATIONS: {
+    ID: 'first-nations',
+    LABEL: 'Aboriginal and/or Torres Strait Islander child'
+  }
+};
+
+/**
+ * Additional Child Care Subsidy (ACCS) categories
+ * ACCS replaces the income-tested CCS rate for eligible children
+ *
+ * - SUBSIDY_RATE: percentage of the fee paid (not income tested)
+ * - RATE_CAP_MULTIPLIER: applied to the hourly rate cap (120% for most categories)
+ * - ACTIVITY_TEST_EXEMPT: exempt categories get HOURS_PER_FORTNIGHT regardless of activity
+ * - MAX_WEEKS_PER_DETERMINATION: weeks approved at a time (null = ongoing)
+ *
+ * Source: Services Australia - Additional Child Care Subsidy
  */
-export const FINANCIAL_YEAR = {
-  YEAR: '2025-26',
-  START_DATE: '2025-07-01',
-  END_DATE: '2026-06-30',
-  LAST_UPDATED: '2026-01-31'
+export const ACCS_CATEGORIES = {
+  GRANDPARENT: {
+    ID: 'grandparent',
+    LABEL: 'Grandparent',
+    SUBSIDY_RATE: 100,
+    RATE_CAP_MULTIPLIER: 1.2,
+    ACTIVITY_TEST_EXEMPT: true,
+    HOURS_PER_FORTNIGHT: 100,
+    MAX_WEEKS_PER_DETERMINATION: null
+  },
+  CHILD_WELLBEING: {
+    ID: 'child-wellbeing',
+    LABEL: 'Child wellbeing',
+    SUBSIDY_RATE: 100,
+    RATE_CAP_MULTIPLIER: 1.2,
+    ACTIVITY_TEST_EXEMPT: true,
+    HOURS_PER_FORTNIGHT: 100,
+    MAX_WEEKS_PER_DETERMINATION: 13
+  },
+  TEMPORARY_FINANCIAL_HARDSHIP: {
+    ID: 'temporary-financial-hardship',
+    LABEL: 'Temporary financial hardship',
+    SUBSIDY_RATE: 100,
+    RATE_CAP_MULTIPLIER: 1.2,
+    ACTIVITY_TEST_EXEMPT: true,
+    HOURS_PER_FORTNIGHT: 100,
+    MAX_WEEKS_PER_DETERMINATION: 13
+  },
+  // Transition to work: 95% of the fee up to the standard cap, activity test still applies
+  TRANSITION_TO_WORK: {
+    ID: 'transition-to-work',
+    LABEL: 'Transition to work',
+    SUBSIDY_RATE: 95,
+    RATE_CAP_MULTIPLIER: 1,
+    ACTIVITY_TEST_EXEMPT: false,
+    HOURS_PER_FORTNIGHT: null,
+    MAX_WEEKS_PER_DETERMINATION: null
+  }
 };
 
+/**
+ * Financial year information - default year
+ */
+export const FINANCIAL_YEAR = RATE_TABLES[DEFAULT_FINANCIAL_YEAR].FINANCIAL_YEAR;
+
 /**
  * Helper function to get hourly rate cap for a specific care type and age
  *
  * @param {string} careType - Type of care (use CARE_TYPES constants)
  * @param {number} childAge - Age of the child in years
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} Hourly rate cap in AUD
  */
-export function getHourlyRateCap(careType, childAge) {
+export function getHourlyRateCap(careType, childAge, financialYear) {
   const isSchoolAge = childAge >= AGE_CATEGORIES.SCHOOL_AGE_THRESHOLD;
   const ageCategory = isSchoolAge ? 'SCHOOL_AGE' : 'NON_SCHOOL_AGE';
+  const rateCaps = getRateTable(financialYear).HOURLY_RATE_CAPS;
 
   switch (careType) {
     case CARE_TYPES.CENTRE_BASED:
-      return HOURLY_RATE_CAPS.CENTRE_BASED[ageCategory];
+      return rateCaps.CENTRE_BASED[ageCategory];
     case CARE_TYPES.OSHC:
-      return HOURLY_RATE_CAPS.OSHC[ageCategory];
+      return rateCaps.OSHC[ageCategory];
     case CARE_TYPES.FAMILY_DAY_CARE:
-      return HOURLY_RATE_CAPS.FAMILY_DAY_CARE[ageCategory];
+      return rateCaps.FAMILY_DAY_CARE[ageCategory];
     case CARE_TYPES.IN_HOME_CARE:
-      return HOURLY_RATE_CAPS.IN_HOME_CARE[ageCategory];
+      return rateCaps.IN_HOME_CARE[ageCategory];
     default:
-      throw new Error(`Invalid care type: ${careType}`);
+      throw new InputError(`Invalid care type: ${careType}`);
   }
 }
 
@@ -248,10 +680,11 @@ export function getHourlyRateCap(careType, childAge) {
  * @param {string} careType - Type of care (use CARE_TYPES constants)
  * @param {number} childAge - Age of the child in years
  * @param {number} hoursPerDay - Hours charged per day (default: 10)
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
  * @returns {number} Daily rate cap in AUD
  */
-export function getDailyRateCap(careType, childAge, hoursPerDay = CHILDCARE_DEFAULTS.DEFAULT_HOURS_PER_DAY) {
-  const hourlyRateCap = getHourlyRateCap(careType, childAge);
+export function getDailyRateCap(careType, childAge, hoursPerDay = CHILDCARE_DEFAULTS.DEFAULT_HOURS_PER_DAY, financialYear) {
+  const hourlyRateCap = getHourlyRateCap(careType, childAge, financialYear);
   return hourlyRateCap * hoursPerDay;
 }
 
@@ -269,9 +702,24 @@ export const CCS_CONFIG = {
   CHILDCARE_DEFAULTS,
   DAYS_OF_WEEK,
   DAYS_OF_WEEK_LABELS,
+  WEEKEND_DAYS,
+  ROSTER_DAYS,
+  ROSTER_WEEKS,
   VALIDATION_LIMITS,
   WITHHOLDING,
+  ABSENCES,
+  ACTIVITY_TYPES,
+  ACTIVITY_TEST_EXEMPTIONS,
+  CHILD_ENTITLEMENTS,
+  ACCS_CATEGORIES,
   FINANCIAL_YEAR,
+  RATE_TABLES,
+  SUPPORTED_FINANCIAL_YEARS,
+  DEFAULT_FINANCIAL_YEAR,
+  ACTIVITY_TEST_CHANGEOVER_DATES,
+  getFinancialYearForDate,
+  resolveFinancialYear,
+  getRateTable,
   getHourlyRateCap,
   getDailyRateCap
 };
@@ -0,0 +1,301 @@
+/**
+ * Public Holiday Configuration - Versioned by Financial Year (2023-24 to 2026-27)
+ *
+ * Bundled Australian public holidays for each state and territory, so billing
+ * can allow for them offline. Only holidays that fall on a weekday (including
+ * substitute days for holidays on a weekend) are listed, since care calendars
+ * bill booked weekdays. Weekend holidays such as Easter Saturday are left out
+ * on purpose: weekend care from a parent roster is costed as weekly hours and
+ * billed every week, so a weekend holiday is charged like any other weekend.
+ * Regional show days and part-day holidays are not listed; Queensland lists
+ * the Brisbane Royal Queensland Show day.
+ *
+ * Tables are keyed by the same financial year labels as the CCS RATE_TABLES.
+ *
+ * Source: state and territory government public holiday lists
+ */
+
+import { getFinancialYearForDate } from './ccs-config.js';
+import { InputError } from '../utils/input-error.js';
+
+/**
+ * States and territories
+ */
+export const AUSTRALIAN_STATES = {
+  NSW: 'nsw',
+  VIC: 'vic',
+  QLD: 'qld',
+  WA: 'wa',
+  SA: 'sa',
+  TAS: 'tas',
+  ACT: 'act',
+  NT: 'nt'
+};
+
+export const AUSTRALIAN_STATE_LABELS = {
+  nsw: 'New South Wales',
+  vic: 'Victoria',
+  qld: 'Queensland',
+  wa: 'Western Australia',
+  sa: 'South Australia',
+  tas: 'Tasmania',
+  act: 'Australian Capital Territory',
+  nt: 'Northern Territory'
+};
+
+/**
+ * Versioned public holiday registry
+ *
+ * NATIONAL: weekday holidays observed in every state and territory.
+ * Each state lists its own holidays on top of NATIONAL.
+ *
+ * 2026-27 dates follow each holiday's usual rule (ESTIMATED: true) until
+ * the states gazette them; the AFL Grand Final eve and Western Australia's
+ * King's Birthday are set each year.
+ */
+export const PUBLIC_HOLIDAYS = {
+  '2023-24': {
+    ESTIMATED: false,
+    NATIONAL: [
+      { date: '2023-12-25', name: 'Christmas Day' },
+      { date: '2023-12-26', name: 'Boxing Day' },
+      { date: '2024-01-01', name: 'New Year\'s Day' },
+      { date: '2024-01-26', name: 'Australia Day' },
+      { date: '2024-03-29', name: 'Good Friday' },
+      { date: '2024-04-01', name: 'Easter Monday' },
+      { date: '2024-04-25', name: 'Anzac Day' }
+    ],
+    nsw: [
+      { date: '2023-10-02', name: 'Labour Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ],
+    vic: [
+      { date: '2023-09-29', name: 'AFL Grand Final Friday' },
+      { date: '2023-11-07', name: 'Melbourne Cup' },
+      { date: '2024-03-11', name: 'Labour Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ],
+    qld: [
+      { date: '2023-08-16', name: 'Royal Queensland Show (Brisbane)' },
+      { date: '2023-10-02', name: 'King\'s Birthday' },
+      { date: '2024-05-06', name: 'Labour Day' }
+    ],
+    wa: [
+      { date: '2023-09-25', name: 'King\'s Birthday' },
+      { date: '2024-03-04', name: 'Labour Day' },
+      { date: '2024-06-03', name: 'WA Day' }
+    ],
+    sa: [
+      { date: '2023-10-02', name: 'Labour Day' },
+      { date: '2024-03-11', name: 'Adelaide Cup Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ],
+    tas: [
+      { date: '2024-03-11', name: 'Eight Hours Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ],
+    act: [
+      { date: '2023-10-02', name: 'Labour Day' },
+      { date: '2024-03-11', name: 'Canberra Day' },
+      { date: '2024-05-27', name: 'Reconciliation Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ],
+    nt: [
+      { date: '2023-08-07', name: 'Picnic Day' },
+      { date: '2024-05-06', name: 'May Day' },
+      { date: '2024-06-10', name: 'King\'s Birthday' }
+    ]
+  },
+
+  '2024-25': {
+    ESTIMATED: false,
+    NATIONAL: [
+      { date: '2024-12-25', name: 'Christmas Day' },
+      { date: '2024-12-26', name: 'Boxing Day' },
+      { date: '2025-01-01', name: 'New Year\'s Day' },
+      { date: '2025-01-27', name: 'Australia Day (observed)' },
+      { date: '2025-04-18', name: 'Good Friday' },
+      { date: '2025-04-21', name: 'Easter Monday' },
+      { date: '2025-04-25', name: 'Anzac Day' }
+    ],
+    nsw: [
+      { date: '2024-10-07', name: 'Labour Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ],
+    vic: [
+      { date: '2024-09-27', name: 'AFL Grand Final Friday' },
+      { date: '2024-11-05', name: 'Melbourne Cup' },
+      { date: '2025-03-10', name: 'Labour Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ],
+    qld: [
+      { date: '2024-08-14', name: 'Royal Queensland Show (Brisbane)' },
+      { date: '2024-10-07', name: 'King\'s Birthday' },
+      { date: '2025-05-05', name: 'Labour Day' }
+    ],
+    wa: [
+      { date: '2024-09-23', name: 'King\'s Birthday' },
+      { date: '2025-03-03', name: 'Labour Day' },
+      { date: '2025-06-02', name: 'WA Day' }
+    ],
+    sa: [
+      { date: '2024-10-07', name: 'Labour Day' },
+      { date: '2025-03-10', name: 'Adelaide Cup Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ],
+    tas: [
+      { date: '2025-03-10', name: 'Eight Hours Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ],
+    act: [
+      { date: '2024-10-07', name: 'Labour Day' },
+      { date: '2025-03-10', name: 'Canberra Day' },
+      { date: '2025-06-02', name: 'Reconciliation Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ],
+    nt: [
+      { date: '2024-08-05', name: 'Picnic Day' },
+      { date: '2025-05-05', name: 'May Day' },
+      { date: '2025-06-09', name: 'King\'s Birthday' }
+    ]
+  },
+
+  '2025-26': {
+    ESTIMATED: false,
+    NATIONAL: [
+      { date: '2025-12-25', name: 'Christmas Day' },
+      { date: '2025-12-26', name: 'Boxing Day' },
+      { date: '2026-01-01', name: 'New Year\'s Day' },
+      { date: '2026-01-26', name: 'Australia Day' },
+      { date: '2026-04-03', name: 'Good Friday' },
+      { date: '2026-04-06', name: 'Easter Monday' }
+    ],
+    nsw: [
+      { date: '2025-10-06', name: 'Labour Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ],
+    vic: [
+      { date: '2025-09-26', name: 'AFL Grand Final Friday' },
+      { date: '2025-11-04', name: 'Melbourne Cup' },
+      { date: '2026-03-09', name: 'Labour Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ],
+    qld: [
+      { date: '2025-08-13', name: 'Royal Queensland Show (Brisbane)' },
+      { date: '2025-10-06', name: 'King\'s Birthday' },
+      { date: '2026-05-04', name: 'Labour Day' }
+    ],
+    wa: [
+      { date: '2025-09-29', name: 'King\'s Birthday' },
+      { date: '2026-03-02', name: 'Labour Day' },
+      { date: '2026-04-27', name: 'Anzac Day (observed)' },
+      { date: '2026-06-01', name: 'WA Day' }
+    ],
+    sa: [
+      { date: '2025-10-06', name: 'Labour Day' },
+      { date: '2026-03-09', name: 'Adelaide Cup Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ],
+    tas: [
+      { date: '2026-03-09', name: 'Eight Hours Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ],
+    act: [
+      { date: '2025-10-06', name: 'Labour Day' },
+      { date: '2026-03-09', name: 'Canberra Day' },
+      { date: '2026-04-27', name: 'Anzac Day (observed)' },
+      { date: '2026-06-01', name: 'Reconciliation Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ],
+    nt: [
+      { date: '2025-08-04', name: 'Picnic Day' },
+      { date: '2026-05-04', name: 'May Day' },
+      { date: '2026-06-08', name: 'King\'s Birthday' }
+    ]
+  },
+
+  '2026-27': {
+    ESTIMATED: true,
+    NATIONAL: [
+      { date: '2026-12-25', name: 'Christmas Day' },
+      { date: '2026-12-28', name: 'Boxing Day (observed)' },
+      { date: '2027-01-01', name: 'New Year\'s Day' },
+      { date: '2027-01-26', name: 'Australia Day' },
+      { date: '2027-03-26', name: 'Good Friday' },
+      { date: '2027-03-29', name: 'Easter Monday' }
+    ],
+    nsw: [
+      { date: '2026-10-05', name: 'Labour Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ],
+    vic: [
+      { date: '2026-09-25', name: 'AFL Grand Final Friday' },
+      { date: '2026-11-03', name: 'Melbourne Cup' },
+      { date: '2027-03-08', name: 'Labour Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ],
+    qld: [
+      { date: '2026-08-12', name: 'Royal Queensland Show (Brisbane)' },
+      { date: '2026-10-05', name: 'King\'s Birthday' },
+      { date: '2027-05-03', name: 'Labour Day' }
+    ],
+    wa: [
+      { date: '2026-09-28', name: 'King\'s Birthday' },
+      { date: '2027-03-01', name: 'Labour Day' },
+      { date: '2027-04-26', name: 'Anzac Day (observed)' },
+      { date: '2027-06-07', name: 'WA Day' }
+    ],
+    sa: [
+      { date: '2026-10-05', name: 'Labour Day' },
+      { date: '2027-03-08', name: 'Adelaide Cup Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ],
+    tas: [
+      { date: '2027-03-08', name: 'Eight Hours Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ],
+    act: [
+      { date: '2026-10-05', name: 'Labour Day' },
+      { date: '2027-03-08', name: 'Canberra Day' },
+      { date: '2027-04-26', name: 'Anzac Day (observed)' },
+      { date: '2027-05-31', name: 'Reconciliation Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ],
+    nt: [
+      { date: '2026-08-03', name: 'Picnic Day' },
+      { date: '2027-04-26', name: 'Anzac Day (observed)' },
+      { date: '2027-05-03', name: 'May Day' },
+      { date: '2027-06-14', name: 'King\'s Birthday' }
+    ]
+  }
+};
+
+/**
+ * Financial years with bundled public holidays
+ */
+export const PUBLIC_HOLIDAY_YEARS = Object.keys(PUBLIC_HOLIDAYS);
+
+/**
+ * Get a state's weekday public holidays between two dates
+ * Years without bundled data have no holidays listed.
+ *
+ * @param {string} state - State or territory ID (from AUSTRALIAN_STATES)
+ * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+ * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Array<Object>} Holidays ({ date, name }) in date order
+ * @throws {Error} If the state is unknown
+ */
+export function getPublicHolidays(state, startDate, endDate) {
+  if (!Object.values(AUSTRALIAN_STATES).includes(state)) {
+    throw new InputError(`Unknown state: ${state}`);
+  }
+
+  const firstYear = getFinancialYearForDate(startDate);
+  const lastYear = getFinancialYearForDate(endDate);
+
+  return PUBLIC_HOLIDAY_YEARS
+    .filter(year => year >= firstYear && year <= lastYear)
+    .flatMap(year => [...PUBLIC_HOLIDAYS[year].NATIONAL, ...PUBLIC_HOLIDAYS[year][state]])
+    .filter(holiday => holiday.date >= startDate && holiday.date <= endDate)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
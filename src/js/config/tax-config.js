@@ -0,0 +1,106 @@
+/**
+ * Income Tax Configuration - Versioned by Financial Year (2023-24 to 2026-27)
+ *
+ * Australian resident individual tax rates, the Medicare levy and the low
+ * income tax offset (LITO). Used to turn gross income into take-home pay so
+ * scenarios compare what a household actually keeps after childcare.
+ *
+ * Tables are keyed by the same financial year labels as the CCS RATE_TABLES
+ * and resolved with resolveFinancialYear().
+ *
+ * Source: Australian Taxation Office
+ */
+
+import { resolveFinancialYear } from './ccs-config.js';
+
+/**
+ * Versioned tax registry
+ *
+ * BRACKETS: marginal rates on each dollar above THRESHOLD (ascending).
+ * MEDICARE_LEVY: individual levy with the low-income phase-in. Income above
+ *   LOW_INCOME_THRESHOLD is levied at PHASE_IN_RATE until the full RATE applies.
+ *   Family thresholds and the Medicare levy surcharge are not modelled.
+ * LOW_INCOME_OFFSET: LITO, non-refundable (it can only reduce income tax to nil).
+ *
+ * 2026-27 carries the 2025-26 figures forward with the legislated 15% rate
+ * for the second bracket (ESTIMATED: true) until the Medicare levy
+ * thresholds are confirmed.
+ */
+export const TAX_TABLES = {
+  '2023-24': {
+    ESTIMATED: false,
+    BRACKETS: [
+      { THRESHOLD: 0, RATE: 0 },
+      { THRESHOLD: 18200, RATE: 0.19 },
+      { THRESHOLD: 45000, RATE: 0.325 },
+      { THRESHOLD: 120000, RATE: 0.37 },
+      { THRESHOLD: 180000, RATE: 0.45 }
+    ],
+    MEDICARE_LEVY: {
+      RATE: 0.02,
+      LOW_INCOME_THRESHOLD: 26000,
+      PHASE_IN_RATE: 0.1
+    },
+    LOW_INCOME_OFFSET: {
+      MAX_OFFSET: 700,
+      FIRST_TAPER_START: 37500,
+      FIRST_TAPER_RATE: 0.05,
+      SECOND_TAPER_START: 45000,
+      SECOND_TAPER_RATE: 0.015
+    }
+  },
+
+  '2024-25': {
+    ESTIMATED: false,
+    BRACKETS: [
+      { THRESHOLD: 0, RATE: 0 },
+      { THRESHOLD: 18200, RATE: 0.16 },
+      { THRESHOLD: 45000, RATE: 0.30 },
+      { THRESHOLD: 135000, RATE: 0.37 },
+      { THRESHOLD: 190000, RATE: 0.45 }
+    ],
+    MEDICARE_LEVY: {
+      RATE: 0.02,
+      LOW_INCOME_THRESHOLD: 27222,
+      PHASE_IN_RATE: 0.1
+    },
+    LOW_INCOME_OFFSET: {
+      MAX_OFFSET: 700,
+      FIRST_TAPER_START: 37500,
+      FIRST_TAPER_RATE: 0.05,
+      SECOND_TAPER_START: 45000,
+      SECOND_TAPER_RATE: 0.015
+    }
+  }
+};
+
+// 2025-26: same rates and Medicare levy thresholds as 2024-25
+TAX_TABLES['2025-26'] = {
+  ...TAX_TABLES['2024-25']
+};
+
+// 2026-27: second bracket drops to 15%; Medicare thresholds not yet indexed
+TAX_TABLES['2026-27'] = {
+  ...TAX_TABLES['2025-26'],
+  ESTIMATED: true,
+  BRACKETS: TAX_TABLES['2025-26'].BRACKETS.map(bracket => (
+    bracket.THRESHOLD === 18200 ? { ...bracket, RATE: 0.15 } : bracket
+  ))
+};
+
+/**
+ * Get the tax table for a financial year or effective date
+ *
+ * @param {string|Date} [financialYear] - Financial year ('2024-25') or effective date
+ * @returns {Object} Tax table with brackets, Medicare levy and LITO settings
+ */
+export function getTaxTable(financialYear) {
+  const year = resolveFinancialYear(financialYear);
+  const table = TAX_TABLES[year];
+
+  if (!table) {
+    throw new Error(`No income tax rates available for financial year ${year}`);
+  }
+
+  return table;
+}
@@ -4,18 +4,18 @@
  * Generates all combinations of work days to find optimal work/childcare balance
  */
 
-import { calculateAdjustedIncome, calculateHouseholdIncome } from '../calculations/income.js';
-import { calculateStandardRate, calculateHigherRate } from '../calculations/subsidy-rate.js';
-import { calculateSubsidisedHours } from '../calculations/activity-test.js';
-import { calculateEffectiveHourlyRate, calculateSubsidyPerHour, calculateWeeklyCosts } from '../calculations/costs.js';
+import { computeHousehold, resolveSingleParent, CARE_NEED_MODES } from '../calculations/household.js';
+import { getRosterIncomeDays } from '../calculations/roster.js';
 
 /**
  * Generate all possible work scenario combinations (0-5 days for each parent)
  * This creates a comprehensive comparison to find the optimal work/childcare balance
  * @param {Object} baseData - Base family and childcare data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw calculation errors instead of skipping the scenario
  * @returns {Array} Array of scenario objects
  */
-export function generateAllScenarios(baseData) {
+export function generateAllScenarios(baseData, options = {}) {
   const { parent2BaseIncome = 0 } = baseData;
 
   const scenarios = [];
@@ -35,7 +35,7 @@ export function generateAllScenarios(baseData) {
         parent1Days: p1Days,
         parent2Days: p2Days,
         scenarioName,
-      });
+      }, options);
 
       if (scenario) {
         scenarios.push(scenario);
@@ -50,9 +50,11 @@ export function generateAllScenarios(baseData) {
  * Generate simplified scenarios based on user's current settings
  * Shows: current settings, swap scenario, both full-time, and lower earner at 0 days
  * @param {Object} baseData - Base family and childcare data (includes parent1Days and parent2Days)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw calculation errors instead of skipping the scenario
  * @returns {Array} Array of scenario objects
  */
-export function generateSimplifiedScenarios(baseData) {
+export function generateSimplifiedScenarios(baseData, options = {}) {
   const {
     parent1BaseIncome,
     parent2BaseIncome = 0,
@@ -130,7 +132,7 @@ export function generateSimplifiedScenarios(baseData) {
       parent1Days: combo.parent1Days,
       parent2Days: combo.parent2Days,
       scenarioName: combo.name,
-    });
+    }, options);
 
     if (scenario) {
       scenarios.push(scenario);
@@ -143,9 +145,11 @@ export function generateSimplifiedScenarios(baseData) {
 /**
  * Generate common work scenario combinations (subset of most typical arrangements)
  * @param {Object} baseData - Base family and childcare data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw calculation errors instead of skipping the scenario
  * @returns {Array} Array of scenario objects
  */
-export function generateCommonScenarios(baseData) {
+export function generateCommonScenarios(baseData, options = {}) {
   const { parent2BaseIncome } = baseData;
 
   // Common work day combinations for two parents
@@ -164,7 +168,7 @@ export function generateCommonScenarios(baseData) {
 
   // If parent 2 has no income, only generate single-parent scenarios
   if (!parent2BaseIncome || parent2BaseIncome === 0) {
-    return generateSingleParentScenarios(baseData);
+    return generateSingleParentScenarios(baseData, options);
   }
 
   // Generate scenarios for each combination
@@ -174,7 +178,7 @@ export function generateCommonScenarios(baseData) {
       parent1Days: combo.parent1Days,
       parent2Days: combo.parent2Days,
       scenarioName: combo.name,
-    });
+    }, options);
   });
 
   // Remove duplicates and invalid scenarios
@@ -208,9 +212,11 @@ function generateScenarioName(p1Days, p2Days, isTwoParent = true) {
 /**
  * Generate scenarios for single parent families
  * @param {Object} baseData - Base family data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw calculation errors instead of skipping the scenario
  * @returns {Array} Array of single parent scenarios
  */
-export function generateSingleParentScenarios(baseData) {
+export function generateSingleParentScenarios(baseData, options = {}) {
 
   const singleParentCombinations = [
     { days: 5, name: '5 days (Full-time)' },
@@ -226,7 +232,7 @@ export function generateSingleParentScenarios(baseData) {
       parent1Days: combo.days,
       parent2Days: 0,
       scenarioName: combo.name,
-    });
+    }, options);
   }).filter(scenario => scenario !== null);
 }
 
@@ -240,212 +246,199 @@ export function createCustomScenario(scenarioData) {
 }
 
 /**
- * Calculate childcare hours needed based on parent work schedules
- * Key logic: If a parent isn't working, they're available for childcare
- * @param {number} p1Days - Parent 1 work days
- * @param {number} p2Days - Parent 2 work days
- * @param {number} p1Hours - Parent 1 hours per day
- * @param {number} p2Hours - Parent 2 hours per day
- * @param {number} _childHoursPerWeek - Reserved: child's typical hours per week if both parents
- *   working. Currently unused as hours are derived from parent schedules, but retained in the
- *   signature for future use when child-specific hours need to override parent-derived hours.
- * @returns {number} Actual childcare hours needed per week
+ * Build scenario base data from calculator form data
+ * Children keep their fee type so daily-fee children use daily rate caps
+ * @param {Object} formData - Collected calculator form data
+ * @returns {Object} Base data for the scenario generators
  */
-function calculateChildcareHoursNeeded(p1Days, p2Days, p1Hours, p2Hours, _childHoursPerWeek) {
-  // If neither parent is working, no childcare needed
-  if (p1Days === 0 && p2Days === 0) {
-    return 0;
-  }
-
-  // If one parent isn't working, they're home for childcare
-  if (p1Days === 0 || p2Days === 0) {
-    // Only need childcare when the working parent is at work
-    const workingDays = Math.max(p1Days, p2Days);
-    const workingHours = p1Days > 0 ? p1Hours : p2Hours;
-    return workingDays * workingHours;
-  }
-
-  // Both parents working - need childcare during overlapping work hours
-  // This is a simplified model - assumes they work same days
-  const overlappingDays = Math.min(p1Days, p2Days);
-  const maxHoursPerDay = Math.max(p1Hours, p2Hours);
+export function buildScenarioBaseData(formData) {
+  const parent2 = formData.parent2 || {};
+
+  return {
+    parent1BaseIncome: formData.parent1.income,
+    parent2BaseIncome: parent2.income || 0,
+    parent1Days: formData.parent1.days,
+    parent2Days: parent2.days || 0,
+    parent1HoursPerDay: formData.parent1.hours,
+    parent2HoursPerDay: parent2.hours || 0,
+    parent1Exemption: formData.parent1.exemption || null,
+    parent2Exemption: parent2.exemption || null,
+    parent1Activities: formData.parent1.activities || {},
+    parent2Activities: parent2.activities || {},
+    parent1Roster: formData.parent1.roster || null,
+    parent2Roster: parent2.roster || null,
+    parent1CommuteHours: formData.parent1.commuteHours || 0,
+    parent2CommuteHours: parent2.commuteHours || 0,
+    parent1DropOff: Boolean(formData.parent1.dropOff),
+    parent2DropOff: Boolean(parent2.dropOff),
+    parent1PickUp: Boolean(formData.parent1.pickUp),
+    parent2PickUp: Boolean(parent2.pickUp),
+    children: formData.children.map(child => ({
+      age: child.age,
+      careType: child.careType,
+      feeType: child.feeType,
+      dailyFee: child.dailyFee,
+      hoursPerDay: child.hoursPerDay,
+      daysOfCare: child.daysOfCare,
+      providerFee: child.providerFee,
+      hoursPerWeek: child.hoursPerWeek,
+      sessions: child.sessions,
+      bookingPattern: child.bookingPattern || null,
+      accsCategory: child.accsCategory || null,
+      firstNations: Boolean(child.firstNations),
+      careCalendar: child.careCalendar || null
+    })),
+    withholdingRate: formData.withholdingRate,
+    financialYear: formData.financialYear,
+    state: formData.state || null
+  };
+}
 
-  // For non-overlapping days, still might need some childcare
-  const nonOverlappingDays = Math.abs(p1Days - p2Days);
-  const minHours = Math.min(p1Hours, p2Hours);
+/**
+ * Keep a parent's roster in a scenario that works the roster's days
+ * A scenario that changes the parent's days uses a weekday schedule instead.
+ * @param {Array<Object>|null} roster - Parent's roster
+ * @param {number} days - Scenario days per week
+ * @returns {Array<Object>|null} Roster, or null when none applies
+ */
+function rosterForDays(roster, days) {
+  return roster && getRosterIncomeDays(roster) === days ? roster : null;
+}
 
-  return (overlappingDays * maxHoursPerDay) + (nonOverlappingDays * minHours);
+/**
+ * Convert flat scenario data into household engine inputs
+ * Parent rosters (with shift times, care is matched hour by hour) are kept
+ * only in scenarios that work the roster's days. A blank parent 2 becomes null
+ * (a single-parent household).
+ * @param {Object} data - Scenario data (parent incomes, days, hours, rosters, commutes and children)
+ * @returns {Object} Inputs for computeHousehold
+ */
+export function toHouseholdInputs(data) {
+  const {
+    parent1BaseIncome,
+    parent2BaseIncome = 0,
+    parent1Days,
+    parent2Days = 0,
+    parent1HoursPerDay,
+    parent2HoursPerDay = 0,
+    parent1Exemption = null,
+    parent2Exemption = null,
+    parent1Activities = {},
+    parent2Activities = {},
+    parent1Roster = null,
+    parent2Roster = null,
+    parent1CommuteHours = 0,
+    parent2CommuteHours = 0,
+    parent1DropOff = false,
+    parent2DropOff = false,
+    parent1PickUp = false,
+    parent2PickUp = false,
+    children,
+    withholdingRate,
+    financialYear,
+    state = null
+  } = data;
+  const roster1 = rosterForDays(parent1Roster, parent1Days);
+  const roster2 = rosterForDays(parent2Roster, parent2Days);
+
+  return resolveSingleParent({
+    parent1: {
+      income: parent1BaseIncome,
+      days: parent1Days,
+      hours: parent1HoursPerDay,
+      exemption: parent1Exemption,
+      activities: parent1Activities,
+      commuteHours: parent1CommuteHours,
+      dropOff: parent1DropOff,
+      pickUp: parent1PickUp,
+      ...(roster1 && { roster: roster1 })
+    },
+    parent2: {
+      income: parent2BaseIncome,
+      days: parent2Days,
+      hours: parent2HoursPerDay,
+      exemption: parent2Exemption,
+      activities: parent2Activities,
+      commuteHours: parent2CommuteHours,
+      dropOff: parent2DropOff,
+      pickUp: parent2PickUp,
+      ...(roster2 && { roster: roster2 })
+    },
+    children,
+    withholdingRate,
+    financialYear,
+    state
+  });
 }
 
 /**
  * Create a scenario and calculate all results
+ *
+ * Each child's booked care is capped at the time parents are at work, so
+ * scenarios with fewer work days need less care. When startDate and endDate
+ * are given, annual figures are the totals for that date range, split at each
+ * 1 July (and any changeoverDates). Otherwise annual figures are 52 weeks at
+ * the scenario's financial year rates, or the billed weeks of each child's
+ * care calendar when one is set.
+ *
  * @param {Object} data - Scenario data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Rethrow calculation errors instead of returning null
  * @returns {Object|null} Calculated scenario or null if invalid
  */
-function createScenario(data) {
+function createScenario(data, { strict = false } = {}) {
   try {
     const {
-      parent1BaseIncome,
       parent2BaseIncome = 0,
       parent1Days,
       parent2Days = 0,
-      parent1HoursPerDay,
-      parent2HoursPerDay = 0,
-      children,
+      startDate,
+      endDate,
+      changeoverDates = [],
       scenarioName = generateScenarioName(parent1Days, parent2Days, parent2BaseIncome > 0),
     } = data;
 
-    // Calculate adjusted incomes (0 if not working)
-    const parent1Income = parent1Days > 0 ? calculateAdjustedIncome(
-      parent1BaseIncome,
-      parent1Days,
-      parent1HoursPerDay
-    ) : 0;
-
-    const parent2Income = (parent2BaseIncome > 0 && parent2Days > 0) ? calculateAdjustedIncome(
-      parent2BaseIncome,
-      parent2Days,
-      parent2HoursPerDay
-    ) : 0;
-
-    const householdIncome = calculateHouseholdIncome(parent1Income, parent2Income);
-
-    // Calculate subsidised hours
-    const parent1FortnightHours = parent1Days * parent1HoursPerDay * 2;
-    const parent2FortnightHours = parent2Days * parent2HoursPerDay * 2;
-    const subsidisedHoursResult = calculateSubsidisedHours(
-      parent1FortnightHours,
-      parent2FortnightHours
-    );
-    const subsidisedHours = subsidisedHoursResult.hoursPerWeek;
-
-    // Calculate costs for each child
-    const childResults = children.map((child) => {
-      const { age, careType } = child;
-
-      // Normalize child data - convert daily fees to hourly if needed
-      let providerFee, hoursPerWeek;
-      if (child.feeType === 'daily') {
-        // Convert daily fee to hourly (using hours per day)
-        const hoursPerDay = child.hoursPerDay || 10;
-        providerFee = child.dailyFee / hoursPerDay;
-        // Convert days of care to hours per week
-        const daysOfCare = child.daysOfCare || 5;
-        hoursPerWeek = daysOfCare * hoursPerDay;
-      } else {
-        // Hourly mode - use values directly
-        providerFee = child.providerFee;
-        hoursPerWeek = child.hoursPerWeek;
-      }
-
-      // Skip if we don't have valid fee data
-      if (typeof providerFee !== 'number' || isNaN(providerFee) || providerFee <= 0) {
-        return null;
-      }
-
-      // Calculate actual childcare hours needed based on parent availability
-      const actualHoursNeeded = calculateChildcareHoursNeeded(
-        parent1Days,
-        parent2Days,
-        parent1HoursPerDay,
-        parent2HoursPerDay,
-        hoursPerWeek
-      );
-
-      // If no childcare needed, return zero costs
-      if (actualHoursNeeded === 0) {
-        return {
-          age,
-          careType,
-          subsidyRate: 0,
-          subsidyPerHour: 0,
-          weeklySubsidy: 0,
-          weeklyFullCost: 0,
-          weeklyOutOfPocket: 0,
-          hoursWithSubsidy: 0,
-          hoursWithoutSubsidy: 0,
-        };
-      }
-
-      // Determine if this is the eldest child aged ≤5
-      const childrenUnder6 = children.filter(c => c.age <= 5);
-      const isEldestUnder6 = childrenUnder6.length > 0 &&
-                             age <= 5 &&
-                             age === Math.max(...childrenUnder6.map(c => c.age));
-
-      // Calculate subsidy rate
-      let subsidyRate;
-      if (isEldestUnder6) {
-        subsidyRate = calculateStandardRate(householdIncome);
-      } else if (age <= 5) {
-        subsidyRate = calculateHigherRate(householdIncome);
-      } else {
-        subsidyRate = calculateStandardRate(householdIncome);
-      }
-
-      // Calculate effective hourly rate and costs
-      const effectiveRate = calculateEffectiveHourlyRate(providerFee, careType, age);
-      const subsidyPerHour = calculateSubsidyPerHour(subsidyRate, effectiveRate);
-
-      const maxSubsidisedHours = Math.min(actualHoursNeeded, subsidisedHours);
-      const weeklyCosts = calculateWeeklyCosts({
-        subsidyPerHour,
-        providerFee,
-        subsidisedHours: maxSubsidisedHours,
-        actualHours: actualHoursNeeded
-      });
-
-      return {
-        age,
-        careType,
-        subsidyRate,
-        subsidyPerHour,
-        ...weeklyCosts,
-      };
-    }).filter(result => result !== null);
+    const household = computeHousehold(toHouseholdInputs(data), {
+      careNeed: CARE_NEED_MODES.PARENT_AVAILABILITY,
+      startDate,
+      endDate,
+      changeoverDates
+    });
 
     // If no valid children data, return null scenario
-    if (childResults.length === 0) {
+    if (household.children.length === 0) {
       return null;
     }
 
-    // Aggregate total costs
-    const totalWeeklySubsidy = childResults.reduce((sum, child) => sum + child.weeklySubsidy, 0);
-    const totalWeeklyCost = childResults.reduce((sum, child) => sum + child.weeklyFullCost, 0);
-    const totalWeeklyOutOfPocket = childResults.reduce((sum, child) => sum + child.weeklyOutOfPocket, 0);
-
-    const annualSubsidy = totalWeeklySubsidy * 52;
-    const annualCost = totalWeeklyCost * 52;
-    const annualOutOfPocket = totalWeeklyOutOfPocket * 52;
-
-    // Calculate net income after childcare
-    const netIncomeAfterChildcare = householdIncome - annualOutOfPocket;
-    const childcareCostPercentage = householdIncome > 0
-      ? (annualOutOfPocket / householdIncome) * 100
-      : 0;
-
     return {
       id: generateScenarioId(scenarioName, parent1Days, parent2Days),
       name: scenarioName,
+      financialYear: household.financialYear,
       parent1Days,
       parent2Days,
-      parent1Income,
-      parent2Income,
-      householdIncome,
-      subsidisedHours: subsidisedHoursResult,
-      childResults,
-      totalWeeklySubsidy,
-      totalWeeklyCost,
-      totalWeeklyOutOfPocket,
-      annualSubsidy,
-      annualCost,
-      annualOutOfPocket,
-      netIncomeAfterChildcare,
-      childcareCostPercentage,
+      parent1Income: household.parent1.adjustedIncome,
+      parent2Income: household.parent2.adjustedIncome,
+      householdIncome: household.householdIncome,
+      incomeTax: household.incomeTax,
+      afterTaxIncome: household.afterTaxIncome,
+      subsidisedHours: household.subsidisedHours,
+      childResults: household.children,
+      totalWeeklySubsidy: household.weekly.subsidy,
+      totalWeeklyCost: household.weekly.fullCost,
+      totalWeeklyOutOfPocket: household.weekly.outOfPocket,
+      annualSubsidy: household.annual.subsidy,
+      annualCost: household.annual.fullCost,
+      annualOutOfPocket: household.annual.outOfPocket,
+      dateRange: household.dateRange,
+      netIncomeAfterChildcare: household.netIncomeAfterChildcare,
+      childcareCostPercentage: household.costPercentage,
       isFavorite: false,
       isCustom: false,
     };
   } catch (error) {
+    if (strict) {
+      throw error;
+    }
     console.error('Error creating scenario:', error);
     return null;
   }
@@ -0,0 +1,274 @@
+/**
+ * Scenario Merge
+ * Three-way merge of calculator state when a save conflicts with a version
+ * saved on another device.
+ *
+ * The form data is compared field by field (each parent field, each child's
+ * fields and each CCS setting) against the common base version both sides
+ * started from: a field changed on one side only is merged automatically, and
+ * a field changed differently on both sides is a conflict for the user to
+ * resolve. Children are matched by their id, so adding, removing or reordering
+ * children on one device does not shift the others; children saved before ids
+ * were added are matched by position.
+ */
+
+/** Labels for parent fields */
+const PARENT_FIELD_LABELS = {
+  income: 'income',
+  days: 'days per week',
+  hours: 'hours per day',
+  workDays: 'work days',
+  roster: 'roster',
+  commuteHours: 'commute',
+  dropOff: 'drop-off',
+  pickUp: 'pick-up',
+  exemption: 'activity test exemption',
+  activities: 'other activities'
+};
+
+/** Labels for child fields */
+const CHILD_FIELD_LABELS = {
+  age: 'age',
+  careType: 'care type',
+  feeType: 'fee type',
+  accsCategory: 'ACCS category',
+  firstNations: 'First Nations',
+  dailyFee: 'daily fee',
+  hoursPerDay: 'hours per day',
+  daysOfCare: 'days of care',
+  providerFee: 'hourly fee',
+  hoursPerWeek: 'hours per week',
+  sessions: 'sessions',
+  bookingPattern: 'booking pattern',
+  careCalendar: 'care calendar'
+};
+
+/** Labels for top-level form settings */
+const SETTING_LABELS = {
+  withholdingRate: 'Withholding rate',
+  financialYear: 'Financial year',
+  state: 'State or territory'
+};
+
+const PARENTS = ['parent1', 'parent2'];
+
+/**
+ * Resolution of a field in a three-way merge.
+ * @readonly
+ * @enum {string}
+ */
+export const MERGE_RESOLUTIONS = {
+  /** Both sides have the same value */
+  SAME: 'same',
+  /** Only this device changed the field */
+  LOCAL: 'local',
+  /** Only the other device changed the field */
+  SERVER: 'server',
+  /** Both sides changed the field differently */
+  CONFLICT: 'conflict'
+};
+
+/**
+ * @typedef {Object} MergeField
+ * @property {string} path - Field path in the form data, e.g. 'parent1.income',
+ *   'children.<child id>.dailyFee', or 'children.<child id>' for a child added or removed on one side
+ * @property {string} label - Readable field name, e.g. 'Parent 1 income'
+ * @property {*} base - Value in the version both sides started from
+ * @property {*} local - Value on this device
+ * @property {*} server - Value saved on the other device
+ * @property {string} resolution - One of MERGE_RESOLUTIONS
+ */
+
+/**
+ * Compare local and server scenario state against their common base.
+ * @param {Object|null} base - State both sides started from (null if unknown)
+ * @param {Object|null} local - State on this device
+ * @param {Object} server - State saved on the server
+ * @returns {MergeField[]} Every form field, with how it merges
+ */
+export function diffScenarioData(base, local, server) {
+  const baseForm = base?.formData || null;
+  const localForm = local?.formData || {};
+  const serverForm = server?.formData || {};
+  const children = {
+    base: keyChildren(baseForm, localForm, serverForm),
+    local: keyChildren(localForm, baseForm, serverForm),
+    server: keyChildren(serverForm, baseForm, localForm)
+  };
+
+  return listFieldPaths(localForm, serverForm, children).map(({ path, label }) => {
+    const field = {
+      path,
+      label,
+      base: baseForm ? getField(baseForm, children.base, path) : undefined,
+      local: getField(localForm, children.local, path),
+      server: getField(serverForm, children.server, path)
+    };
+    return { ...field, resolution: resolveField(field, baseForm !== null) };
+  });
+}
+
+/**
+ * Merge local and server scenario state.
+ * Fields changed on one side take that side's value; conflicts take the
+ * side chosen for them.
+ * @param {Object|null} base - State both sides started from (null if unknown)
+ * @param {Object|null} local - State on this device
+ * @param {Object} server - State saved on the server
+ * @param {Object<string, string>} [choices={}] - 'local' or 'server' for each conflicting field path
+ * @returns {Object} Merged state
+ * @throws {Error} If a conflicting field has no choice
+ */
+export function mergeScenarioData(base, local, server, choices = {}) {
+  if (!local?.formData) {
+    return server;
+  }
+
+  const formData = {};
+  const children = new Map();
+  diffScenarioData(base, local, server).forEach((field) => {
+    let side = field.resolution;
+    if (side === MERGE_RESOLUTIONS.CONFLICT) {
+      side = choices[field.path];
+      if (side !== MERGE_RESOLUTIONS.LOCAL && side !== MERGE_RESOLUTIONS.SERVER) {
+        throw new Error(`Choose which version of ${field.label} to keep`);
+      }
+    }
+    const value = side === MERGE_RESOLUTIONS.LOCAL ? field.local : field.server;
+    if (value === undefined) {
+      return;
+    }
+    const [section, key, name] = field.path.split('.');
+    if (section !== 'children') {
+      setPath(formData, field.path, value);
+    } else if (name) {
+      children.set(key, { ...children.get(key), [name]: value });
+    } else {
+      children.set(key, value);
+    }
+  });
+
+  if (children.size > 0) {
+    // diffScenarioData lists children in merged order
+    formData.children = [...children.values()];
+  }
+
+  return {
+    ...server,
+    formData,
+    // Results are recalculated from the merged inputs
+    results: null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Decide how a field merges.
+ * @param {{ base: *, local: *, server: * }} field
+ * @param {boolean} hasBase - Whether the base version is known
+ * @returns {string} One of MERGE_RESOLUTIONS
+ */
+function resolveField(field, hasBase) {
+  if (isEqual(field.local, field.server)) {
+    return MERGE_RESOLUTIONS.SAME;
+  }
+  if (hasBase && isEqual(field.local, field.base)) {
+    return MERGE_RESOLUTIONS.SERVER;
+  }
+  if (hasBase && isEqual(field.server, field.base)) {
+    return MERGE_RESOLUTIONS.LOCAL;
+  }
+  return MERGE_RESOLUTIONS.CONFLICT;
+}
+
+/**
+ * List the field paths present in either form, in form order.
+ * Children follow this device's order, with children added on the other
+ * device after them.
+ * @param {Object} localForm
+ * @param {Object} serverForm
+ * @param {{ local: Map<string, Object>, server: Map<string, Object> }} children - Children by key
+ * @returns {{ path: string, label: string }[]}
+ */
+function listFieldPaths(localForm, serverForm, children) {
+  const fields = [];
+
+  PARENTS.forEach((parent, index) => {
+    const keys = unionKeys(localForm[parent], serverForm[parent]);
+    keys.forEach((key) => {
+      fields.push({
+        path: `${parent}.${key}`,
+        label: `Parent ${index + 1} ${PARENT_FIELD_LABELS[key] || key}`
+      });
+    });
+  });
+
+  const childKeys = new Set([...children.local.keys(), ...children.server.keys()]);
+  [...childKeys].forEach((key, index) => {
+    const local = children.local.get(key);
+    const server = children.server.get(key);
+    const label = `Child ${index + 1}`;
+    if (!local || !server) {
+      // Added or removed on one side: the whole child merges as one field
+      fields.push({ path: `children.${key}`, label });
+      return;
+    }
+    unionKeys(local, server).forEach((name) => {
+      fields.push({ path: `children.${key}.${name}`, label: `${label} ${CHILD_FIELD_LABELS[name] || name}` });
+    });
+  });
+
+  unionKeys(localForm, serverForm)
+    .filter((key) => !PARENTS.includes(key) && key !== 'children')
+    .forEach((key) => {
+      fields.push({ path: key, label: SETTING_LABELS[key] || key });
+    });
+
+  return fields;
+}
+
+/**
+ * Key a form's children by id. If any version has a child without an id
+ * (saved before ids were added), every version is keyed by position instead.
+ * @param {Object|null} form - Form whose children to key
+ * @param {...(Object|null)} others - The other versions in the merge
+ * @returns {Map<string, Object>} Children by key, in form order
+ */
+function keyChildren(form, ...others) {
+  const childrenOf = (f) => (Array.isArray(f?.children) ? f.children : []);
+  const byId = [form, ...others].every((f) => childrenOf(f).every((child) => child?.id));
+  return new Map(childrenOf(form).map((child, index) => [byId ? child.id : String(index), child]));
+}
+
+function getField(form, children, path) {
+  const [section, key, name] = path.split('.');
+  if (section !== 'children') {
+    return getPath(form, path);
+  }
+  const child = children.get(key);
+  return name ? child?.[name] : child;
+}
+
+function unionKeys(a, b) {
+  return [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach((key) => {
+    if (target[key] === undefined) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
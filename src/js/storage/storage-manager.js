@@ -2,28 +2,62 @@
  * Storage Manager
  * Unified interface for local and cloud storage.
  * Handles fallback, auto-save, sync, and conflict resolution.
+ * Writes that cannot reach the cloud are queued in a durable outbox and
+ * replayed in order once connectivity returns.
  */
 
 import { authManager } from '../auth/auth-manager.js';
 import { loadState, saveState } from './persistence.js';
 import { debounce } from '../utils/debounce.js';
+import { diffScenarioData, mergeScenarioData, MERGE_RESOLUTIONS } from './scenario-merge.js';
+import { SyncQueue, SYNC_OPERATIONS, SYNC_OUTCOMES } from './sync-queue.js';
 
 class StorageManager {
   constructor() {
     this.cloudStorageAvailable = false;
     this.autoSaving = false;
     this.lastSavedState = null;
-    this.queuedSave = null;
+    /** Outbox of cloud writes waiting to be replayed */
+    this.syncQueue = new SyncQueue();
+    this._replaying = false;
+    this._replayTimer = null;
+    /** ETag returned by the last write to each scenario, sent by later queued updates of it */
+    this._writtenEtags = new Map();
     /** ID of the scenario currently being edited, or null */
     this.activeScenarioId = null;
     /** Display name of the active scenario */
     this.activeScenarioName = 'My Scenario';
+    /** The user's role on the active scenario: 'owner', or 'edit' or 'view' when shared with them */
+    this.activeScenarioRole = 'owner';
+    /** True while a read-only snapshot opened from a share link is shown: nothing is saved */
+    this.viewingSnapshot = false;
+    /** ETag of the cloud version local edits are based on, sent with updates to detect conflicts */
+    this.serverEtag = null;
+    /** Cloud state at serverEtag: the common base when merging a conflict */
+    this.baseState = null;
+    /**
+     * Asks the user to resolve conflicting fields.
+     * Receives the merge fields and resolves to { [path]: 'local'|'server' }, or null to cancel.
+     * @type {((fields: import('./scenario-merge.js').MergeField[]) => Promise<Object|null>)|null}
+     */
+    this.conflictResolver = null;
 
     // Auto-save debounced (3 seconds)
     this.debouncedSave = debounce(
       (state) => this.saveScenario(state),
       3000
     );
+
+    // Replay queued writes as soon as the browser is back online
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        if (this.cloudStorageAvailable) {
+          this.replayQueue();
+        } else {
+          this.initialize();
+        }
+      });
+    }
   }
 
   /**
@@ -37,7 +71,11 @@ class StorageManager {
 
     if (this.cloudStorageAvailable) {
       console.log('Cloud storage available');
-      await this.syncWithCloud();
+      await this.replayQueue();
+      // Local edits still waiting to sync are newer than the cloud copy
+      if (await this.syncQueue.count(this._currentUserId()) === 0) {
+        await this.syncWithCloud();
+      }
     } else {
       console.log('Using local storage only');
     }
@@ -95,7 +133,13 @@ class StorageManager {
       });
 
       if (response.ok) {
-        return await response.json();
+        const scenario = await response.json();
+        this.serverEtag = scenario.etag || null;
+        this.baseState = scenario.data || null;
+        this.activeScenarioRole = scenario.role || 'owner';
+        // Writes still queued from before this load keep the ETag they were based on
+        this._writtenEtags.delete(scenarioId);
+        return scenario;
       }
 
       return null;
@@ -105,19 +149,56 @@ class StorageManager {
     }
   }
 
+  /**
+   * Open a scenario for editing, e.g. from a dashboard link.
+   * The user's own scenarios also become their active scenario. Scenarios
+   * shared with them are edited in place without changing it, since only the
+   * owner may activate a scenario.
+   * @param {string} scenarioId - The scenario ID to open
+   * @returns {Promise<Object|null>} The scenario object, or null
+   */
+  async openScenario(scenarioId) {
+    const scenario = await this.loadScenario(scenarioId);
+    if (!scenario) {
+      return null;
+    }
+
+    if (this.activeScenarioRole === 'owner') {
+      await this.activateScenario(scenarioId);
+    }
+    this.activeScenarioId = scenarioId;
+    this.activeScenarioName = scenario.name || 'My Scenario';
+    return scenario;
+  }
+
   /**
    * Save a scenario to localStorage and, if authenticated, to cloud.
+   * localStorage holds only the user's own household: a scenario shared with
+   * them is saved to cloud alone, so it never reaches their next sync.
    * @param {Object} state - The state to save
    * @param {string} [scenarioName] - The scenario name for cloud storage (defaults to activeScenarioName)
    * @returns {Promise<Object|undefined>} The saved scenario result from cloud, or undefined
    */
   async saveScenario(state, scenarioName) {
+    // A shared snapshot must not overwrite the user's own saved state
+    if (this.viewingSnapshot) {
+      return undefined;
+    }
+
     const name = scenarioName || this.activeScenarioName || 'My Scenario';
 
-    // Always save to localStorage first (instant, no network dependency)
-    saveState(state);
+    // Save the user's own scenario to localStorage first (instant, no network dependency)
+    if (this.activeScenarioRole === 'owner') {
+      saveState(state);
+    }
     this.lastSavedState = state;
 
+    // A scenario shared as view only is never saved to cloud
+    if (this.cloudStorageAvailable && this.activeScenarioRole === 'view') {
+      this.updateSyncStatus('viewOnly');
+      return undefined;
+    }
+
     // If authenticated, also save to cloud
     if (this.cloudStorageAvailable) {
       try {
@@ -141,42 +222,25 @@ class StorageManager {
           isActive: true
         };
 
-        let response;
-
-        if (scenarioId) {
-          // Update existing scenario
-          response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}`, {
-            method: 'PUT',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            credentials: 'same-origin',
-            body: JSON.stringify(scenarioData)
-          });
-        } else {
-          // Create new scenario
-          response = await fetch('/api/scenarios', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            credentials: 'same-origin',
-            body: JSON.stringify(scenarioData)
-          });
+        // Update the existing scenario (failing with 409 if it changed since serverEtag) or create one
+        const operation = scenarioId
+          ? { type: SYNC_OPERATIONS.UPDATE, scenarioId, body: scenarioData, etag: this.serverEtag, base: this.baseState }
+          : { type: SYNC_OPERATIONS.CREATE, scenarioId: null, body: scenarioData };
+
+        const response = await this._sendOrQueue(operation);
+        if (!response) {
+          return undefined;
         }
 
         if (response.ok) {
           const result = await response.json();
-          // Capture the ID of the newly created scenario so future saves go to the same record
-          if (!this.activeScenarioId && result.id) {
-            this.activeScenarioId = result.id;
-          }
+          this._applySavedResult(operation, result);
           this.updateSyncStatus('synced');
           return result;
         } else if (response.status === 409) {
-          // Conflict — server wins
+          // Conflict — merge with the version saved on another device
           const conflict = await response.json();
-          await this.handleConflict(conflict);
+          return await this.handleConflict(conflict, state);
         } else {
           this.updateSyncStatus('error');
         }
@@ -187,6 +251,263 @@ class StorageManager {
     }
   }
 
+  /**
+   * Send a cloud write now, or queue it when earlier writes are still pending
+   * (to keep them in order) or the cloud cannot be reached.
+   * @param {import('./sync-queue.js').SyncOperation} operation
+   * @returns {Promise<Response|null>} The response, or null if the write was queued
+   * @private
+   */
+  async _sendOrQueue(operation) {
+    if (await this.syncQueue.count(this._currentUserId()) > 0) {
+      await this.queueOperation(operation);
+      return null;
+    }
+
+    try {
+      return await fetch(...this._buildRequest(operation));
+    } catch (networkError) {
+      console.warn(`Could not reach the cloud, queuing ${operation.type}:`, networkError);
+      await this.queueOperation(operation);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a cloud write for the signed-in user and try to replay the queue.
+   * @param {import('./sync-queue.js').SyncOperation} operation
+   */
+  async queueOperation(operation) {
+    await this.syncQueue.enqueue({ ...operation, userId: this._currentUserId() });
+    await this.replayQueue();
+  }
+
+  /**
+   * Discard the signed-in user's queued writes before they sign out, so they
+   * cannot be replayed into whichever account signs in next on this browser.
+   * @returns {Promise<number>} Number of writes discarded
+   */
+  async discardQueuedWrites() {
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
+    return this.syncQueue.discard(this._currentUserId());
+  }
+
+  /**
+   * ID of the signed-in user, which queued writes are recorded against.
+   * @returns {string|null}
+   * @private
+   */
+  _currentUserId() {
+    const user = authManager.getUser();
+    return user ? user.id : null;
+  }
+
+  /**
+   * Replay queued writes in order. A write that fails is retried with
+   * exponential backoff; the sync status shows how many are still pending.
+   */
+  async replayQueue() {
+    // A replay already running picks up anything queued meanwhile
+    if (this._replaying || !this.cloudStorageAvailable) return;
+
+    this._replaying = true;
+    try {
+      const { remaining, retryIn } = await this.syncQueue.flush(
+        entry => this._replayEntry(entry),
+        this._currentUserId()
+      );
+      this._scheduleReplay(retryIn);
+      if (remaining > 0) {
+        this.updateSyncStatus('pending', remaining);
+      }
+    } catch (error) {
+      console.error('Error replaying sync queue:', error);
+      this.updateSyncStatus('error');
+    } finally {
+      this._replaying = false;
+    }
+  }
+
+  /**
+   * Send one queued write.
+   * @param {import('./sync-queue.js').SyncEntry} entry
+   * @returns {Promise<string>} One of SYNC_OUTCOMES
+   * @private
+   */
+  async _replayEntry(entry) {
+    // An earlier write to the scenario has moved its ETag on since this update was queued
+    const etag = entry.type === SYNC_OPERATIONS.UPDATE && this._writtenEtags.get(entry.scenarioId);
+
+    let response;
+    try {
+      response = await fetch(...this._buildRequest(etag ? { ...entry, etag } : entry));
+    } catch {
+      return SYNC_OUTCOMES.RETRY;
+    }
+
+    if (response.ok) {
+      if (entry.type !== SYNC_OPERATIONS.DELETE) {
+        this._applySavedResult(entry, await response.json());
+      }
+      this.updateSyncStatus('synced');
+      return SYNC_OUTCOMES.DONE;
+    }
+
+    if (response.status === 409 && entry.type === SYNC_OPERATIONS.UPDATE) {
+      // The ETag check failed — merge with the version saved on another device
+      const conflict = await response.json();
+      if (entry.scenarioId !== this.activeScenarioId) {
+        return this._mergeQueuedConflict(entry, conflict);
+      }
+      await this.handleConflict(conflict, entry.body.data);
+      return SYNC_OUTCOMES.DONE;
+    }
+
+    // Server errors and expired sign-ins may succeed later
+    if (response.status >= 500 || response.status === 401) {
+      return SYNC_OUTCOMES.RETRY;
+    }
+
+    console.warn(`Dropping queued ${entry.type} of scenario ${entry.scenarioId}: HTTP ${response.status}`);
+    return SYNC_OUTCOMES.DROP;
+  }
+
+  /**
+   * Merge a queued save of a scenario that is no longer open with the version
+   * saved on another device. The form and the active scenario are left alone,
+   * so fields changed on both devices keep the server's value.
+   * @param {import('./sync-queue.js').SyncEntry} entry - The queued update
+   * @param {Object} conflict - The conflict object from the API response
+   * @returns {Promise<string>} One of SYNC_OUTCOMES
+   * @private
+   */
+  async _mergeQueuedConflict(entry, conflict) {
+    const localState = entry.body.data;
+    const serverState = conflict.serverVersion.data;
+    const fields = diffScenarioData(entry.base, localState, serverState);
+
+    const choices = {};
+    fields
+      .filter(field => field.resolution === MERGE_RESOLUTIONS.CONFLICT)
+      .forEach(field => { choices[field.path] = MERGE_RESOLUTIONS.SERVER; });
+
+    if (!fields.some(field => field.resolution === MERGE_RESOLUTIONS.LOCAL)) {
+      // Nothing to upload — the server version already is the merge
+      this._setWrittenEtag(entry.scenarioId, conflict.serverVersion.etag);
+      return SYNC_OUTCOMES.DONE;
+    }
+
+    const merged = mergeScenarioData(entry.base, localState, serverState, choices);
+    let response;
+    try {
+      response = await fetch(...this._buildRequest({
+        type: SYNC_OPERATIONS.UPDATE,
+        scenarioId: entry.scenarioId,
+        body: { ...entry.body, data: merged, keyInputs: this._extractKeyInputs(merged) },
+        etag: conflict.serverVersion.etag
+      }));
+    } catch {
+      return SYNC_OUTCOMES.RETRY;
+    }
+
+    if (response.ok) {
+      this._setWrittenEtag(entry.scenarioId, (await response.json()).etag);
+      return SYNC_OUTCOMES.DONE;
+    }
+    // Changed again meanwhile: the retry merges with the newer version
+    if (response.status === 409 || response.status >= 500 || response.status === 401) {
+      return SYNC_OUTCOMES.RETRY;
+    }
+
+    console.warn(`Dropping merged save of scenario ${entry.scenarioId}: HTTP ${response.status}`);
+    return SYNC_OUTCOMES.DROP;
+  }
+
+  /**
+   * Build the fetch arguments for a cloud write.
+   * @param {import('./sync-queue.js').SyncOperation} operation
+   * @returns {[string, Object]} URL and fetch options
+   * @private
+   */
+  _buildRequest(operation) {
+    const url = operation.scenarioId
+      ? `/api/scenarios/${encodeURIComponent(operation.scenarioId)}`
+      : '/api/scenarios';
+
+    switch (operation.type) {
+      case SYNC_OPERATIONS.CREATE:
+      case SYNC_OPERATIONS.UPDATE:
+      case SYNC_OPERATIONS.RENAME:
+        return [url, {
+          method: operation.type === SYNC_OPERATIONS.CREATE ? 'POST' : 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(operation.etag && { 'If-Match': operation.etag })
+          },
+          credentials: 'same-origin',
+          body: JSON.stringify(operation.body)
+        }];
+      case SYNC_OPERATIONS.DELETE:
+        return [url, { method: 'DELETE', credentials: 'same-origin' }];
+      default:
+        throw new Error(`Unknown sync operation: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Track the server version after a write to the active scenario succeeds.
+   * @param {import('./sync-queue.js').SyncOperation} operation
+   * @param {Object} result - Response body
+   * @private
+   */
+  _applySavedResult(operation, result) {
+    // Capture the ID of the newly created scenario so future saves go to the same record
+    if (operation.type === SYNC_OPERATIONS.CREATE && !this.activeScenarioId && result.id) {
+      this.activeScenarioId = result.id;
+    }
+
+    // A queued write may belong to a scenario the user has since left
+    const scenarioId = operation.scenarioId || result.id;
+    this._setWrittenEtag(scenarioId, result.etag);
+    if (!scenarioId || scenarioId !== this.activeScenarioId) {
+      return;
+    }
+
+    if (operation.type === SYNC_OPERATIONS.RENAME) {
+      if (result.etag) {
+        this.serverEtag = result.etag;
+      }
+      return;
+    }
+    this.serverEtag = result.etag || null;
+    this.baseState = operation.body.data;
+  }
+
+  /**
+   * Remember the ETag a write to a scenario left it at.
+   * @param {string|null} scenarioId - The scenario ID
+   * @param {string|null|undefined} etag - The scenario's new ETag
+   * @private
+   */
+  _setWrittenEtag(scenarioId, etag) {
+    if (scenarioId && etag) {
+      this._writtenEtags.set(scenarioId, etag);
+    }
+  }
+
+  /**
+   * Retry the queue after a backoff delay (browser only).
+   * @param {number|null} delay - Milliseconds, or null for no retry
+   * @private
+   */
+  _scheduleReplay(delay) {
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
+    if (delay == null || typeof window === 'undefined') return;
+    this._replayTimer = setTimeout(() => this.replayQueue(), delay);
+  }
+
   /**
    * Extract key inputs from a state object for display in the dashboard summary.
    * @param {Object} state - The calculator state
@@ -216,6 +537,9 @@ class StorageManager {
    * @param {Object} state - The current form state to save
    */
   autoSave(state) {
+    if (this.viewingSnapshot) {
+      return;
+    }
     this.updateSyncStatus('saving');
     this.debouncedSave(state);
   }
@@ -247,10 +571,10 @@ class StorageManager {
   }
 
   /**
-   * Rename a scenario in cloud.
+   * Rename a scenario in cloud. Queued for later when offline.
    * @param {string} scenarioId - The scenario ID to rename
    * @param {string} newName - The new name for the scenario
-   * @returns {Promise<boolean>} Whether the rename was successful
+   * @returns {Promise<boolean>} Whether the rename was successful (or queued)
    */
   async renameScenario(scenarioId, newName) {
     if (!this.cloudStorageAvailable) {
@@ -258,15 +582,15 @@ class StorageManager {
     }
 
     try {
-      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'same-origin',
-        body: JSON.stringify({ name: newName })
-      });
+      const operation = { type: SYNC_OPERATIONS.RENAME, scenarioId, body: { name: newName } };
+      const response = await this._sendOrQueue(operation);
+      if (!response) {
+        return true;
+      }
 
+      if (response.ok) {
+        this._applySavedResult(operation, await response.json());
+      }
       return response.ok;
     } catch (error) {
       console.error('Error renaming scenario:', error);
@@ -332,9 +656,9 @@ class StorageManager {
   }
 
   /**
-   * Delete a scenario from cloud.
+   * Delete a scenario from cloud. Queued for later when offline.
    * @param {string} scenarioId - The scenario ID to delete
-   * @returns {Promise<boolean>} Whether the deletion was successful
+   * @returns {Promise<boolean>} Whether the deletion was successful (or queued)
    */
   async deleteScenario(scenarioId) {
     if (!this.cloudStorageAvailable) {
@@ -342,14 +666,326 @@ class StorageManager {
     }
 
     try {
-      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}`, {
-        method: 'DELETE',
+      const response = await this._sendOrQueue({ type: SYNC_OPERATIONS.DELETE, scenarioId });
+      return response ? response.ok : true;
+    } catch (error) {
+      console.error('Error deleting scenario:', error);
+      return false;
+    }
+  }
+
+  /**
+   * List the saved versions of a scenario from cloud, newest first.
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Version summaries (revision, createdAt, changes), or empty array
+   */
+  async listScenarioVersions(scenarioId) {
+    if (!this.cloudStorageAvailable) {
+      return [];
+    }
+
+    try {
+      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}/versions`, {
+        credentials: 'same-origin'
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        return result.versions;
+      }
+
+      return [];
+    } catch (error) {
+      console.error('Error listing scenario versions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Restore a scenario to a saved version. The restore is saved as a new version.
+   * @param {string} scenarioId - The scenario ID
+   * @param {number} revision - The version to restore
+   * @returns {Promise<Object|null>} The restored scenario, or null on failure
+   */
+  async restoreScenarioVersion(scenarioId, revision) {
+    if (!this.cloudStorageAvailable) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(
+        `/api/scenarios/${encodeURIComponent(scenarioId)}/versions/${encodeURIComponent(revision)}/restore`,
+        {
+          method: 'POST',
+          credentials: 'same-origin'
+        }
+      );
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error restoring scenario version:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List scenarios other users have shared with the current user, including
+   * invitations not yet accepted.
+   * @returns {Promise<Array>} Scenario summaries with role, status and sharedBy, or empty array
+   */
+  async listSharedScenarios() {
+    if (!this.cloudStorageAvailable) {
+      return [];
+    }
+
+    try {
+      const response = await fetch('/api/scenarios/shared', {
+        credentials: 'same-origin'
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        return result.scenarios;
+      }
+
+      return [];
+    } catch (error) {
+      console.error('Error listing shared scenarios:', error);
+      return [];
+    }
+  }
+
+  /**
+   * List the people a scenario is shared with.
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<Array>} Shares (email, role, status), or empty array
+   */
+  async listScenarioShares(scenarioId) {
+    if (!this.cloudStorageAvailable) {
+      return [];
+    }
+
+    try {
+      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}/shares`, {
         credentials: 'same-origin'
       });
 
+      if (response.ok) {
+        const result = await response.json();
+        return result.shares;
+      }
+
+      return [];
+    } catch (error) {
+      console.error('Error listing scenario shares:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Invite someone by email to view or edit a scenario.
+   * @param {string} scenarioId - The scenario ID
+   * @param {string} email - The invitee's email
+   * @param {string} role - 'view' or 'edit'
+   * @returns {Promise<Object|null>} The share, or null on failure
+   */
+  async shareScenario(scenarioId, email, role) {
+    if (!this.cloudStorageAvailable) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}/shares`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({ email, role })
+      });
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error sharing scenario:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop sharing a scenario with someone.
+   * @param {string} scenarioId - The scenario ID
+   * @param {string} email - The invitee's email
+   * @returns {Promise<boolean>} Whether the share was removed
+   */
+  async revokeScenarioShare(scenarioId, email) {
+    if (!this.cloudStorageAvailable) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(
+        `/api/scenarios/${encodeURIComponent(scenarioId)}/shares/${encodeURIComponent(email)}`,
+        {
+          method: 'DELETE',
+          credentials: 'same-origin'
+        }
+      );
+
       return response.ok;
     } catch (error) {
-      console.error('Error deleting scenario:', error);
+      console.error('Error revoking scenario share:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Accept an invitation to a scenario shared with the current user.
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<boolean>} Whether the invitation was accepted
+   */
+  async acceptSharedScenario(scenarioId) {
+    if (!this.cloudStorageAvailable) {
+      return false;
+    }
+
+    try {
+      const response = await fetch(`/api/scenarios/${encodeURIComponent(scenarioId)}/shares/accept`, {
+        method: 'POST',
+        credentials: 'same-origin'
+      });
+
+      return response.ok;
+    } catch (error) {
+      console.error('Error accepting shared scenario:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Decline an invitation, or stop having access to a scenario shared with
+   * the current user.
+   * @param {string} scenarioId - The scenario ID
+   * @returns {Promise<boolean>} Whether the share was removed
+   */
+  async leaveSharedScenario(scenarioId) {
+    const user = authManager.getUser();
+    if (!user || !user.email) {
+      return false;
+    }
+    return this.revokeScenarioShare(scenarioId, user.email);
+  }
+
+  /**
+   * Store a read-only snapshot of the calculator on the server and get a short
+   * code that anyone can open.
+   * @param {Object} state - The state to share ({ formData, ... })
+   * @param {string} [name] - Name shown to whoever opens the link
+   * @param {number} [expiresInDays] - Days until the link stops working (never if omitted)
+   * @returns {Promise<Object|null>} The link (code, name, createdAt, expiresAt), or null on failure
+   */
+  async createShareLink(state, name, expiresInDays) {
+    if (!this.cloudStorageAvailable) {
+      return null;
+    }
+
+    try {
+      const response = await fetch('/api/shares', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({ name, data: state, expiresInDays })
+      });
+
+      if (response.ok) {
+        return await response.json();
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load a shared snapshot by code. Works without signing in.
+   * @param {string} code - The share link code
+   * @returns {Promise<{ shareLink: Object|null, error: string|null }>} The snapshot, or an
+   *   error of 'notFound', 'expired' or 'failed'
+   */
+  async loadShareLink(code) {
+    try {
+      const response = await fetch(`/api/shares/${encodeURIComponent(code)}`, {
+        credentials: 'same-origin'
+      });
+
+      if (response.ok) {
+        return { shareLink: await response.json(), error: null };
+      }
+
+      if (response.status === 404 || response.status === 410) {
+        return { shareLink: null, error: response.status === 404 ? 'notFound' : 'expired' };
+      }
+
+      return { shareLink: null, error: 'failed' };
+    } catch (error) {
+      console.error('Error loading share link:', error);
+      return { shareLink: null, error: 'failed' };
+    }
+  }
+
+  /**
+   * Copy a shared snapshot into the user's own data: a new active cloud
+   * scenario when signed in, otherwise the state saved on this device.
+   * @param {Object} shareLink - The snapshot from loadShareLink
+   * @returns {Promise<boolean>} Whether the copy was saved
+   */
+  async copySnapshotToScenarios(shareLink) {
+    const state = { ...shareLink.data, timestamp: new Date().toISOString() };
+    const name = shareLink.name || 'Shared Scenario';
+
+    if (!this.cloudStorageAvailable) {
+      saveState(state);
+      return true;
+    }
+
+    try {
+      const response = await fetch('/api/scenarios', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify({
+          name,
+          data: state,
+          keyInputs: this._extractKeyInputs(state),
+          isActive: true
+        })
+      });
+
+      if (!response.ok) {
+        return false;
+      }
+
+      const scenario = await response.json();
+      await this.activateScenario(scenario.id);
+      saveState(state);
+      this.activeScenarioId = scenario.id;
+      this.activeScenarioName = scenario.name || name;
+      return true;
+    } catch (error) {
+      console.error('Error copying shared snapshot:', error);
       return false;
     }
   }
@@ -379,8 +1015,14 @@ class StorageManager {
    * Sync local storage with cloud data after login.
    * Compares timestamps and uses the most recent version.
    * On first login (no cloud data), uploads local data.
+   * Skipped while a scenario shared with the user is open, as local data
+   * would otherwise be uploaded into the other owner's scenario.
    */
   async syncWithCloud() {
+    if (this.activeScenarioRole !== 'owner') {
+      return;
+    }
+
     try {
       // Load local data
       const localState = loadState();
@@ -438,27 +1080,81 @@ class StorageManager {
   }
 
   /**
-   * Handle a save conflict (409 response).
-   * Uses "server wins" strategy — replaces local data with server version.
+   * Handle a save conflict (409 response) with a three-way merge.
+   * Fields changed on only one device are merged automatically; fields changed
+   * on both are resolved by `conflictResolver` (or keep the server's value if
+   * none is set). The merged state is saved against the server's ETag, and a
+   * `scenarioMerged` event lets the form show it.
    * @param {Object} conflict - The conflict object from the API response
+   * @param {Object} [localState] - The state that failed to save (defaults to lastSavedState)
+   * @returns {Promise<Object|undefined>} The saved scenario result from cloud, or undefined
+   */
+  async handleConflict(conflict, localState = this.lastSavedState) {
+    const serverState = conflict.serverVersion.data;
+    const fields = diffScenarioData(this.baseState, localState, serverState);
+    const conflicts = fields.filter(field => field.resolution === MERGE_RESOLUTIONS.CONFLICT);
+
+    let choices = {};
+    if (conflicts.length > 0) {
+      if (this.conflictResolver) {
+        choices = await this.conflictResolver(fields);
+        if (!choices) {
+          // Cancelled — keep local edits; the next save conflicts again
+          this.updateSyncStatus('conflict');
+          return undefined;
+        }
+      } else {
+        console.warn('Conflict detected, keeping server version of conflicting fields');
+        conflicts.forEach(field => { choices[field.path] = MERGE_RESOLUTIONS.SERVER; });
+      }
+    }
+
+    const merged = mergeScenarioData(this.baseState, localState, serverState, choices);
+    this.serverEtag = conflict.serverVersion.etag || null;
+    this.baseState = serverState;
+    this._setWrittenEtag(this.activeScenarioId, this.serverEtag);
+    this.notifyMerged(merged);
+
+    const keepsLocalChanges = fields.some(field =>
+      field.resolution === MERGE_RESOLUTIONS.LOCAL || choices[field.path] === MERGE_RESOLUTIONS.LOCAL
+    );
+    if (!keepsLocalChanges) {
+      // Nothing to upload — the server version already is the merge
+      if (this.activeScenarioRole === 'owner') {
+        saveState(merged);
+      }
+      this.lastSavedState = merged;
+      this.updateSyncStatus('conflictResolved');
+      return undefined;
+    }
+
+    const result = await this.saveScenario(merged);
+    if (result) {
+      this.updateSyncStatus('conflictResolved');
+    }
+    return result;
+  }
+
+  /**
+   * Tell the page that merged state replaced the local state.
+   * @param {Object} state - The merged state
    */
-  async handleConflict(conflict) {
-    // Server wins strategy — future enhancement could offer user choice
-    console.warn('Conflict detected, using server version');
-    saveState(conflict.serverVersion.data);
-    this.updateSyncStatus('conflictResolved');
+  notifyMerged(state) {
+    if (typeof document.dispatchEvent !== 'function') return;
+    document.dispatchEvent(new CustomEvent('scenarioMerged', { detail: { state } }));
   }
 
   /**
    * Update the sync status indicator in the UI.
-   * @param {string} status - One of: 'saving', 'synced', 'error', 'conflictResolved'
+   * @param {string} status - One of: 'saving', 'synced', 'pending', 'error', 'conflict', 'conflictResolved', 'viewOnly'
+   * @param {number} [pendingCount=0] - Writes waiting to sync, for the 'pending' status
    */
-  updateSyncStatus(status) {
+  updateSyncStatus(status, pendingCount = 0) {
     const syncStatusEl = document.getElementById('sync-status');
     if (!syncStatusEl) return;
 
     // Remove all state classes then apply the current one
-    syncStatusEl.classList.remove('saving', 'synced', 'error');
+    syncStatusEl.classList.remove('saving', 'synced', 'pending', 'error');
 
     const syncIcon = syncStatusEl.querySelector('.sync-icon');
     const syncText = syncStatusEl.querySelector('.sync-text');
@@ -479,11 +1175,28 @@ class StorageManager {
         if (syncIcon) syncIcon.textContent = '⚠️';
         if (syncText) syncText.textContent = 'Sync failed';
         break;
+      case 'pending':
+        syncStatusEl.classList.add('pending');
+        if (syncIcon) syncIcon.textContent = '📤';
+        if (syncText) {
+          syncText.textContent = `${pendingCount} change${pendingCount !== 1 ? 's' : ''} waiting to sync`;
+        }
+        break;
+      case 'conflict':
+        syncStatusEl.classList.add('error');
+        if (syncIcon) syncIcon.textContent = '⚠️';
+        if (syncText) syncText.textContent = 'Conflict – not saved';
+        break;
       case 'conflictResolved':
         syncStatusEl.classList.add('synced');
         if (syncIcon) syncIcon.textContent = '🔄';
         if (syncText) syncText.textContent = 'Conflict resolved';
         break;
+      case 'viewOnly':
+        syncStatusEl.classList.add('pending');
+        if (syncIcon) syncIcon.textContent = '👁️';
+        if (syncText) syncText.textContent = 'View only – changes not saved';
+        break;
       default:
         break;
     }
@@ -0,0 +1,290 @@
+/**
+ * Sync Queue
+ * Durable outbox of scenario writes (creates, updates, renames and deletes)
+ * that could not reach the cloud, replayed in order once connectivity returns.
+ *
+ * Entries are kept in IndexedDB so they survive a reload; where IndexedDB is
+ * unavailable or cannot be opened an in-memory outbox is used instead. A failed replay is retried
+ * with exponential backoff, and later entries wait so writes stay in order.
+ * Each entry records the signed-in user who queued it and is only replayed
+ * while that user is signed in.
+ */
+
+const DB_NAME = 'ccsCalculatorSync';
+const STORE_NAME = 'outbox';
+
+/** Delay before the first retry of a failed replay */
+export const RETRY_BASE_DELAY_MS = 2000;
+
+/** Longest delay between retries */
+export const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Types of queued scenario write.
+ * @readonly
+ * @enum {string}
+ */
+export const SYNC_OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  RENAME: 'rename',
+  DELETE: 'delete'
+};
+
+/**
+ * Outcome of replaying one queued write.
+ * @readonly
+ * @enum {string}
+ */
+export const SYNC_OUTCOMES = {
+  /** Written (or superseded) — remove it from the queue */
+  DONE: 'done',
+  /** Failed for now (offline or server error) — retry after a backoff */
+  RETRY: 'retry',
+  /** Can never succeed (e.g. the scenario no longer exists) — remove it */
+  DROP: 'drop'
+};
+
+/**
+ * @typedef {Object} SyncOperation
+ * @property {string} type - One of SYNC_OPERATIONS
+ * @property {string|null} scenarioId - Target scenario (null for a create)
+ * @property {Object} [body] - Request body for creates, updates and renames
+ * @property {string|null} [etag] - ETag the update is based on, sent as If-Match
+ * @property {Object|null} [base] - Cloud state the update is based on, for merging a conflict
+ * @property {string|null} [userId] - Signed-in user the write belongs to
+ */
+
+/**
+ * @typedef {SyncOperation & {
+ *   id: number,
+ *   attempts: number,
+ *   nextAttemptAt: number,
+ *   queuedAt: string
+ * }} SyncEntry
+ */
+
+/**
+ * Delay before retrying a write that has failed a number of times.
+ * @param {number} attempts - Failed attempts so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Outbox kept in memory, for environments without IndexedDB.
+ * @returns {Object} Outbox with getAll, add, put and delete
+ */
+export function createMemoryOutbox() {
+  const entries = new Map();
+  let nextId = 1;
+
+  return {
+    getAll: async () => [...entries.values()].sort((a, b) => a.id - b.id),
+    add: async (entry) => {
+      const id = nextId++;
+      entries.set(id, { ...entry, id });
+      return id;
+    },
+    put: async (entry) => { entries.set(entry.id, { ...entry }); },
+    delete: async (id) => { entries.delete(id); }
+  };
+}
+
+/**
+ * Outbox kept in an IndexedDB object store, keyed by an auto-incrementing id
+ * so entries are read back in the order they were queued.
+ * @returns {Object} Outbox with getAll, add, put and delete
+ */
+export function createIndexedDbOutbox() {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    add: (entry) => run('readwrite', store => store.add(entry)),
+    put: (entry) => run('readwrite', store => store.put(entry)),
+    delete: (id) => run('readwrite', store => store.delete(id))
+  };
+}
+
+/**
+ * Create the outbox for this environment: IndexedDB when available, falling
+ * back to memory if the database cannot be opened (e.g. in private browsing).
+ * @returns {Object} Outbox with getAll, add, put and delete
+ */
+export function createOutbox() {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryOutbox();
+  }
+
+  let outboxPromise = null;
+  const ready = () => {
+    if (!outboxPromise) {
+      const indexedDbOutbox = createIndexedDbOutbox();
+      outboxPromise = indexedDbOutbox.getAll().then(
+        () => indexedDbOutbox,
+        (error) => {
+          console.warn('Could not open IndexedDB, keeping queued writes in memory:', error);
+          return createMemoryOutbox();
+        }
+      );
+    }
+    return outboxPromise;
+  };
+
+  return {
+    getAll: async () => (await ready()).getAll(),
+    add: async (entry) => (await ready()).add(entry),
+    put: async (entry) => (await ready()).put(entry),
+    delete: async (id) => (await ready()).delete(id)
+  };
+}
+
+export class SyncQueue {
+  /**
+   * @param {Object} [outbox] - Outbox storage (defaults to createOutbox())
+   */
+  constructor(outbox = createOutbox()) {
+    this._outbox = outbox;
+    /** Id of the entry being replayed, which later writes must not change */
+    this._inFlightId = null;
+  }
+
+  /**
+   * Queue a write. A save following a queued create or update of the same
+   * scenario replaces that entry's body, since only the latest state matters.
+   * @param {SyncOperation} operation
+   * @returns {Promise<number>} Number of pending writes
+   */
+  async enqueue(operation) {
+    const entries = await this._outbox.getAll();
+    const last = entries[entries.length - 1];
+
+    const supersedes = last
+      && last.id !== this._inFlightId
+      && (operation.type === SYNC_OPERATIONS.CREATE || operation.type === SYNC_OPERATIONS.UPDATE)
+      && (last.type === SYNC_OPERATIONS.CREATE || last.type === SYNC_OPERATIONS.UPDATE)
+      && last.scenarioId === operation.scenarioId
+      && last.userId === (operation.userId || null);
+
+    if (supersedes) {
+      await this._outbox.put({ ...last, body: { ...last.body, ...operation.body } });
+      return entries.length;
+    }
+
+    await this._outbox.add({
+      type: operation.type,
+      scenarioId: operation.scenarioId || null,
+      body: operation.body || null,
+      etag: operation.etag || null,
+      base: operation.base || null,
+      userId: operation.userId || null,
+      attempts: 0,
+      nextAttemptAt: 0,
+      queuedAt: new Date().toISOString()
+    });
+    return entries.length + 1;
+  }
+
+  /**
+   * List pending writes in the order they will be replayed.
+   * @param {string|null} [userId] - Only list this user's writes (all users if omitted)
+   * @returns {Promise<SyncEntry[]>}
+   */
+  async getPending(userId) {
+    const entries = await this._outbox.getAll();
+    return userId === undefined ? entries : entries.filter(entry => entry.userId === userId);
+  }
+
+  /**
+   * Number of pending writes.
+   * @param {string|null} [userId] - Only count this user's writes (all users if omitted)
+   * @returns {Promise<number>}
+   */
+  async count(userId) {
+    return (await this.getPending(userId)).length;
+  }
+
+  /**
+   * Remove a user's pending writes, e.g. when they sign out.
+   * @param {string|null} userId - The user whose writes are removed
+   * @returns {Promise<number>} Number of writes removed
+   */
+  async discard(userId) {
+    const entries = await this.getPending(userId);
+    for (const entry of entries) {
+      await this._outbox.delete(entry.id);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Replay pending writes in order until the queue is empty or a write has to
+   * wait for a retry. Writes queued during the replay are included. Writes
+   * queued by another user are held until that user signs in again.
+   * @param {(entry: SyncEntry) => Promise<string>} send - Replays one entry, returning a SYNC_OUTCOMES value
+   * @param {string|null} [userId] - Signed-in user whose writes are replayed
+   * @returns {Promise<{ remaining: number, retryIn: number|null }>} The user's pending writes left and ms until the next retry
+   */
+  async flush(send, userId = null) {
+    for (;;) {
+      const entries = await this.getPending(userId);
+      const entry = entries[0];
+      if (!entry) {
+        return { remaining: 0, retryIn: null };
+      }
+
+      const now = Date.now();
+      if (entry.nextAttemptAt > now) {
+        return { remaining: entries.length, retryIn: entry.nextAttemptAt - now };
+      }
+
+      let outcome;
+      this._inFlightId = entry.id;
+      try {
+        outcome = await send(entry);
+      } catch (error) {
+        console.error('Error replaying queued write:', error);
+        outcome = SYNC_OUTCOMES.RETRY;
+      } finally {
+        this._inFlightId = null;
+      }
+
+      if (outcome === SYNC_OUTCOMES.RETRY) {
+        const attempts = entry.attempts + 1;
+        const retryIn = getRetryDelay(attempts);
+        await this._outbox.put({ ...entry, attempts, nextAttemptAt: now + retryIn });
+        return { remaining: entries.length, retryIn };
+      }
+
+      await this._outbox.delete(entry.id);
+    }
+  }
+}
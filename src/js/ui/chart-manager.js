@@ -6,9 +6,69 @@
 // Chart.js will be loaded via script tag in HTML
 // Access it from global window.Chart
 
+import { calculateIncomeSweep, SWEEP_TARGETS } from '../calculations/income-sweep.js';
+import { resolveSingleParent } from '../calculations/household.js';
+
 // Store chart instances for cleanup
 let barChartInstance = null;
 let pieChartInstance = null;
+let sweepChartInstance = null;
+
+// Form data the income sweep chart was last drawn for
+let sweepFormData = null;
+
+// Line colours for per-child series
+const CHILD_COLORS = [
+  'rgb(37, 99, 235)',
+  'rgb(245, 158, 11)',
+  'rgb(139, 92, 246)',
+  'rgb(236, 72, 153)'
+];
+
+/**
+ * Chart.js plugin that draws rate band edges as labelled vertical lines
+ * Markers come from options.plugins.bandMarkers.markers; currentIncome draws a
+ * solid line at the family's current income.
+ */
+const bandMarkersPlugin = {
+  id: 'bandMarkers',
+  afterDatasetsDraw(chart, _args, pluginOptions) {
+    const { ctx, chartArea, scales } = chart;
+    const { markers = [], currentIncome = null } = pluginOptions || {};
+
+    const drawLine = (income, label, color, dashed) => {
+      const x = scales.x.getPixelForValue(income);
+      if (x < chartArea.left || x > chartArea.right) {
+        return;
+      }
+
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash(dashed ? [4, 4] : []);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+
+      ctx.translate(x + 3, chartArea.top + 4);
+      ctx.rotate(Math.PI / 2);
+      ctx.fillStyle = color;
+      ctx.font = '11px sans-serif';
+      ctx.fillText(label, 0, 0);
+      ctx.restore();
+    };
+
+    markers.forEach(marker => {
+      const color = marker.rateType === 'higher' ? 'rgba(239, 68, 68, 0.8)' : 'rgba(107, 114, 128, 0.8)';
+      drawLine(marker.income, marker.label, color, true);
+    });
+
+    if (currentIncome !== null) {
+      drawLine(currentIncome, 'Current income', 'rgb(16, 185, 129)', false);
+    }
+  }
+};
 
 /**
  * Initialize chart functionality
@@ -40,6 +100,189 @@ export function initializeCharts() {
   // Set initial ARIA attribute
   toggleBtn.setAttribute('aria-expanded', 'false');
   toggleBtn.setAttribute('aria-controls', 'charts-container');
+
+  // Redraw the income sweep when a different income is chosen
+  const sweepTarget = document.getElementById('sweep-target');
+  if (sweepTarget) {
+    sweepTarget.addEventListener('change', () => {
+      if (sweepFormData) {
+        renderIncomeSweepChart();
+      }
+    });
+  }
+}
+
+/**
+ * Update the income sweep line chart for the current form data
+ * @param {Object} formData - Calculator form data (household inputs)
+ */
+export function updateIncomeSweepChart(formData) {
+  sweepFormData = formData;
+  renderIncomeSweepChart();
+}
+
+/**
+ * Draw the income sweep chart for the selected sweep target
+ * Net income and each child's out-of-pocket cost use the dollar axis; each
+ * child's subsidy rate uses the percentage axis.
+ */
+function renderIncomeSweepChart() {
+  const container = document.getElementById('sweep-chart-container');
+
+  if (!container || !sweepFormData) {
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const targetSelect = document.getElementById('sweep-target');
+  const target = targetSelect ? targetSelect.value : SWEEP_TARGETS.HOUSEHOLD;
+
+  if (sweepChartInstance) {
+    sweepChartInstance.destroy();
+    sweepChartInstance = null;
+  }
+
+  let sweep;
+  try {
+    sweep = calculateIncomeSweep(resolveSingleParent(sweepFormData), { target });
+  } catch (error) {
+    const note = document.createElement('p');
+    note.className = 'chart-note';
+    note.textContent = error.message;
+    container.appendChild(note);
+    return;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.id = 'sweep-chart';
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', 'Line chart of subsidy, out-of-pocket cost and net income across a range of incomes');
+  container.appendChild(canvas);
+
+  const toSeries = value => sweep.points.map(point => ({ x: point.income, y: value(point) }));
+  const childCount = sweep.points[0] ? sweep.points[0].children.length : 0;
+
+  const datasets = [{
+    label: 'Net Income After Tax & Childcare',
+    data: toSeries(point => point.netIncome),
+    borderColor: 'rgb(16, 185, 129)',
+    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+    borderWidth: 2,
+    pointRadius: 0,
+    yAxisID: 'y'
+  }];
+
+  for (let i = 0; i < childCount; i++) {
+    const color = CHILD_COLORS[i % CHILD_COLORS.length];
+    datasets.push({
+      label: `Child ${i + 1} Out-of-Pocket`,
+      data: toSeries(point => point.children[i].annualOutOfPocket),
+      borderColor: color,
+      borderWidth: 2,
+      borderDash: [6, 3],
+      pointRadius: 0,
+      yAxisID: 'y'
+    });
+    datasets.push({
+      label: `Child ${i + 1} Subsidy %`,
+      data: toSeries(point => point.children[i].subsidyRate),
+      borderColor: color,
+      borderWidth: 2,
+      pointRadius: 0,
+      stepped: true,
+      yAxisID: 'y1'
+    });
+  }
+
+  const formatAud = (value, compact = false) => new Intl.NumberFormat('en-AU', {
+    style: 'currency',
+    currency: 'AUD',
+    notation: compact ? 'compact' : 'standard',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+
+  const axisTitle = {
+    [SWEEP_TARGETS.HOUSEHOLD]: 'Household Income',
+    [SWEEP_TARGETS.PARENT1]: 'Parent 1 Income',
+    [SWEEP_TARGETS.PARENT2]: 'Parent 2 Income'
+  }[target];
+
+  sweepChartInstance = new window.Chart(canvas, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        title: {
+          display: true,
+          text: `Costs and Net Income by ${axisTitle}`,
+          font: {
+            size: 16,
+            weight: 'bold'
+          }
+        },
+        legend: {
+          position: 'bottom',
+          labels: {
+            usePointStyle: true
+          }
+        },
+        tooltip: {
+          callbacks: {
+            title: items => `${axisTitle}: ${formatAud(items[0].parsed.x)}`,
+            label: context => context.dataset.yAxisID === 'y1'
+              ? `${context.dataset.label}: ${context.parsed.y}%`
+              : `${context.dataset.label}: ${formatAud(context.parsed.y)}`
+          }
+        },
+        bandMarkers: {
+          markers: sweep.markers,
+          currentIncome: sweep.currentIncome
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: {
+            display: true,
+            text: axisTitle
+          },
+          ticks: {
+            callback: value => formatAud(value, true)
+          }
+        },
+        y: {
+          position: 'left',
+          ticks: {
+            callback: value => formatAud(value, true)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        },
+        y1: {
+          position: 'right',
+          min: 0,
+          max: 100,
+          ticks: {
+            callback: value => `${value}%`
+          },
+          grid: {
+            display: false
+          }
+        }
+      },
+      animation: false
+    },
+    plugins: [bandMarkersPlugin]
+  });
 }
 
 /**
@@ -147,7 +390,7 @@ function updateBarChart(scenarios) {
     data: {
       labels: labels,
       datasets: [{
-        label: 'Net Income After Childcare',
+        label: 'Net Income After Tax & Childcare',
         data: data,
         backgroundColor: backgroundColors,
         borderColor: borderColors,
@@ -388,8 +631,15 @@ export function clearCharts() {
     pieChartInstance = null;
   }
 
+  if (sweepChartInstance) {
+    sweepChartInstance.destroy();
+    sweepChartInstance = null;
+  }
+  sweepFormData = null;
+
   const barContainer = document.getElementById('bar-chart-container');
   const pieContainer = document.getElementById('pie-chart-container');
+  const sweepContainer = document.getElementById('sweep-chart-container');
 
   if (barContainer) {
     barContainer.innerHTML = '';
@@ -399,5 +649,9 @@ export function clearCharts() {
     pieContainer.innerHTML = '';
   }
 
+  if (sweepContainer) {
+    sweepContainer.innerHTML = '';
+  }
+
   hideCharts();
 }
@@ -187,6 +187,14 @@ function isChildCardComplete(childIndex) {
 
     // Daily fee must be > 0, hours per day must be > 0
     return dailyFee > 0 && hoursPerDay > 0;
+  } else if (feeType === 'session') {
+    // Every session needs a fee and start and end times
+    const sessionRows = document.querySelectorAll(`.session-rate-fields[data-child-index="${childIndex}"] .session-row`);
+    return sessionRows.length > 0 && Array.from(sessionRows).every(row => (
+      parseFloat(row.querySelector('[data-session-field="fee"]')?.value) > 0 &&
+      Boolean(row.querySelector('[data-session-field="startTime"]')?.value) &&
+      Boolean(row.querySelector('[data-session-field="endTime"]')?.value)
+    ));
   } else {
     // Hourly fee type
     const hourlyFeeInput = document.getElementById(`child-${childIndex}-hourly-fee`);
@@ -196,9 +204,11 @@ function isChildCardComplete(childIndex) {
 
     const hourlyFee = parseNumericValue(hourlyFeeInput);
     const hoursPerWeek = parseFloat(hoursPerWeekInput.value) || 0;
+    const bookingInputs = document.querySelectorAll(`.booking-pattern-fields[data-child-index="${childIndex}"] [data-booking-week]`);
+    const hasBookingPattern = Array.from(bookingInputs).some(input => parseFloat(input.value) > 0);
 
-    // Hourly fee must be > 0, hours per week must be > 0
-    return hourlyFee > 0 && hoursPerWeek > 0;
+    // Hourly fee must be > 0, hours per week must be > 0 unless a booking pattern gives them
+    return hourlyFee > 0 && (hoursPerWeek > 0 || hasBookingPattern);
   }
 }
 
@@ -265,7 +275,10 @@ function getChildSummary(childIndex) {
     }
   });
 
-  const dailyFee = parseNumericValue(dailyFeeInput);
+  // Session care shows the first session's fee
+  const dailyFee = feeType === 'session'
+    ? parseFloat(document.querySelector(`.session-rate-fields[data-child-index="${childIndex}"] [data-session-field="fee"]`)?.value) || 0
+    : parseNumericValue(dailyFeeInput);
   const daysOfCare = daysOfCareInput ? parseFloat(daysOfCareInput.value) || 0 : 0;
 
   if (age === 0 && dailyFee === 0) {
@@ -293,7 +306,7 @@ function getChildSummary(childIndex) {
       </div>
       <div class="summary-item">
         <span class="summary-label">Fee:</span>
-        <span class="summary-value">${formattedFee}/${feeType === 'hourly' ? 'hr' : 'day'}</span>
+        <span class="summary-value">${formattedFee}/${{ hourly: 'hr', session: 'session' }[feeType] || 'day'}</span>
       </div>
       <div class="summary-item">
         <span class="summary-label">Days:</span>
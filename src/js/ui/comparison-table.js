@@ -198,7 +198,7 @@ function createComparisonCardsElement(scenarios, options = {}) {
         weeklyValue: scenario.totalWeeklyOutOfPocket || scenario.annualOutOfPocket / 52
       },
       {
-        label: 'Net Income (Annual)',
+        label: 'Net Income After Tax (Annual)',
         value: formatCurrency(scenario.netIncomeAfterChildcare),
         className: 'metric-net-income',
         highlight: true,
@@ -361,6 +361,11 @@ function createComparisonTableElement(scenarios, options = {}) {
       formatCurrency(s.householdIncome)
     );
     tbody.appendChild(row);
+
+    const taxRow = createTableRow('Income Tax & Medicare Levy', scenarios, (s) =>
+      formatCurrency(s.incomeTax)
+    );
+    tbody.appendChild(taxRow);
   }
 
   // Annual subsidy row
@@ -381,7 +386,7 @@ function createComparisonTableElement(scenarios, options = {}) {
 
   // Net income row
   if (showNetIncome) {
-    const row = createTableRow('Net Income After Childcare', scenarios, (s) =>
+    const row = createTableRow('Net Income After Tax & Childcare', scenarios, (s) =>
       formatCurrency(s.netIncomeAfterChildcare),
       true  // highlight
     );
@@ -535,10 +540,11 @@ export function exportToCSV(scenarios, filename = 'ccs-scenarios.csv') {
     'Parent 1 Income',
     'Parent 2 Income',
     'Household Income',
+    'Income Tax',
     'Annual Subsidy',
     'Annual Cost',
     'Annual Out-of-Pocket',
-    'Net Income After Childcare',
+    'Net Income After Tax & Childcare',
     'Childcare Cost %'
   ];
 
@@ -549,6 +555,7 @@ export function exportToCSV(scenarios, filename = 'ccs-scenarios.csv') {
     scenario.parent1Income,
     scenario.parent2Income,
     scenario.householdIncome,
+    scenario.incomeTax,
     scenario.annualSubsidy,
     scenario.annualCost,
     scenario.annualOutOfPocket,
@@ -2,8 +2,10 @@
  * Dashboard Modal
  *
  * Manages the "My Scenarios" modal overlay within the main SPA (index.html).
- * Handles listing, opening, renaming, and deleting user scenarios
- * without leaving the calculator page.
+ * Handles listing, opening, renaming, deleting, sharing and restoring earlier
+ * versions of user scenarios without leaving the calculator page. Scenarios
+ * other users have shared are listed under "Shared with me", where
+ * invitations can be accepted or declined.
  *
  * This module mirrors the functionality of dashboard-manager.js but is
  * designed to operate as an in-page overlay rather than a standalone page.
@@ -17,6 +19,10 @@ import { storageManager } from '../storage/storage-manager.js';
 let _pendingRenameId = null;
 /** @type {string|null} ID of the scenario pending deletion */
 let _pendingDeleteId = null;
+/** @type {string|null} ID of the scenario whose version history is shown */
+let _historyScenarioId = null;
+/** @type {string|null} ID of the scenario whose sharing settings are shown */
+let _shareScenarioId = null;
 /** @type {boolean} Whether the inner rename modal is being used for a new scenario */
 let _isNewScenarioMode = false;
 /** @type {HTMLElement|null} Element to return focus to when the dashboard modal closes */
@@ -112,6 +118,24 @@ export function wireDashboardModalHandlers() {
     if (e.target === e.currentTarget) closeDmDeleteModal();
   });
 
+  // ── Inner Version history modal ───────────────────────────────────────────
+
+  document.getElementById('dm-history-close-btn')?.addEventListener('click', closeDmHistoryModal);
+  document.getElementById('dm-history-modal')?.addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeDmHistoryModal();
+  });
+
+  // ── Inner Share modal ─────────────────────────────────────────────────────
+
+  document.getElementById('dm-share-close-btn')?.addEventListener('click', closeDmShareModal);
+  document.getElementById('dm-share-invite-btn')?.addEventListener('click', confirmDmShareInvite);
+  document.getElementById('dm-share-email')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') confirmDmShareInvite();
+  });
+  document.getElementById('dm-share-modal')?.addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeDmShareModal();
+  });
+
   // ── Escape key: close innermost visible modal first ───────────────────────
 
   document.addEventListener('keydown', (e) => {
@@ -129,6 +153,18 @@ export function wireDashboardModalHandlers() {
       return;
     }
 
+    const historyModal = document.getElementById('dm-history-modal');
+    if (historyModal && !historyModal.hidden) {
+      closeDmHistoryModal();
+      return;
+    }
+
+    const shareModal = document.getElementById('dm-share-modal');
+    if (shareModal && !shareModal.hidden) {
+      closeDmShareModal();
+      return;
+    }
+
     const dashboardModal = document.getElementById('dashboard-modal');
     if (dashboardModal && !dashboardModal.hidden) {
       closeDashboardModal();
@@ -160,6 +196,9 @@ async function loadAndRenderScenarios() {
     return;
   }
 
+  // Shared scenarios load alongside the user's own and have their own section
+  loadAndRenderSharedScenarios();
+
   let scenarios = [];
   let loadError = false;
   try {
@@ -234,6 +273,12 @@ function buildScenarioCard(scenario) {
       <button type="button" class="btn-scenario-rename" aria-label="Rename scenario ${escapeHtml(scenario.name || '')}">
         ✏️ Rename
       </button>
+      <button type="button" class="btn-scenario-history" aria-label="Version history for ${escapeHtml(scenario.name || '')}">
+        🕘 History
+      </button>
+      <button type="button" class="btn-scenario-share" aria-label="Share scenario ${escapeHtml(scenario.name || '')}">
+        👥 Share
+      </button>
       <button type="button" class="btn-scenario-delete" aria-label="Delete scenario ${escapeHtml(scenario.name || '')}">
         🗑️ Delete
       </button>
@@ -244,6 +289,14 @@ function buildScenarioCard(scenario) {
     openDmRenameModal(scenario.id, scenario.name || '');
   });
 
+  card.querySelector('.btn-scenario-history').addEventListener('click', () => {
+    openDmHistoryModal(scenario.id, scenario.name || 'Unnamed Scenario');
+  });
+
+  card.querySelector('.btn-scenario-share').addEventListener('click', () => {
+    openDmShareModal(scenario.id, scenario.name || 'Unnamed Scenario');
+  });
+
   card.querySelector('.btn-scenario-delete').addEventListener('click', () => {
     openDmDeleteModal(scenario.id, scenario.name || 'this scenario');
   });
@@ -251,6 +304,103 @@ function buildScenarioCard(scenario) {
   return card;
 }
 
+// ─── Shared with me ───────────────────────────────────────────────────────────
+
+/** Labels for the roles a scenario can be shared with */
+const SHARE_ROLE_LABELS = {
+  edit: 'Can edit',
+  view: 'View only'
+};
+
+async function loadAndRenderSharedScenarios() {
+  const sectionEl = document.getElementById('dm-shared-section');
+  const listEl = document.getElementById('dm-shared-list');
+  if (!sectionEl || !listEl) return;
+
+  const scenarios = await storageManager.listSharedScenarios();
+  listEl.innerHTML = '';
+  sectionEl.hidden = scenarios.length === 0;
+
+  scenarios.sort((a, b) =>
+    new Date(b.updatedAt || b.createdAt || 0) - new Date(a.updatedAt || a.createdAt || 0)
+  );
+  scenarios.forEach(scenario => {
+    listEl.appendChild(buildSharedScenarioCard(scenario));
+  });
+}
+
+/**
+ * Build a card for a scenario shared with the user. Invitations not yet
+ * accepted offer Accept and Decline instead of Open.
+ * @param {object} scenario - Shared scenario summary from the API
+ * @returns {HTMLElement}
+ */
+function buildSharedScenarioCard(scenario) {
+  const card = document.createElement('article');
+  card.className = 'scenario-card scenario-card--shared';
+  card.setAttribute('role', 'listitem');
+  card.dataset.scenarioId = scenario.id;
+
+  const name = scenario.name || 'Unnamed Scenario';
+  const isPending = scenario.status === 'pending';
+  const sharedBy = scenario.sharedBy ? `Shared by ${escapeHtml(scenario.sharedBy)} · ` : '';
+
+  const actions = isPending
+    ? `<button type="button" class="btn-scenario-open btn-shared-accept" aria-label="Accept invitation to ${escapeHtml(name)}">
+        Accept
+      </button>
+      <button type="button" class="btn-scenario-delete btn-shared-leave" aria-label="Decline invitation to ${escapeHtml(name)}">
+        Decline
+      </button>`
+    : `<a href="/?scenarioId=${encodeURIComponent(scenario.id)}"
+         class="btn-scenario-open"
+         aria-label="Open scenario ${escapeHtml(name)}">
+        Open
+      </a>
+      <button type="button" class="btn-scenario-delete btn-shared-leave" aria-label="Remove ${escapeHtml(name)} from shared with me">
+        Remove
+      </button>`;
+
+  card.innerHTML = `
+    <div class="scenario-card-header">
+      <h3 class="scenario-card-name">${escapeHtml(name)}</h3>
+      <span class="scenario-active-badge">${isPending ? 'Invitation' : escapeHtml(SHARE_ROLE_LABELS[scenario.role] || scenario.role)}</span>
+    </div>
+    <div class="scenario-card-meta">
+      <span class="scenario-card-updated">${sharedBy}Updated ${formatRelativeTime(scenario.updatedAt || scenario.createdAt)}</span>
+    </div>
+    <div class="scenario-card-details">
+      ${buildKeyInputsHtml(scenario.keyInputs || {})}
+    </div>
+    <div class="scenario-card-footer">
+      ${actions}
+    </div>
+  `;
+
+  card.querySelector('.btn-shared-accept')?.addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    if (await storageManager.acceptSharedScenario(scenario.id)) {
+      await loadAndRenderSharedScenarios();
+    } else {
+      button.disabled = false;
+      button.textContent = 'Accept failed – try again';
+    }
+  });
+
+  card.querySelector('.btn-shared-leave').addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    if (await storageManager.leaveSharedScenario(scenario.id)) {
+      await loadAndRenderSharedScenarios();
+    } else {
+      button.disabled = false;
+    }
+  });
+
+  return card;
+}
+
 /**
  * Build the key-inputs summary HTML for a scenario card.
  * @param {object} ki - keyInputs object
@@ -387,6 +537,7 @@ async function confirmDmRename() {
           if (nameEl) nameEl.textContent = newName;
           // Update aria-labels on action buttons (setAttribute takes raw text, no HTML escaping)
           card.querySelector('.btn-scenario-rename')?.setAttribute('aria-label', `Rename scenario ${newName}`);
+          card.querySelector('.btn-scenario-history')?.setAttribute('aria-label', `Version history for ${newName}`);
           card.querySelector('.btn-scenario-delete')?.setAttribute('aria-label', `Delete scenario ${newName}`);
           card.querySelector('.btn-scenario-open')?.setAttribute('aria-label', `Open scenario ${newName}`);
         }
@@ -450,6 +601,230 @@ async function confirmDmDelete() {
   }
 }
 
+// ─── Inner version history modal ───────────────────────────────────────────────
+
+/** Labels for the key inputs compared between versions */
+const KEY_INPUT_LABELS = {
+  parent1Income: 'Parent 1 income',
+  parent2Income: 'Parent 2 income',
+  childrenCount: 'Children',
+  workDaysCount: 'Work days / week',
+  weeklyOutOfPocket: 'Weekly out-of-pocket'
+};
+
+/** Key inputs shown as currency */
+const CURRENCY_KEY_INPUTS = new Set(['parent1Income', 'parent2Income', 'weeklyOutOfPocket']);
+
+async function openDmHistoryModal(scenarioId, scenarioName) {
+  _historyScenarioId = scenarioId;
+  const modal = document.getElementById('dm-history-modal');
+  const nameEl = document.getElementById('dm-history-scenario-name');
+  if (!modal) return;
+  if (nameEl) nameEl.textContent = scenarioName;
+  modal.hidden = false;
+  document.getElementById('dm-history-close-btn')?.focus();
+
+  await loadAndRenderVersions(scenarioId);
+}
+
+function closeDmHistoryModal() {
+  const modal = document.getElementById('dm-history-modal');
+  if (modal) modal.hidden = true;
+  _historyScenarioId = null;
+}
+
+async function loadAndRenderVersions(scenarioId) {
+  const loadingEl = document.getElementById('dm-history-loading');
+  const emptyEl = document.getElementById('dm-history-empty');
+  const listEl = document.getElementById('dm-history-list');
+
+  if (loadingEl) loadingEl.hidden = false;
+  if (emptyEl) emptyEl.hidden = true;
+  if (listEl) { listEl.hidden = true; listEl.innerHTML = ''; }
+
+  const versions = await storageManager.listScenarioVersions(scenarioId);
+
+  // Ignore a response for a scenario the user has since closed
+  if (_historyScenarioId !== scenarioId) return;
+  if (loadingEl) loadingEl.hidden = true;
+
+  if (!versions.length) {
+    if (emptyEl) emptyEl.hidden = false;
+    return;
+  }
+
+  if (listEl) {
+    listEl.hidden = false;
+    versions.forEach((version, index) => {
+      listEl.appendChild(buildVersionItem(scenarioId, version, index === 0));
+    });
+  }
+}
+
+/**
+ * Build a version history list item.
+ * @param {string} scenarioId
+ * @param {object} version - Version summary from the API
+ * @param {boolean} isCurrent - Whether this is the latest version
+ * @returns {HTMLElement}
+ */
+function buildVersionItem(scenarioId, version, isCurrent) {
+  const item = document.createElement('li');
+  item.className = 'version-item';
+
+  const changes = (version.changes || []).map(change => `<li>${escapeHtml(formatKeyInputChange(change))}</li>`);
+  const restoredNote = version.restoredFrom
+    ? `<p class="version-item-note">Restored from version ${version.restoredFrom}</p>`
+    : '';
+
+  item.innerHTML = `
+    <div class="version-item-header">
+      <span class="version-item-title">Version ${version.revision}</span>
+      <span class="version-item-date">${formatRelativeTime(version.createdAt)}</span>
+      ${isCurrent ? '<span class="scenario-active-badge">Current</span>' : ''}
+    </div>
+    ${restoredNote}
+    ${changes.length ? `<ul class="version-item-changes">${changes.join('')}</ul>` : ''}
+    ${isCurrent ? '' : `<button type="button" class="btn-version-restore">Restore</button>`}
+  `;
+
+  item.querySelector('.btn-version-restore')?.addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    const restored = await storageManager.restoreScenarioVersion(scenarioId, version.revision);
+    if (restored) {
+      // Open the restored scenario so the form shows it and autosave builds on it
+      closeDmHistoryModal();
+      closeDashboardModal();
+      window.location.href = `/?scenarioId=${encodeURIComponent(scenarioId)}`;
+    } else {
+      button.disabled = false;
+      button.textContent = 'Restore failed – try again';
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Describe a key input change between two versions.
+ * @param {{ field: string, from: *, to: * }} change
+ * @returns {string} e.g. "Parent 1 income: $80,000 → $95,000"
+ */
+function formatKeyInputChange(change) {
+  const label = KEY_INPUT_LABELS[change.field] || change.field;
+  const format = CURRENCY_KEY_INPUTS.has(change.field)
+    ? formatCurrency
+    : (value) => (value == null ? '—' : String(value));
+  return `${label}: ${format(change.from)} → ${format(change.to)}`;
+}
+
+// ─── Inner share modal ────────────────────────────────────────────────────────
+
+async function openDmShareModal(scenarioId, scenarioName) {
+  _shareScenarioId = scenarioId;
+  const modal = document.getElementById('dm-share-modal');
+  const nameEl = document.getElementById('dm-share-scenario-name');
+  const input = document.getElementById('dm-share-email');
+  const errorEl = document.getElementById('dm-share-error');
+  if (!modal) return;
+  if (nameEl) nameEl.textContent = scenarioName;
+  if (input) input.value = '';
+  if (errorEl) errorEl.hidden = true;
+  modal.hidden = false;
+  input?.focus();
+
+  await loadAndRenderShares(scenarioId);
+}
+
+function closeDmShareModal() {
+  const modal = document.getElementById('dm-share-modal');
+  if (modal) modal.hidden = true;
+  _shareScenarioId = null;
+}
+
+async function confirmDmShareInvite() {
+  const input = document.getElementById('dm-share-email');
+  const roleSelect = document.getElementById('dm-share-role');
+  const errorEl = document.getElementById('dm-share-error');
+  const inviteBtn = document.getElementById('dm-share-invite-btn');
+  const scenarioId = _shareScenarioId;
+  if (!input || !scenarioId) return;
+
+  const email = input.value.trim();
+  if (!email || !email.includes('@')) {
+    if (errorEl) { errorEl.textContent = 'Please enter an email address.'; errorEl.hidden = false; }
+    input.focus();
+    return;
+  }
+
+  if (inviteBtn) inviteBtn.disabled = true;
+  const share = await storageManager.shareScenario(scenarioId, email, roleSelect?.value || 'view');
+  if (inviteBtn) inviteBtn.disabled = false;
+
+  if (!share) {
+    if (errorEl) {
+      errorEl.textContent = 'Could not share the scenario. Check the email address and try again.';
+      errorEl.hidden = false;
+    }
+    return;
+  }
+
+  if (errorEl) errorEl.hidden = true;
+  input.value = '';
+  await loadAndRenderShares(scenarioId);
+}
+
+async function loadAndRenderShares(scenarioId) {
+  const listEl = document.getElementById('dm-share-list');
+  const emptyEl = document.getElementById('dm-share-empty');
+  if (!listEl) return;
+
+  const shares = await storageManager.listScenarioShares(scenarioId);
+
+  // Ignore a response for a scenario the user has since closed
+  if (_shareScenarioId !== scenarioId) return;
+
+  listEl.innerHTML = '';
+  listEl.hidden = shares.length === 0;
+  if (emptyEl) emptyEl.hidden = shares.length > 0;
+  shares.forEach(share => {
+    listEl.appendChild(buildShareItem(scenarioId, share));
+  });
+}
+
+/**
+ * Build a list item for someone a scenario is shared with.
+ * @param {string} scenarioId
+ * @param {object} share - Share from the API
+ * @returns {HTMLElement}
+ */
+function buildShareItem(scenarioId, share) {
+  const item = document.createElement('li');
+  item.className = 'version-item share-item';
+
+  item.innerHTML = `
+    <div class="version-item-header">
+      <span class="version-item-title">${escapeHtml(share.email)}</span>
+      <span class="version-item-date">${escapeHtml(SHARE_ROLE_LABELS[share.role] || share.role)} · ${share.status === 'accepted' ? 'Accepted' : 'Invited'}</span>
+    </div>
+    <button type="button" class="btn-version-restore" aria-label="Stop sharing with ${escapeHtml(share.email)}">Remove</button>
+  `;
+
+  item.querySelector('button').addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    button.disabled = true;
+    if (await storageManager.revokeScenarioShare(scenarioId, share.email)) {
+      await loadAndRenderShares(scenarioId);
+    } else {
+      button.disabled = false;
+      button.textContent = 'Remove failed – try again';
+    }
+  });
+
+  return item;
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 /**
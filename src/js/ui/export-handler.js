@@ -3,6 +3,8 @@
  * Handles print, PDF export, and shareable link generation
  */
 
+import { storageManager } from '../storage/storage-manager.js';
+
 /**
  * Print the current page
  * Uses native browser print dialog which allows saving as PDF
@@ -31,6 +33,8 @@ export function printPage() {
 
 /**
  * Generate shareable URL with form data encoded in query parameters
+ * Used for signed-out users: the link carries the inputs itself, so it needs
+ * no account and never expires
  * @param {Object} formData - Form data to encode
  * @returns {string} Shareable URL
  */
@@ -77,8 +81,32 @@ export function generateShareableURL(formData) {
   return url;
 }
 
+/** Query parameter holding a share link code */
+export const SHARE_LINK_PARAM = 'share';
+
+/**
+ * Build the URL that opens a shared snapshot
+ * @param {string} code - Share link code from the API
+ * @returns {string} Shareable URL
+ */
+export function generateShareLinkURL(code) {
+  return `${window.location.origin}${window.location.pathname}?${SHARE_LINK_PARAM}=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Read the share link code from the current URL
+ * @returns {string|null} The code, or null if the page was not opened from a share link
+ */
+export function getShareCodeFromURL() {
+  if (typeof window === 'undefined' || !window.location) {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get(SHARE_LINK_PARAM) || null;
+}
+
 /**
- * Populate form from URL parameters
+ * Populate form from URL parameters (links shared while signed out, or before
+ * share links were stored on the server)
  * @returns {Object|null} Decoded form data or null if no params
  */
 export function loadFromURL() {
@@ -216,7 +244,37 @@ export function initializeExportHandlers() {
         }
 
         const formData = JSON.parse(formDataElement.dataset.formData);
-        const url = generateShareableURL(formData);
+
+        // Snapshots are stored against the user's account; signed out, the
+        // link carries the inputs in its URL instead
+        if (!storageManager.cloudStorageAvailable) {
+          const url = generateShareableURL(formData);
+          if (await copyShareableLink(url)) {
+            showNotification('✓ Link copied. Sign in to share a read-only snapshot instead.', 'success');
+          } else {
+            showNotification('Failed to copy link. Please copy manually.', 'error');
+            prompt('Copy this link:', url);
+          }
+          return;
+        }
+
+        const expirySelect = document.getElementById('share-link-expiry');
+        const expiresInDays = parseInt(expirySelect?.value) || undefined;
+
+        shareLinkBtn.disabled = true;
+        const shareLink = await storageManager.createShareLink(
+          { formData, timestamp: new Date().toISOString() },
+          storageManager.activeScenarioName,
+          expiresInDays
+        );
+        shareLinkBtn.disabled = false;
+
+        if (!shareLink) {
+          showNotification('Could not create a share link. Please try again.', 'error');
+          return;
+        }
+
+        const url = generateShareLinkURL(shareLink.code);
         const success = await copyShareableLink(url);
 
         if (success) {
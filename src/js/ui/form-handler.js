@@ -4,21 +4,17 @@
  * Includes real-time event-driven updates with debouncing
  */
 
-import { calculateAdjustedIncome, calculateHouseholdIncome } from '../calculations/income.js';
-import { calculateStandardRate, calculateHigherRate } from '../calculations/subsidy-rate.js';
-import { calculateSubsidisedHours, calculateSubsidisedDays } from '../calculations/activity-test.js';
-import {
-  calculateEffectiveHourlyRate,
-  calculateSubsidyPerHour,
-  calculateWeeklyCosts,
-  calculateEffectiveDailyRate,
-  calculateSubsidyPerDay,
-  calculateWeeklyCostsFromDailyRate
-} from '../calculations/costs.js';
+import { calculateAdjustedIncome } from '../calculations/income.js';
+import { computeHousehold, resolveSingleParent, CARE_NEED_MODES } from '../calculations/household.js';
+import { getAccsCategory } from '../calculations/accs.js';
 import {
   calculateMinimumChildcareDays,
   formatScheduleBreakdown,
-  calculateCostSavings
+  calculateCostSavings,
+  findBookingConflicts,
+  findOutOfHoursCare,
+  calculateCareDayLength,
+  getCommuteHours
 } from '../calculations/parent-schedule.js';
 import {
   calculatePerPersonRates,
@@ -27,8 +23,28 @@ import {
 import { debounce } from '../utils/debounce.js';
 import { loadState } from '../storage/persistence.js';
 import { storageManager } from '../storage/storage-manager.js';
+import { getShareCodeFromURL } from './export-handler.js';
+import { openSharedSnapshot } from './shared-snapshot.js';
 import { stripCommas, formatWithCommas } from '../utils/format-input.js';
 import { convertToPeriod } from './period-selector.js';
+import {
+  RATE_TABLES,
+  SUPPORTED_FINANCIAL_YEARS,
+  DEFAULT_FINANCIAL_YEAR,
+  ACCS_CATEGORIES,
+  ACTIVITY_TYPES,
+  ACTIVITY_TEST_EXEMPTIONS,
+  CHILD_ENTITLEMENTS,
+  ABSENCES,
+  DAYS_OF_WEEK,
+  DAYS_OF_WEEK_LABELS,
+  ROSTER_DAYS,
+  ROSTER_WEEKS
+} from '../config/ccs-config.js';
+import { AUSTRALIAN_STATE_LABELS } from '../config/public-holidays.js';
+import { normaliseSessions } from '../calculations/sessions.js';
+import { normaliseBookingPattern, summariseBookingPattern } from '../calculations/booking-pattern.js';
+import { normaliseRoster, summariseRoster, getRosterIncomeDays } from '../calculations/roster.js';
 // Cache for calculation results to optimize performance
 let lastFormData = null;
 let lastResults = null;
@@ -48,8 +64,18 @@ export function initializeForm() {
   const resetBtn = document.getElementById('reset-btn');
   const applyAllBtn = document.getElementById('apply-all-btn');
 
+  // Populate the financial year and exemption selectors before any saved state is restored
+  populateFinancialYearOptions();
+  populateStateOptions();
+  populateExemptionOptions();
+  populateActivityInputs();
+  populateRosterInputs();
+
+  // A share link shows its read-only snapshot instead of the user's saved state
+  const shareCode = getShareCodeFromURL();
+
   // Restore state from localStorage immediately for fast initial render (local-first)
-  const initialState = loadState();
+  const initialState = shareCode ? null : loadState();
   if (initialState && initialState.formData) {
     restoreFormData(initialState.formData);
   } else {
@@ -57,21 +83,29 @@ export function initializeForm() {
     addChild();
   }
 
+  if (shareCode) {
+    openSharedSnapshot(shareCode, (formData) => {
+      restoreFormData(formData);
+      updateAdjustedIncomeDisplays();
+    });
+  }
+
   // Initialize storage manager in the background (checks auth, syncs cloud if authenticated).
   // If the cloud has a newer version than localStorage, the form is silently updated once
   // the async check resolves. This is intentional progressive enhancement: show local data
   // immediately, then refresh with cloud data only when it differs.
   storageManager.initialize().then(async (cloudAvailable) => {
+    if (storageManager.viewingSnapshot) {
+      return null;
+    }
+
     // Check if a specific scenario was requested via URL param (e.g. from the dashboard)
     if (cloudAvailable && typeof window !== 'undefined' && window.location) {
       const urlParams = new URLSearchParams(window.location.search);
       const requestedId = urlParams.get('scenarioId');
       if (requestedId) {
-        const scenario = await storageManager.loadScenario(requestedId);
+        const scenario = await storageManager.openScenario(requestedId);
         if (scenario) {
-          await storageManager.activateScenario(requestedId);
-          storageManager.activeScenarioId = requestedId;
-          storageManager.activeScenarioName = scenario.name || 'My Scenario';
           // Clean the URL param so a refresh doesn't re-load the same scenario
           try {
             const cleanUrl = new URL(window.location.href);
@@ -112,8 +146,17 @@ export function initializeForm() {
     console.error('Storage initialization error:', error);
   });
 
+  // Show the merged state after a save conflicted with another device
+  document.addEventListener('scenarioMerged', (event) => {
+    const { state } = event.detail;
+    if (state && state.formData) {
+      restoreFormData(state.formData);
+      updateAdjustedIncomeDisplays();
+    }
+  });
+
   // Event listeners for form submission
-  addChildBtn.addEventListener('click', addChild);
+  addChildBtn.addEventListener('click', () => addChild());
   form.addEventListener('submit', handleFormSubmit);
   resetBtn.addEventListener('click', handleReset);
   applyAllBtn.addEventListener('click', handleApplyToAll);
@@ -123,6 +166,7 @@ export function initializeForm() {
 
   // Setup parent work day selection sync
   setupWorkDaySync();
+  setupRosterFields();
 
   // Update adjusted income displays on initial load
   updateAdjustedIncomeDisplays();
@@ -133,6 +177,293 @@ export function initializeForm() {
   console.log('Form initialized with real-time updates');
 }
 
+/**
+ * Populate the financial year selector from the rate registry
+ */
+function populateFinancialYearOptions() {
+  const select = document.getElementById('financial-year');
+  if (!select) return;
+
+  select.innerHTML = SUPPORTED_FINANCIAL_YEARS.map(year => {
+    const label = RATE_TABLES[year].FINANCIAL_YEAR.ESTIMATED ? `${year} (estimated)` : year;
+    return `<option value="${year}">${label}</option>`;
+  }).join('');
+  select.value = DEFAULT_FINANCIAL_YEAR;
+}
+
+/**
+ * Populate the state selector used for public holidays
+ */
+function populateStateOptions() {
+  const select = document.getElementById('care-state');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">Not set (ignore public holidays)</option>' + Object.entries(AUSTRALIAN_STATE_LABELS)
+    .map(([id, label]) => `<option value="${id}">${label}</option>`)
+    .join('');
+}
+
+/**
+ * Populate the parent activity test exemption selectors
+ */
+function populateExemptionOptions() {
+  const options = Object.values(ACTIVITY_TEST_EXEMPTIONS)
+    .map(exemption => `<option value="${exemption.ID}">${exemption.LABEL}</option>`)
+    .join('');
+
+  document.querySelectorAll('.activity-exemption-select').forEach(select => {
+    select.innerHTML = `<option value="">None</option>${options}`;
+  });
+}
+
+/**
+ * Populate each parent's other activity hour inputs (study, training, etc.)
+ */
+function populateActivityInputs() {
+  document.querySelectorAll('.activity-hours-grid').forEach(grid => {
+    const parentId = grid.dataset.parent;
+    grid.innerHTML = Object.values(ACTIVITY_TYPES).map(type => `
+      <div class="form-group">
+        <label for="${parentId}-activity-${type.ID}">${type.LABEL}</label>
+        <input type="number" id="${parentId}-activity-${type.ID}" name="${parentId}-activity-${type.ID}" min="0" max="200" step="0.5" placeholder="0">
+      </div>
+    `).join('');
+  });
+}
+
+/**
+ * Collect a parent's other activity hours per fortnight, keyed by activity type ID
+ * Only types with hours entered are included
+ * @param {string} parentId - 'parent1' or 'parent2'
+ * @returns {Object} Activity hours per fortnight
+ */
+function collectActivityHours(parentId) {
+  const activities = {};
+
+  Object.values(ACTIVITY_TYPES).forEach(type => {
+    const input = document.getElementById(`${parentId}-activity-${type.ID}`);
+    const hours = input ? parseFloat(input.value) : NaN;
+    if (!isNaN(hours) && hours > 0) {
+      activities[type.ID] = hours;
+    }
+  });
+
+  return activities;
+}
+
+/**
+ * Populate each parent's fortnightly roster table (hours, or shift start and
+ * end times, for each day of both weeks)
+ */
+function populateRosterInputs() {
+  document.querySelectorAll('.roster-grid').forEach(grid => {
+    const parentId = grid.dataset.parent;
+    const weeks = Array.from({ length: ROSTER_WEEKS }, (_, index) => index + 1);
+    grid.innerHTML = `
+      <table class="roster-table">
+        <thead>
+          <tr>
+            <th scope="col">Day</th>
+            ${weeks.map(week => `<th scope="col">Week ${week} hours or shift times</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${ROSTER_DAYS.map(day => `
+          <tr>
+            <th scope="row">${DAYS_OF_WEEK_LABELS[day]}</th>
+            ${weeks.map(week => `
+            <td>
+              <input
+                type="number"
+                id="${parentId}-roster-${week}-${day}"
+                data-roster-week="${week}"
+                data-roster-day="${day}"
+                min="0"
+                max="24"
+                step="0.5"
+                placeholder="—"
+                aria-label="Week ${week} ${DAYS_OF_WEEK_LABELS[day]} hours"
+              >
+              <span class="roster-shift">
+                <input
+                  type="time"
+                  id="${parentId}-roster-${week}-${day}-start"
+                  data-roster-week="${week}"
+                  data-roster-day="${day}"
+                  data-roster-time="startTime"
+                  aria-label="Week ${week} ${DAYS_OF_WEEK_LABELS[day]} shift start"
+                >
+                <input
+                  type="time"
+                  id="${parentId}-roster-${week}-${day}-end"
+                  data-roster-week="${week}"
+                  data-roster-day="${day}"
+                  data-roster-time="endTime"
+                  aria-label="Week ${week} ${DAYS_OF_WEEK_LABELS[day]} shift end"
+                >
+              </span>
+            </td>`).join('')}
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  });
+}
+
+/**
+ * Collect a parent's fortnightly roster
+ * A day with a shift start or end time is a timed shift and its hours are ignored.
+ * @param {string} parentId - 'parent1' or 'parent2'
+ * @returns {Array<Object>|null} Hours or shift times by day for each week, or null when nothing is entered
+ */
+function collectRoster(parentId) {
+  const weeks = Array.from({ length: ROSTER_WEEKS }, (_, index) => {
+    const hours = {};
+    ROSTER_DAYS.forEach(day => {
+      const id = `${parentId}-roster-${index + 1}-${day}`;
+      const startTime = document.getElementById(`${id}-start`)?.value || '';
+      const endTime = document.getElementById(`${id}-end`)?.value || '';
+      const input = document.getElementById(id);
+      const value = input && input.value !== '' ? parseFloat(input.value) : 0;
+
+      if (startTime || endTime) {
+        hours[day] = { startTime, endTime };
+      } else if (value > 0) {
+        hours[day] = value;
+      }
+    });
+    return hours;
+  });
+
+  return weeks.some(week => Object.keys(week).length > 0) ? weeks : null;
+}
+
+/**
+ * Fill a parent's roster table, clearing any hours and times already entered
+ * @param {string} parentId - 'parent1' or 'parent2'
+ * @param {Array<Object>} roster - Saved roster (empty for none)
+ */
+function restoreRoster(parentId, roster) {
+  document.querySelectorAll(`#${parentId}-roster [data-roster-week]`).forEach(input => {
+    input.value = '';
+  });
+  roster.forEach((week, index) => {
+    Object.entries(week).forEach(([day, hours]) => {
+      const id = `${parentId}-roster-${index + 1}-${day}`;
+      if (typeof hours === 'object') {
+        ['start', 'end'].forEach(field => {
+          const input = document.getElementById(`${id}-${field}`);
+          if (input) {
+            input.value = hours[`${field}Time`] || '';
+          }
+        });
+        return;
+      }
+
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = hours;
+      }
+    });
+  });
+  if (roster.length > 0) {
+    document.getElementById(`${parentId}-roster`)?.closest('.roster-fields')?.setAttribute('open', '');
+  }
+  updateRosterFields(parentId);
+}
+
+/**
+ * Collect a parent's commute and whether they do the drop-off or pick-up
+ * @param {string} parentId - 'parent1' or 'parent2'
+ * @returns {Object} commuteHours, dropOff and pickUp, each only when set
+ */
+function collectTravel(parentId) {
+  const commuteValue = document.getElementById(`${parentId}-commute`)?.value || '';
+  const commuteHours = commuteValue !== '' ? parseFloat(commuteValue) : 0;
+  const dropOff = Boolean(document.getElementById(`${parentId}-drop-off`)?.checked);
+  const pickUp = Boolean(document.getElementById(`${parentId}-pick-up`)?.checked);
+
+  return {
+    ...(commuteHours !== 0 && { commuteHours }),
+    ...(dropOff && { dropOff }),
+    ...(pickUp && { pickUp })
+  };
+}
+
+/**
+ * Fill a parent's commute, drop-off and pick-up fields
+ * @param {string} parentId - 'parent1' or 'parent2'
+ * @param {Object} parent - Saved parent data
+ */
+function restoreTravel(parentId, parent) {
+  const commuteInput = document.getElementById(`${parentId}-commute`);
+  const dropOffInput = document.getElementById(`${parentId}-drop-off`);
+  const pickUpInput = document.getElementById(`${parentId}-pick-up`);
+
+  if (commuteInput) {
+    commuteInput.value = parent.commuteHours || '';
+  }
+  if (dropOffInput) {
+    dropOffInput.checked = Boolean(parent.dropOff);
+  }
+  if (pickUpInput) {
+    pickUpInput.checked = Boolean(parent.pickUp);
+  }
+  if (parent.commuteHours || parent.dropOff || parent.pickUp) {
+    commuteInput?.closest('.travel-fields')?.setAttribute('open', '');
+  }
+}
+
+/**
+ * Lock a parent's days, hours and work days to their roster while one is entered
+ * Days/Week shows the days counted for adjusted income and Hours/Day the average shift.
+ * @param {string} parentId - 'parent1' or 'parent2'
+ */
+function updateRosterFields(parentId) {
+  const daysInput = document.getElementById(`${parentId}-days`);
+  const hoursInput = document.getElementById(`${parentId}-hours`);
+  const checkboxes = document.querySelectorAll(`input[name="${parentId}-workday"]`);
+  let roster;
+
+  try {
+    const entered = collectRoster(parentId);
+    roster = entered ? normaliseRoster(entered) : null;
+  } catch {
+    // Invalid hours are reported when the form is validated
+    roster = null;
+  }
+
+  daysInput.readOnly = Boolean(roster);
+  hoursInput.readOnly = Boolean(roster);
+  checkboxes.forEach(checkbox => {
+    checkbox.disabled = Boolean(roster);
+  });
+
+  if (roster) {
+    const summary = summariseRoster(roster);
+    daysInput.value = getRosterIncomeDays(roster);
+    hoursInput.value = Math.round(summary.hoursPerDay * 100) / 100;
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = roster.some(week => week[checkbox.value] !== undefined);
+    });
+  }
+}
+
+/**
+ * Keep parent fields and children's days of care in step with roster changes
+ */
+function setupRosterFields() {
+  const form = document.getElementById('ccs-calculator-form');
+
+  form.addEventListener('input', (event) => {
+    if (event.target.dataset?.rosterWeek) {
+      updateRosterFields(event.target.closest('.roster-grid').dataset.parent);
+      updateAdjustedIncomeDisplays();
+      updateAllChildrenDaysOfCare();
+    }
+  });
+}
+
 /**
  * Setup real-time event listeners for all form inputs
  */
@@ -298,9 +629,18 @@ function updateAllChildrenDaysOfCare() {
   const parent2WorkDaysCheckboxes = document.querySelectorAll('input[name="parent2-workday"]:checked');
   const parent2WorkDays = Array.from(parent2WorkDaysCheckboxes).map(cb => cb.value);
 
-  // Calculate minimum days needed
-  const scheduleResult = calculateMinimumChildcareDays(parent1WorkDays, parent2WorkDays);
-  const defaultDays = scheduleResult.daysCount;
+  // Calculate minimum days needed (a roster replaces the weekly work days)
+  let scheduleResult;
+  try {
+    scheduleResult = calculateMinimumChildcareDays(
+      collectRoster('parent1') || parent1WorkDays,
+      collectRoster('parent2') || parent2WorkDays
+    );
+  } catch {
+    // Invalid roster hours are reported when the form is validated
+    return;
+  }
+  const defaultDays = Math.min(scheduleResult.daysCount, 5);
 
   // Update each child's days of care input
   const daysOfCareInputs = document.querySelectorAll('.days-of-care-input');
@@ -452,9 +792,13 @@ function isFormDataComplete(formData) {
       // For daily fee mode, check dailyFee and hoursPerDay
       if (!isValidPositiveNumber(child.dailyFee)) return false;
       if (!isValidPositiveNumber(child.hoursPerDay)) return false;
+    } else if (feeType === 'session') {
+      // For session mode, every session needs a fee and times
+      if (!Array.isArray(child.sessions) || child.sessions.length === 0) return false;
+      if (!child.sessions.every(session => isValidPositiveNumber(session.fee) && session.startTime && session.endTime)) return false;
     } else if (feeType === 'hourly') {
-      // For hourly fee mode, check hoursPerWeek and providerFee
-      if (!isValidPositiveNumber(child.hoursPerWeek)) return false;
+      // For hourly fee mode, check hoursPerWeek (unless booked by pattern) and providerFee
+      if (!child.bookingPattern && !isValidPositiveNumber(child.hoursPerWeek)) return false;
       if (!isValidPositiveNumber(child.providerFee)) return false;
     } else {
       // Unexpected fee type - require both sets of fields to be safe
@@ -495,11 +839,16 @@ function normalizeFormDataForComparison(formData) {
     age: normalizeNumber(child.age),
     careType: child.careType || null,
     feeType: child.feeType || 'daily',
+    accsCategory: child.accsCategory || null,
+    firstNations: Boolean(child.firstNations),
     dailyFee: normalizeNumber(child.dailyFee),
     hoursPerDay: normalizeNumber(child.hoursPerDay),
     daysOfCare: normalizeNumber(child.daysOfCare),
     hoursPerWeek: normalizeNumber(child.hoursPerWeek),
-    providerFee: normalizeNumber(child.providerFee)
+    providerFee: normalizeNumber(child.providerFee),
+    sessions: child.sessions || null,
+    bookingPattern: child.bookingPattern || null,
+    careCalendar: child.careCalendar || null
   });
 
   return {
@@ -507,15 +856,29 @@ function normalizeFormDataForComparison(formData) {
       income: normalizeNumber(formData.parent1?.income),
       days: normalizeNumber(formData.parent1?.days),
       hours: normalizeNumber(formData.parent1?.hours),
-      workDays: normalizeWorkDays(formData.parent1?.workDays)
+      workDays: normalizeWorkDays(formData.parent1?.workDays),
+      roster: formData.parent1?.roster || null,
+      commuteHours: normalizeNumber(formData.parent1?.commuteHours),
+      dropOff: Boolean(formData.parent1?.dropOff),
+      pickUp: Boolean(formData.parent1?.pickUp),
+      exemption: formData.parent1?.exemption || null,
+      activities: formData.parent1?.activities || {}
     },
     parent2: {
       income: normalizeNumber(formData.parent2?.income),
       days: normalizeNumber(formData.parent2?.days),
       hours: normalizeNumber(formData.parent2?.hours),
-      workDays: normalizeWorkDays(formData.parent2?.workDays)
+      workDays: normalizeWorkDays(formData.parent2?.workDays),
+      roster: formData.parent2?.roster || null,
+      commuteHours: normalizeNumber(formData.parent2?.commuteHours),
+      dropOff: Boolean(formData.parent2?.dropOff),
+      pickUp: Boolean(formData.parent2?.pickUp),
+      exemption: formData.parent2?.exemption || null,
+      activities: formData.parent2?.activities || {}
     },
     withholdingRate: normalizeNumber(formData.withholdingRate),
+    financialYear: formData.financialYear || null,
+    state: formData.state || null,
     children: (formData.children || []).map(normalizeChild)
   };
 }
@@ -573,6 +936,71 @@ function handleFormSubmit(event) {
   }
 }
 
+/**
+ * Read a child's closure, holiday and absence fields into a care calendar
+ * A closure or holiday needs both dates; absence days need a number.
+ * @param {HTMLElement} card - Child card
+ * @param {string} childIndex - Child index used in field ids
+ * @returns {Object|null} Care calendar, or null when nothing is entered
+ */
+function collectCareCalendar(card, childIndex) {
+  const valueOf = (suffix) => card.querySelector(`#child-${childIndex}-${suffix}`)?.value || '';
+  const rangeOf = (prefix) => {
+    const startDate = valueOf(`${prefix}-start`);
+    const endDate = valueOf(`${prefix}-end`);
+    return startDate && endDate ? [{ startDate, endDate }] : [];
+  };
+
+  const closures = rangeOf('closure');
+  const holidays = rangeOf('holiday');
+  const absenceDaysValue = valueOf('absence-days');
+  const absenceDays = absenceDaysValue !== '' ? parseFloat(absenceDaysValue) : 0;
+  const chargeCheckbox = card.querySelector(`#child-${childIndex}-charge-public-holidays`);
+  const chargePublicHolidays = chargeCheckbox ? chargeCheckbox.checked : true;
+
+  if (closures.length === 0 && holidays.length === 0 && !(absenceDays > 0) && chargePublicHolidays) {
+    return null;
+  }
+
+  return { closures, holidays, absenceDays, chargePublicHolidays };
+}
+
+/**
+ * Fill a child's closure, holiday and absence fields from a care calendar
+ * Only the first closure and holiday have fields in the form.
+ * @param {HTMLElement} card - Child card
+ * @param {string} childIndex - Child index used in field ids
+ * @param {Object} careCalendar - Saved care calendar
+ */
+function restoreCareCalendar(card, childIndex, careCalendar) {
+  const setValue = (suffix, value) => {
+    const input = card.querySelector(`#child-${childIndex}-${suffix}`);
+    if (input && value !== undefined && value !== null) {
+      input.value = value;
+    }
+  };
+
+  const closure = careCalendar.closures?.[0];
+  const holiday = careCalendar.holidays?.[0];
+  setValue('closure-start', closure?.startDate);
+  setValue('closure-end', closure?.endDate);
+  setValue('holiday-start', holiday?.startDate);
+  setValue('holiday-end', holiday?.endDate);
+  if (careCalendar.absenceDays > 0) {
+    setValue('absence-days', careCalendar.absenceDays);
+  }
+
+  const chargeCheckbox = card.querySelector(`#child-${childIndex}-charge-public-holidays`);
+  if (chargeCheckbox) {
+    chargeCheckbox.checked = careCalendar.chargePublicHolidays !== false;
+  }
+
+  const details = card.querySelector('.care-calendar-fields');
+  if (details) {
+    details.open = true;
+  }
+}
+
 /**
  * Collect all form data
  */
@@ -586,6 +1014,8 @@ function collectFormData() {
   // Parent 1 work days
   const parent1WorkDaysCheckboxes = document.querySelectorAll('input[name="parent1-workday"]:checked');
   const parent1WorkDays = Array.from(parent1WorkDaysCheckboxes).map(cb => cb.value);
+  const parent1Exemption = document.getElementById('parent1-exemption')?.value || null;
+  const parent1Roster = collectRoster('parent1');
 
   // Parent 2 data (optional, strip commas from income)
   const parent2IncomeRaw = document.getElementById('parent2-income').value || '0';
@@ -596,6 +1026,8 @@ function collectFormData() {
   // Parent 2 work days
   const parent2WorkDaysCheckboxes = document.querySelectorAll('input[name="parent2-workday"]:checked');
   const parent2WorkDays = Array.from(parent2WorkDaysCheckboxes).map(cb => cb.value);
+  const parent2Exemption = document.getElementById('parent2-exemption')?.value || null;
+  const parent2Roster = collectRoster('parent2');
 
   // Children data
   const childCards = document.querySelectorAll('.child-card');
@@ -607,11 +1039,16 @@ function collectFormData() {
     // Get fee type (daily or hourly)
     const feeTypeRadio = card.querySelector(`input[name="child-${childIndex}-fee-type"]:checked`);
     const feeType = feeTypeRadio ? feeTypeRadio.value : 'daily';
+    const accsSelect = card.querySelector(`#child-${childIndex}-accs-category`);
+    const firstNationsCheckbox = card.querySelector(`#child-${childIndex}-first-nations`);
 
     const childData = {
+      id: card.dataset.childId,
       age: ageValue !== '' ? parseFloat(ageValue) : null,
       careType,
-      feeType
+      feeType,
+      accsCategory: accsSelect?.value || null,
+      firstNations: Boolean(firstNationsCheckbox?.checked)
     };
 
     if (feeType === 'daily') {
@@ -622,6 +1059,8 @@ function collectFormData() {
       childData.dailyFee = dailyFeeValue !== '' ? parseFloat(dailyFeeValue) : null;
       childData.hoursPerDay = hoursPerDayValue !== '' ? parseFloat(hoursPerDayValue) : 10;
       childData.daysOfCare = daysOfCareValue !== '' ? parseFloat(daysOfCareValue) : null;
+    } else if (feeType === 'session') {
+      childData.sessions = collectSessions(card);
     } else {
       // Hourly mode
       const hourlyFeeValue = card.querySelector(`#child-${childIndex}-hourly-fee`).value;
@@ -631,28 +1070,51 @@ function collectFormData() {
       childData.hoursPerWeek = hoursPerWeekValue !== '' ? parseFloat(hoursPerWeekValue) : null;
     }
 
+    const bookingPattern = feeType !== 'session' ? collectBookingPattern(card, childIndex) : null;
+    if (bookingPattern) {
+      childData.bookingPattern = bookingPattern;
+    }
+
+    const careCalendar = collectCareCalendar(card, childIndex);
+    if (careCalendar) {
+      childData.careCalendar = careCalendar;
+    }
+
     return childData;
   });
 
   // CCS Settings
   const withholdingRateValue = document.getElementById('withholding-rate').value;
   const withholdingRate = withholdingRateValue !== '' ? parseFloat(withholdingRateValue) : 5;
+  const financialYearSelect = document.getElementById('financial-year');
+  const financialYear = financialYearSelect?.value || DEFAULT_FINANCIAL_YEAR;
+  const state = document.getElementById('care-state')?.value || null;
 
   return {
     parent1: {
       income: parent1Income,
       days: parent1Days,
       hours: parent1Hours,
-      workDays: parent1WorkDays
+      workDays: parent1WorkDays,
+      ...(parent1Roster && { roster: parent1Roster }),
+      ...collectTravel('parent1'),
+      exemption: parent1Exemption,
+      activities: collectActivityHours('parent1')
     },
     parent2: {
       income: parent2Income,
       days: parent2Days,
       hours: parent2Hours,
-      workDays: parent2WorkDays
+      workDays: parent2WorkDays,
+      ...(parent2Roster && { roster: parent2Roster }),
+      ...collectTravel('parent2'),
+      exemption: parent2Exemption,
+      activities: collectActivityHours('parent2')
     },
     children,
-    withholdingRate
+    withholdingRate,
+    financialYear,
+    state
   };
 }
 
@@ -716,9 +1178,16 @@ function validateFormData(formData) {
         showError(`child-${childIndex}-hours-per-day`, 'Hours per day must be between 1 and 24');
         isValid = false;
       }
+    } else if (child.feeType === 'session') {
+      try {
+        normaliseSessions(child.sessions);
+      } catch (error) {
+        showError(`child-${childIndex}-sessions`, error.message);
+        isValid = false;
+      }
     } else {
-      // Hourly mode validation
-      if (child.hoursPerWeek === null || child.hoursPerWeek === undefined || isNaN(child.hoursPerWeek) || child.hoursPerWeek <= 0 || child.hoursPerWeek > 100) {
+      // Hourly mode validation (a booking pattern replaces hours per week)
+      if (!child.bookingPattern && (child.hoursPerWeek === null || child.hoursPerWeek === undefined || isNaN(child.hoursPerWeek) || child.hoursPerWeek <= 0 || child.hoursPerWeek > 100)) {
         showError(`child-${childIndex}-hours-per-week`, 'Hours per week must be between 1 and 100');
         isValid = false;
       }
@@ -728,16 +1197,55 @@ function validateFormData(formData) {
         isValid = false;
       }
     }
+
+    if (child.bookingPattern) {
+      try {
+        normaliseBookingPattern(child.bookingPattern);
+      } catch (error) {
+        showError(`child-${childIndex}-days-of-care`, error.message);
+        isValid = false;
+      }
+    }
+  });
+
+  // Validate rosters (a roster replaces the work days count)
+  ['parent1', 'parent2'].forEach((parentId, index) => {
+    if (formData[parentId].roster) {
+      try {
+        normaliseRoster(formData[parentId].roster, `Parent ${index + 1} roster`);
+      } catch (error) {
+        showError(`${parentId}-roster`, error.message);
+        isValid = false;
+      }
+    }
+  });
+
+  // Validate commutes, and that only one parent does each of the drop-off and pick-up
+  ['parent1', 'parent2'].forEach((parentId, index) => {
+    try {
+      getCommuteHours(formData[parentId], `Parent ${index + 1}`);
+    } catch (error) {
+      showError(`${parentId}-commute`, error.message);
+      isValid = false;
+    }
   });
+  if (formData.parent1.dropOff && formData.parent2.dropOff) {
+    showError('parent2-drop-off', 'Only one parent can do the drop-off');
+    isValid = false;
+  }
+  if (formData.parent1.pickUp && formData.parent2.pickUp) {
+    showError('parent2-pick-up', 'Only one parent can do the pick-up');
+    isValid = false;
+  }
 
   // Validate parent 1 work days match work days count
-  if (formData.parent1.workDays.length !== formData.parent1.days && formData.parent1.days > 0) {
+  if (!formData.parent1.roster && formData.parent1.workDays.length !== formData.parent1.days && formData.parent1.days > 0) {
     showError('parent1-workdays', `Please select exactly ${formData.parent1.days} work day(s)`);
     isValid = false;
   }
 
   // Validate parent 2 work days if applicable
-  if (formData.parent2.income > 0 && formData.parent2.days > 0) {
+  if (!formData.parent2.roster && formData.parent2.income > 0 && formData.parent2.days > 0) {
     if (formData.parent2.workDays.length !== formData.parent2.days) {
       showError('parent2-workdays', `Please select exactly ${formData.parent2.days} work day(s)`);
       isValid = false;
@@ -749,180 +1257,89 @@ function validateFormData(formData) {
 
 /**
  * Calculate CCS results
+ * Subsidy and costs come from the shared household engine; the form adds its
+ * schedule breakdown, cost savings, per-person rates and threshold warning.
+ * householdOptions is kept so panels re-running the engine use the same care.
  */
 function calculateCCS(formData) {
-  // Calculate adjusted incomes
-  const parent1Adjusted = calculateAdjustedIncome(
-    formData.parent1.income,
-    formData.parent1.days,
-    formData.parent1.hours
-  );
-
-  const parent2Adjusted = formData.parent2.income > 0
-    ? calculateAdjustedIncome(
-        formData.parent2.income,
-        formData.parent2.days,
-        formData.parent2.hours
-      )
-    : 0;
-
-  const householdIncome = calculateHouseholdIncome(parent1Adjusted, parent2Adjusted);
-
-  // Calculate minimum childcare days needed based on parent schedules
+  // Calculate minimum childcare days needed based on parent schedules (or rosters)
   const scheduleResult = calculateMinimumChildcareDays(
-    formData.parent1.workDays,
-    formData.parent2.workDays
+    formData.parent1.roster || formData.parent1.workDays,
+    formData.parent2.roster || formData.parent2.workDays
   );
-  const scheduleBreakdown = formatScheduleBreakdown(scheduleResult);
+  // Parent 2 is optional: left blank, the household is a single parent
+  const householdInputs = resolveSingleParent(formData);
+  // Children without days of care fall back to the calculated minimum. Roster care
+  // days change from week to week, so care calendars spread holidays over the weekdays.
+  const householdOptions = {
+    careNeed: CARE_NEED_MODES.BOOKED,
+    defaultDaysOfCare: Math.min(scheduleResult.daysCount, 5),
+    childcareDays: scheduleResult.fortnight ? [] : scheduleResult.childcareDays
+  };
+  const household = computeHousehold(householdInputs, householdOptions);
+  const { householdIncome } = household;
+  // Session length suggestion: work plus commutes, from drop-off to pick-up
+  const workingParents = [formData.parent1, formData.parent2].filter(parent => parent.days > 0);
+  const careDay = workingParents.length > 0 ? calculateCareDayLength(workingParents[0], workingParents[1] || null) : null;
+  const scheduleBreakdown = formatScheduleBreakdown(scheduleResult, {
+    publicHolidays: household.publicHolidays,
+    careDay
+  });
 
-  // Calculate activity test hours and days
-  const parent1HoursPerFortnight = formData.parent1.days * formData.parent1.hours * 2;
-  const parent2HoursPerFortnight = formData.parent2.days * formData.parent2.hours * 2;
+  const childrenResults = household.children.map(child => {
+    // Warn about booked days when a parent is home
+    const bookingWarnings = child.bookingPattern
+      ? findBookingConflicts(child.bookingPattern.weeks, scheduleResult)
+      : [];
+    // Warn about shift-time care a centre is unlikely to cover
+    const hoursWarnings = findOutOfHoursCare(scheduleResult, child.careType);
 
-  const subsidisedHoursResult = calculateSubsidisedHours(
-    parent1HoursPerFortnight,
-    parent2HoursPerFortnight
-  );
-  const subsidisedHoursPerWeek = subsidisedHoursResult.hoursPerWeek;
-
-  // Calculate costs for each child
-  const childrenResults = formData.children.map((child, index) => {
-    // Determine subsidy rate based on child order and age
-    const isEldestChildUnder5 = index === 0 && child.age <= 5;
-    const isYoungerSiblingUnder5 = index > 0 && child.age <= 5;
-
-    let subsidyRate;
-    if (isEldestChildUnder5) {
-      subsidyRate = calculateStandardRate(householdIncome);
-    } else if (isYoungerSiblingUnder5) {
-      subsidyRate = calculateHigherRate(householdIncome);
-    } else {
-      // School age children use standard rate
-      subsidyRate = calculateStandardRate(householdIncome);
+    if (child.feeType !== 'daily') {
+      return { ...child, bookingWarnings, hoursWarnings };
     }
 
-    let costs;
-
-    if (child.feeType === 'daily') {
-      // Daily rate mode
-      const effectiveDailyRate = calculateEffectiveDailyRate(
-        child.dailyFee,
-        child.careType,
-        child.age,
-        child.hoursPerDay
-      );
-
-      const subsidyPerDay = calculateSubsidyPerDay(subsidyRate, effectiveDailyRate);
-
-      // Calculate subsidised days from activity test
-      const subsidisedDaysResult = calculateSubsidisedDays(
-        parent1HoursPerFortnight,
-        parent2HoursPerFortnight,
-        child.hoursPerDay
-      );
-
-      // Use user-specified days of care, or fall back to calculated minimum
-      const actualDaysNeeded = child.daysOfCare !== null && child.daysOfCare !== undefined
-        ? child.daysOfCare
-        : scheduleResult.daysCount;
-
-      costs = calculateWeeklyCostsFromDailyRate({
-        subsidyPerDay,
-        providerDailyFee: child.dailyFee,
-        subsidisedDays: subsidisedDaysResult.daysPerWeek,
-        actualDays: actualDaysNeeded,
-        withholdingRate: formData.withholdingRate
-      });
-
-      // Calculate cost savings
-      const savings = calculateCostSavings(5, actualDaysNeeded, child.dailyFee);
-
-      return {
-        childNumber: index + 1,
-        age: child.age,
-        careType: child.careType,
-        feeType: 'daily',
-        dailyFee: child.dailyFee,
-        hoursPerDay: child.hoursPerDay,
-        actualDaysNeeded,
-        daysWithoutCare: savings.daysWithoutCare,
-        subsidyRate,
-        subsidyPerDay,
-        effectiveDailyRate,
-        ...costs,
-        savings
-      };
-    } else {
-      // Hourly rate mode (legacy)
-      const effectiveHourlyRate = calculateEffectiveHourlyRate(
-        child.providerFee,
-        child.careType,
-        child.age
-      );
-
-      const subsidyPerHour = calculateSubsidyPerHour(subsidyRate, effectiveHourlyRate);
-
-      costs = calculateWeeklyCosts({
-        subsidyPerHour,
-        providerFee: child.providerFee,
-        subsidisedHours: subsidisedHoursPerWeek,
-        actualHours: child.hoursPerWeek,
-        withholdingRate: formData.withholdingRate
-      });
-
-      return {
-        childNumber: index + 1,
-        age: child.age,
-        careType: child.careType,
-        feeType: 'hourly',
-        hoursPerWeek: child.hoursPerWeek,
-        providerFee: child.providerFee,
-        subsidyRate,
-        ...costs
-      };
-    }
+    // Calculate cost savings
+    const savings = calculateCostSavings(5, child.actualDaysNeeded, child.dailyFee);
+    return {
+      ...child,
+      bookingWarnings,
+      hoursWarnings,
+      daysWithoutCare: savings.daysWithoutCare,
+      savings
+    };
   });
 
-  // Calculate totals
-  const totalWeeklySubsidy = childrenResults.reduce((sum, child) => sum + child.weeklySubsidy, 0);
-  const totalWeeklyGrossSubsidy = childrenResults.reduce((sum, child) => sum + child.weeklyGrossSubsidy, 0);
-  const totalWeeklyWithheld = childrenResults.reduce((sum, child) => sum + child.weeklyWithheld, 0);
-  const totalWeeklyCost = childrenResults.reduce((sum, child) => sum + child.weeklyFullCost, 0);
-  const totalWeeklyGap = childrenResults.reduce((sum, child) => sum + child.weeklyOutOfPocket, 0);
-
-  const annualOutOfPocket = totalWeeklyGap * 52;
-  const netAnnualIncome = householdIncome - annualOutOfPocket;
-  const costAsPercentageOfIncome = householdIncome > 0
-    ? (annualOutOfPocket / householdIncome) * 100
-    : 0;
-
-  // Calculate per-person effective rates
+  // Calculate per-person effective rates on the income each parent earns for their days
   const perPersonRates = calculatePerPersonRates(
-    formData.parent1.income,
-    formData.parent2.income,
-    annualOutOfPocket
+    household.parent1.adjustedIncome,
+    household.parent2.adjustedIncome,
+    household.annual.outOfPocket,
+    formData.financialYear
   );
 
   // Check for threshold risks
   const hasMultipleChildrenUnder5 = formData.children.filter(child => child.age <= 5).length >= 2;
-  const thresholdWarning = checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5);
+  const thresholdWarning = checkThresholdRisk(householdIncome, hasMultipleChildrenUnder5, formData.financialYear);
 
   return {
     householdIncome,
-    subsidisedHoursPerWeek,
+    subsidisedHoursPerWeek: household.subsidisedHours.hoursPerWeek,
     scheduleBreakdown,
     scheduleResult,
-    totalWeeklySubsidy,
-    totalWeeklyGrossSubsidy,
-    totalWeeklyWithheld,
-    totalWeeklyCost,
-    totalWeeklyGap,
-    annualOutOfPocket,
-    netAnnualIncome,
-    costAsPercentageOfIncome,
+    totalWeeklySubsidy: household.weekly.subsidy,
+    totalWeeklyGrossSubsidy: household.weekly.grossSubsidy,
+    totalWeeklyWithheld: household.weekly.withheld,
+    totalWeeklyCost: household.weekly.fullCost,
+    totalWeeklyGap: household.weekly.outOfPocket,
+    annualOutOfPocket: household.annual.outOfPocket,
+    netAnnualIncome: household.netIncomeAfterChildcare,
+    costAsPercentageOfIncome: household.costPercentage,
     childrenResults,
-    withholdingRate: formData.withholdingRate,
+    careCalendar: household.careCalendar,
+    withholdingRate: household.withholdingRate,
+    financialYear: formData.financialYear,
     perPersonRates,
+    householdOptions,
     thresholdWarning
   };
 }
@@ -1059,6 +1476,11 @@ function displayResults(results) {
     subsidisedHoursEl.textContent = results.subsidisedHoursPerWeek.toFixed(0);
   }
 
+  const financialYearEl = document.getElementById('result-financial-year');
+  if (financialYearEl) {
+    financialYearEl.textContent = results.financialYear || DEFAULT_FINANCIAL_YEAR;
+  }
+
   const costPercentageEl = document.getElementById('result-cost-percentage');
   if (costPercentageEl) {
     costPercentageEl.textContent = formatPercentage(results.costAsPercentageOfIncome);
@@ -1085,18 +1507,24 @@ function displayResults(results) {
   // Display children results
   const childrenResultsContainer = document.getElementById('children-results');
   if (childrenResultsContainer) {
-    childrenResultsContainer.innerHTML = results.childrenResults.map(child => {
+    childrenResultsContainer.innerHTML = results.childrenResults.map((child, index) => {
+      const calendarItems = formatCareCalendarItems(results.careCalendar?.[index]);
       if (child.feeType === 'daily') {
         return `
           <div class="child-result-card">
             <div class="child-result-header">
-              Child ${child.childNumber} (${child.age} years old, ${formatCareType(child.careType)})
+              Child ${child.childNumber} (${child.age} years old, ${formatCareType(child.careType)})${formatAccsCategory(child.accsCategory)}
             </div>
             <div class="result-grid">
               <div class="result-item">
-                <span class="result-label">CCS Rate:</span>
+                <span class="result-label">${child.accsCategory ? 'ACCS Rate:' : 'CCS Rate:'}</span>
                 <span class="result-value highlight">${formatPercentage(child.subsidyRate)}</span>
               </div>
+              <div class="result-item result-item-with-reason">
+                <span class="result-label">Subsidised Hours:</span>
+                <span class="result-value">${child.subsidisedHoursPerFortnight} hrs/fortnight</span>
+                <span class="help-text subsidised-hours-reason">${child.subsidisedHoursReason}</span>
+              </div>
               <div class="result-item">
                 <span class="result-label">Daily Fee:</span>
                 <span class="result-value">${formatCurrency(child.dailyFee)}/day</span>
@@ -1105,6 +1533,45 @@ function displayResults(results) {
                 <span class="result-label">Days of Care:</span>
                 <span class="result-value">${child.actualDaysNeeded} days/week</span>
               </div>
+              ${formatBookingPatternItems(child)}
+              ${formatOutOfHoursItems(child)}
+              <div class="result-item">
+                <span class="result-label">Weekly Subsidy:</span>
+                <span class="result-value" data-weekly-value="${child.weeklySubsidy}">${formatCurrency(child.weeklySubsidy, true)}</span>
+              </div>
+              <div class="result-item">
+                <span class="result-label">Weekly Out-of-Pocket:</span>
+                <span class="result-value highlight" data-weekly-value="${child.weeklyOutOfPocket}">${formatCurrency(child.weeklyOutOfPocket, true)}</span>
+              </div>
+              ${calendarItems}
+            </div>
+          </div>
+        `;
+      } else if (child.feeType === 'session') {
+        return `
+          <div class="child-result-card">
+            <div class="child-result-header">
+              Child ${child.childNumber} (${child.age} years old, ${formatCareType(child.careType)})${formatAccsCategory(child.accsCategory)}
+            </div>
+            <div class="result-grid">
+              <div class="result-item">
+                <span class="result-label">${child.accsCategory ? 'ACCS Rate:' : 'CCS Rate:'}</span>
+                <span class="result-value highlight">${formatPercentage(child.subsidyRate)}</span>
+              </div>
+              <div class="result-item result-item-with-reason">
+                <span class="result-label">Subsidised Hours:</span>
+                <span class="result-value">${child.subsidisedHoursPerFortnight} hrs/fortnight</span>
+                <span class="help-text subsidised-hours-reason">${child.subsidisedHoursReason}</span>
+              </div>
+              ${child.sessions.map(session => `
+              <div class="result-item">
+                <span class="result-label">${escapeHtml(session.label)}:</span>
+                <span class="result-value">${session.daysPerWeek} × ${session.chargedHours} hrs at ${formatCurrency(session.fee)}</span>
+              </div>`).join('')}
+              <div class="result-item">
+                <span class="result-label">Charged Hours per Week:</span>
+                <span class="result-value">${child.hoursPerWeek} (${child.hoursWithoutSubsidy} unsubsidised)</span>
+              </div>
               <div class="result-item">
                 <span class="result-label">Weekly Subsidy:</span>
                 <span class="result-value" data-weekly-value="${child.weeklySubsidy}">${formatCurrency(child.weeklySubsidy, true)}</span>
@@ -1113,6 +1580,7 @@ function displayResults(results) {
                 <span class="result-label">Weekly Out-of-Pocket:</span>
                 <span class="result-value highlight" data-weekly-value="${child.weeklyOutOfPocket}">${formatCurrency(child.weeklyOutOfPocket, true)}</span>
               </div>
+              ${calendarItems}
             </div>
           </div>
         `;
@@ -1120,17 +1588,24 @@ function displayResults(results) {
         return `
           <div class="child-result-card">
             <div class="child-result-header">
-              Child ${child.childNumber} (${child.age} years old, ${formatCareType(child.careType)})
+              Child ${child.childNumber} (${child.age} years old, ${formatCareType(child.careType)})${formatAccsCategory(child.accsCategory)}
             </div>
             <div class="result-grid">
               <div class="result-item">
-                <span class="result-label">CCS Rate:</span>
+                <span class="result-label">${child.accsCategory ? 'ACCS Rate:' : 'CCS Rate:'}</span>
                 <span class="result-value highlight">${formatPercentage(child.subsidyRate)}</span>
               </div>
+              <div class="result-item result-item-with-reason">
+                <span class="result-label">Subsidised Hours:</span>
+                <span class="result-value">${child.subsidisedHoursPerFortnight} hrs/fortnight</span>
+                <span class="help-text subsidised-hours-reason">${child.subsidisedHoursReason}</span>
+              </div>
               <div class="result-item">
                 <span class="result-label">Hours per Week:</span>
                 <span class="result-value">${child.hoursPerWeek}</span>
               </div>
+              ${formatBookingPatternItems(child)}
+              ${formatOutOfHoursItems(child)}
               <div class="result-item">
                 <span class="result-label">Provider Fee:</span>
                 <span class="result-value">${formatCurrency(child.providerFee)}/hr</span>
@@ -1143,6 +1618,7 @@ function displayResults(results) {
                 <span class="result-label">Weekly Out-of-Pocket:</span>
                 <span class="result-value highlight" data-weekly-value="${child.weeklyOutOfPocket}">${formatCurrency(child.weeklyOutOfPocket, true)}</span>
               </div>
+              ${calendarItems}
             </div>
           </div>
         `;
@@ -1168,6 +1644,41 @@ function displayResults(results) {
   }
 }
 
+/**
+ * Format a child's billed weeks and absences as result items
+ * @param {Object|null} [calendar] - Care calendar summary for the child
+ * @returns {string} Result item HTML, or an empty string without a calendar
+ */
+function formatCareCalendarItems(calendar) {
+  if (!calendar) {
+    return '';
+  }
+
+  const excess = calendar.excessAbsenceDays > 0
+    ? `<span class="help-text">${calendar.excessAbsenceDays} days over the ${ABSENCES.ALLOWABLE_DAYS_PER_YEAR}-day allowance are charged at the full fee</span>`
+    : '';
+
+  const publicHolidays = calendar.publicHolidayDays > 0
+    ? `
+    <div class="result-item">
+      <span class="result-label">Public Holidays Booked:</span>
+      <span class="result-value">${calendar.publicHolidayDays} days</span>
+    </div>`
+    : '';
+
+  return `${publicHolidays}
+    <div class="result-item">
+      <span class="result-label">Billed Weeks:</span>
+      <span class="result-value">${calendar.billedWeeks.toFixed(1)} (${calendar.closedDays} closed days)</span>
+    </div>
+    <div class="result-item result-item-with-reason">
+      <span class="result-label">Absent Days:</span>
+      <span class="result-value">${calendar.absenceDays}</span>
+      ${excess}
+    </div>
+  `;
+}
+
 /**
  * Display parent work schedule breakdown
  */
@@ -1206,6 +1717,16 @@ function displayScheduleBreakdown(scheduleBreakdown) {
           <span class="detail-label">Days Without Care:</span>
           <span class="detail-value success">${scheduleBreakdown.daysWithoutCare}</span>
         </div>
+        ${scheduleBreakdown.sessionLength ? `
+        <div class="detail-item">
+          <span class="detail-label">Suggested Session Length:</span>
+          <span class="detail-value">${scheduleBreakdown.sessionLength}</span>
+        </div>` : ''}
+        ${scheduleBreakdown.publicHolidays ? `
+        <div class="detail-item">
+          <span class="detail-label">Public Holidays on Care Days:</span>
+          <span class="detail-value">${scheduleBreakdown.publicHolidays}</span>
+        </div>` : ''}
       </div>
       <p class="schedule-explanation">${scheduleBreakdown.explanation}</p>
     `;
@@ -1274,6 +1795,10 @@ function displayPerPersonRates(perPersonRates, formData) {
         <span class="per-person-rate-label">Income:</span>
         <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent1.income)}/year</span>
       </div>
+      <div class="per-person-rate-item">
+        <span class="per-person-rate-label">Tax &amp; Medicare:</span>
+        <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent1.incomeTax)}/year</span>
+      </div>
       <div class="per-person-rate-item">
         <span class="per-person-rate-label">Daily Rate:</span>
         <span class="per-person-rate-value highlight">${formatCurrency(perPersonRates.parent1.dailyRate)}/day</span>
@@ -1295,7 +1820,7 @@ function displayPerPersonRates(perPersonRates, formData) {
         <span class="per-person-rate-value highlight">${formatPercentage(perPersonRates.parent1.percentage)}</span>
       </div>
       <div class="per-person-rate-item">
-        <span class="per-person-rate-label">Net After Childcare:</span>
+        <span class="per-person-rate-label">Net After Tax &amp; Childcare:</span>
         <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent1.netIncome)}</span>
       </div>
     </div>
@@ -1310,6 +1835,10 @@ function displayPerPersonRates(perPersonRates, formData) {
           <span class="per-person-rate-label">Income:</span>
           <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent2.income)}/year</span>
         </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Tax &amp; Medicare:</span>
+          <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent2.incomeTax)}/year</span>
+        </div>
         <div class="per-person-rate-item">
           <span class="per-person-rate-label">Daily Rate:</span>
           <span class="per-person-rate-value highlight">${formatCurrency(perPersonRates.parent2.dailyRate)}/day</span>
@@ -1331,7 +1860,7 @@ function displayPerPersonRates(perPersonRates, formData) {
           <span class="per-person-rate-value highlight">${formatPercentage(perPersonRates.parent2.percentage)}</span>
         </div>
         <div class="per-person-rate-item">
-          <span class="per-person-rate-label">Net After Childcare:</span>
+          <span class="per-person-rate-label">Net After Tax &amp; Childcare:</span>
           <span class="per-person-rate-value">${formatCurrency(perPersonRates.parent2.netIncome)}</span>
         </div>
       </div>
@@ -1363,12 +1892,22 @@ function displayPerPersonRates(perPersonRates, formData) {
   ratesContent.innerHTML = html;
 }
 
+/**
+ * Create a stable id for a child, kept in saved scenarios so a merge can
+ * match the same child across devices after others are added or removed
+ * @returns {string} Child id
+ */
+function createChildId() {
+  return `child-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 7)}`;
+}
+
 /**
  * Add a new child input card
+ * @param {string} [childId] - Stable id of a restored child (a new id by default)
  */
 let childCounter = 0;
 
-function addChild() {
+function addChild(childId = createChildId()) {
   const container = document.getElementById('children-container');
   const childIndex = childCounter++;
 
@@ -1393,10 +1932,19 @@ function addChild() {
     }
   }
 
+  const accsOptions = Object.values(ACCS_CATEGORIES)
+    .map(category => `<option value="${category.ID}">${category.LABEL}</option>`)
+    .join('');
+  // The First Nations minimum rose with the 3 Day Guarantee
+  const { ACTIVITY_TEST: activityTest, EARLIER_ACTIVITY_TEST: earlierTest } = RATE_TABLES[DEFAULT_FINANCIAL_YEAR];
+  const firstNationsHelp = `At least ${activityTest.FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT} subsidised hours per fortnight regardless of activity` +
+    (earlierTest ? ` (${earlierTest.FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT} before the 3 Day Guarantee)` : '');
+
   const childCard = document.createElement('div');
   childCard.className = 'child-card';
   childCard.setAttribute('role', 'listitem');
   childCard.dataset.childIndex = childIndex;
+  childCard.dataset.childId = childId;
 
   childCard.innerHTML = `
     <div class="child-card-header">
@@ -1444,6 +1992,33 @@ function addChild() {
         </select>
       </div>
     </div>
+
+    <div class="form-group">
+      <label for="child-${childIndex}-accs-category">
+        Additional Child Care Subsidy (ACCS)
+      </label>
+      <select 
+        id="child-${childIndex}-accs-category" 
+        name="child-${childIndex}-accs-category"
+        aria-describedby="child-${childIndex}-accs-help"
+      >
+        <option value="">Not eligible (standard CCS)</option>
+        ${accsOptions}
+      </select>
+      <span class="help-text" id="child-${childIndex}-accs-help">ACCS pays a higher, non-income-tested rate for eligible children</span>
+    </div>
+
+    <div class="form-group">
+      <label class="checkbox-label">
+        <input 
+          type="checkbox" 
+          id="child-${childIndex}-first-nations" 
+          name="child-${childIndex}-first-nations"
+        >
+        <span>${CHILD_ENTITLEMENTS.FIRST_NATIONS.LABEL}</span>
+      </label>
+      <span class="help-text">${firstNationsHelp}</span>
+    </div>
     
     <!-- Fee Type Selection -->
     <div class="form-group">
@@ -1458,6 +2033,14 @@ function addChild() {
           >
           <span>Daily Rate (most common)</span>
         </label>
+        <label class="radio-label">
+          <input 
+            type="radio" 
+            name="child-${childIndex}-fee-type" 
+            value="session"
+          >
+          <span>Sessions</span>
+        </label>
         <label class="radio-label">
           <input 
             type="radio" 
@@ -1584,6 +2167,106 @@ function addChild() {
         </div>
       </div>
     </div>
+
+    <!-- Session Fields (hidden by default) -->
+    <div class="session-rate-fields hidden" data-child-index="${childIndex}">
+      <div class="session-rows" id="child-${childIndex}-sessions"></div>
+      <button type="button" class="btn-secondary btn-small add-session-btn">+ Add Session</button>
+      <span class="error-message" id="child-${childIndex}-sessions-error" role="alert"></span>
+      <span class="help-text">Subsidised hours are used by the hours each session is charged for, including any minimum length</span>
+    </div>
+
+    <!-- Booking pattern (optional, daily and hourly fees) -->
+    <details class="booking-pattern-fields" data-child-index="${childIndex}">
+      <summary>Booking pattern by day</summary>
+      <table class="booking-pattern-table">
+        <thead>
+          <tr>
+            <th scope="col">Day</th>
+            <th scope="col">Week 1 hours</th>
+            <th scope="col" class="booking-week-2 hidden">Week 2 hours</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.values(DAYS_OF_WEEK).map(day => `
+          <tr>
+            <th scope="row">${DAYS_OF_WEEK_LABELS[day]}</th>
+            ${[1, 2].map(week => `
+            <td${week === 2 ? ' class="booking-week-2 hidden"' : ''}>
+              <input
+                type="number"
+                id="child-${childIndex}-booking-${week}-${day}"
+                data-booking-week="${week}"
+                data-booking-day="${day}"
+                min="0"
+                max="24"
+                step="0.5"
+                placeholder="—"
+                aria-label="Week ${week} ${DAYS_OF_WEEK_LABELS[day]} hours"
+              >
+            </td>`).join('')}
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" id="child-${childIndex}-booking-alternate" name="child-${childIndex}-booking-alternate">
+          <span>Alternate weeks (fortnightly roster)</span>
+        </label>
+        <span class="help-text">Enter the hours booked on each day; leave a day blank if it is not booked. A pattern replaces Days of Care per Week and Hours per Week.</span>
+      </div>
+    </details>
+
+    <!-- Care calendar (optional) -->
+    <details class="care-calendar-fields">
+      <summary>Closures, holidays &amp; absences</summary>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="child-${childIndex}-closure-start">Centre Closed From</label>
+          <input type="date" id="child-${childIndex}-closure-start" name="child-${childIndex}-closure-start">
+        </div>
+        <div class="form-group">
+          <label for="child-${childIndex}-closure-end">Centre Closed Until</label>
+          <input type="date" id="child-${childIndex}-closure-end" name="child-${childIndex}-closure-end">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="child-${childIndex}-holiday-start">Family Holiday From</label>
+          <input type="date" id="child-${childIndex}-holiday-start" name="child-${childIndex}-holiday-start">
+        </div>
+        <div class="form-group">
+          <label for="child-${childIndex}-holiday-end">Family Holiday Until</label>
+          <input type="date" id="child-${childIndex}-holiday-end" name="child-${childIndex}-holiday-end">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="child-${childIndex}-absence-days">Other Absent Days per Year</label>
+        <input
+          type="number"
+          id="child-${childIndex}-absence-days"
+          name="child-${childIndex}-absence-days"
+          min="0"
+          max="260"
+          step="1"
+          placeholder="e.g., 10"
+          aria-describedby="child-${childIndex}-absence-help"
+        >
+        <span class="help-text" id="child-${childIndex}-absence-help">No fees or CCS while the centre is closed. Holidays and sick days are charged; the first ${ABSENCES.ALLOWABLE_DAYS_PER_YEAR} absent days each year still attract CCS, later ones are charged at the full fee.</span>
+      </div>
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input
+            type="checkbox"
+            id="child-${childIndex}-charge-public-holidays"
+            name="child-${childIndex}-charge-public-holidays"
+            checked
+          >
+          <span>Centre charges for booked days on public holidays</span>
+        </label>
+        <span class="help-text">Public holidays come from the state chosen in CCS Settings</span>
+      </div>
+    </details>
   `;
 
   container.appendChild(childCard);
@@ -1594,6 +2277,18 @@ function addChild() {
     radio.addEventListener('change', () => toggleFeeTypeFields(childIndex));
   });
 
+  // Booking pattern: show week 2 for fortnightly rosters and keep days of care in step
+  childCard.querySelector(`#child-${childIndex}-booking-alternate`).addEventListener('change', () => {
+    updateBookingPatternFields(childCard, childIndex);
+  });
+  childCard.querySelectorAll('[data-booking-week]').forEach(input => {
+    input.addEventListener('input', () => updateBookingPatternFields(childCard, childIndex));
+  });
+
+  // Start with one session row; more can be added for other session types
+  addSessionRow(childCard, childIndex);
+  childCard.querySelector('.add-session-btn').addEventListener('click', () => addSessionRow(childCard, childIndex));
+
   // Add remove button handler
   const removeBtn = childCard.querySelector('.remove-child-btn');
   removeBtn.addEventListener('click', () => removeChild(childCard));
@@ -1609,40 +2304,258 @@ function addChild() {
 }
 
 /**
- * Toggle between daily and hourly rate fields
+ * Show the fields for the selected fee type (daily, session or hourly)
+ * Only the visible fee fields are required.
  */
 function toggleFeeTypeFields(childIndex) {
-  const dailyFields = document.querySelector(`.daily-rate-fields[data-child-index="${childIndex}"]`);
-  const hourlyFields = document.querySelector(`.hourly-rate-fields[data-child-index="${childIndex}"]`);
   const selectedType = document.querySelector(`input[name="child-${childIndex}-fee-type"]:checked`).value;
+  const fieldSets = {
+    daily: {
+      fields: document.querySelector(`.daily-rate-fields[data-child-index="${childIndex}"]`),
+      required: ['daily-fee', 'hours-per-day']
+    },
+    session: {
+      fields: document.querySelector(`.session-rate-fields[data-child-index="${childIndex}"]`),
+      required: []
+    },
+    hourly: {
+      fields: document.querySelector(`.hourly-rate-fields[data-child-index="${childIndex}"]`),
+      required: ['hourly-fee', 'hours-per-week']
+    }
+  };
+
+  Object.entries(fieldSets).forEach(([type, { fields, required }]) => {
+    if (!fields) {
+      return;
+    }
+    const selected = type === selectedType;
+    fields.classList.toggle('hidden', !selected);
+    fields.querySelectorAll('input').forEach(input => {
+      input.required = selected && required.some(suffix => input.id.includes(suffix));
+    });
+  });
+
+  // Sessions set their own days, so the booking pattern only applies to daily and hourly fees
+  const bookingFields = document.querySelector(`.booking-pattern-fields[data-child-index="${childIndex}"]`);
+  if (bookingFields) {
+    bookingFields.classList.toggle('hidden', selectedType === 'session');
+  }
+}
+
+/**
+ * Add a session row to a child card
+ * @param {HTMLElement} card - Child card
+ * @param {string|number} childIndex - Child index used in field ids
+ * @param {Object} [session] - Saved session to fill the row with
+ */
+function addSessionRow(card, childIndex, session = {}) {
+  const rows = card.querySelector('.session-rows');
+  const rowIndex = Number(rows.dataset.nextRow || 0);
+  rows.dataset.nextRow = rowIndex + 1;
+  const id = field => `child-${childIndex}-session-${rowIndex}-${field}`;
+  const valueOf = value => (value === undefined || value === null ? '' : value);
+
+  const row = document.createElement('div');
+  row.className = 'session-row form-row';
+  row.innerHTML = `
+    <div class="form-group">
+      <label for="${id('label')}">Session</label>
+      <input type="text" id="${id('label')}" data-session-field="label" placeholder="e.g., Long day" value="${escapeHtml(valueOf(session.label))}">
+    </div>
+    <div class="form-group">
+      <label for="${id('start')}">Starts</label>
+      <input type="time" id="${id('start')}" data-session-field="startTime" value="${valueOf(session.startTime) || '07:00'}">
+    </div>
+    <div class="form-group">
+      <label for="${id('end')}">Ends</label>
+      <input type="time" id="${id('end')}" data-session-field="endTime" value="${valueOf(session.endTime) || '18:00'}">
+    </div>
+    <div class="form-group">
+      <label for="${id('minimum')}">Minimum Hours Charged</label>
+      <input type="number" id="${id('minimum')}" data-session-field="minimumHours" min="0" max="24" step="0.5" placeholder="None" value="${valueOf(session.minimumHours)}">
+    </div>
+    <div class="form-group">
+      <label for="${id('fee')}">Fee per Session</label>
+      <div class="input-wrapper">
+        <span class="input-prefix">$</span>
+        <input type="number" id="${id('fee')}" data-session-field="fee" min="0" max="500" step="1" placeholder="e.g., 140" value="${valueOf(session.fee)}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label for="${id('days')}">Sessions per Week</label>
+      <input type="number" id="${id('days')}" data-session-field="daysPerWeek" min="0" max="7" step="1" value="${valueOf(session.daysPerWeek) === '' ? 1 : session.daysPerWeek}">
+    </div>
+    <button type="button" class="remove-session-btn" aria-label="Remove session">×</button>
+  `;
 
-  if (selectedType === 'daily') {
-    dailyFields.classList.remove('hidden');
-    hourlyFields.classList.add('hidden');
+  row.querySelector('.remove-session-btn').addEventListener('click', () => {
+    // Keep at least one row so the session fields never disappear
+    if (rows.querySelectorAll('.session-row').length > 1) {
+      row.remove();
+    }
+  });
+  rows.appendChild(row);
+}
 
-    // Make daily fields required, hourly optional
-    dailyFields.querySelectorAll('input').forEach(input => {
-      if (input.id.includes('daily-fee') || input.id.includes('hours-per-day')) {
-        input.required = true;
+/**
+ * Read a child's booking pattern
+ * @param {HTMLElement} card - Child card
+ * @param {string|number} childIndex - Child index used in field ids
+ * @returns {Array<Object>|null} Hours by weekday for each week, or null if no day is booked
+ */
+function collectBookingPattern(card, childIndex) {
+  const alternate = Boolean(card.querySelector(`#child-${childIndex}-booking-alternate`)?.checked);
+  const weeks = (alternate ? [1, 2] : [1]).map(week => {
+    const hours = {};
+    card.querySelectorAll(`[data-booking-week="${week}"]`).forEach(input => {
+      const value = input.value !== '' ? parseFloat(input.value) : 0;
+      if (value > 0) {
+        hours[input.dataset.bookingDay] = value;
       }
     });
-    hourlyFields.querySelectorAll('input').forEach(input => {
-      input.required = false;
-    });
-  } else {
-    dailyFields.classList.add('hidden');
-    hourlyFields.classList.remove('hidden');
+    return hours;
+  });
+
+  return weeks.some(week => Object.keys(week).length > 0) ? weeks : null;
+}
 
-    // Make hourly fields required, daily optional
-    hourlyFields.querySelectorAll('input').forEach(input => {
-      if (input.id.includes('hourly-fee') || input.id.includes('hours-per-week')) {
-        input.required = true;
+/**
+ * Fill a child's booking pattern fields
+ * @param {HTMLElement} card - Child card
+ * @param {string|number} childIndex - Child index used in field ids
+ * @param {Array<Object>} bookingPattern - Saved booking pattern
+ */
+function restoreBookingPattern(card, childIndex, bookingPattern) {
+  const alternate = card.querySelector(`#child-${childIndex}-booking-alternate`);
+  if (alternate) {
+    alternate.checked = bookingPattern.length > 1;
+  }
+  bookingPattern.forEach((week, index) => {
+    Object.entries(week).forEach(([day, hours]) => {
+      const input = card.querySelector(`#child-${childIndex}-booking-${index + 1}-${day}`);
+      if (input) {
+        input.value = hours;
       }
     });
-    dailyFields.querySelectorAll('input').forEach(input => {
-      input.required = false;
-    });
+  });
+  card.querySelector('.booking-pattern-fields')?.setAttribute('open', '');
+  updateBookingPatternFields(card, childIndex);
+}
+
+/**
+ * Show week 2 of a fortnightly booking pattern and lock days of care to the pattern
+ * @param {HTMLElement} card - Child card
+ * @param {string|number} childIndex - Child index used in field ids
+ */
+function updateBookingPatternFields(card, childIndex) {
+  const alternate = Boolean(card.querySelector(`#child-${childIndex}-booking-alternate`)?.checked);
+  card.querySelectorAll('.booking-week-2').forEach(cell => cell.classList.toggle('hidden', !alternate));
+
+  const daysInput = card.querySelector(`#child-${childIndex}-days-of-care`);
+  const helpText = card.querySelector(`#child-${childIndex}-days-help`);
+  const pattern = collectBookingPattern(card, childIndex);
+  if (!daysInput) {
+    return;
+  }
+
+  daysInput.readOnly = Boolean(pattern);
+  if (pattern) {
+    const summary = summariseBookingPattern(normaliseBookingPattern(pattern));
+    daysInput.value = summary.daysPerWeek;
+    daysInput.dataset.autoCalculated = 'false';
+    if (helpText) {
+      helpText.textContent = `From the booking pattern (${summary.hoursPerWeek} hours per week)`;
+    }
+  } else if (helpText) {
+    helpText.textContent = 'Auto-calculated based on parent work schedules';
+  }
+}
+
+/**
+ * Format a child's booking pattern and schedule warnings as result items
+ * @param {Object} child - Child result with bookingPattern and bookingWarnings
+ * @returns {string} Result items HTML (empty without a pattern)
+ */
+function formatBookingPatternItems(child) {
+  if (!child.bookingPattern) {
+    return '';
   }
+
+  const cycle = child.bookingPattern.cycleWeeks > 1 ? ', alternate weeks' : '';
+  const warnings = (child.bookingWarnings || []).map(warning => `
+    <div class="result-item booking-warning" role="status">
+      <span class="result-label">⚠️ Parent Home:</span>
+      <span class="result-value">${warning.message}</span>
+    </div>`).join('');
+
+  return `
+    <div class="result-item">
+      <span class="result-label">Booking Pattern:</span>
+      <span class="result-value">${child.bookingPattern.daysPerWeek} days, ${child.bookingPattern.hoursPerWeek} hrs/week${cycle}</span>
+    </div>${warnings}
+  `;
+}
+
+/**
+ * Format a child's care outside usual centre hours as result items
+ * @param {Object} child - Child result with hoursWarnings
+ * @returns {string} Result items HTML (empty without warnings)
+ */
+function formatOutOfHoursItems(child) {
+  return (child.hoursWarnings || []).map(warning => `
+    <div class="result-item booking-warning" role="status">
+      <span class="result-label">⚠️ Outside Centre Hours:</span>
+      <span class="result-value">${warning.message}</span>
+    </div>`).join('');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read a child's session rows
+ * @param {HTMLElement} card - Child card
+ * @returns {Array<Object>} Sessions (label, startTime, endTime, minimumHours, fee, daysPerWeek)
+ */
+function collectSessions(card) {
+  return Array.from(card.querySelectorAll('.session-row')).map(row => {
+    const valueOf = field => row.querySelector(`[data-session-field="${field}"]`)?.value ?? '';
+    const numberOf = field => (valueOf(field) !== '' ? parseFloat(valueOf(field)) : null);
+    const session = {
+      startTime: valueOf('startTime'),
+      endTime: valueOf('endTime'),
+      fee: numberOf('fee'),
+      daysPerWeek: numberOf('daysPerWeek') ?? 0
+    };
+    if (valueOf('label').trim()) {
+      session.label = valueOf('label').trim();
+    }
+    if (numberOf('minimumHours') !== null) {
+      session.minimumHours = numberOf('minimumHours');
+    }
+    return session;
+  });
+}
+
+/**
+ * Replace a child's session rows with saved sessions
+ * @param {HTMLElement} card - Child card
+ * @param {string|number} childIndex - Child index used in field ids
+ * @param {Array<Object>} sessions - Saved sessions
+ */
+function restoreSessions(card, childIndex, sessions) {
+  card.querySelectorAll('.session-row').forEach(row => row.remove());
+  sessions.forEach(session => addSessionRow(card, childIndex, session));
 }
 
 /**
@@ -1710,6 +2623,10 @@ function handleReset() {
   // Hide results
   document.getElementById('results-section').hidden = true;
 
+  // Unlock parent fields the cleared rosters were setting
+  updateRosterFields('parent1');
+  updateRosterFields('parent2');
+
   // Clear errors
   clearErrors();
 
@@ -1832,6 +2749,13 @@ function formatCareType(careType) {
   return types[careType] || careType;
 }
 
+/**
+ * Format ACCS category suffix for child result headers
+ */
+function formatAccsCategory(accsCategory) {
+  return accsCategory ? ` – ACCS: ${getAccsCategory(accsCategory).LABEL}` : '';
+}
+
 /**
  * Restore form data from saved state
  * @param {Object} formData - The saved form data
@@ -1856,6 +2780,19 @@ function restoreFormData(formData) {
         parent1Hours.value = formData.parent1.hours;
       }
 
+      const parent1Exemption = document.getElementById('parent1-exemption');
+      if (parent1Exemption && formData.parent1.exemption) {
+        parent1Exemption.value = formData.parent1.exemption;
+      }
+
+      // Restore other activity hours
+      Object.entries(formData.parent1.activities || {}).forEach(([type, hours]) => {
+        const input = document.getElementById(`parent1-activity-${type}`);
+        if (input) {
+          input.value = hours;
+        }
+      });
+
       // Restore work days
       if (formData.parent1.workDays && Array.isArray(formData.parent1.workDays)) {
         formData.parent1.workDays.forEach(day => {
@@ -1865,6 +2802,9 @@ function restoreFormData(formData) {
           }
         });
       }
+
+      restoreRoster('parent1', Array.isArray(formData.parent1.roster) ? formData.parent1.roster : []);
+      restoreTravel('parent1', formData.parent1);
     }
 
     // Restore Parent 2 data
@@ -1883,6 +2823,19 @@ function restoreFormData(formData) {
         parent2Hours.value = formData.parent2.hours;
       }
 
+      const parent2Exemption = document.getElementById('parent2-exemption');
+      if (parent2Exemption && formData.parent2.exemption) {
+        parent2Exemption.value = formData.parent2.exemption;
+      }
+
+      // Restore other activity hours
+      Object.entries(formData.parent2.activities || {}).forEach(([type, hours]) => {
+        const input = document.getElementById(`parent2-activity-${type}`);
+        if (input) {
+          input.value = hours;
+        }
+      });
+
       // Restore work days
       if (formData.parent2.workDays && Array.isArray(formData.parent2.workDays)) {
         formData.parent2.workDays.forEach(day => {
@@ -1892,6 +2845,9 @@ function restoreFormData(formData) {
           }
         });
       }
+
+      restoreRoster('parent2', Array.isArray(formData.parent2.roster) ? formData.parent2.roster : []);
+      restoreTravel('parent2', formData.parent2);
     }
 
     // Restore children data
@@ -1904,7 +2860,7 @@ function restoreFormData(formData) {
 
       // Add children from saved state
       formData.children.forEach((childData) => {
-        addChild();
+        addChild(childData.id);
 
         // Get the child card that was just added
         const childCards = document.querySelectorAll('.child-card');
@@ -1926,6 +2882,18 @@ function restoreFormData(formData) {
           careTypeSelect.value = childData.careType;
         }
 
+        // Restore First Nations entitlement
+        const firstNationsCheckbox = card.querySelector(`#child-${childIndex}-first-nations`);
+        if (firstNationsCheckbox) {
+          firstNationsCheckbox.checked = Boolean(childData.firstNations);
+        }
+
+        // Restore ACCS category
+        const accsSelect = card.querySelector(`#child-${childIndex}-accs-category`);
+        if (accsSelect && childData.accsCategory) {
+          accsSelect.value = childData.accsCategory;
+        }
+
         // Restore fee type
         if (childData.feeType) {
           const feeTypeRadio = card.querySelector(`input[name="child-${childIndex}-fee-type"][value="${childData.feeType}"]`);
@@ -1949,6 +2917,21 @@ function restoreFormData(formData) {
           }
         }
 
+        // Restore session rows
+        if (childData.feeType === 'session' && Array.isArray(childData.sessions) && childData.sessions.length > 0) {
+          restoreSessions(card, childIndex, childData.sessions);
+        }
+
+        // Restore booking pattern
+        if (Array.isArray(childData.bookingPattern) && childData.bookingPattern.length > 0) {
+          restoreBookingPattern(card, childIndex, childData.bookingPattern);
+        }
+
+        // Restore care calendar
+        if (childData.careCalendar) {
+          restoreCareCalendar(card, childIndex, childData.careCalendar);
+        }
+
         // Restore hourly fee fields
         if (childData.feeType === 'hourly') {
           const hourlyFeeInput = card.querySelector(`#child-${childIndex}-hourly-fee`);
@@ -1972,6 +2955,20 @@ function restoreFormData(formData) {
       }
     }
 
+    // Restore financial year (ignore years no longer in the rate registry)
+    if (formData.financialYear && SUPPORTED_FINANCIAL_YEARS.includes(formData.financialYear)) {
+      const financialYearSelect = document.getElementById('financial-year');
+      if (financialYearSelect) {
+        financialYearSelect.value = formData.financialYear;
+      }
+    }
+
+    // Restore state (public holidays)
+    const stateSelect = document.getElementById('care-state');
+    if (stateSelect && formData.state && AUSTRALIAN_STATE_LABELS[formData.state]) {
+      stateSelect.value = formData.state;
+    }
+
     console.log('Form data restored from localStorage');
 
     // Trigger calculation after restoration
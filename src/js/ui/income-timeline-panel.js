@@ -0,0 +1,263 @@
+/**
+ * Income Timeline Panel Module
+ * Lets a family list income and work pattern changes during the year (a
+ * promotion, parental leave, a part-time return) and shows the week-by-week
+ * subsidy projection, grouping weeks where nothing changes.
+ */
+
+import {
+  calculateWeeklyProjection,
+  INCOME_BASES
+} from '../calculations/income-timeline.js';
+import { calculateMinimumChildcareDays } from '../calculations/parent-schedule.js';
+import { resolveSingleParent, CARE_NEED_MODES } from '../calculations/household.js';
+import { stripCommas } from '../utils/format-input.js';
+
+// Changes entered in the panel, in the order added
+const incomeChanges = [];
+
+// Form data from the last successful calculation
+let lastFormData = null;
+
+/**
+ * Get the income changes entered in the panel
+ * Rows without a date or any new value are left out.
+ * @returns {Array<Object>} Income changes (see IncomeChange in income-timeline.js)
+ */
+export function getIncomeChanges() {
+  return incomeChanges
+    .filter(change => change.date && ['income', 'days', 'hours'].some(field => change[field] !== undefined))
+    .map(change => ({ ...change }));
+}
+
+/**
+ * Initialize the income timeline panel
+ */
+export function initializeIncomeTimelinePanel() {
+  const list = document.getElementById('income-changes-list');
+  const addButton = document.getElementById('add-income-change-btn');
+  if (!list || !addButton) {
+    return;
+  }
+
+  addButton.addEventListener('click', () => {
+    incomeChanges.push({ date: '', parent: 'parent1', label: '' });
+    renderChangeRows();
+  });
+
+  list.addEventListener('input', handleRowInput);
+  list.addEventListener('change', handleRowInput);
+
+  list.addEventListener('click', (event) => {
+    const button = event.target.closest('.remove-income-change');
+    if (button) {
+      incomeChanges.splice(Number(button.dataset.index), 1);
+      renderChangeRows();
+      displayProjection();
+    }
+  });
+
+  const basisSelect = document.getElementById('income-basis');
+  if (basisSelect) {
+    basisSelect.addEventListener('change', displayProjection);
+  }
+
+  document.addEventListener('calculationComplete', (event) => {
+    lastFormData = event.detail.formData;
+    displayProjection();
+  });
+
+  renderChangeRows();
+}
+
+/**
+ * Update the stored change from an edited row field
+ * @param {Event} event - Input or change event from the list
+ */
+function handleRowInput(event) {
+  const field = event.target.dataset.field;
+  const row = event.target.closest('.income-change-row');
+  if (!field || !row) {
+    return;
+  }
+
+  const change = incomeChanges[Number(row.dataset.index)];
+  const value = event.target.value;
+
+  if (field === 'income' || field === 'days') {
+    const raw = stripCommas(value).trim();
+    change[field] = raw === '' ? undefined : parseFloat(raw);
+  } else {
+    change[field] = value;
+  }
+
+  if (event.type === 'change') {
+    displayProjection();
+  }
+}
+
+/**
+ * Render one row per income change
+ */
+function renderChangeRows() {
+  const list = document.getElementById('income-changes-list');
+  if (!list) {
+    return;
+  }
+
+  list.innerHTML = incomeChanges.map((change, index) => `
+    <div class="income-change-row" data-index="${index}">
+      <input type="date" class="form-control" data-field="date" value="${change.date}" aria-label="Change date">
+      <select class="form-control" data-field="parent" aria-label="Parent">
+        <option value="parent1"${change.parent === 'parent1' ? ' selected' : ''}>Parent 1</option>
+        <option value="parent2"${change.parent === 'parent2' ? ' selected' : ''}>Parent 2</option>
+      </select>
+      <input type="text" class="form-control" data-field="income" inputmode="numeric"
+             value="${change.income ?? ''}" placeholder="New income" aria-label="New annual income">
+      <input type="number" class="form-control" data-field="days" min="0" max="5" step="1"
+             value="${change.days ?? ''}" placeholder="Days" aria-label="New work days per week">
+      <input type="text" class="form-control" data-field="label" value="${escapeHtml(change.label || '')}"
+             placeholder="e.g. Parental leave" aria-label="Description">
+      <button type="button" class="btn btn-secondary btn-small remove-income-change" data-index="${index}"
+              aria-label="Remove change">✕</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Group consecutive weeks with the same pattern and costs
+ * @param {Array<Object>} weeks - Weeks from calculateWeeklyProjection
+ * @returns {Array<Object>} Groups with first, last, weeks and total outOfPocket
+ */
+function groupWeeks(weeks) {
+  const keyOf = week => JSON.stringify([
+    week.financialYear,
+    week.subsidisedHoursPerFortnight,
+    week.children.map(child => child.subsidyRate),
+    Math.round(week.outOfPocket * 7 / week.days * 100)
+  ]);
+
+  return weeks.reduce((groups, week) => {
+    const last = groups[groups.length - 1];
+    if (last && last.key === keyOf(week) && week.changes.length === 0) {
+      last.last = week;
+      last.outOfPocket += week.outOfPocket;
+    } else {
+      groups.push({ key: keyOf(week), first: week, last: week, outOfPocket: week.outOfPocket });
+    }
+    return groups;
+  }, []);
+}
+
+/**
+ * Calculate and render the weekly projection
+ */
+function displayProjection() {
+  const content = document.getElementById('income-timeline-content');
+  if (!content || !lastFormData) {
+    return;
+  }
+
+  const basisSelect = document.getElementById('income-basis');
+  const incomeBasis = basisSelect?.value || INCOME_BASES.FINANCIAL_YEAR;
+
+  let projection;
+  try {
+    const scheduleResult = calculateMinimumChildcareDays(
+      lastFormData.parent1.roster || lastFormData.parent1.workDays,
+      lastFormData.parent2.roster || lastFormData.parent2.workDays
+    );
+    projection = calculateWeeklyProjection(resolveSingleParent({ ...lastFormData, incomeChanges: getIncomeChanges() }), {
+      careNeed: CARE_NEED_MODES.BOOKED,
+      defaultDaysOfCare: Math.min(scheduleResult.daysCount, 5),
+      childcareDays: scheduleResult.fortnight ? [] : scheduleResult.childcareDays,
+      incomeBasis
+    });
+  } catch (error) {
+    content.innerHTML = `<p class="error-message">${error.message}</p>`;
+    return;
+  }
+
+  const rows = groupWeeks(projection.weeks).map(group => {
+    const weeks = group.first.weekNumber === group.last.weekNumber
+      ? `${group.first.weekNumber}`
+      : `${group.first.weekNumber}–${group.last.weekNumber}`;
+    const rates = group.first.children.map(child => `${child.subsidyRate}%`).join(', ');
+    const changes = group.first.changes.length > 0 ? `<br><small>${group.first.changes.map(escapeHtml).join(', ')}</small>` : '';
+    const weeklyGap = group.first.outOfPocket * 7 / group.first.days;
+
+    return `
+      <tr>
+        <td>${weeks}${changes}</td>
+        <td>${group.first.startDate} to ${group.last.endDate}</td>
+        <td>${rates}</td>
+        <td>${group.first.subsidisedHoursPerFortnight}</td>
+        <td>${formatCurrency(weeklyGap)}</td>
+        <td>${formatCurrency(group.outOfPocket)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  const incomes = projection.incomes.map(income => `
+    <div class="per-person-rate-item">
+      <span class="per-person-rate-label">${income.financialYear} Household Income:</span>
+      <span class="per-person-rate-value">${formatCurrency(income.householdIncome)}</span>
+    </div>
+  `).join('');
+
+  content.innerHTML = `
+    <div class="per-person-card">
+      ${incomes}
+      <div class="per-person-rate-item">
+        <span class="per-person-rate-label">Subsidy Paid:</span>
+        <span class="per-person-rate-value">${formatCurrency(projection.totals.subsidy)}</span>
+      </div>
+      <div class="per-person-rate-item">
+        <span class="per-person-rate-label">Total Gap Fees:</span>
+        <span class="per-person-rate-value highlight">${formatCurrency(projection.totals.outOfPocket)}</span>
+      </div>
+    </div>
+    <div class="comparison-table-wrapper">
+      <table class="comparison-table income-timeline-table">
+        <thead>
+          <tr>
+            <th scope="col">Weeks</th>
+            <th scope="col">Dates</th>
+            <th scope="col">Subsidy Rate</th>
+            <th scope="col">Subsidised Hours / Fortnight</th>
+            <th scope="col">Gap Fee / Week</th>
+            <th scope="col">Gap Fees</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format currency value
+ * @param {number} value - Value to format
+ * @returns {string} Formatted currency string
+ */
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-AU', {
+    style: 'currency',
+    currency: 'AUD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
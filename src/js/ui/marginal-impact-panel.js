@@ -0,0 +1,141 @@
+/**
+ * Marginal Impact Panel Module
+ * Shows what each parent keeps from a pay rise or an extra work day, and the
+ * next subsidy cliff. Each estimate re-runs the household engine many times,
+ * so it is worked out on demand rather than on every recalculation.
+ */
+
+import { calculateMarginalImpact } from '../calculations/per-person-rates.js';
+import { resolveSingleParent } from '../calculations/household.js';
+
+// Form data and results from the last successful calculation
+let lastFormData = null;
+let lastResults = null;
+
+/**
+ * Initialize the marginal impact panel
+ * Tracks the latest calculation and estimates the marginal impact on demand.
+ */
+export function initializeMarginalImpactPanel() {
+  const button = document.getElementById('marginal-impact-btn');
+  if (!button) {
+    return;
+  }
+
+  document.addEventListener('calculationComplete', (event) => {
+    lastFormData = event.detail.formData;
+    lastResults = event.detail.results;
+    clearMarginalImpact();
+  });
+
+  button.addEventListener('click', () => {
+    if (lastFormData) {
+      displayMarginalImpact(lastFormData, lastResults);
+    }
+  });
+}
+
+/**
+ * Calculate and render what each parent keeps from earning more
+ * @param {Object} formData - Form data
+ * @param {Object} results - Results of the same calculation (for its household options)
+ */
+function displayMarginalImpact(formData, results) {
+  const content = document.getElementById('marginal-impact-content');
+  if (!content) {
+    return;
+  }
+
+  let marginalImpact;
+  try {
+    marginalImpact = calculateMarginalImpact(resolveSingleParent(formData), results.householdOptions);
+  } catch (error) {
+    content.innerHTML = `<p class="error-message">${error.message}</p>`;
+    return;
+  }
+
+  const parentCard = (label, impact) => {
+    if (!impact) {
+      return '';
+    }
+
+    const nextCliff = impact.cliffs[0];
+    let html = `
+      <div class="per-person-card">
+        <div class="per-person-card-header">${label}</div>
+    `;
+
+    if (impact.extraIncome) {
+      html += `
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Kept per extra $1:</span>
+          <span class="per-person-rate-value highlight">${Math.round(impact.extraIncome.keptPerDollar * 100)}c</span>
+        </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Effective Marginal Rate:</span>
+          <span class="per-person-rate-value">${formatPercentage(impact.extraIncome.effectiveMarginalRate)}</span>
+        </div>
+      `;
+    }
+
+    if (impact.extraDay) {
+      html += `
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Kept per Extra Work Day:</span>
+          <span class="per-person-rate-value">${formatCurrency(impact.extraDay.keptPerDay)}/day</span>
+        </div>
+      `;
+    }
+
+    if (nextCliff) {
+      html += `
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Next Subsidy Cliff:</span>
+          <span class="per-person-rate-value">+${formatCurrency(nextCliff.extraIncome)} (${formatCurrency(nextCliff.netIncomeChange)})</span>
+        </div>
+      `;
+    }
+
+    return html + '</div>';
+  };
+
+  content.innerHTML = `
+    <div class="per-person-rates-grid">
+      ${parentCard('Parent 1', marginalImpact.parent1)}
+      ${parentCard('Parent 2', marginalImpact.parent2)}
+    </div>
+  `;
+}
+
+/**
+ * Clear a previous estimate once the inputs change
+ */
+function clearMarginalImpact() {
+  const content = document.getElementById('marginal-impact-content');
+  if (content) {
+    content.innerHTML = '';
+  }
+}
+
+/**
+ * Format currency value
+ * @param {number} value - Value to format
+ * @returns {string} Formatted currency string
+ */
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-AU', {
+    style: 'currency',
+    currency: 'AUD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
+
+/**
+ * Format percentage value
+ * @param {number} value - Value to format
+ * @returns {string} Formatted percentage string
+ */
+function formatPercentage(value) {
+  return `${value.toFixed(2)}%`;
+}
@@ -0,0 +1,155 @@
+/**
+ * Merge Modal
+ *
+ * Asks the user which version to keep for each field changed both on this
+ * device and on another device since the scenario was last synced. Fields
+ * changed on only one side are merged automatically by the storage manager
+ * and are summarised here.
+ */
+
+import { MERGE_RESOLUTIONS } from '../storage/scenario-merge.js';
+
+/** @type {((choices: Object|null) => void)|null} Resolves the open modal's promise */
+let _resolvePending = null;
+
+/**
+ * Show the merge modal for a conflicting save.
+ * Suitable as `storageManager.conflictResolver`.
+ * @param {import('../storage/scenario-merge.js').MergeField[]} fields - Merge fields from diffScenarioData
+ * @returns {Promise<Object|null>} 'local' or 'server' for each conflicting path, or null if cancelled
+ */
+export function resolveMergeConflicts(fields) {
+  const modal = document.getElementById('merge-modal');
+  const listEl = document.getElementById('merge-conflict-list');
+  const summaryEl = document.getElementById('merge-auto-summary');
+  if (!modal || !listEl) {
+    console.error('[MergeModal] #merge-modal element not found. Ensure it is present in the DOM.');
+    return Promise.resolve(null);
+  }
+
+  // A newer conflict replaces one still on screen
+  finish(null);
+
+  const conflicts = fields.filter(field => field.resolution === MERGE_RESOLUTIONS.CONFLICT);
+  const autoMerged = fields.filter(field =>
+    field.resolution === MERGE_RESOLUTIONS.LOCAL || field.resolution === MERGE_RESOLUTIONS.SERVER
+  );
+
+  if (summaryEl) {
+    summaryEl.textContent = autoMerged.length
+      ? `${autoMerged.length} other change${autoMerged.length !== 1 ? 's were' : ' was'} merged automatically (${autoMerged.map(field => field.label).join(', ')}).`
+      : '';
+  }
+
+  listEl.innerHTML = '';
+  conflicts.forEach((field, index) => {
+    listEl.appendChild(buildConflictItem(field, index));
+  });
+
+  modal.hidden = false;
+  document.getElementById('merge-confirm-btn')?.focus();
+
+  return new Promise((resolve) => {
+    _resolvePending = resolve;
+  });
+}
+
+/**
+ * Wire the merge modal's buttons. Should be called once after DOMContentLoaded.
+ */
+export function wireMergeModalHandlers() {
+  document.getElementById('merge-cancel-btn')?.addEventListener('click', () => finish(null));
+  document.getElementById('merge-confirm-btn')?.addEventListener('click', () => finish(collectChoices()));
+  document.getElementById('merge-keep-local-btn')?.addEventListener('click', () => selectAll(MERGE_RESOLUTIONS.LOCAL));
+  document.getElementById('merge-keep-server-btn')?.addEventListener('click', () => selectAll(MERGE_RESOLUTIONS.SERVER));
+  document.getElementById('merge-modal')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') finish(null);
+  });
+}
+
+/**
+ * Build the choice for one conflicting field.
+ * @param {import('../storage/scenario-merge.js').MergeField} field
+ * @param {number} index
+ * @returns {HTMLElement}
+ */
+function buildConflictItem(field, index) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'merge-conflict';
+  fieldset.dataset.path = field.path;
+
+  const name = `merge-choice-${index}`;
+  fieldset.innerHTML = `
+    <legend>${escapeHtml(field.label)}</legend>
+    <label class="merge-option">
+      <input type="radio" name="${name}" value="${MERGE_RESOLUTIONS.LOCAL}" checked>
+      <span><strong>This device:</strong> ${escapeHtml(formatMergeValue(field.path, field.local))}</span>
+    </label>
+    <label class="merge-option">
+      <input type="radio" name="${name}" value="${MERGE_RESOLUTIONS.SERVER}">
+      <span><strong>Other device:</strong> ${escapeHtml(formatMergeValue(field.path, field.server))}</span>
+    </label>
+  `;
+  return fieldset;
+}
+
+function collectChoices() {
+  const choices = {};
+  document.querySelectorAll('#merge-conflict-list .merge-conflict').forEach((fieldset) => {
+    const checked = fieldset.querySelector('input[type="radio"]:checked');
+    choices[fieldset.dataset.path] = checked ? checked.value : MERGE_RESOLUTIONS.LOCAL;
+  });
+  return choices;
+}
+
+function selectAll(side) {
+  document.querySelectorAll(`#merge-conflict-list input[value="${side}"]`).forEach((input) => {
+    input.checked = true;
+  });
+}
+
+function finish(choices) {
+  const modal = document.getElementById('merge-modal');
+  if (modal) modal.hidden = true;
+  if (_resolvePending) {
+    const resolve = _resolvePending;
+    _resolvePending = null;
+    resolve(choices);
+  }
+}
+
+/**
+ * Describe a field value for the user.
+ * @param {string} path - Field path, e.g. 'parent1.income' or 'children.<child id>'
+ * @param {*} value
+ * @returns {string}
+ */
+function formatMergeValue(path, value) {
+  if (value === undefined || value === null || value === '') return 'not set';
+  if (/^children\.[^.]+$/.test(path)) {
+    const parts = [value.age != null ? `age ${value.age}` : null, value.careType, value.feeType ? `${value.feeType} fee` : null];
+    return parts.filter(Boolean).join(', ') || 'child details';
+  }
+  if (path.endsWith('.income')) return `$${Number(value).toLocaleString('en-AU')}`;
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+    return value.length ? value.join(', ') : 'none';
+  }
+  if (typeof value === 'object') return 'edited details';
+  return String(value);
+}
+
+/**
+ * Escape HTML special characters to prevent XSS.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  if (typeof str !== 'string') return '';
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
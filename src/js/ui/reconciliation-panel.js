@@ -0,0 +1,208 @@
+/**
+ * Reconciliation Panel Module
+ * Lets a family enter the income they actually expect to earn this financial
+ * year and shows the predicted CCS reconciliation: the entitlement on actual
+ * income, the subsidy paid during the year, and the top-up or debt left over.
+ */
+
+import {
+  calculateReconciliation,
+  RECONCILIATION_OUTCOMES
+} from '../calculations/reconciliation.js';
+import { calculateMinimumChildcareDays } from '../calculations/parent-schedule.js';
+import { resolveSingleParent, CARE_NEED_MODES } from '../calculations/household.js';
+import { calculateAdjustedIncome } from '../calculations/income.js';
+import { calculateTimelineIncome } from '../calculations/income-timeline.js';
+import { getIncomeChanges } from './income-timeline-panel.js';
+import { formatWithCommas, stripCommas, setupFormattedInput } from '../utils/format-input.js';
+
+// Form data from the last successful calculation
+let lastFormData = null;
+
+/**
+ * Initialize the reconciliation panel
+ * Tracks the latest calculation and estimates reconciliation on demand.
+ */
+export function initializeReconciliationPanel() {
+  const button = document.getElementById('reconciliation-btn');
+  if (!button) {
+    return;
+  }
+
+  ['actual-income-parent1', 'actual-income-parent2'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      setupFormattedInput(input);
+    }
+  });
+
+  document.addEventListener('calculationComplete', (event) => {
+    lastFormData = event.detail.formData;
+    updateEstimatePlaceholders(lastFormData);
+    clearReconciliation();
+  });
+
+  button.addEventListener('click', () => {
+    if (lastFormData) {
+      displayReconciliation(lastFormData);
+    }
+  });
+}
+
+/**
+ * Adjusted income a parent was estimated to earn
+ * @param {Object} parent - Parent form data
+ * @returns {number} Adjusted income (0 without income)
+ */
+function estimatedIncomeOf(parent) {
+  return parent && parent.income > 0
+    ? calculateAdjustedIncome(parent.income, parent.days || 0, parent.hours || 0)
+    : 0;
+}
+
+/**
+ * Show each parent's estimated income as the input placeholder
+ * @param {Object} formData - Form data
+ */
+function updateEstimatePlaceholders(formData) {
+  const placeholders = {
+    'actual-income-parent1': estimatedIncomeOf(formData.parent1),
+    'actual-income-parent2': estimatedIncomeOf(formData.parent2)
+  };
+
+  Object.entries(placeholders).forEach(([id, income]) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.placeholder = formatWithCommas(Math.round(income));
+    }
+  });
+}
+
+/**
+ * Read an actual income input, falling back to the expected income when blank
+ * @param {string} id - Input element ID
+ * @param {number} estimate - Expected adjusted income
+ * @returns {number} Actual income
+ */
+function readActualIncome(id, estimate) {
+  const input = document.getElementById(id);
+  const raw = input ? stripCommas(input.value).trim() : '';
+  return raw === '' ? estimate : parseFloat(raw);
+}
+
+/**
+ * Calculate and render the reconciliation estimate
+ * @param {Object} formData - Form data
+ */
+function displayReconciliation(formData) {
+  const content = document.getElementById('reconciliation-content');
+  if (!content) {
+    return;
+  }
+
+  let reconciliation;
+  try {
+    // Blank fields fall back to the income timeline, or the estimate without one
+    const inputs = resolveSingleParent({ ...formData, incomeChanges: getIncomeChanges() });
+    const expected = inputs.incomeChanges.length > 0
+      ? calculateTimelineIncome(inputs, formData.financialYear)
+      : { parent1: estimatedIncomeOf(formData.parent1), parent2: estimatedIncomeOf(formData.parent2) };
+    const actualIncome = {
+      parent1: readActualIncome('actual-income-parent1', expected.parent1),
+      parent2: readActualIncome('actual-income-parent2', expected.parent2)
+    };
+
+    const scheduleResult = calculateMinimumChildcareDays(
+      formData.parent1.roster || formData.parent1.workDays,
+      formData.parent2.roster || formData.parent2.workDays
+    );
+    reconciliation = calculateReconciliation(inputs, actualIncome, {
+      careNeed: CARE_NEED_MODES.BOOKED,
+      defaultDaysOfCare: Math.min(scheduleResult.daysCount, 5),
+      childcareDays: scheduleResult.fortnight ? [] : scheduleResult.childcareDays
+    });
+  } catch (error) {
+    content.innerHTML = `<p class="error-message">${error.message}</p>`;
+    return;
+  }
+
+  const outcomeLabels = {
+    [RECONCILIATION_OUTCOMES.TOP_UP]: 'Expected Top-Up',
+    [RECONCILIATION_OUTCOMES.DEBT]: 'Expected Debt',
+    [RECONCILIATION_OUTCOMES.BALANCED]: 'Expected Balance'
+  };
+
+  const periodRows = reconciliation.periods.length > 1
+    ? reconciliation.periods.map(period => `
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">${period.startDate} to ${period.endDate}:</span>
+          <span class="per-person-rate-value">${formatCurrency(period.balance)}</span>
+        </div>
+      `).join('')
+    : '';
+
+  content.innerHTML = `
+    <div class="per-person-rates-grid">
+      <div class="per-person-card">
+        <div class="per-person-card-header">Entitlement (${reconciliation.financialYear})</div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Estimated Income:</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.estimatedIncome)}</span>
+        </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Actual Income:</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.actualIncome)}</span>
+        </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Entitlement on Estimate:</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.estimatedEntitlement)}</span>
+        </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Entitlement on Actual:</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.actualEntitlement)}</span>
+        </div>
+      </div>
+      <div class="per-person-card">
+        <div class="per-person-card-header">Reconciliation</div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Subsidy Paid During Year:</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.subsidyPaid)}</span>
+        </div>
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">Withheld (${reconciliation.withholdingRate}%):</span>
+          <span class="per-person-rate-value">${formatCurrency(reconciliation.withheld)}</span>
+        </div>
+        ${periodRows}
+        <div class="per-person-rate-item">
+          <span class="per-person-rate-label">${outcomeLabels[reconciliation.outcome]}:</span>
+          <span class="per-person-rate-value highlight">${formatCurrency(Math.abs(reconciliation.balance))}</span>
+        </div>
+      </div>
+    </div>
+    <div class="per-person-comparison">${reconciliation.withholdingAdvice.message}</div>
+  `;
+}
+
+/**
+ * Clear a previous estimate once the inputs change
+ */
+function clearReconciliation() {
+  const content = document.getElementById('reconciliation-content');
+  if (content) {
+    content.innerHTML = '';
+  }
+}
+
+/**
+ * Format currency value
+ * @param {number} value - Value to format
+ * @returns {string} Formatted currency string
+ */
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-AU', {
+    style: 'currency',
+    currency: 'AUD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  }).format(value);
+}
@@ -0,0 +1,104 @@
+/**
+ * Shared Snapshot
+ *
+ * Shows a read-only snapshot opened from a share link (`?share=CODE`). The
+ * calculator displays the shared inputs and results, but the form is locked
+ * and nothing is saved; a banner offers to copy the snapshot to the viewer's
+ * own scenarios.
+ */
+
+import { storageManager } from '../storage/storage-manager.js';
+import { loadState } from '../storage/persistence.js';
+import { showNotification } from './export-handler.js';
+
+/** Banner messages for links that cannot be opened */
+const SNAPSHOT_ERROR_MESSAGES = {
+  notFound: 'This share link does not exist. Check that it was copied in full.',
+  expired: 'This share link has expired. Ask whoever shared it for a new one.',
+  failed: 'Could not open this share link. Please try again later.'
+};
+
+/**
+ * Open a shared snapshot in read-only mode.
+ * Marks the storage manager as viewing a snapshot straight away, so the
+ * user's own saved state is neither restored nor overwritten.
+ * @param {string} code - Share link code from the URL
+ * @param {(formData: Object) => void} restore - Fills the form from the snapshot's form data
+ * @returns {Promise<Object|null>} The snapshot, or null if it could not be opened
+ */
+export async function openSharedSnapshot(code, restore) {
+  storageManager.viewingSnapshot = true;
+
+  const { shareLink, error } = await storageManager.loadShareLink(code);
+
+  if (shareLink && shareLink.data && shareLink.data.formData) {
+    restore(shareLink.data.formData);
+  }
+  setFormReadOnly();
+
+  if (!shareLink) {
+    showSnapshotBanner(SNAPSHOT_ERROR_MESSAGES[error] || SNAPSHOT_ERROR_MESSAGES.failed, null);
+    return null;
+  }
+
+  const name = shareLink.name || 'Shared scenario';
+  const expiry = shareLink.expiresAt
+    ? ` The link expires on ${new Date(shareLink.expiresAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}.`
+    : '';
+  showSnapshotBanner(`👁️ You are viewing "${name}", a read-only snapshot shared with you.${expiry}`, shareLink);
+  return shareLink;
+}
+
+/**
+ * Lock every input so the snapshot cannot be edited.
+ */
+function setFormReadOnly() {
+  const form = document.getElementById('ccs-calculator-form');
+  if (form) {
+    form.classList.add('read-only');
+    form.querySelectorAll('input, select, textarea, button').forEach(control => {
+      control.disabled = true;
+    });
+  }
+
+  const preset = document.getElementById('scenario-preset');
+  if (preset) preset.disabled = true;
+}
+
+/**
+ * Show the snapshot banner.
+ * @param {string} message - Text to show
+ * @param {Object|null} shareLink - The snapshot to offer copying, or null for an error
+ */
+function showSnapshotBanner(message, shareLink) {
+  const banner = document.getElementById('shared-snapshot-banner');
+  const messageEl = document.getElementById('shared-snapshot-message');
+  const copyBtn = document.getElementById('shared-snapshot-copy-btn');
+  if (!banner || !messageEl) return;
+
+  messageEl.textContent = message;
+  banner.classList.toggle('shared-snapshot-banner--error', !shareLink);
+  banner.hidden = false;
+
+  if (!copyBtn) return;
+  copyBtn.hidden = !shareLink;
+  if (!shareLink) return;
+
+  copyBtn.addEventListener('click', async () => {
+    // Signed-out users keep one calculation on this device, which the copy replaces
+    if (!storageManager.cloudStorageAvailable && loadState()
+      && !confirm('Replace the calculation saved on this device with this snapshot?')) {
+      return;
+    }
+
+    copyBtn.disabled = true;
+    const copied = await storageManager.copySnapshotToScenarios(shareLink);
+    if (copied) {
+      // Reopen the calculator on the copy, which is now the active scenario
+      window.location.href = '/';
+    } else {
+      copyBtn.disabled = false;
+      showNotification('Could not copy the snapshot. Please try again.', 'error');
+    }
+  });
+}
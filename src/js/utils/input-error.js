@@ -0,0 +1,20 @@
+/**
+ * Input Error Module
+ * Marks errors caused by invalid household input, as opposed to faults in the
+ * calculation engine itself
+ */
+
+/**
+ * Error thrown when caller-supplied input fails validation. Callers check
+ * `error.name === 'InputError'` rather than instanceof, so the check still
+ * works when the engine is loaded from another module system.
+ */
+export class InputError extends Error {
+  /**
+   * @param {string} message - Description of the invalid input
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for Additional Child Care Subsidy (ACCS) module
+ */
+
+import {
+  getAccsCategory,
+  isAccsCategory,
+  calculateAccsSubsidyRate,
+  getAccsHourlyRateCap,
+  calculateAccsEffectiveHourlyRate,
+  calculateAccsEffectiveDailyRate,
+  calculateAccsSubsidisedHours,
+  calculateAccsSubsidisedDays
+} from '../../src/js/calculations/accs.js';
+
+describe('ACCS Calculations', () => {
+  describe('getAccsCategory', () => {
+    test('returns configuration for each category', () => {
+      expect(getAccsCategory('grandparent').LABEL).toBe('Grandparent');
+      expect(getAccsCategory('child-wellbeing').LABEL).toBe('Child wellbeing');
+      expect(getAccsCategory('temporary-financial-hardship').LABEL).toBe('Temporary financial hardship');
+      expect(getAccsCategory('transition-to-work').LABEL).toBe('Transition to work');
+    });
+
+    test('throws error for unknown category', () => {
+      expect(() => getAccsCategory('foster')).toThrow('Invalid ACCS category: foster');
+    });
+  });
+
+  describe('isAccsCategory', () => {
+    test('recognises category IDs', () => {
+      expect(isAccsCategory('grandparent')).toBe(true);
+      expect(isAccsCategory('')).toBe(false);
+      expect(isAccsCategory(null)).toBe(false);
+    });
+  });
+
+  describe('calculateAccsSubsidyRate', () => {
+    test('grandparent, child wellbeing and hardship pay 100%', () => {
+      expect(calculateAccsSubsidyRate('grandparent')).toBe(100);
+      expect(calculateAccsSubsidyRate('child-wellbeing')).toBe(100);
+      expect(calculateAccsSubsidyRate('temporary-financial-hardship')).toBe(100);
+    });
+
+    test('transition to work pays 95%', () => {
+      expect(calculateAccsSubsidyRate('transition-to-work')).toBe(95);
+    });
+  });
+
+  describe('getAccsHourlyRateCap', () => {
+    test('applies 120% of the rate cap for grandparent carers', () => {
+      // 14.63 × 1.2 = 17.556
+      expect(getAccsHourlyRateCap('grandparent', 'centre-based', 3)).toBe(17.56);
+    });
+
+    test('uses the standard cap for transition to work', () => {
+      expect(getAccsHourlyRateCap('transition-to-work', 'centre-based', 3)).toBe(14.63);
+    });
+
+    test('uses the financial year\'s cap', () => {
+      // 14.29 × 1.2 = 17.148
+      expect(getAccsHourlyRateCap('child-wellbeing', 'centre-based', 3, '2024-25')).toBe(17.15);
+    });
+  });
+
+  describe('calculateAccsEffectiveHourlyRate', () => {
+    test('returns provider fee when below the ACCS cap', () => {
+      expect(calculateAccsEffectiveHourlyRate(16, 'grandparent', 'centre-based', 3)).toBe(16);
+    });
+
+    test('returns ACCS cap when fee exceeds it', () => {
+      expect(calculateAccsEffectiveHourlyRate(20, 'grandparent', 'centre-based', 3)).toBe(17.56);
+    });
+
+    test('throws error for negative fee', () => {
+      expect(() => calculateAccsEffectiveHourlyRate(-1, 'grandparent', 'centre-based', 3)).toThrow('Provider fee must be a non-negative number');
+    });
+  });
+
+  describe('calculateAccsEffectiveDailyRate', () => {
+    test('caps the daily fee at 120% of the daily rate cap', () => {
+      // 14.63 × 10 × 1.2 = 175.56
+      expect(calculateAccsEffectiveDailyRate(200, 'grandparent', 'centre-based', 3, 10)).toBe(175.56);
+      expect(calculateAccsEffectiveDailyRate(150, 'grandparent', 'centre-based', 3, 10)).toBe(150);
+    });
+  });
+
+  describe('calculateAccsSubsidisedHours', () => {
+    test('exempt categories get 100 hours regardless of activity', () => {
+      const result = calculateAccsSubsidisedHours('grandparent', 0, 0, '2024-25', 0);
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.hoursPerWeek).toBe(50);
+      expect(result.activityTestExempt).toBe(true);
+    });
+
+    test('transition to work uses the activity test', () => {
+      const result = calculateAccsSubsidisedHours('transition-to-work', 12, null, '2024-25');
+      expect(result.hoursPerFortnight).toBe(36);
+      expect(result.activityTestExempt).toBe(false);
+    });
+  });
+
+  describe('calculateAccsSubsidisedDays', () => {
+    test('converts exempt hours to days', () => {
+      const result = calculateAccsSubsidisedDays('child-wellbeing', 0, 0, 10);
+      expect(result.daysPerWeek).toBe(5);
+      expect(result.activityTestExempt).toBe(true);
+    });
+
+    test('throws error for invalid hours per day', () => {
+      expect(() => calculateAccsSubsidisedDays('grandparent', 0, 0, 0)).toThrow('Hours per day must be a positive number');
+    });
+  });
+});
@@ -4,8 +4,12 @@
 
 import {
   calculateSubsidisedHours,
+  calculateSubsidisedDays,
+  calculateChildSubsidisedHours,
+  calculateChildSubsidisedDays,
   calculateActualChildcareHours,
   calculateHoursPerFortnight,
+  calculateActivityHoursPerFortnight,
   determineApplicableHours,
   ACTIVITY_TEST_CONSTANTS
 } from '../../src/js/calculations/activity-test.js';
@@ -62,11 +66,16 @@ describe('Activity Test Calculations', () => {
       expect(result.hoursPerWeek).toBe(36);
     });
 
-    test('handles single parent with explicit 0 for parent 2', () => {
-      const result = calculateSubsidisedHours(50, 0);
+    test('handles single parent with null for parent 2', () => {
+      const result = calculateSubsidisedHours(50, null);
       expect(result.hoursPerFortnight).toBe(100);
     });
 
+    test('treats a partner with 0 hours as the lower-activity parent', () => {
+      const result = calculateSubsidisedHours(50, 0);
+      expect(result.hoursPerFortnight).toBe(72);
+    });
+
     test('throws error for negative parent 1 hours', () => {
       expect(() => calculateSubsidisedHours(-10)).toThrow('Parent 1 hours per fortnight must be a non-negative number');
     });
@@ -108,6 +117,20 @@ describe('Activity Test Calculations', () => {
       expect(result.actualHoursPerWeek).toBe(35); // max(24, 35)
     });
 
+    test('adds the commute each way to the care needed', () => {
+      const single = calculateActualChildcareHours({ daysPerWeek: 5, hoursPerDay: 8, commuteHours: 1 });
+      const couple = calculateActualChildcareHours(
+        { daysPerWeek: 5, hoursPerDay: 8, commuteHours: 1 },
+        { daysPerWeek: 5, hoursPerDay: 8, commuteHours: 0.5 }
+      );
+
+      expect(single.actualHoursPerWeek).toBe(50);
+      expect(single.explanation).toContain('plus 1 hour commute each way');
+      expect(couple.actualHoursPerWeek).toBe(50);
+      expect(() => calculateActualChildcareHours({ daysPerWeek: 5, hoursPerDay: 8, commuteHours: 5 }))
+        .toThrow('Commute must be between 0 and 4 hours each way');
+    });
+
     test('handles zero hours for single parent', () => {
       const result = calculateActualChildcareHours({ daysPerWeek: 0, hoursPerDay: 0 });
       expect(result.actualHoursPerWeek).toBe(0);
@@ -188,6 +211,55 @@ describe('Activity Test Calculations', () => {
     });
   });
 
+  describe('calculateActivityHoursPerFortnight', () => {
+    test('sums recognised activity hours', () => {
+      expect(calculateActivityHoursPerFortnight({ study: 10, volunteering: 4.5 })).toBe(14.5);
+    });
+
+    test('returns 0 for no activities', () => {
+      expect(calculateActivityHoursPerFortnight()).toBe(0);
+      expect(calculateActivityHoursPerFortnight({})).toBe(0);
+    });
+
+    test('accepts every activity type', () => {
+      expect(calculateActivityHoursPerFortnight({
+        study: 1,
+        training: 2,
+        volunteering: 3,
+        'unpaid-family-business': 4,
+        'job-search': 5
+      })).toBe(15);
+    });
+
+    test('throws error for unknown activity type', () => {
+      expect(() => calculateActivityHoursPerFortnight({ gardening: 5 })).toThrow('Invalid activity type: gardening');
+    });
+
+    test('throws error for negative hours', () => {
+      expect(() => calculateActivityHoursPerFortnight({ study: -2 })).toThrow('Hours for study must be a non-negative number');
+    });
+
+    test('throws error for non-object activities', () => {
+      expect(() => calculateActivityHoursPerFortnight(null)).toThrow('Activities must be an object of hours per fortnight');
+      expect(() => calculateActivityHoursPerFortnight([5])).toThrow('Activities must be an object of hours per fortnight');
+    });
+  });
+
+  describe('calculateHoursPerFortnight with other activities', () => {
+    test('adds activity hours to work hours', () => {
+      expect(calculateHoursPerFortnight(3, 7.6, { study: 20 })).toBeCloseTo(65.6, 1);
+    });
+
+    test('counts activity hours with no paid work', () => {
+      expect(calculateHoursPerFortnight(0, 0, { 'job-search': 12, training: 6 })).toBe(18);
+    });
+
+    test('activity hours can lift a family into the higher tier', () => {
+      const studyingParent = calculateHoursPerFortnight(2, 7.6, { study: 20 });
+      expect(calculateSubsidisedHours(76, studyingParent).hoursPerFortnight).toBe(100);
+    });
+  });
+
   describe('determineApplicableHours', () => {
     test('applies subsidised hours when less than actual', () => {
       const result = determineApplicableHours(36, 45);
@@ -232,6 +304,185 @@ describe('Activity Test Calculations', () => {
     });
   });
 
+  describe('tiered activity test (before 2025-26)', () => {
+    test('less than 8 hours gives no subsidised hours', () => {
+      expect(calculateSubsidisedHours(4, null, '2024-25', 150000).hoursPerFortnight).toBe(0);
+    });
+
+    test('less than 8 hours gives 24 hours for low-income families', () => {
+      expect(calculateSubsidisedHours(4, null, '2024-25', 83280).hoursPerFortnight).toBe(24);
+      expect(calculateSubsidisedHours(4, null, '2023-24', 80001).hoursPerFortnight).toBe(0);
+    });
+
+    test('8 to 16 hours gives 36 hours', () => {
+      expect(calculateSubsidisedHours(8, null, '2024-25').hoursPerFortnight).toBe(36);
+      expect(calculateSubsidisedHours(16, null, '2024-25').hoursPerFortnight).toBe(36);
+    });
+
+    test('more than 16 hours gives 72 hours', () => {
+      expect(calculateSubsidisedHours(16.5, null, '2024-25').hoursPerFortnight).toBe(72);
+      expect(calculateSubsidisedHours(48, null, '2024-25').hoursPerFortnight).toBe(72);
+    });
+
+    test('a couple with a non-working partner is assessed on the partner', () => {
+      expect(calculateSubsidisedHours(80, 0, '2024-25', 150000).hoursPerFortnight).toBe(0);
+      expect(calculateSubsidisedHours(80, 0, '2023-24', 150000).hoursPerFortnight).toBe(0);
+      expect(calculateSubsidisedHours(80, 0, '2024-25').hoursPerFortnight).toBe(0);
+    });
+
+    test('a couple with a non-working partner gets 24 hours on a low income', () => {
+      expect(calculateSubsidisedHours(80, 0, '2024-25', 83280).hoursPerFortnight).toBe(24);
+      expect(calculateSubsidisedHours(80, 0, '2023-24', 80000).hoursPerFortnight).toBe(24);
+    });
+
+    test('more than 48 hours gives 100 hours', () => {
+      expect(calculateSubsidisedHours(76, 60, '2023-24').hoursPerFortnight).toBe(100);
+    });
+
+    test('3 Day Guarantee years give 72 hours regardless of activity', () => {
+      expect(calculateSubsidisedHours(4, 0, '2025-26', 150000).hoursPerFortnight).toBe(72);
+    });
+
+    test('subsidised days follow the year\'s activity test', () => {
+      const result = calculateSubsidisedDays(12, null, 10, '2024-25');
+      expect(result.hoursPerWeek).toBe(18);
+      expect(result.daysPerWeek).toBe(1.5);
+    });
+  });
+
+  describe('calculateChildSubsidisedHours', () => {
+    test('uses the household activity test by default', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 76,
+        parent2HoursPerFortnight: 30
+      });
+      expect(result.hoursPerFortnight).toBe(72);
+      expect(result.reasonCode).toBe('base-entitlement');
+      expect(result.reason).toBe('Base entitlement (3 Day Guarantee): 72 hours per fortnight');
+    });
+
+    test('reports higher activity', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 76,
+        parent2HoursPerFortnight: 60
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.reasonCode).toBe('higher-activity');
+    });
+
+    test('First Nations children get at least 100 hours under the 3 Day Guarantee', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 10,
+        parent2HoursPerFortnight: 0,
+        firstNations: true,
+        financialYear: '2025-26'
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.hoursPerWeek).toBe(50);
+      expect(result.reasonCode).toBe('first-nations');
+      expect(result.reason).toContain('First Nations child');
+    });
+
+    test('First Nations children get at least 36 hours under the tiered test', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 10,
+        parent2HoursPerFortnight: 0,
+        firstNations: true,
+        financialYear: '2024-25',
+        householdIncome: 120000
+      });
+      expect(result.hoursPerFortnight).toBe(36);
+      expect(result.reasonCode).toBe('first-nations');
+      expect(result.reason).toBe('First Nations child - minimum 36 hours per fortnight: 36 hours per fortnight');
+    });
+
+    test('First Nations minimum follows the activity test in force on a date', () => {
+      const params = { parent1HoursPerFortnight: 10, parent2HoursPerFortnight: 0, firstNations: true, householdIncome: 120000 };
+      expect(calculateChildSubsidisedHours({ ...params, financialYear: '2026-01-04' }).hoursPerFortnight).toBe(36);
+      expect(calculateChildSubsidisedHours({ ...params, financialYear: '2026-01-05' }).hoursPerFortnight).toBe(100);
+    });
+
+    test('First Nations minimum does not replace a higher household reason', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 76,
+        parent2HoursPerFortnight: 60,
+        firstNations: true
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.reasonCode).toBe('higher-activity');
+    });
+
+    test('exempt parent counts as meeting the higher threshold', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 76,
+        parent2HoursPerFortnight: 0,
+        parent2Exemption: 'carer',
+        financialYear: '2024-25'
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.reasonCode).toBe('parent-exemption');
+      expect(result.reason).toBe('Activity test exemption (Carer): 100 hours per fortnight');
+    });
+
+    test('family hours follow the non-exempt parent', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 12,
+        parent2HoursPerFortnight: 0,
+        parent2Exemption: 'approved-study',
+        financialYear: '2024-25'
+      });
+      // Single parent working 12 hours: exemption alone does not lift the other parent
+      expect(result.hoursPerFortnight).toBe(36);
+    });
+
+    test('both parents exempt gives 100 hours', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 0,
+        parent2HoursPerFortnight: 0,
+        parent1Exemption: 'job-search',
+        parent2Exemption: 'volunteering',
+        financialYear: '2024-25'
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.reason).toContain('Job searching, Volunteering');
+    });
+
+    test('ACCS exempt categories get 100 hours', () => {
+      const result = calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 0,
+        accsCategory: 'grandparent',
+        financialYear: '2024-25'
+      });
+      expect(result.hoursPerFortnight).toBe(100);
+      expect(result.reasonCode).toBe('accs-exemption');
+    });
+
+    test('throws error for unknown exemption', () => {
+      expect(() => calculateChildSubsidisedHours({
+        parent1HoursPerFortnight: 10,
+        parent1Exemption: 'holiday'
+      })).toThrow('Invalid activity test exemption: holiday');
+    });
+  });
+
+  describe('calculateChildSubsidisedDays', () => {
+    test('converts child hours to days', () => {
+      const result = calculateChildSubsidisedDays({
+        parent1HoursPerFortnight: 10,
+        firstNations: true,
+        hoursPerDay: 10,
+        financialYear: '2025-26'
+      });
+      expect(result.daysPerWeek).toBe(5);
+      expect(result.reasonCode).toBe('first-nations');
+    });
+
+    test('throws error for invalid hours per day', () => {
+      expect(() => calculateChildSubsidisedDays({ parent1HoursPerFortnight: 10, hoursPerDay: 0 }))
+        .toThrow('Hours per day must be a positive number');
+    });
+  });
+
   describe('ACTIVITY_TEST_CONSTANTS', () => {
     test('exports correct base hours per fortnight', () => {
       expect(ACTIVITY_TEST_CONSTANTS.BASE_HOURS_PER_FORTNIGHT).toBe(72);
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the booking pattern module
+ */
+
+import {
+  normaliseBookingPattern,
+  capBookingPattern,
+  summariseBookingPattern,
+  calculateWeeklyPatternCosts
+} from '../../src/js/calculations/booking-pattern.js';
+import { computeHousehold, CARE_NEED_MODES } from '../../src/js/calculations/household.js';
+
+// Long days Monday and Tuesday, a short Wednesday, and a short Friday every other week
+const fortnight = [
+  { wednesday: 6, monday: 11, tuesday: 11 },
+  { monday: 11, tuesday: 11, wednesday: 6, friday: 6 }
+];
+
+const household = {
+  parent1: { income: 100000, days: 5, hours: 8 },
+  parent2: { income: 80000, days: 5, hours: 8 },
+  children: [
+    { age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 3 }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+const withPattern = (pattern, overrides = {}) => ({
+  ...household,
+  children: [{ ...household.children[0], bookingPattern: pattern, ...overrides }]
+});
+
+describe('Booking Pattern', () => {
+  describe('normaliseBookingPattern', () => {
+    test('puts booked days in weekday order', () => {
+      expect(Object.keys(normaliseBookingPattern(fortnight)[0])).toEqual(['monday', 'tuesday', 'wednesday']);
+    });
+
+    test('rejects malformed patterns', () => {
+      expect(() => normaliseBookingPattern([])).toThrow('Booking pattern must have 1 to 2 weeks');
+      expect(() => normaliseBookingPattern([{}, {}, {}])).toThrow('Booking pattern must have 1 to 2 weeks');
+      expect(() => normaliseBookingPattern([{ saturday: 8 }])).toThrow('Booking pattern week 1 has an unknown day: saturday');
+      expect(() => normaliseBookingPattern([{ monday: 8 }, { friday: 0 }], 'Child 1 booking pattern'))
+        .toThrow('Child 1 booking pattern week 2 friday hours must be between 0 and 24');
+    });
+  });
+
+  describe('summariseBookingPattern', () => {
+    test('averages days and hours over the cycle', () => {
+      const summary = summariseBookingPattern(normaliseBookingPattern(fortnight));
+
+      expect(summary).toMatchObject({ cycleWeeks: 2, daysPerWeek: 3.5, hoursPerWeek: 31, hoursPerDay: 8.86 });
+      expect(summary.dayShares).toEqual({ monday: 1, tuesday: 1, wednesday: 1, friday: 0.5 });
+      expect(summary.dayLengths).toEqual([{ hours: 11, daysPerWeek: 2 }, { hours: 6, daysPerWeek: 1.5 }]);
+    });
+  });
+
+  describe('capBookingPattern', () => {
+    test('keeps the earliest booked days in each week', () => {
+      expect(capBookingPattern(normaliseBookingPattern(fortnight), 2)).toEqual([
+        { monday: 11, tuesday: 11 },
+        { monday: 11, tuesday: 11 }
+      ]);
+    });
+  });
+
+  describe('calculateWeeklyPatternCosts', () => {
+    test('uses subsidised hours by day length, in half days', () => {
+      const result = calculateWeeklyPatternCosts({
+        dayLengths: [{ hours: 11, daysPerWeek: 4 }, { hours: 6, daysPerWeek: 1 }],
+        dailyFee: 150,
+        subsidyRate: 90,
+        subsidisedHoursPerWeek: 36,
+        effectiveDailyRate: () => 100
+      });
+
+      // 3 long days use 33 hours; the 3 left cover half a short day
+      expect(result.dayLengths.map(item => item.daysWithSubsidy)).toEqual([3, 0.5]);
+      expect(result.daysWithoutSubsidy).toBe(1.5);
+      expect(result.weeklyGrossSubsidy).toBe(315);
+      expect(result.weeklyFullCost).toBe(750);
+    });
+  });
+
+  describe('household integration', () => {
+    test('matches a days-of-care booking when every day is the same length', () => {
+      const pattern = withPattern([{ monday: 10, tuesday: 10, wednesday: 10 }]);
+
+      expect(computeHousehold(pattern).weekly).toEqual(computeHousehold(household).weekly);
+    });
+
+    test('caps each day length at its own daily rate cap', () => {
+      const [child] = computeHousehold(withPattern(fortnight)).children;
+
+      expect(child.actualDaysNeeded).toBe(3.5);
+      expect(child.weeklyFullCost).toBe(525);
+      expect(child.bookingPattern.dayLengths.map(item => item.effectiveDailyRate)).toEqual([150, 87.78]);
+    });
+
+    test('takes hourly care from the pattern instead of hours per week', () => {
+      const hourly = { feeType: 'hourly', providerFee: 14, hoursPerWeek: 50, dailyFee: undefined };
+      const [child] = computeHousehold(withPattern(fortnight, hourly)).children;
+
+      expect(child.hoursPerWeek).toBe(31);
+      expect(child.weeklyFullCost).toBe(434);
+    });
+
+    test('keeps only as many days as parents work in parent-availability mode', () => {
+      const partTime = {
+        ...withPattern(fortnight),
+        parent1: { income: 100000, days: 2, hours: 8 },
+        parent2: { income: 0, days: 0, hours: 0 }
+      };
+      const [child] = computeHousehold(partTime, { careNeed: CARE_NEED_MODES.PARENT_AVAILABILITY }).children;
+
+      expect(child.actualDaysNeeded).toBe(2);
+    });
+
+    test('books public holidays on the pattern days', () => {
+      const result = computeHousehold({ ...withPattern(fortnight), state: 'nsw' });
+
+      // 4 Monday holidays, plus half of the 2 Friday holidays
+      expect(result.careCalendar[0].publicHolidayDays).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the care calendar module
+ */
+
+import {
+  buildCareDays,
+  summariseCareDays,
+  calculateCareCalendar,
+  applyCareCalendar
+} from '../../src/js/calculations/care-calendar.js';
+import { computeHousehold } from '../../src/js/calculations/household.js';
+
+const year = { startDate: '2025-07-01', endDate: '2026-06-30', daysPerWeek: 3 };
+
+const calendar = {
+  closures: [{ startDate: '2025-12-22', endDate: '2026-01-02', label: 'Christmas closure' }],
+  holidays: [{ startDate: '2026-04-06', endDate: '2026-04-17', label: 'Easter trip' }],
+  publicHolidays: ['2025-10-06', '2026-01-26', '2026-04-25'],
+  absenceDays: 10
+};
+
+const household = {
+  parent1: { income: 100000, days: 5, hours: 8 },
+  parent2: { income: 80000, days: 5, hours: 8 },
+  children: [
+    { age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 3 }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+describe('Care Calendar', () => {
+  describe('calculateCareCalendar', () => {
+    test('bills every week of a year with no closures', () => {
+      const result = calculateCareCalendar({}, year);
+
+      expect(result.weekdays).toBe(261);
+      expect(result.closedDays).toBe(0);
+      expect(result.billedWeeks).toBe(52.1429);
+      expect(result.subsidisedWeeks).toBe(52.1429);
+    });
+
+    test('takes closed weekdays out of the billed weeks', () => {
+      const result = calculateCareCalendar(calendar, year);
+
+      expect(result.closedDays).toBe(10);
+      // 365/7 × 251/261
+      expect(result.billedWeeks).toBe(50.145);
+    });
+
+    test('counts booked days on holidays and weekday public holidays as absences', () => {
+      const result = calculateCareCalendar(calendar, year);
+
+      // (10 holiday weekdays + 2 weekday public holidays) × 3/5 + 10 other days
+      expect(result.absenceDays).toBe(17.2);
+      expect(result.excessAbsenceDays).toBe(0);
+      expect(result.subsidisedWeeks).toBe(result.billedWeeks);
+    });
+
+    test('charges absences beyond the yearly allowance at the full fee', () => {
+      const result = calculateCareCalendar({
+        holidays: [{ startDate: '2025-07-01', endDate: '2025-10-31' }]
+      }, year);
+
+      expect(result.absenceDays).toBe(53.4);
+      expect(result.allowableAbsenceDays).toBe(42);
+      expect(result.excessAbsenceDays).toBe(11.4);
+      // 52.1429 − 11.4 ÷ 3
+      expect(result.subsidisedWeeks).toBe(48.3429);
+    });
+
+    test('restarts the allowance each financial year', () => {
+      const careDays = buildCareDays({
+        holidays: [
+          { startDate: '2025-03-03', endDate: '2025-06-30' },
+          { startDate: '2025-07-01', endDate: '2025-10-31' }
+        ]
+      }, '2025-03-01', '2026-06-30', 3);
+
+      expect(summariseCareDays(careDays, '2025-03-01', '2025-06-30').excessAbsenceDays).toBe(9.6);
+      expect(summariseCareDays(careDays, '2025-07-01', '2026-06-30').excessAbsenceDays).toBe(11.4);
+    });
+
+    test('rejects malformed calendars', () => {
+      expect(() => calculateCareCalendar(null, year)).toThrow('Care calendar must be an object');
+      expect(() => calculateCareCalendar({ absenceDays: -1 }, year))
+        .toThrow('Absence days must be a non-negative number');
+      expect(() => calculateCareCalendar({ publicHolidays: '2026-01-26' }, year))
+        .toThrow('Public holidays must be an array');
+      expect(() => calculateCareCalendar({ closures: [{ startDate: '2026-01-02', endDate: '2025-12-22' }] }, year))
+        .toThrow('Closure 1 must end on or after its start date');
+      expect(() => calculateCareCalendar({ holidays: [{ startDate: 'Easter', endDate: '2026-04-17' }] }, year))
+        .toThrow('Holiday 1 start date');
+    });
+  });
+
+  describe('public holidays and booked weekdays', () => {
+    // NSW 2025-26 weekday holidays: four Mondays, two Thursdays and two Fridays
+    const nsw = {
+      publicHolidays: [
+        '2025-10-06', '2025-12-25', '2025-12-26', '2026-01-01',
+        '2026-01-26', '2026-04-03', '2026-04-06', '2026-06-08'
+      ]
+    };
+    const booked = { ...year, bookedDays: ['monday', 'tuesday', 'wednesday'] };
+
+    test('counts holidays only on the booked weekdays', () => {
+      const result = calculateCareCalendar(nsw, booked);
+
+      expect(result.publicHolidayDays).toBe(4);
+      expect(result.absenceDays).toBe(4);
+      expect(result.billedWeeks).toBe(52.1429);
+    });
+
+    test('takes holidays out of billed weeks when the centre does not charge', () => {
+      const result = calculateCareCalendar({ ...nsw, chargePublicHolidays: false }, booked);
+
+      expect(result.closedDays).toBe(8);
+      expect(result.absenceDays).toBe(0);
+      // 365/7 × (157 − 4) booked days ÷ 157
+      expect(result.billedWeeks).toBe(50.8144);
+    });
+
+    test('spreads holidays over the weekdays when booked days are unknown', () => {
+      const result = calculateCareCalendar({ ...nsw, chargePublicHolidays: false }, year);
+
+      expect(result.publicHolidayDays).toBe(4.8);
+      expect(result.billedWeeks).toBe(50.5446);
+    });
+
+    test('weights each weekday by the days booked on it from a booking pattern', () => {
+      // Monday to Wednesday every week, Thursday every other week
+      const shares = { monday: 1, tuesday: 1, wednesday: 1, thursday: 0.5 };
+      const result = calculateCareCalendar(nsw, { ...year, daysPerWeek: 3.5, bookedDays: shares });
+
+      // 4 Monday holidays + 0.5 × 2 Thursday holidays
+      expect(result.publicHolidayDays).toBe(5);
+    });
+
+    test('ignores booked weekdays that do not match the days per week', () => {
+      const result = calculateCareCalendar(nsw, { ...year, bookedDays: ['monday'] });
+      expect(result.publicHolidayDays).toBe(4.8);
+    });
+  });
+
+  describe('applyCareCalendar', () => {
+    test('charges fees for billed weeks and pays subsidy for subsidised weeks', () => {
+      const weekly = { weeklySubsidy: 300, weeklyGrossSubsidy: 315, weeklyWithheld: 15, weeklyFullCost: 450 };
+      const result = applyCareCalendar(weekly, { billedWeeks: 50, subsidisedWeeks: 48 });
+
+      expect(result).toEqual({
+        subsidy: 14400,
+        grossSubsidy: 15120,
+        withheld: 720,
+        fullCost: 22500,
+        outOfPocket: 8100
+      });
+    });
+  });
+
+  describe('household integration', () => {
+    test('annualises over the billed weeks of each child calendar', () => {
+      const withCalendar = {
+        ...household,
+        children: [{ ...household.children[0], careCalendar: calendar }]
+      };
+      const result = computeHousehold(withCalendar);
+
+      expect(computeHousehold(household).annual.fullCost).toBe(23400);
+      expect(result.annual.fullCost).toBe(22565.25);
+      expect(result.careCalendar[0]).toMatchObject({ childNumber: 1, closedDays: 10, billedWeeks: 50.145 });
+    });
+
+    test('leaves careCalendar null when no child has one', () => {
+      const result = computeHousehold(household);
+
+      expect(result.careCalendar).toBeNull();
+      expect(result.publicHolidays).toBeNull();
+    });
+
+    test('adds the state public holidays to every child', () => {
+      const options = { childcareDays: ['monday', 'tuesday', 'wednesday'] };
+      const charged = computeHousehold({ ...household, state: 'nsw' }, options);
+      const notCharged = computeHousehold({
+        ...household,
+        state: 'nsw',
+        children: [{ ...household.children[0], careCalendar: { chargePublicHolidays: false } }]
+      }, options);
+
+      expect(charged.publicHolidays).toHaveLength(8);
+      expect(charged.careCalendar[0]).toMatchObject({ publicHolidayDays: 4, absenceDays: 4 });
+      expect(notCharged.careCalendar[0].billedWeeks).toBe(50.8144);
+      expect(notCharged.annual.fullCost).toBe(22866.48);
+      expect(notCharged.annual.fullCost).toBeLessThan(charged.annual.fullCost);
+    });
+
+    test('rejects an unknown state', () => {
+      expect(() => computeHousehold({ ...household, state: 'nz' })).toThrow('Unknown state: nz');
+    });
+
+    test('costs each date-range period from the calendar', () => {
+      const result = computeHousehold(
+        { ...household, children: [{ ...household.children[0], careCalendar: calendar }] },
+        { startDate: '2025-07-01', endDate: '2026-06-30', changeoverDates: ['2026-01-05'] }
+      );
+      const [first, second] = result.dateRange.periods;
+
+      // The Christmas closure straddles the changeover
+      expect(first.subtotal.fullCost).toBeLessThan(result.weekly.fullCost * first.weeks);
+      expect(second.subtotal.fullCost).toBeLessThan(result.weekly.fullCost * second.weeks);
+      // Each period scales its own weeks by its open weekdays, so the total differs by a few dollars
+      expect(result.annual.fullCost).toBeCloseTo(22565.25, -1);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for care period (date-range) cost module
+ */
+
+import {
+  splitCarePeriods,
+  getPeriodRates,
+  calculateDateRangeCosts
+} from '../../src/js/calculations/care-periods.js';
+import { getRateTable } from '../../src/js/config/ccs-config.js';
+
+describe('Care Period Calculations', () => {
+  describe('splitCarePeriods', () => {
+    test('keeps a range inside one financial year as a single period', () => {
+      const periods = splitCarePeriods('2026-02-01', '2026-02-14');
+
+      expect(periods).toHaveLength(1);
+      expect(periods[0]).toEqual({
+        startDate: '2026-02-01',
+        endDate: '2026-02-14',
+        days: 14,
+        weeks: 2,
+        financialYear: '2025-26',
+        ratesFinancialYear: '2025-26',
+        rateTable: null
+      });
+    });
+
+    test('splits 2025-26 when the 3 Day Guarantee starts on 5 January 2026', () => {
+      const periods = splitCarePeriods('2025-12-01', '2026-01-31');
+
+      expect(periods.map(p => p.startDate)).toEqual(['2025-12-01', '2026-01-05']);
+      expect(periods.map(p => p.endDate)).toEqual(['2026-01-04', '2026-01-31']);
+      expect(periods.map(p => p.ratesFinancialYear)).toEqual(['2025-26', '2025-26']);
+      expect(periods[0].rateTable.ACTIVITY_TEST.TIERED).toBe(true);
+      expect(periods[0].rateTable.HOURLY_RATE_CAPS).toBe(getRateTable('2025-26').HOURLY_RATE_CAPS);
+      expect(periods[1].rateTable).toBeNull();
+      expect(getRateTable(getPeriodRates(periods[1])).ACTIVITY_TEST.TIERED).toBeUndefined();
+    });
+
+    test('splits a March to September booking at 1 July', () => {
+      const periods = splitCarePeriods('2025-03-01', '2025-09-30');
+
+      expect(periods).toHaveLength(2);
+      expect(periods[0].startDate).toBe('2025-03-01');
+      expect(periods[0].endDate).toBe('2025-06-30');
+      expect(periods[0].days).toBe(122);
+      expect(periods[0].financialYear).toBe('2024-25');
+      expect(periods[1].startDate).toBe('2025-07-01');
+      expect(periods[1].endDate).toBe('2025-09-30');
+      expect(periods[1].days).toBe(92);
+      expect(periods[1].financialYear).toBe('2025-26');
+    });
+
+    test('does not split when the range starts on 1 July', () => {
+      const periods = splitCarePeriods('2024-07-01', '2025-06-30');
+
+      expect(periods).toHaveLength(1);
+      expect(periods[0].days).toBe(365);
+    });
+
+    test('splits at extra changeover dates', () => {
+      const periods = splitCarePeriods('2025-08-01', '2025-12-31', ['2025-10-01']);
+
+      expect(periods.map(p => p.startDate)).toEqual(['2025-08-01', '2025-10-01']);
+      expect(periods.map(p => p.endDate)).toEqual(['2025-09-30', '2025-12-31']);
+    });
+
+    test('applies a changeover rate table from its date until the next 1 July', () => {
+      const caps = { CENTRE_BASED: { SCHOOL_AGE: 15, NON_SCHOOL_AGE: 17 } };
+      const periods = splitCarePeriods('2026-01-01', '2026-08-31', [
+        { date: '2025-10-01', rateTable: { HOURLY_RATE_CAPS: caps } },
+        '2026-03-01'
+      ]);
+
+      expect(periods.map(p => p.startDate)).toEqual(['2026-01-01', '2026-01-05', '2026-03-01', '2026-07-01']);
+      expect(periods[0].rateTable.HOURLY_RATE_CAPS).toBe(caps);
+      expect(periods[0].rateTable.STANDARD_RATE_THRESHOLDS).toEqual(getRateTable('2025-26').STANDARD_RATE_THRESHOLDS);
+      expect(periods[0].rateTable.ACTIVITY_TEST.TIERED).toBe(true);
+      expect(periods[1].rateTable.HOURLY_RATE_CAPS).toBe(caps);
+      expect(periods[1].rateTable.ACTIVITY_TEST).toBe(getRateTable('2025-26').ACTIVITY_TEST);
+      expect(periods[2].rateTable).toBe(periods[1].rateTable);
+      expect(periods[3].rateTable).toBeNull();
+      expect(getPeriodRates(periods[3])).toBe('2026-27');
+    });
+
+    test('throws error for a changeover rate table that is not an object', () => {
+      expect(() => splitCarePeriods('2025-08-01', '2025-12-31', [{ date: '2025-10-01', rateTable: 'higher' }]))
+        .toThrow('Changeover rate table must be an object');
+    });
+
+    test('ignores changeover dates outside the range', () => {
+      const periods = splitCarePeriods('2025-08-01', '2025-08-31', ['2025-01-01', '2025-08-01', '2026-01-01']);
+      expect(periods).toHaveLength(1);
+    });
+
+    test('uses the latest rate table for years after the registry', () => {
+      const periods = splitCarePeriods('2027-08-01', '2027-08-07');
+
+      expect(periods[0].financialYear).toBe('2027-28');
+      expect(periods[0].ratesFinancialYear).toBe('2026-27');
+    });
+
+    test('period days add up across multiple years', () => {
+      const periods = splitCarePeriods('2024-01-01', '2026-12-31');
+      const totalDays = periods.reduce((sum, p) => sum + p.days, 0);
+
+      expect(periods).toHaveLength(5);
+      expect(totalDays).toBe(366 + 365 + 365);
+    });
+
+    test('accepts Date objects', () => {
+      const periods = splitCarePeriods(new Date(2025, 5, 30), new Date(2025, 6, 1));
+      expect(periods).toHaveLength(2);
+      expect(periods[0].days).toBe(1);
+    });
+
+    test('throws error when end date is before start date', () => {
+      expect(() => splitCarePeriods('2025-09-01', '2025-08-01')).toThrow('End date must be on or after start date');
+    });
+
+    test('throws error for invalid dates', () => {
+      expect(() => splitCarePeriods('01/08/2025', '2025-08-31')).toThrow('Start date must be a date');
+      expect(() => splitCarePeriods('2025-08-01', null)).toThrow('End date must be a date');
+      expect(() => splitCarePeriods('2025-08-01', '2025-08-31', ['soon'])).toThrow('Changeover date must be a date');
+    });
+  });
+
+  describe('calculateDateRangeCosts', () => {
+    test('multiplies weekly costs by weeks in each period', () => {
+      const result = calculateDateRangeCosts({
+        startDate: '2025-06-17',
+        endDate: '2025-07-07',
+        calculateWeekly: period => ({
+          weeklySubsidy: period.financialYear === '2024-25' ? 100 : 140,
+          weeklyFullCost: 200,
+          weeklyOutOfPocket: period.financialYear === '2024-25' ? 100 : 60
+        })
+      });
+
+      expect(result.periods).toHaveLength(2);
+      expect(result.periods[0].subtotal.subsidy).toBe(200);
+      expect(result.periods[1].subtotal.subsidy).toBe(140);
+      expect(result.totals.subsidy).toBe(340);
+      expect(result.totals.fullCost).toBe(600);
+      expect(result.totals.outOfPocket).toBe(260);
+      expect(result.days).toBe(21);
+      expect(result.weeks).toBe(3);
+    });
+
+    test('treats missing weekly amounts as zero', () => {
+      const result = calculateDateRangeCosts({
+        startDate: '2025-08-01',
+        endDate: '2025-08-07',
+        calculateWeekly: () => ({ weeklyFullCost: 100 })
+      });
+
+      expect(result.totals.withheld).toBe(0);
+      expect(result.totals.fullCost).toBe(100);
+    });
+
+    test('passes each period to the weekly callback', () => {
+      const years = [];
+      calculateDateRangeCosts({
+        startDate: '2025-03-01',
+        endDate: '2025-09-30',
+        calculateWeekly: period => {
+          years.push(period.ratesFinancialYear);
+          return {};
+        }
+      });
+
+      expect(years).toEqual(['2024-25', '2025-26']);
+    });
+
+    test('throws error when calculateWeekly is missing', () => {
+      expect(() => calculateDateRangeCosts({ startDate: '2025-08-01', endDate: '2025-08-31' }))
+        .toThrow('calculateWeekly must be a function');
+    });
+  });
+});
@@ -4,6 +4,7 @@
 
 import {
   calculateEffectiveHourlyRate,
+  calculateEffectiveDailyRate,
   calculateSubsidyPerHour,
   calculateWeeklyCosts,
   calculateAnnualCost,
@@ -64,6 +65,115 @@ describe('Cost Calculations', () => {
     });
   });
 
+  describe('financial year rate caps', () => {
+    test('effective hourly rate uses the year\'s cap', () => {
+      expect(calculateEffectiveHourlyRate(20, 'centre-based', 3, '2024-25')).toBe(14.29);
+    });
+
+    test('effective daily rate uses the year\'s cap', () => {
+      expect(calculateEffectiveDailyRate(200, 'centre-based', 3, 10, '2023-24')).toBeCloseTo(137.3, 2);
+    });
+
+    test('complete breakdown passes the year to the rate cap', () => {
+      const breakdown = calculateCompleteCostBreakdown({
+        householdIncome: 100000,
+        subsidyRate: 80,
+        providerFee: 20,
+        careType: 'centre-based',
+        childAge: 3,
+        subsidisedHours: 36,
+        actualHours: 36,
+        withholdingRate: 0,
+        financialYear: '2024-25'
+      });
+      expect(breakdown.effectiveHourlyRate).toBe(14.29);
+    });
+  });
+
+  describe('ACCS cost breakdown', () => {
+    test('uses the ACCS rate and 120% rate cap', () => {
+      const breakdown = calculateCompleteCostBreakdown({
+        householdIncome: 40000,
+        subsidyRate: 90,
+        providerFee: 20,
+        careType: 'centre-based',
+        childAge: 3,
+        subsidisedHours: 50,
+        actualHours: 40,
+        withholdingRate: 0,
+        accsCategory: 'grandparent'
+      });
+
+      expect(breakdown.subsidyRate).toBe(100);
+      expect(breakdown.accsCategory).toBe('grandparent');
+      expect(breakdown.effectiveHourlyRate).toBe(17.56);
+      expect(breakdown.weekly.weeklySubsidy).toBeCloseTo(702.4, 2);
+      expect(breakdown.weekly.weeklyOutOfPocket).toBeCloseTo(97.6, 2);
+    });
+
+    test('reports the given subsidy rate without ACCS', () => {
+      const breakdown = calculateCompleteCostBreakdown({
+        householdIncome: 100000,
+        subsidyRate: 85,
+        providerFee: 12,
+        careType: 'centre-based',
+        childAge: 3,
+        subsidisedHours: 36,
+        actualHours: 36
+      });
+
+      expect(breakdown.subsidyRate).toBe(85);
+      expect(breakdown.accsCategory).toBeNull();
+    });
+  });
+
+  describe('date-range cost breakdown', () => {
+    const params = {
+      householdIncome: 100000,
+      subsidyRate: 80,
+      providerFee: 20,
+      careType: 'centre-based',
+      childAge: 3,
+      subsidisedHours: 36,
+      actualHours: 36,
+      withholdingRate: 0
+    };
+
+    test('omits dateRange when no dates are given', () => {
+      expect(calculateCompleteCostBreakdown(params).dateRange).toBeUndefined();
+    });
+
+    test('applies each financial year\'s rate cap to its period', () => {
+      const breakdown = calculateCompleteCostBreakdown({
+        ...params,
+        startDate: '2025-06-16',
+        endDate: '2025-07-13'
+      });
+
+      const [june, july] = breakdown.dateRange.periods;
+      expect(june.weekly.effectiveHourlyRate).toBe(14.29);
+      expect(july.weekly.effectiveHourlyRate).toBe(14.63);
+      // 36 hours × 80% × cap, for 15 and 13 days
+      expect(june.subtotal.subsidy).toBeCloseTo(36 * 0.8 * 14.29 * 15 / 7, 1);
+      expect(july.subtotal.subsidy).toBeCloseTo(36 * 0.8 * 14.63 * 13 / 7, 1);
+      expect(breakdown.dateRange.totals.subsidy).toBeCloseTo(june.subtotal.subsidy + july.subtotal.subsidy, 2);
+      expect(breakdown.dateRange.totals.fullCost).toBe(2880);
+    });
+
+    test('uses subsidy rates by year when provided', () => {
+      const breakdown = calculateCompleteCostBreakdown({
+        ...params,
+        startDate: '2025-06-16',
+        endDate: '2025-07-13',
+        subsidyRatesByYear: { '2024-25': 70 }
+      });
+
+      const [june, july] = breakdown.dateRange.periods;
+      expect(june.weekly.subsidyRate).toBe(70);
+      expect(july.weekly.subsidyRate).toBe(80);
+    });
+  });
+
   describe('calculateSubsidyPerHour', () => {
     test('calculates 90% subsidy correctly', () => {
       const result = calculateSubsidyPerHour(90, 14.63);
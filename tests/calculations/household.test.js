@@ -0,0 +1,316 @@
+/**
+ * Unit and golden-file tests for the shared household calculation engine
+ */
+
+import {
+  computeHousehold,
+  rankChildrenByAge,
+  calculateCareNeededByParents,
+  resolveSingleParent,
+  CARE_NEED_MODES
+} from '../../src/js/calculations/household.js';
+import { createCustomScenario, buildScenarioBaseData } from '../../src/js/scenarios/generator.js';
+import { InputError } from '../../src/js/utils/input-error.js';
+import { householdGoldenCases } from '../fixtures/household-golden.js';
+import { knownCalculationScenario } from '../fixtures/known-calculation-scenario.js';
+
+const pickChild = child => ({
+  rateType: child.rateType,
+  subsidyRate: child.subsidyRate,
+  subsidisedHoursPerFortnight: child.subsidisedHoursPerFortnight,
+  weeklySubsidy: child.weeklySubsidy,
+  weeklyWithheld: child.weeklyWithheld,
+  weeklyFullCost: child.weeklyFullCost,
+  weeklyOutOfPocket: child.weeklyOutOfPocket
+});
+
+describe('Household Engine', () => {
+  describe('golden households', () => {
+    describe.each(householdGoldenCases)('$name', ({ input, expected }) => {
+      test('computeHousehold matches the golden result', () => {
+        const result = computeHousehold(input);
+
+        expect(result.householdIncome).toBe(expected.householdIncome);
+        expect(result.subsidisedHours.hoursPerWeek).toBe(expected.subsidisedHoursPerWeek);
+        expect(result.children.map(pickChild)).toEqual(expected.children);
+        expect(result.weekly).toEqual(expected.weekly);
+        expect(result.annual.outOfPocket).toBe(expected.annualOutOfPocket);
+      });
+
+      test('the scenario generator agrees with the form', () => {
+        const scenario = createCustomScenario(buildScenarioBaseData(input));
+
+        expect(scenario.householdIncome).toBe(expected.householdIncome);
+        expect(scenario.subsidisedHours.hoursPerWeek).toBe(expected.subsidisedHoursPerWeek);
+        expect(scenario.childResults.map(pickChild)).toEqual(expected.children);
+        expect(scenario.totalWeeklySubsidy).toBe(expected.weekly.subsidy);
+        expect(scenario.totalWeeklyCost).toBe(expected.weekly.fullCost);
+        expect(scenario.totalWeeklyOutOfPocket).toBe(expected.weekly.outOfPocket);
+        expect(scenario.annualOutOfPocket).toBe(expected.annualOutOfPocket);
+      });
+    });
+  });
+
+  describe('known calculation scenario', () => {
+    test('reproduces the reference weekly costs', () => {
+      const { input, expected } = knownCalculationScenario;
+      const result = computeHousehold({
+        parent1: {
+          income: input.parent1.annualIncomeFte,
+          days: input.parent1.daysPerWeek,
+          hours: input.parent1.hoursPerDay
+        },
+        parent2: {
+          income: input.parent2.annualIncomeFte,
+          days: input.parent2.daysPerWeek,
+          hours: input.parent2.hoursPerDay
+        },
+        children: [{ ...input.child, feeType: 'daily' }],
+        withholdingRate: input.withholdingRate
+      });
+
+      const [child] = result.children;
+      expect(result.householdIncome).toBe(expected.householdIncome);
+      expect(child.subsidyRate).toBe(expected.ccsRatePercent);
+      expect(child.subsidisedDays).toBe(expected.subsidisedDaysPerWeek);
+      expect(child.effectiveDailyRate).toBeCloseTo(expected.effectiveDailyRate, 2);
+      expect(child.weeklySubsidy).toBeCloseTo(expected.weeklySubsidy, 2);
+      expect(child.weeklyOutOfPocket).toBeCloseTo(expected.weeklyOutOfPocket, 2);
+    });
+  });
+
+  describe('rankChildrenByAge', () => {
+    test('ranks children aged 5 or under from eldest', () => {
+      expect(rankChildrenByAge([{ age: 1 }, { age: 4 }, { age: 8 }])).toEqual([2, 1, null]);
+    });
+
+    test('keeps input order for children of the same age', () => {
+      expect(rankChildrenByAge([{ age: 3 }, { age: 3 }])).toEqual([1, 2]);
+    });
+  });
+
+  describe('calculateCareNeededByParents', () => {
+    test('needs no care when neither parent works', () => {
+      expect(calculateCareNeededByParents({ days: 0, hours: 0 }, { days: 0, hours: 0 }))
+        .toEqual({ daysPerWeek: 0, hoursPerWeek: 0 });
+    });
+
+    test('covers only the working parent when the other is home', () => {
+      expect(calculateCareNeededByParents({ days: 3, hours: 8 }, { days: 0, hours: 0 }))
+        .toEqual({ daysPerWeek: 3, hoursPerWeek: 24 });
+    });
+
+    test('uses the longer day when both parents work', () => {
+      expect(calculateCareNeededByParents({ days: 4, hours: 9 }, { days: 2, hours: 6 }))
+        .toEqual({ daysPerWeek: 4, hoursPerWeek: 30 });
+    });
+
+    test('adds the commute and ends care at pick-up', () => {
+      const commuter = { days: 5, hours: 8, commuteHours: 1 };
+
+      expect(calculateCareNeededByParents(commuter, { days: 0, hours: 0 }))
+        .toEqual({ daysPerWeek: 5, hoursPerWeek: 50 });
+      // Parent 1 leaves an hour before work; parent 2 works 6 hours nearby and picks up
+      expect(calculateCareNeededByParents(commuter, { days: 5, hours: 6, pickUp: true }))
+        .toEqual({ daysPerWeek: 5, hoursPerWeek: 35 });
+    });
+
+    test('widens rostered shifts by the commute', () => {
+      const nights = [{ monday: { startTime: '22:00', endTime: '06:00' } }];
+      const days = [{ tuesday: { startTime: '07:00', endTime: '15:00' } }];
+
+      expect(calculateCareNeededByParents({ roster: nights }, { roster: days }).hoursPerWeek).toBe(0);
+      // Parent 1 gets home at 07:00 and parent 2 leaves at 06:30: half an hour of care each week
+      expect(calculateCareNeededByParents(
+        { roster: nights, commuteHours: 1 },
+        { roster: days, commuteHours: 0.5 }
+      ).hoursPerWeek).toBe(0.5);
+    });
+
+    test('rejects an out-of-range commute', () => {
+      expect(() => computeHousehold({
+        parent1: { income: 100000, days: 5, hours: 8 },
+        parent2: { income: 80000, days: 5, hours: 8, commuteHours: 6 },
+        children: [{ age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10 }]
+      })).toThrow('Parent 2 commute must be between 0 and 4 hours each way');
+    });
+  });
+
+  describe('care need modes', () => {
+    const household = {
+      parent1: { income: 100000, days: 2, hours: 8 },
+      children: [
+        { age: 3, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 4 }
+      ]
+    };
+
+    test('booked care is used as entered by default', () => {
+      expect(computeHousehold(household).children[0].actualDaysNeeded).toBe(4);
+    });
+
+    test('parent availability caps booked care at parents\' work days', () => {
+      const result = computeHousehold(household, { careNeed: CARE_NEED_MODES.PARENT_AVAILABILITY });
+      expect(result.children[0].actualDaysNeeded).toBe(2);
+    });
+
+    test('daily-fee children without days of care use defaultDaysOfCare', () => {
+      const result = computeHousehold(
+        { ...household, children: [{ ...household.children[0], daysOfCare: null }] },
+        { defaultDaysOfCare: 3 }
+      );
+      expect(result.children[0].actualDaysNeeded).toBe(3);
+    });
+  });
+
+  describe('single parents and non-working partners', () => {
+    const working = { income: 90000, days: 5, hours: 8 };
+    const children = [
+      { age: 3, careType: 'centre-based', feeType: 'hourly', providerFee: 14, hoursPerWeek: 40 }
+    ];
+
+    test.each(['2023-24', '2024-25'])('a couple with a non-working partner gets no hours in %s', (financialYear) => {
+      const result = computeHousehold({
+        parent1: working,
+        parent2: { income: 0, days: 0, hours: 0 },
+        children,
+        financialYear
+      });
+
+      expect(result.subsidisedHours.hoursPerFortnight).toBe(0);
+      expect(result.children[0].subsidisedHoursPerFortnight).toBe(0);
+      expect(result.weekly.subsidy).toBe(0);
+    });
+
+    test('a single parent is assessed on their own hours', () => {
+      const result = computeHousehold({ parent1: working, parent2: null, children, financialYear: '2024-25' });
+      expect(result.subsidisedHours.hoursPerFortnight).toBe(100);
+    });
+
+    test('resolveSingleParent turns a blank parent 2 into a single parent', () => {
+      const blank = { parent1: working, parent2: { income: 0, days: 0, hours: 0, activities: {} }, children };
+      const studying = { ...blank, parent2: { ...blank.parent2, activities: { study: 20 } } };
+
+      expect(resolveSingleParent(blank).parent2).toBeNull();
+      expect(resolveSingleParent(studying)).toBe(studying);
+    });
+  });
+
+  describe('withholding', () => {
+    test('applies the household withholding rate', () => {
+      const [input] = householdGoldenCases;
+      const result = computeHousehold({ ...input.input, withholdingRate: 20 });
+
+      expect(result.withholdingRate).toBe(20);
+      expect(result.weekly.withheld).toBeCloseTo(result.weekly.grossSubsidy * 0.2, 1);
+    });
+  });
+
+  describe('adjusted income override', () => {
+    test('uses a parent adjustedIncome instead of income and work days', () => {
+      const [input] = householdGoldenCases;
+      const result = computeHousehold({
+        ...input.input,
+        parent1: { ...input.input.parent1, adjustedIncome: 150000 },
+        parent2: { ...input.input.parent2, adjustedIncome: 0 }
+      });
+
+      expect(result.householdIncome).toBe(150000);
+    });
+
+    test('rejects a negative override', () => {
+      const [input] = householdGoldenCases;
+      expect(() => computeHousehold({
+        ...input.input,
+        parent1: { ...input.input.parent1, adjustedIncome: -5 }
+      })).toThrow('Adjusted income must be a non-negative number');
+    });
+  });
+
+  describe('date ranges', () => {
+    test('annual figures are the date-range totals', () => {
+      const [input] = householdGoldenCases;
+      const result = computeHousehold(
+        { ...input.input, financialYear: undefined },
+        { startDate: '2025-03-01', endDate: '2026-02-28' }
+      );
+
+      expect(result.financialYear).toBe('2024-25');
+      expect(result.dateRange.periods.map(period => period.startDate)).toEqual(['2025-03-01', '2025-07-01', '2026-01-05']);
+      expect(result.annual).toEqual(result.dateRange.totals);
+    });
+
+    test('a range across 5 January 2026 moves from the tiered test to the 3 Day Guarantee', () => {
+      const result = computeHousehold({
+        parent1: { income: 90000, days: 5, hours: 8 },
+        parent2: { income: 0, days: 0, hours: 0 },
+        children: [{ age: 3, careType: 'centre-based', feeType: 'hourly', providerFee: 14, hoursPerWeek: 30 }]
+      }, { startDate: '2025-12-01', endDate: '2026-01-31' });
+      const [tiered, guarantee] = result.dateRange.periods;
+
+      expect(result.subsidisedHours.hoursPerFortnight).toBe(0);
+      expect(tiered.endDate).toBe('2026-01-04');
+      expect(tiered.subtotal.subsidy).toBe(0);
+      expect(guarantee.startDate).toBe('2026-01-05');
+      expect(guarantee.subtotal.subsidy).toBeGreaterThan(0);
+    });
+
+    test('a mid-year changeover with a rate table changes the later subtotal', () => {
+      const [input] = householdGoldenCases;
+      const dates = { startDate: '2025-08-01', endDate: '2025-12-31' };
+      const indexedCaps = { CENTRE_BASED: { SCHOOL_AGE: 16, NON_SCHOOL_AGE: 18 } };
+
+      const plain = computeHousehold(input.input, { ...dates, changeoverDates: ['2025-10-01'] });
+      const indexed = computeHousehold(input.input, {
+        ...dates,
+        changeoverDates: [{ date: '2025-10-01', rateTable: { HOURLY_RATE_CAPS: indexedCaps } }]
+      });
+
+      const [plainBefore, plainAfter] = plain.dateRange.periods;
+      const [indexedBefore, indexedAfter] = indexed.dateRange.periods;
+      expect(indexedBefore.subtotal).toEqual(plainBefore.subtotal);
+      expect(indexedAfter.subtotal.subsidy).toBeGreaterThan(plainAfter.subtotal.subsidy);
+      expect(indexedAfter.subtotal.outOfPocket).toBeLessThan(plainAfter.subtotal.outOfPocket);
+    });
+  });
+
+  describe('validation', () => {
+    test('throws for missing children', () => {
+      expect(() => computeHousehold({ parent1: { income: 1, days: 1, hours: 1 } }))
+        .toThrow('Children must be an array');
+    });
+
+    test('marks rejected input as an InputError', () => {
+      expect(() => computeHousehold({ parent1: { income: 1, days: 1, hours: 1 } }))
+        .toThrow(InputError);
+    });
+
+    test('throws for a child without a fee', () => {
+      expect(() => computeHousehold({
+        parent1: { income: 100000, days: 5, hours: 8 },
+        children: [{ age: 2, careType: 'centre-based', feeType: 'hourly', hoursPerWeek: 40 }]
+      })).toThrow('Child 1 fee must be a positive number');
+    });
+
+    test.each([
+      ['a non-numeric income', { income: 'abc' }, 'Parent 1 income must be a non-negative number'],
+      ['a NaN income', { income: NaN }, 'Parent 1 income must be a non-negative number'],
+      ['a negative income', { income: -1 }, 'Parent 1 income must be a non-negative number'],
+      ['non-numeric days', { days: '5' }, 'Parent 1 days must be a non-negative number'],
+      ['infinite hours', { hours: Infinity }, 'Parent 1 hours must be a non-negative number']
+    ])('throws for %s', (_label, change, message) => {
+      const [{ input }] = householdGoldenCases;
+      expect(() => computeHousehold({ ...input, parent1: { ...input.parent1, ...change } })).toThrow(message);
+    });
+
+    test('treats a missing parent 2 as not working', () => {
+      const [{ input }] = householdGoldenCases;
+      const result = computeHousehold({ ...input, parent2: undefined });
+      expect(result.parent2.baseIncome).toBe(0);
+    });
+
+    test('throws for an unknown care need mode', () => {
+      expect(() => computeHousehold({ children: [] }, { careNeed: 'always' }))
+        .toThrow('Invalid care need mode: always');
+    });
+  });
+});
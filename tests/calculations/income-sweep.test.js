@@ -0,0 +1,101 @@
+/**
+ * Unit tests for income sweep module
+ */
+
+import {
+  calculateIncomeSweep,
+  getRateBandMarkers,
+  SWEEP_TARGETS
+} from '../../src/js/calculations/income-sweep.js';
+
+function buildHousehold(overrides = {}) {
+  return {
+    parent1: { income: 200000, days: 5, hours: 7.6 },
+    parent2: { income: 150000, days: 4, hours: 7.6 },
+    children: [
+      { age: 4, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 4 },
+      { age: 1, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 4 }
+    ],
+    withholdingRate: 5,
+    financialYear: '2025-26',
+    ...overrides
+  };
+}
+
+describe('Income Sweep', () => {
+  describe('getRateBandMarkers', () => {
+    test('lists the standard and higher rate band edges in income order', () => {
+      const markers = getRateBandMarkers('2025-26');
+
+      expect(markers.map(marker => marker.householdIncome)).toEqual([
+        85280, 143274, 188273, 267563, 357563, 367563, 535279
+      ]);
+      expect(markers[5]).toEqual({
+        householdIncome: 367563,
+        rateType: 'higher',
+        label: 'Higher rate reverts to standard'
+      });
+    });
+
+    test('uses the requested year\'s thresholds', () => {
+      expect(getRateBandMarkers('2024-25')[0].householdIncome).toBe(83281);
+    });
+  });
+
+  describe('calculateIncomeSweep', () => {
+    test('sweeps household income across the default range', () => {
+      const sweep = calculateIncomeSweep(buildHousehold());
+
+      expect(sweep.target).toBe(SWEEP_TARGETS.HOUSEHOLD);
+      expect(sweep.financialYear).toBe('2025-26');
+      expect(sweep.currentIncome).toBe(320000);
+      expect(sweep.points[0].income).toBe(0);
+      expect(sweep.points[sweep.points.length - 1].income).toBe(450000);
+      expect(sweep.points[0].children).toHaveLength(2);
+    });
+
+    test('shows the higher-rate cliff as a step either side of the threshold', () => {
+      const { points } = calculateIncomeSweep(buildHousehold());
+      const before = points.find(point => point.income === 367562);
+      const after = points.find(point => point.income === 367563);
+
+      expect(before.children[1].subsidyRate).toBe(50);
+      expect(after.children[1].subsidyRate).toBe(33);
+      expect(after.annualOutOfPocket - before.annualOutOfPocket).toBeCloseTo(4914.52, 2);
+      expect(after.netIncome).toBeLessThan(before.netIncome);
+    });
+
+    test('sweeps a single parent\'s household', () => {
+      const { points } = calculateIncomeSweep(buildHousehold({ parent2: { income: 0, days: 0, hours: 0 } }), {
+        minIncome: 100000,
+        maxIncome: 200000,
+        points: 3
+      });
+
+      expect(points.map(point => point.householdIncome)).toEqual([100000, 143273, 143274, 150000, 188272, 188273, 200000]);
+    });
+
+    test('moves band markers onto one parent\'s income axis', () => {
+      const sweep = calculateIncomeSweep(buildHousehold(), { target: SWEEP_TARGETS.PARENT2 });
+
+      // Parent 1 earns $200,000, so parent 2 reaches $367,563 household at $167,563
+      expect(sweep.currentIncome).toBe(120000);
+      expect(sweep.markers.map(marker => marker.income)).toEqual([67563, 157563, 167563]);
+
+      const cliff = sweep.points.find(point => point.income === 167563);
+      expect(cliff.householdIncome).toBe(367563);
+    });
+
+    test('rejects targets and ranges it cannot sweep', () => {
+      expect(() => calculateIncomeSweep(buildHousehold(), { target: 'grandparent' }))
+        .toThrow('Invalid sweep target: grandparent');
+      expect(() => calculateIncomeSweep(buildHousehold(), { minIncome: 5000, maxIncome: 5000 }))
+        .toThrow('Sweep range must have a maximum above a non-negative minimum');
+      expect(() => calculateIncomeSweep(buildHousehold(), { points: 1 }))
+        .toThrow('Sweep must have at least 2 points');
+      expect(() => calculateIncomeSweep(buildHousehold({ parent2: { income: 0, days: 0, hours: 0 } }), {
+        target: SWEEP_TARGETS.PARENT2
+      })).toThrow('Parent 2 has no work days to sweep');
+    });
+  });
+});
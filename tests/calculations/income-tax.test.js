@@ -0,0 +1,132 @@
+/**
+ * Unit tests for income tax calculation module
+ */
+
+import {
+  calculateIncomeTax,
+  calculateLowIncomeTaxOffset,
+  calculateMedicareLevy,
+  calculateTaxBreakdown,
+  calculateHouseholdAfterTaxIncome
+} from '../../src/js/calculations/income-tax.js';
+import { TAX_TABLES, getTaxTable } from '../../src/js/config/tax-config.js';
+import { SUPPORTED_FINANCIAL_YEARS } from '../../src/js/config/ccs-config.js';
+
+describe('Income Tax Calculations', () => {
+  describe('tax tables', () => {
+    test('has a tax table for every CCS financial year', () => {
+      expect(Object.keys(TAX_TABLES)).toEqual(SUPPORTED_FINANCIAL_YEARS);
+    });
+
+    test('flags 2026-27 as estimated with the 15% second bracket', () => {
+      const table = getTaxTable('2026-27');
+      expect(table.ESTIMATED).toBe(true);
+      expect(table.BRACKETS[1]).toEqual({ THRESHOLD: 18200, RATE: 0.15 });
+      expect(getTaxTable('2025-26').BRACKETS[1].RATE).toBe(0.16);
+    });
+
+    test('resolves effective dates to the matching year', () => {
+      expect(getTaxTable('2024-03-01')).toBe(TAX_TABLES['2023-24']);
+    });
+  });
+
+  describe('calculateIncomeTax', () => {
+    test('charges nothing up to the tax-free threshold', () => {
+      expect(calculateIncomeTax(18200, '2025-26')).toBe(0);
+      expect(calculateIncomeTax(0, '2025-26')).toBe(0);
+    });
+
+    test('applies each bracket to the dollars within it', () => {
+      // 26,800 × 16% + 55,000 × 30%
+      expect(calculateIncomeTax(100000, '2025-26')).toBe(20788);
+      // 26,800 × 19% + 55,000 × 32.5%
+      expect(calculateIncomeTax(100000, '2023-24')).toBe(22967);
+      // 26,800 × 16% + 90,000 × 30% + 55,000 × 37% + 10,000 × 45%
+      expect(calculateIncomeTax(200000, '2024-25')).toBe(56138);
+    });
+
+    test('uses the 15% rate from 2026-27', () => {
+      expect(calculateIncomeTax(45000, '2026-27')).toBe(4020);
+    });
+
+    test('rejects invalid income', () => {
+      expect(() => calculateIncomeTax(-1)).toThrow('Taxable income must be a non-negative number');
+      expect(() => calculateIncomeTax('50000')).toThrow('Taxable income must be a non-negative number');
+    });
+  });
+
+  describe('calculateLowIncomeTaxOffset', () => {
+    test('gives the full offset up to $37,500', () => {
+      expect(calculateLowIncomeTaxOffset(37500, '2025-26')).toBe(700);
+    });
+
+    test('tapers at 5c then 1.5c per dollar', () => {
+      expect(calculateLowIncomeTaxOffset(40000, '2025-26')).toBe(575);
+      expect(calculateLowIncomeTaxOffset(45000, '2025-26')).toBe(325);
+      expect(calculateLowIncomeTaxOffset(55000, '2025-26')).toBe(175);
+    });
+
+    test('cuts out at $66,667', () => {
+      expect(calculateLowIncomeTaxOffset(66667, '2025-26')).toBe(0);
+      expect(calculateLowIncomeTaxOffset(100000, '2025-26')).toBe(0);
+    });
+  });
+
+  describe('calculateMedicareLevy', () => {
+    test('is nil at or below the low-income threshold', () => {
+      expect(calculateMedicareLevy(27222, '2025-26')).toBe(0);
+      expect(calculateMedicareLevy(26000, '2023-24')).toBe(0);
+    });
+
+    test('phases in at 10c per dollar above the threshold', () => {
+      expect(calculateMedicareLevy(30000, '2025-26')).toBe(277.8);
+    });
+
+    test('is 2% once fully phased in', () => {
+      expect(calculateMedicareLevy(40000, '2025-26')).toBe(800);
+      expect(calculateMedicareLevy(100000, '2025-26')).toBe(2000);
+    });
+  });
+
+  describe('calculateTaxBreakdown', () => {
+    test('combines income tax, offset and Medicare levy', () => {
+      expect(calculateTaxBreakdown(40000, '2025-26')).toEqual({
+        taxableIncome: 40000,
+        incomeTax: 3488,
+        lowIncomeOffset: 575,
+        medicareLevy: 800,
+        totalTax: 3713,
+        afterTaxIncome: 36287
+      });
+    });
+
+    test('does not let the offset reduce the Medicare levy', () => {
+      // Income tax 1,888 less the full 700 offset, plus the phase-in levy
+      const result = calculateTaxBreakdown(30000, '2025-26');
+      expect(result.lowIncomeOffset).toBe(700);
+      expect(result.totalTax).toBe(1465.8);
+
+      const belowOffset = calculateTaxBreakdown(20000, '2025-26');
+      expect(belowOffset.incomeTax).toBe(288);
+      expect(belowOffset.lowIncomeOffset).toBe(288);
+      expect(belowOffset.totalTax).toBe(0);
+    });
+  });
+
+  describe('calculateHouseholdAfterTaxIncome', () => {
+    test('taxes each parent on their own income', () => {
+      const result = calculateHouseholdAfterTaxIncome(100000, 40000, '2025-26');
+
+      expect(result.parent1.totalTax).toBe(22788);
+      expect(result.parent2.totalTax).toBe(3713);
+      expect(result.totalTax).toBe(26501);
+      expect(result.afterTaxIncome).toBe(113499);
+    });
+
+    test('pays less tax than one earner on the same total', () => {
+      const split = calculateHouseholdAfterTaxIncome(70000, 70000, '2025-26');
+      const single = calculateHouseholdAfterTaxIncome(140000, 0, '2025-26');
+      expect(split.totalTax).toBeLessThan(single.totalTax);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the income timeline and weekly projection module
+ */
+
+import {
+  getParentsOnDate,
+  calculateTimelineIncome,
+  calculateWeeklyProjection,
+  INCOME_BASES
+} from '../../src/js/calculations/income-timeline.js';
+import { computeHousehold } from '../../src/js/calculations/household.js';
+
+const household = {
+  parent1: { income: 100000, days: 5, hours: 8 },
+  parent2: { income: 80000, days: 5, hours: 8 },
+  children: [
+    { age: 1, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 4 }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+const withChanges = {
+  ...household,
+  incomeChanges: [
+    { date: '2026-02-02', parent: 'parent2', income: 0, days: 0, label: 'Parental leave' },
+    { date: '2025-10-01', parent: 'parent1', income: 120000, label: 'Promotion' }
+  ]
+};
+
+describe('Income Timeline', () => {
+  describe('getParentsOnDate', () => {
+    test('applies changes on or before the date in date order', () => {
+      expect(getParentsOnDate(withChanges, '2025-09-30').parent1.income).toBe(100000);
+      expect(getParentsOnDate(withChanges, '2025-10-01').parent1.income).toBe(120000);
+
+      const onLeave = getParentsOnDate(withChanges, '2026-03-01');
+      expect(onLeave.parent1).toEqual({ income: 120000, days: 5, hours: 8 });
+      expect(onLeave.parent2).toEqual({ income: 0, days: 0, hours: 8 });
+    });
+
+    test('keeps fields a change leaves out', () => {
+      const partTime = {
+        ...household,
+        incomeChanges: [{ date: '2026-01-05', parent: 'parent2', days: 3 }]
+      };
+      expect(getParentsOnDate(partTime, '2026-01-05').parent2).toEqual({ income: 80000, days: 3, hours: 8 });
+    });
+
+    test('returns the parents as entered without changes', () => {
+      expect(getParentsOnDate(household, '2026-01-01')).toEqual({
+        parent1: household.parent1,
+        parent2: household.parent2
+      });
+    });
+  });
+
+  describe('calculateTimelineIncome', () => {
+    test('weights each stretch by the days it covers', () => {
+      const result = calculateTimelineIncome(withChanges, '2025-26');
+
+      // 100,000 × 92/365 + 120,000 × 273/365
+      expect(result.parent1).toBe(114958.9);
+      // 80,000 × 216/365
+      expect(result.parent2).toBe(47342.47);
+      expect(result.householdIncome).toBe(162301.37);
+      expect(result.segments.map(segment => segment.days)).toEqual([92, 124, 149]);
+    });
+
+    test('gives the entered income when nothing changes', () => {
+      const result = calculateTimelineIncome(household, '2025-26');
+
+      expect(result.householdIncome).toBe(180000);
+      expect(result.segments).toHaveLength(1);
+    });
+
+    test('accepts a date inside the financial year', () => {
+      const result = calculateTimelineIncome(withChanges, '2026-03-15');
+
+      expect(result.financialYear).toBe('2025-26');
+      expect(result.startDate).toBe('2025-07-01');
+      expect(result.endDate).toBe('2026-06-30');
+    });
+
+    test('carries changes from an earlier year into the next', () => {
+      const result = calculateTimelineIncome(withChanges, '2026-27');
+      expect(result.householdIncome).toBe(120000);
+    });
+  });
+
+  describe('calculateWeeklyProjection', () => {
+    test('projects the financial year in weeks with a short final week', () => {
+      const result = calculateWeeklyProjection(withChanges);
+
+      expect(result.weeks).toHaveLength(53);
+      expect(result.weeks[0].startDate).toBe('2025-07-01');
+      expect(result.weeks[52].days).toBe(1);
+      expect(result.weeks[52].endDate).toBe('2026-06-30');
+    });
+
+    test('uses the financial-year income for every week by default', () => {
+      const result = calculateWeeklyProjection(withChanges);
+      const rates = new Set(result.weeks.map(week => week.children[0].subsidyRate));
+
+      expect(result.incomeBasis).toBe(INCOME_BASES.FINANCIAL_YEAR);
+      expect(result.incomes[0].householdIncome).toBe(162301.37);
+      expect([...rates]).toEqual([74]);
+    });
+
+    test('follows the pay at the time on the current basis', () => {
+      const result = calculateWeeklyProjection(withChanges, { incomeBasis: INCOME_BASES.CURRENT });
+
+      expect(result.weeks[0].householdIncome).toBe(180000);
+      expect(result.weeks[0].children[0].subsidyRate).toBe(71);
+      expect(result.weeks[31].householdIncome).toBe(120000);
+      expect(result.weeks[31].children[0].subsidyRate).toBe(83);
+    });
+
+    test('labels the week each change takes effect', () => {
+      const result = calculateWeeklyProjection(withChanges);
+      const changed = result.weeks.filter(week => week.changes.length > 0);
+
+      // 1 Oct falls in the week starting 30 Sep, so it applies from 7 Oct
+      expect(changed.map(week => [week.startDate, week.changes])).toEqual([
+        ['2025-10-07', ['Promotion']],
+        ['2026-02-03', ['Parental leave']]
+      ]);
+      expect(result.weeks[13].parent1.income).toBe(100000);
+      expect(result.weeks[14].parent1.income).toBe(120000);
+    });
+
+    test('cuts care to the days parents work in parent-availability mode', () => {
+      const result = calculateWeeklyProjection({
+        ...household,
+        parent2: { income: 80000, days: 3, hours: 8 },
+        incomeChanges: [{ date: '2026-01-06', parent: 'parent1', income: 0, days: 0 }]
+      }, { careNeed: 'parent-availability' });
+
+      expect(result.weeks[0].fullCost).toBe(600);
+      expect(result.weeks[27].fullCost).toBe(450);
+    });
+
+    test('matches computeHousehold weekly costs without changes', () => {
+      const result = calculateWeeklyProjection(household);
+      const weekly = computeHousehold(household).weekly;
+
+      expect(result.weeks[0].outOfPocket).toBe(weekly.outOfPocket);
+      expect(result.weeks[0].subsidy).toBe(weekly.subsidy);
+    });
+
+    test('totals the weeks', () => {
+      const result = calculateWeeklyProjection(withChanges, { startDate: '2025-07-01', endDate: '2025-07-28' });
+
+      expect(result.weeks).toHaveLength(4);
+      expect(result.totals.outOfPocket).toBeCloseTo(result.weeks[0].outOfPocket * 4, 2);
+    });
+
+    test('rejects an unknown income basis', () => {
+      expect(() => calculateWeeklyProjection(household, { incomeBasis: 'monthly' }))
+        .toThrow('Invalid income basis: monthly');
+    });
+
+    test('rejects malformed changes', () => {
+      expect(() => calculateWeeklyProjection({ ...household, incomeChanges: {} }))
+        .toThrow('Income changes must be an array');
+      expect(() => calculateWeeklyProjection({ ...household, incomeChanges: [{ date: '2025-08-01', parent: 'parent3' }] }))
+        .toThrow('Income change 1 must be for parent1 or parent2');
+      expect(() => calculateWeeklyProjection({ ...household, incomeChanges: [{ date: '1 Aug', parent: 'parent1' }] }))
+        .toThrow('Income change 1 date must be a date (YYYY-MM-DD)');
+      expect(() => calculateWeeklyProjection({ ...household, incomeChanges: [{ date: '2025-08-01', parent: 'parent1', income: -1 }] }))
+        .toThrow('Income change 1 income must be a non-negative number');
+      expect(() => calculateWeeklyProjection({ ...household, incomeChanges: [{ date: '2025-08-01', parent: 'parent1', days: 6 }] }))
+        .toThrow('Income change 1 days must be between 0 and 5');
+    });
+  });
+});
@@ -6,8 +6,13 @@ import {
   calculateMinimumChildcareDays,
   convertDaysCountToDayArray,
   calculateCostSavings,
-  formatScheduleBreakdown
+  formatScheduleBreakdown,
+  findPublicHolidaysOnCareDays,
+  findBookingConflicts,
+  findOutOfHoursCare,
+  calculateCareDayLength
 } from '../../src/js/calculations/parent-schedule.js';
+import { getPublicHolidays } from '../../src/js/config/public-holidays.js';
 
 describe('Parent Schedule Calculations', () => {
   describe('calculateMinimumChildcareDays', () => {
@@ -133,6 +138,91 @@ describe('Parent Schedule Calculations', () => {
       expect(result.daysWithoutCare).toEqual(['friday']); // Parent 1 home
     });
   });
+
+  describe('calculateMinimumChildcareDays with a roster', () => {
+    const weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+    const shiftRoster = [
+      { monday: 10, tuesday: 10, saturday: 12 },
+      { wednesday: 10, sunday: 12 }
+    ];
+
+    test('works out each week of the fortnight', () => {
+      const result = calculateMinimumChildcareDays(shiftRoster, weekdays);
+
+      expect(result.fortnight.map(week => week.childcareDays)).toEqual([['monday', 'tuesday'], ['wednesday']]);
+      expect(result.childcareDays).toEqual(['monday', 'tuesday', 'wednesday']);
+      expect(result.daysPerFortnight).toBe(3);
+      expect(result.daysCount).toBe(1.5);
+      expect(result.parent1WorkDays).toEqual(['monday', 'tuesday', 'wednesday', 'saturday', 'sunday']);
+      expect(result.daysWithoutCare).toEqual(['thursday', 'friday', 'saturday', 'sunday']);
+      expect(result.explanation).toMatch(/^Week 1: Parent 1: Monday, Tuesday, Saturday\. .* Week 2: /);
+    });
+
+    test('needs care on every shift for a single parent', () => {
+      const result = calculateMinimumChildcareDays(shiftRoster, []);
+      expect(result.daysPerFortnight).toBe(5);
+    });
+
+    test('needs no care in a week the other parent is rostered off', () => {
+      const result = calculateMinimumChildcareDays(weekdays, [{ monday: 12, tuesday: 12, wednesday: 12 }, {}]);
+      const [, weekTwo] = result.fortnight;
+
+      expect(weekTwo.childcareDays).toEqual([]);
+      expect(weekTwo.explanation).toContain('Parent 2 is home all week');
+      expect(result.daysCount).toBe(1.5);
+    });
+
+    test('rejects an invalid roster', () => {
+      expect(() => calculateMinimumChildcareDays(weekdays, [{ monday: 30 }]))
+        .toThrow('Parent 2 roster week 1 monday hours must be between 0 and 24');
+    });
+  });
+
+  describe('shift times', () => {
+    const day = (startTime, endTime) => ({ startTime, endTime });
+    // A 12-hour weekday, a weekend day and a Friday night shift
+    const nurse = [
+      { monday: day('07:00', '19:00'), saturday: day('07:00', '19:00') },
+      { friday: day('22:00', '06:00') }
+    ];
+    const office = [{
+      monday: day('09:00', '17:00'),
+      tuesday: day('09:00', '17:00'),
+      wednesday: day('09:00', '17:00'),
+      thursday: day('09:00', '17:00'),
+      friday: day('09:00', '17:00')
+    }];
+
+    test('needs care only on days the shifts overlap', () => {
+      const result = calculateMinimumChildcareDays(nurse, office);
+
+      expect(result.fortnight.map(week => week.childcareDays)).toEqual([['monday'], []]);
+      expect(result.daysCount).toBe(0.5);
+      expect(result.careBlocks).toEqual([
+        { week: 1, day: 'monday', startTime: '09:00', endTime: '17:00', hours: 8, outsideCentreHours: false }
+      ]);
+    });
+
+    test('flags care outside centre hours unless the care type covers it', () => {
+      const result = calculateMinimumChildcareDays(nurse, []);
+      const warnings = findOutOfHoursCare(result, 'centre-based');
+
+      expect(warnings.map(warning => warning.message)).toEqual([
+        'Week 1 Monday 07:00–19:00 is outside usual centre hours; family day care or in-home care may cover it',
+        'Week 1 Saturday 07:00–19:00 is outside usual centre hours; family day care or in-home care may cover it',
+        'Week 2 Friday 22:00–06:00 is outside usual centre hours; family day care or in-home care may cover it'
+      ]);
+      expect(findOutOfHoursCare(result, 'family-day-care')).toEqual([]);
+      expect(findOutOfHoursCare(calculateMinimumChildcareDays(['monday'], []), 'centre-based')).toEqual([]);
+    });
+
+    test('warns when a day is booked but the shifts do not overlap', () => {
+      const result = calculateMinimumChildcareDays([{ tuesday: day('18:00', '23:00') }], office);
+      const [warning] = findBookingConflicts([{ tuesday: 10 }], result);
+
+      expect(warning.message).toBe('Week 1 Tuesday is booked but a parent is home');
+    });
+  });
   
   describe('convertDaysCountToDayArray', () => {
     test('should convert 0 days to empty array', () => {
@@ -192,7 +282,110 @@ describe('Parent Schedule Calculations', () => {
     });
   });
   
+  describe('findPublicHolidaysOnCareDays', () => {
+    test('keeps holidays that fall on a childcare weekday', () => {
+      const result = findPublicHolidaysOnCareDays(['thursday', 'friday'], [
+        { date: '2025-12-25', name: 'Christmas Day' },
+        { date: '2026-01-26', name: 'Australia Day' }
+      ]);
+
+      expect(result).toEqual([{ date: '2025-12-25', name: 'Christmas Day', day: 'thursday' }]);
+    });
+
+    test('finds no holidays on weekend care days, since only weekday holidays are bundled', () => {
+      const holidays = getPublicHolidays('nsw', '2026-04-01', '2026-04-30');
+      const result = findPublicHolidaysOnCareDays(['monday', 'saturday', 'sunday'], holidays);
+
+      expect(result).toEqual([{ date: '2026-04-06', name: 'Easter Monday', day: 'monday' }]);
+    });
+  });
+
+  describe('findBookingConflicts', () => {
+    const schedule = calculateMinimumChildcareDays(
+      ['monday', 'tuesday', 'wednesday', 'thursday'],
+      ['monday', 'tuesday', 'wednesday']
+    );
+
+    test('has no warnings when every booked day has both parents at work', () => {
+      expect(findBookingConflicts([{ monday: 10, tuesday: 10 }], schedule)).toEqual([]);
+    });
+
+    test('names the parent home on each booked day and the week it falls in', () => {
+      const warnings = findBookingConflicts([{ monday: 10 }, { thursday: 10, friday: 6 }], schedule);
+
+      expect(warnings.map(warning => warning.message)).toEqual([
+        'Week 2 Thursday is booked but Parent 2 is home',
+        'Week 2 Friday is booked but both parents are home'
+      ]);
+      expect(warnings[1]).toMatchObject({ week: 2, day: 'friday', parentsHome: ['parent1', 'parent2'] });
+    });
+
+    test('checks a single parent against their own work days', () => {
+      const single = calculateMinimumChildcareDays(['monday', 'tuesday'], []);
+      const [warning] = findBookingConflicts([{ monday: 8, wednesday: 8 }], single);
+
+      expect(warning.message).toBe('Wednesday is booked but Parent 1 is home');
+    });
+
+    test('checks a weekly booking against each week of a roster', () => {
+      const rostered = calculateMinimumChildcareDays(
+        [{ monday: 10, tuesday: 10, saturday: 12 }, { wednesday: 10, sunday: 12 }],
+        ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+      );
+      const warnings = findBookingConflicts([{ monday: 10, tuesday: 10, wednesday: 10 }], rostered);
+
+      expect(warnings.map(warning => warning.message)).toEqual([
+        'Week 1 Wednesday is booked but Parent 1 is home',
+        'Week 2 Monday is booked but Parent 1 is home',
+        'Week 2 Tuesday is booked but Parent 1 is home'
+      ]);
+    });
+  });
+
+  describe('calculateCareDayLength', () => {
+    test('covers a single parent\'s work and commute both ways', () => {
+      const result = calculateCareDayLength({ hours: 8, commuteHours: 1 });
+
+      expect(result.hours).toBe(10);
+      expect(result.explanation).toBe('8 hours of work plus a 1 hour commute each way: 10 hours of care a day.');
+    });
+
+    test('runs from the first parent leaving to the last parent home', () => {
+      const result = calculateCareDayLength({ hours: 8, commuteHours: 1 }, { hours: 8, commuteHours: 0.5 });
+
+      expect(result).toMatchObject({ hours: 10, dropOffBy: 'parent1', pickUpBy: 'parent1' });
+    });
+
+    test('ends care when the pick-up parent gets back', () => {
+      const result = calculateCareDayLength({ hours: 8, commuteHours: 1 }, { hours: 8, commuteHours: 0.5, pickUp: true });
+
+      expect(result.hours).toBe(9.5);
+      expect(result.explanation).toBe(
+        'Parent 1 drops off 1 hour before work and Parent 2 picks up 0.5 hours after 8 hours of work: 9.5 hours of care a day.'
+      );
+    });
+
+    test('rejects conflicting drop-off and pick-up parents and long commutes', () => {
+      expect(() => calculateCareDayLength({ hours: 8, dropOff: true }, { hours: 8, dropOff: true }))
+        .toThrow('Only one parent can do the drop-off');
+      expect(() => calculateCareDayLength({ hours: 8, pickUp: true }, { hours: 8, pickUp: true }))
+        .toThrow('Only one parent can do the pick-up');
+      expect(() => calculateCareDayLength({ hours: 8 }, { hours: 8, commuteHours: -1 }))
+        .toThrow('Parent 2 commute must be between 0 and 4 hours each way');
+    });
+  });
+
   describe('formatScheduleBreakdown', () => {
+    test('suggests a session length and explains the care day', () => {
+      const result = calculateMinimumChildcareDays(['monday'], []);
+      const careDay = calculateCareDayLength({ hours: 8, commuteHours: 1 });
+      const formatted = formatScheduleBreakdown(result, { careDay });
+
+      expect(formatted.sessionLength).toBe('At least 10 hours a day');
+      expect(formatted.explanation).toContain('10 hours of care a day');
+      expect(formatScheduleBreakdown(result).sessionLength).toBeNull();
+    });
+
     test('should format schedule breakdown correctly', () => {
       // Parent 1: Mon-Wed, Parent 2: Tue-Thu
       // Childcare needed: Tue-Wed (overlap)
@@ -216,6 +409,18 @@ describe('Parent Schedule Calculations', () => {
       expect(result.overlappingDays).toBe('Tuesday, Wednesday');
     });
     
+    test('should list public holidays on childcare days', () => {
+      const scheduleResult = calculateMinimumChildcareDays(['monday', 'tuesday'], ['monday', 'tuesday']);
+      const publicHolidays = [
+        { date: '2025-10-06', name: 'Labour Day' },
+        { date: '2025-12-25', name: 'Christmas Day' }
+      ];
+
+      expect(formatScheduleBreakdown(scheduleResult).publicHolidays).toBeNull();
+      expect(formatScheduleBreakdown(scheduleResult, { publicHolidays }).publicHolidays).toBe('1 (Labour Day)');
+      expect(formatScheduleBreakdown(scheduleResult, { publicHolidays: [] }).publicHolidays).toBe('None');
+    });
+
     test('should handle empty arrays', () => {
       const scheduleResult = {
         parent1WorkDays: [],
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for per-person rates and marginal impact
+ */
+
+import {
+  calculatePerPersonRates,
+  calculateMarginalImpact
+} from '../../src/js/calculations/per-person-rates.js';
+import { computeHousehold } from '../../src/js/calculations/household.js';
+
+function buildHousehold(overrides = {}) {
+  return {
+    parent1: { income: 80000, days: 5, hours: 7.6 },
+    parent2: { income: 60000, days: 3, hours: 7.6 },
+    children: [
+      { age: 3, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 3 }
+    ],
+    withholdingRate: 5,
+    financialYear: '2025-26',
+    ...overrides
+  };
+}
+
+describe('Per-Person Rates', () => {
+  describe('calculatePerPersonRates', () => {
+    test('reports net income after each parent\'s tax and the childcare cost', () => {
+      const rates = calculatePerPersonRates(100000, 40000, 10000, '2025-26');
+
+      expect(rates.parent1.incomeTax).toBe(22788);
+      expect(rates.parent1.afterTaxIncome).toBe(77212);
+      expect(rates.parent1.netIncome).toBe(67212);
+      expect(rates.parent2.netIncome).toBe(26287);
+    });
+
+    test('taxes a part-time parent on the income for the days they work', () => {
+      const household = computeHousehold(buildHousehold());
+      const rates = calculatePerPersonRates(
+        household.parent1.adjustedIncome,
+        household.parent2.adjustedIncome,
+        household.annual.outOfPocket,
+        '2025-26'
+      );
+
+      // $60,000 full-time equivalent over 3 days is $36,000
+      expect(rates.parent2.income).toBe(36000);
+      expect(rates.parent2.incomeTax).toBe(household.parent2.incomeTax);
+      expect(rates.parent2.afterTaxIncome).toBe(household.parent2.afterTaxIncome);
+      expect(rates.parent2.netIncome).toBe(household.parent2.afterTaxIncome - household.annual.outOfPocket);
+      expect(rates.parent1.afterTaxIncome).toBe(household.parent1.afterTaxIncome);
+    });
+
+    test('leaves a parent without income at zero', () => {
+      const rates = calculatePerPersonRates(100000, 0, 10000, '2025-26');
+      expect(rates.parent2.netIncome).toBe(0);
+      expect(rates.parent2.incomeTax).toBe(0);
+    });
+  });
+
+  describe('calculateMarginalImpact', () => {
+    test('summarises the household on an entitlement basis', () => {
+      const { baseline } = calculateMarginalImpact(buildHousehold());
+
+      // $116,000 household: 83% of the $146.30 daily cap, rounded per day, × 3 days × 52 weeks
+      expect(baseline.householdIncome).toBe(116000);
+      expect(baseline.tax).toBe(19256);
+      expect(baseline.subsidy).toBe(18943.08);
+      expect(baseline.netIncome).toBe(92287.08);
+    });
+
+    test('combines income tax with subsidy for an extra $1,000', () => {
+      const { parent1, parent2 } = calculateMarginalImpact(buildHousehold());
+
+      // No subsidy step in the next $1,000, so only tax applies
+      expect(parent1.extraIncome).toEqual({
+        incomeChange: 1000,
+        taxChange: 320,
+        subsidyChange: 0,
+        outOfPocketChange: 0,
+        netIncomeChange: 680,
+        keptPerDollar: 0.68,
+        effectiveMarginalRate: 32
+      });
+      expect(parent2.extraIncome.effectiveMarginalRate).toBe(18);
+    });
+
+    test('includes lost subsidy when a raise crosses a taper step', () => {
+      const { parent1 } = calculateMarginalImpact(buildHousehold(), { incomeIncrease: 5000 });
+
+      expect(parent1.extraIncome.subsidyChange).toBe(-228.28);
+      expect(parent1.extraIncome.netIncomeChange).toBe(3400 - 228.28);
+      expect(parent1.extraIncome.effectiveMarginalRate).toBeCloseTo(36.57, 2);
+    });
+
+    test('finds each cliff down to the dollar', () => {
+      const { parent1 } = calculateMarginalImpact(buildHousehold());
+
+      expect(parent1.cliffs.map(cliff => cliff.householdIncome)).toEqual([120280, 125280, 130280, 135280]);
+      expect(parent1.cliffs[0]).toEqual({
+        extraIncome: 4280,
+        householdIncome: 120280,
+        subsidyLoss: 228.28,
+        netIncomeChange: -227.6
+      });
+    });
+
+    test('adds a day of care when an extra work day leaves nobody at home', () => {
+      const household = buildHousehold({
+        parent1: { income: 80000, days: 3, hours: 7.6 },
+        parent2: { income: 60000, days: 3, hours: 7.6 }
+      });
+      const { parent1 } = calculateMarginalImpact(household);
+
+      expect(parent1.extraDay.careDaysChange).toBe(1);
+      expect(parent1.extraDay.incomeChange).toBe(16000);
+      expect(parent1.extraDay.outOfPocketChange).toBeGreaterThan(0);
+      expect(parent1.extraDay.keptPerDay).toBeCloseTo(parent1.extraDay.netIncomeChange / 52, 2);
+    });
+
+    test('books the extra day of care as the first session type', () => {
+      const household = buildHousehold({
+        parent1: { income: 80000, days: 3, hours: 7.6 },
+        parent2: { income: 60000, days: 3, hours: 7.6 },
+        children: [{
+          age: 3,
+          careType: 'centre-based',
+          feeType: 'session',
+          sessions: [{ label: 'Long day', startTime: '07:00', endTime: '18:00', fee: 150, daysPerWeek: 3 }]
+        }]
+      });
+      const { parent1 } = calculateMarginalImpact(household);
+
+      expect(parent1.extraDay.careDaysChange).toBe(1);
+      // One more 11-hour session at $150, less subsidy
+      expect(parent1.extraDay.outOfPocketChange).toBeGreaterThan(0);
+      expect(parent1.extraDay.outOfPocketChange).toBeLessThan(150 * 52);
+    });
+
+    test('does not guess an extra day of care for a child on a booking pattern', () => {
+      const household = buildHousehold({
+        parent1: { income: 80000, days: 3, hours: 7.6 },
+        parent2: { income: 60000, days: 3, hours: 7.6 },
+        children: [{
+          age: 3,
+          careType: 'centre-based',
+          feeType: 'daily',
+          dailyFee: 150,
+          bookingPattern: [{ monday: 10, tuesday: 10, wednesday: 10 }]
+        }]
+      });
+      const { parent1 } = calculateMarginalImpact(household);
+
+      expect(parent1.extraDay).toBeNull();
+      expect(parent1.extraIncome).not.toBeNull();
+    });
+
+    test('keeps care the same when the other parent is already at work', () => {
+      const { parent2 } = calculateMarginalImpact(buildHousehold());
+
+      expect(parent2.extraDay.careDaysChange).toBe(0);
+      expect(parent2.extraDay.incomeChange).toBe(12000);
+    });
+
+    test('skips analyses that do not apply', () => {
+      const { parent1, parent2 } = calculateMarginalImpact(buildHousehold({
+        parent2: { income: 0, days: 0, hours: 0 }
+      }));
+
+      expect(parent1.extraDay).toBeNull();
+      expect(parent2).toBeNull();
+    });
+
+    test('rejects an invalid income increase', () => {
+      expect(() => calculateMarginalImpact(buildHousehold(), { incomeIncrease: 0 }))
+        .toThrow('Income increase must be a positive number');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the year-end CCS reconciliation module
+ */
+
+import {
+  calculateReconciliation,
+  calculateWithholdingAdvice,
+  RECONCILIATION_OUTCOMES
+} from '../../src/js/calculations/reconciliation.js';
+
+const household = {
+  parent1: { income: 100000, days: 5, hours: 8 },
+  parent2: { income: 60000, days: 5, hours: 8 },
+  children: [
+    { age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 3 }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+describe('Reconciliation', () => {
+  describe('calculateReconciliation', () => {
+    test('covers the whole financial year by default, split at the 3 Day Guarantee', () => {
+      const result = calculateReconciliation(household, { parent1: 100000, parent2: 60000 });
+
+      expect(result.financialYear).toBe('2025-26');
+      expect(result.startDate).toBe('2025-07-01');
+      expect(result.endDate).toBe('2026-06-30');
+      expect(result.periods.map(period => period.startDate)).toEqual(['2025-07-01', '2026-01-05']);
+    });
+
+    test('returns the withheld amount as a top-up when the estimate was right', () => {
+      const result = calculateReconciliation(household, { parent1: 100000, parent2: 60000 });
+
+      expect(result.actualEntitlement).toBe(result.estimatedEntitlement);
+      expect(result.outcome).toBe(RECONCILIATION_OUTCOMES.TOP_UP);
+      expect(result.balance).toBeCloseTo(result.withheld, 1);
+    });
+
+    test('predicts a debt when actual income cuts entitlement by more than was withheld', () => {
+      const result = calculateReconciliation(household, { parent1: 100000, parent2: 80000 });
+
+      expect(result.estimatedIncome).toBe(160000);
+      expect(result.actualIncome).toBe(180000);
+      expect(result.estimatedEntitlement).toBe(17164.38);
+      expect(result.actualEntitlement).toBe(16248.75);
+      expect(result.subsidyPaid).toBe(16306.12);
+      expect(result.balance).toBe(-57.37);
+      expect(result.outcome).toBe(RECONCILIATION_OUTCOMES.DEBT);
+      expect(result.withholdingAdvice).toMatchObject({ currentRate: 5, minimumRate: 5.33, recommendedRate: 6 });
+    });
+
+    test('adds any extra entitlement from a lower income to the top-up', () => {
+      const lower = calculateReconciliation(household, { parent1: 100000, parent2: 40000 });
+
+      expect(lower.outcome).toBe(RECONCILIATION_OUTCOMES.TOP_UP);
+      expect(lower.balance).toBeGreaterThan(lower.withheld);
+    });
+
+    test('reconciles each period separately and totals the balances', () => {
+      const result = calculateReconciliation(
+        household,
+        { parent1: 100000, parent2: 80000 },
+        { changeoverDates: ['2026-04-01'] }
+      );
+
+      expect(result.periods.map(period => period.startDate)).toEqual(['2025-07-01', '2026-01-05', '2026-04-01']);
+      result.periods.forEach(period => {
+        expect(period.balance).toBeCloseTo(period.actualEntitlement - period.subsidyPaid, 2);
+      });
+      const periodTotal = result.periods.reduce((sum, period) => sum + period.balance, 0);
+      expect(result.balance).toBeCloseTo(periodTotal, 0);
+    });
+
+    test('takes actual income from the income timeline when none is given', () => {
+      const result = calculateReconciliation({
+        ...household,
+        incomeChanges: [{ date: '2026-01-01', parent: 'parent2', income: 100000 }]
+      });
+
+      // 60,000 × 184/365 + 100,000 × 181/365
+      expect(result.actualIncome).toBeCloseTo(179835.62, 2);
+      expect(result.outcome).toBe(RECONCILIATION_OUTCOMES.DEBT);
+    });
+
+    test('treats a missing parent 2 actual income as nil', () => {
+      const result = calculateReconciliation(household, { parent1: 100000 });
+      expect(result.actualIncome).toBe(100000);
+    });
+
+    test('rejects missing or negative actual income', () => {
+      expect(() => calculateReconciliation(household)).toThrow('Actual income must be an object');
+      expect(() => calculateReconciliation(household, { parent2: 1 }))
+        .toThrow('Parent 1 actual income must be a non-negative number');
+      expect(() => calculateReconciliation(household, { parent1: 1, parent2: -1 }))
+        .toThrow('Parent 2 actual income must be a non-negative number');
+    });
+  });
+
+  describe('calculateWithholdingAdvice', () => {
+    test('needs no withholding when entitlement does not fall', () => {
+      const advice = calculateWithholdingAdvice(10000, 10500, 5);
+
+      expect(advice.minimumRate).toBe(0);
+      expect(advice.recommendedRate).toBe(0);
+      expect(advice.message).toContain('no withholding is needed');
+    });
+
+    test('confirms a withholding rate that already covers the shortfall', () => {
+      const advice = calculateWithholdingAdvice(10000, 9800, 5);
+
+      expect(advice.minimumRate).toBe(2);
+      expect(advice.recommendedRate).toBe(2);
+      expect(advice.message).toContain('Your 5% withholding covers');
+    });
+
+    test('rounds the recommended rate up to a whole percent', () => {
+      const advice = calculateWithholdingAdvice(10000, 9000, 5);
+
+      expect(advice.minimumRate).toBe(10);
+      expect(advice.recommendedRate).toBe(10);
+      expect(advice.message).toContain('Raise withholding to at least 10%');
+    });
+
+    test('caps the rate at 100%', () => {
+      expect(calculateWithholdingAdvice(10000, 0, 5).recommendedRate).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the parent roster module
+ */
+
+import {
+  normaliseRoster,
+  rosterFromWorkDays,
+  summariseRoster,
+  getRosterIncomeDays,
+  calculateShiftHours,
+  calculateRosterCareNeed
+} from '../../src/js/calculations/roster.js';
+import { calculateRosterHoursPerFortnight } from '../../src/js/calculations/activity-test.js';
+import {
+  computeHousehold,
+  calculateCareNeededByParents,
+  CARE_NEED_MODES
+} from '../../src/js/calculations/household.js';
+
+// Nine-day fortnight: every weekday in week 1, Monday to Thursday in week 2
+const nineDayFortnight = [
+  { monday: 8.5, tuesday: 8.5, wednesday: 8.5, thursday: 8.5, friday: 8.5 },
+  { monday: 8.5, tuesday: 8.5, wednesday: 8.5, thursday: 8.5 }
+];
+
+// Shift worker with weekend shifts
+const shiftRoster = [
+  { saturday: 12, monday: 10, tuesday: 10 },
+  { wednesday: 10, sunday: 12 }
+];
+
+const shift = (startTime, endTime) => ({ startTime, endTime });
+
+// A 12-hour weekday, a weekend day and a Friday night shift
+const timedRoster = [
+  { monday: shift('07:00', '19:00'), saturday: shift('07:00', '19:00') },
+  { friday: shift('22:00', '06:00') }
+];
+
+const officeHours = [{
+  monday: shift('09:00', '17:00'),
+  tuesday: shift('09:00', '17:00'),
+  wednesday: shift('09:00', '17:00'),
+  thursday: shift('09:00', '17:00'),
+  friday: shift('09:00', '17:00')
+}];
+
+const household = {
+  parent1: { income: 100000, roster: nineDayFortnight },
+  parent2: { income: 80000, days: 5, hours: 8 },
+  children: [
+    { age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150, hoursPerDay: 10, daysOfCare: 4 }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+describe('Roster', () => {
+  describe('normaliseRoster', () => {
+    test('puts days in order and repeats a one-week roster', () => {
+      const roster = normaliseRoster([{ saturday: 12, monday: 10 }]);
+
+      expect(roster).toEqual([{ monday: 10, saturday: 12 }, { monday: 10, saturday: 12 }]);
+      expect(Object.keys(normaliseRoster(shiftRoster)[0])).toEqual(['monday', 'tuesday', 'saturday']);
+    });
+
+    test('rejects malformed rosters', () => {
+      expect(() => normaliseRoster([])).toThrow('Roster must have 1 to 2 weeks');
+      expect(() => normaliseRoster([{}, {}, {}], 'Parent 1 roster')).toThrow('Parent 1 roster must have 1 to 2 weeks');
+      expect(() => normaliseRoster([{ funday: 8 }])).toThrow('Roster week 1 has an unknown day: funday');
+      expect(() => normaliseRoster([{}, { sunday: 25 }])).toThrow('Roster week 2 sunday hours must be between 0 and 24');
+    });
+
+    test('works out the length of timed shifts', () => {
+      const [week] = normaliseRoster([{ friday: shift('22:00', '06:00') }]);
+
+      expect(week).toEqual({ friday: { startTime: '22:00', endTime: '06:00', hours: 8 } });
+      expect(summariseRoster(normaliseRoster(timedRoster)).hoursPerFortnight).toBe(32);
+    });
+
+    test('rejects malformed shift times', () => {
+      expect(() => normaliseRoster([{ monday: shift('9am', '17:00') }]))
+        .toThrow('Roster week 1 monday start time must be a time (HH:MM)');
+      expect(() => normaliseRoster([{ monday: shift('09:00', '09:00') }]))
+        .toThrow('Roster week 1 monday must not start and end at the same time');
+    });
+  });
+
+  describe('calculateShiftHours', () => {
+    test('runs past midnight when the shift ends before it starts', () => {
+      expect(calculateShiftHours(shift('08:30', '17:00'))).toBe(8.5);
+      expect(calculateShiftHours(shift('19:00', '07:30'))).toBe(12.5);
+    });
+  });
+
+  describe('summariseRoster', () => {
+    test('averages days and hours over the fortnight', () => {
+      expect(summariseRoster(normaliseRoster(nineDayFortnight))).toEqual({
+        daysPerFortnight: 9,
+        hoursPerFortnight: 76.5,
+        daysPerWeek: 4.5,
+        hoursPerDay: 8.5
+      });
+    });
+
+    test('counts weekend shifts', () => {
+      const summary = summariseRoster(normaliseRoster(shiftRoster));
+      expect(summary.daysPerFortnight).toBe(5);
+      expect(summary.hoursPerFortnight).toBe(54);
+    });
+  });
+
+  describe('getRosterIncomeDays', () => {
+    test('counts at most full-time days for adjusted income', () => {
+      expect(getRosterIncomeDays(nineDayFortnight)).toBe(4.5);
+      expect(getRosterIncomeDays([{ monday: 8, tuesday: 8, wednesday: 8, thursday: 8, friday: 8, saturday: 8 }])).toBe(5);
+    });
+  });
+
+  describe('calculateRosterHoursPerFortnight', () => {
+    test('adds every rostered hour to other activities', () => {
+      expect(calculateRosterHoursPerFortnight(normaliseRoster(shiftRoster))).toBe(54);
+      expect(calculateRosterHoursPerFortnight(normaliseRoster(shiftRoster), { study: 10 })).toBe(64);
+    });
+  });
+
+  describe('calculateRosterCareNeed', () => {
+    const weekdays = rosterFromWorkDays(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'], 7.6);
+
+    test('needs care only on days both parents are rostered on', () => {
+      const result = calculateRosterCareNeed(normaliseRoster(shiftRoster), weekdays);
+
+      expect(result.careDays).toEqual([['monday', 'tuesday'], ['wednesday']]);
+      expect(result.daysPerWeek).toBe(1.5);
+      // (10 + 10 + 10) hours over two weeks
+      expect(result.hoursPerWeek).toBe(15);
+    });
+
+    test('covers every shift for a single parent', () => {
+      const result = calculateRosterCareNeed(normaliseRoster(shiftRoster), null);
+
+      expect(result.daysPerWeek).toBe(2.5);
+      expect(result.hoursPerWeek).toBe(27);
+      expect(result.careBlocks).toBeNull();
+    });
+
+    test('matches timed shifts hour by hour', () => {
+      const result = calculateRosterCareNeed(normaliseRoster(timedRoster), normaliseRoster(officeHours));
+
+      // Only Monday of week 1 overlaps, from 09:00 to 17:00
+      expect(result.careDays).toEqual([['monday'], []]);
+      expect(result.daysPerWeek).toBe(0.5);
+      expect(result.hoursPerWeek).toBe(4);
+    });
+
+    test('flags care on weekends, overnight and outside centre hours', () => {
+      const result = calculateRosterCareNeed(normaliseRoster(timedRoster), null);
+
+      expect(result.careDays).toEqual([['monday', 'saturday'], ['friday']]);
+      expect(result.hoursPerWeek).toBe(16);
+      expect(result.careBlocks.map(block => block.outsideCentreHours)).toEqual([true, true, true]);
+      expect(calculateRosterCareNeed(normaliseRoster([{ monday: shift('09:00', '17:00') }]), null)
+        .careBlocks[0].outsideCentreHours).toBe(false);
+    });
+
+    test('joins a Sunday night shift onto the start of the fortnight', () => {
+      const result = calculateRosterCareNeed(normaliseRoster([{}, { sunday: shift('22:00', '06:00') }]), null);
+
+      expect(result.careBlocks).toEqual([
+        { week: 2, day: 'sunday', startTime: '22:00', endTime: '06:00', hours: 8, outsideCentreHours: true }
+      ]);
+      expect(result.daysPerWeek).toBe(0.5);
+    });
+
+    test('falls back to whole days when a parent has no shift times', () => {
+      const result = calculateRosterCareNeed(normaliseRoster(timedRoster), rosterFromWorkDays(['monday'], 8));
+
+      expect(result.careBlocks).toBeNull();
+      expect(result.hoursPerWeek).toBe(6);
+    });
+  });
+
+  describe('household integration', () => {
+    test('assesses the activity test and adjusted income on the fortnight', () => {
+      const result = computeHousehold(household);
+
+      expect(result.parent1.activityHoursPerFortnight).toBe(76.5);
+      expect(result.parent1.adjustedIncome).toBe(90000);
+    });
+
+    test('matches care to the days both parents are rostered on', () => {
+      const shiftHousehold = { ...household, parent1: { income: 100000, roster: shiftRoster } };
+
+      expect(calculateCareNeededByParents(shiftHousehold.parent1, shiftHousehold.parent2))
+        .toEqual({ daysPerWeek: 1.5, hoursPerWeek: 15 });
+
+      const [child] = computeHousehold(shiftHousehold, { careNeed: CARE_NEED_MODES.PARENT_AVAILABILITY }).children;
+      expect(child.actualDaysNeeded).toBe(1.5);
+    });
+
+    test('uses the other parent\'s work days when given', () => {
+      const care = calculateCareNeededByParents(
+        { roster: shiftRoster },
+        { days: 2, hours: 8, workDays: ['thursday', 'friday'] }
+      );
+
+      expect(care).toEqual({ daysPerWeek: 0, hoursPerWeek: 0 });
+    });
+
+    test('matches care to overlapping shift times', () => {
+      expect(calculateCareNeededByParents({ roster: timedRoster }, { roster: officeHours }))
+        .toEqual({ daysPerWeek: 0.5, hoursPerWeek: 4 });
+    });
+
+    test('names the parent when a roster is invalid', () => {
+      const invalid = { ...household, parent1: { income: 100000, roster: [{ monday: -1 }] } };
+      expect(() => computeHousehold(invalid)).toThrow('Parent 1 roster week 1 monday hours must be between 0 and 24');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the session billing module
+ */
+
+import {
+  calculateSessionLength,
+  normaliseSessions,
+  capSessionDays,
+  calculateWeeklySessionCosts
+} from '../../src/js/calculations/sessions.js';
+import { computeHousehold } from '../../src/js/calculations/household.js';
+import { calculateEffectiveHourlyRate } from '../../src/js/calculations/costs.js';
+
+const longDay = { label: 'Long day', startTime: '07:00', endTime: '18:00', fee: 150, daysPerWeek: 3 };
+const shortDay = { label: 'Short day', startTime: '09:00', endTime: '15:00', minimumHours: 8, fee: 110, daysPerWeek: 2 };
+
+const household = {
+  parent1: { income: 100000, days: 5, hours: 8 },
+  parent2: { income: 80000, days: 5, hours: 8 },
+  children: [
+    { age: 2, careType: 'centre-based', feeType: 'session', sessions: [longDay, shortDay] }
+  ],
+  withholdingRate: 5,
+  financialYear: '2025-26'
+};
+
+describe('Sessions', () => {
+  describe('calculateSessionLength', () => {
+    test('charges the time between start and end', () => {
+      expect(calculateSessionLength(longDay)).toEqual({ attendedHours: 11, chargedHours: 11 });
+      expect(calculateSessionLength({ startTime: '07:30', endTime: '15:45' }).attendedHours).toBe(8.25);
+    });
+
+    test('charges at least the minimum session length', () => {
+      expect(calculateSessionLength(shortDay)).toEqual({ attendedHours: 6, chargedHours: 8 });
+    });
+
+    test('rejects malformed or backwards times', () => {
+      expect(() => calculateSessionLength({ startTime: '7am', endTime: '18:00' }))
+        .toThrow('Session start time must be a time (HH:MM)');
+      expect(() => calculateSessionLength({ startTime: '18:00', endTime: '07:00' }))
+        .toThrow('Session must end after it starts');
+      expect(() => calculateSessionLength({ startTime: '07:00', endTime: '18:00', minimumHours: 25 }))
+        .toThrow('Session minimum hours must be between 0 and 24');
+    });
+  });
+
+  describe('normaliseSessions', () => {
+    test('names unlabelled sessions by position', () => {
+      const [session] = normaliseSessions([{ startTime: '08:00', endTime: '13:00', fee: 80, daysPerWeek: 1 }]);
+      expect(session).toMatchObject({ label: 'Session 1', chargedHours: 5 });
+    });
+
+    test('rejects empty lists, bad fees and more than 7 sessions a week', () => {
+      expect(() => normaliseSessions([])).toThrow('Sessions must be a non-empty array');
+      expect(() => normaliseSessions([{ ...longDay, fee: 0 }], 'Child 2 session'))
+        .toThrow('Child 2 session 1 fee must be a positive number');
+      expect(() => normaliseSessions([{ ...longDay, daysPerWeek: 5 }, shortDay, shortDay]))
+        .toThrow('Sessions must total at most 7 per week');
+    });
+  });
+
+  describe('capSessionDays', () => {
+    test('keeps sessions in order up to the days available', () => {
+      const capped = capSessionDays(normaliseSessions([longDay, shortDay]), 4);
+      expect(capped.map(session => session.daysPerWeek)).toEqual([3, 1]);
+    });
+  });
+
+  describe('calculateWeeklySessionCosts', () => {
+    const effectiveHourlyRate = fee => calculateEffectiveHourlyRate(fee, 'centre-based', 2, '2025-26');
+
+    test('spreads each session fee over its charged hours', () => {
+      const result = calculateWeeklySessionCosts({
+        sessions: normaliseSessions([longDay, shortDay]),
+        subsidyRate: 71,
+        subsidisedHoursPerWeek: 50,
+        effectiveHourlyRate
+      });
+
+      expect(result.hoursPerWeek).toBe(49);
+      expect(result.sessions.map(session => session.hourlyFee)).toEqual([13.64, 13.75]);
+      expect(result.weeklyFullCost).toBe(670);
+      expect(result.weeklyGrossSubsidy).toBe(475.7);
+      expect(result.weeklyOutOfPocket).toBe(218.08);
+    });
+
+    test('uses subsidised hours in session order and pays the rest in full', () => {
+      const result = calculateWeeklySessionCosts({
+        sessions: normaliseSessions([longDay, shortDay]),
+        subsidyRate: 71,
+        subsidisedHoursPerWeek: 36,
+        effectiveHourlyRate
+      });
+
+      expect(result.sessions.map(session => session.hoursWithSubsidy)).toEqual([33, 3]);
+      expect(result.hoursWithoutSubsidy).toBe(13);
+    });
+
+    test('caps a short session at the hourly rate cap', () => {
+      const [session] = calculateWeeklySessionCosts({
+        sessions: normaliseSessions([{ startTime: '09:00', endTime: '15:00', fee: 200, daysPerWeek: 1 }]),
+        subsidyRate: 90,
+        subsidisedHoursPerWeek: 50,
+        effectiveHourlyRate
+      }).sessions;
+
+      expect(session.hourlyFee).toBe(33.33);
+      expect(session.effectiveHourlyRate).toBe(effectiveHourlyRate(1000));
+    });
+  });
+
+  describe('household integration', () => {
+    test('costs session-billed children from their sessions', () => {
+      const [child] = computeHousehold(household).children;
+
+      expect(child).toMatchObject({
+        feeType: 'session',
+        actualDaysNeeded: 5,
+        hoursPerWeek: 49,
+        weeklyFullCost: 670,
+        weeklySubsidy: 451.92
+      });
+    });
+
+    test('counts the minimum session length against subsidised hours', () => {
+      const lowActivity = { ...household, parent1: { income: 100000, days: 1, hours: 8 }, parent2: { income: 0, days: 0, hours: 0 } };
+      const [child] = computeHousehold(lowActivity).children;
+
+      // 72 hours a fortnight is 36 a week; the short day charges 8 hours, not 6
+      expect(child.subsidisedHoursPerFortnight).toBe(72);
+      expect(child.hoursWithoutSubsidy).toBe(13);
+    });
+
+    test('names the child when a session is invalid', () => {
+      const invalid = { ...household, children: [{ ...household.children[0], sessions: [{ ...longDay, endTime: '06:00' }] }] };
+      expect(() => computeHousehold(invalid)).toThrow('Child 1 session 1 must end after it starts');
+    });
+  });
+});
@@ -280,6 +280,64 @@ describe('Subsidy Rate Calculations', () => {
     });
   });
 
+  describe('ACCS children', () => {
+    test('ACCS children get the category rate instead of the income-tested rate', () => {
+      const result = calculateMultipleChildrenRates(300000, [
+        { age: 4, accsCategory: 'grandparent' },
+        { age: 2 }
+      ]);
+
+      expect(result[0].subsidyRate).toBe(100);
+      expect(result[0].accsCategory).toBe('grandparent');
+      expect(result[1].subsidyRate).toBe(calculateHigherRate(300000));
+      expect(result[1].accsCategory).toBeNull();
+    });
+
+    test('ACCS children do not use the higher rate', () => {
+      const result = calculateMultipleChildrenRates(100000, [
+        { age: 4 },
+        { age: 2, accsCategory: 'transition-to-work' }
+      ]);
+
+      expect(result[1].subsidyRate).toBe(95);
+      expect(result[1].usesHigherRate).toBe(false);
+    });
+  });
+
+  describe('financial year selection', () => {
+    test('standard rate uses 2024-25 thresholds', () => {
+      expect(calculateStandardRate(83280, '2024-25')).toBe(90);
+      expect(calculateStandardRate(83281, '2024-25')).toBe(89);
+      expect(calculateStandardRate(533280, '2024-25')).toBe(0);
+    });
+
+    test('standard rate uses 2023-24 thresholds', () => {
+      expect(calculateStandardRate(80000, '2023-24')).toBe(90);
+      expect(calculateStandardRate(85000, '2023-24')).toBe(89);
+    });
+
+    test('same income gives different rates across years', () => {
+      expect(calculateStandardRate(85000, '2025-26')).toBe(90);
+      expect(calculateStandardRate(85000, '2024-25')).toBe(89);
+    });
+
+    test('accepts an effective date instead of a year', () => {
+      expect(calculateStandardRate(83281, '2025-01-15')).toBe(89);
+      expect(calculateStandardRate(83281, '2025-07-01')).toBe(90);
+    });
+
+    test('higher rate reverts to standard at the 2024-25 limit', () => {
+      expect(calculateHigherRate(365610, '2024-25')).toBe(50);
+      expect(calculateHigherRate(365611, '2024-25')).toBe(calculateStandardRate(365611, '2024-25'));
+    });
+
+    test('child and multiple-children rates pass the year through', () => {
+      expect(calculateChildSubsidyRate(84000, 3, 1, '2024-25')).toBe(89);
+      const result = calculateMultipleChildrenRates(84000, [{ age: 3 }], '2024-25');
+      expect(result[0].subsidyRate).toBe(89);
+    });
+  });
+
   describe('SUBSIDY_CONSTANTS', () => {
     test('exports standard rate thresholds', () => {
       expect(SUBSIDY_CONSTANTS.STANDARD_RATE_THRESHOLDS.MAX_90_PERCENT).toBe(85279);
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the versioned CCS rate registry
+ */
+
+import {
+  RATE_TABLES,
+  SUPPORTED_FINANCIAL_YEARS,
+  DEFAULT_FINANCIAL_YEAR,
+  STANDARD_RATE_THRESHOLDS,
+  FINANCIAL_YEAR,
+  getFinancialYearForDate,
+  resolveFinancialYear,
+  getRateTable,
+  ACTIVITY_TEST_CHANGEOVER_DATES,
+  getHourlyRateCap,
+  getDailyRateCap
+} from '../../src/js/config/ccs-config.js';
+import { InputError } from '../../src/js/utils/input-error.js';
+
+describe('CCS Rate Registry', () => {
+  describe('RATE_TABLES', () => {
+    test('registers 2023-24 through 2026-27 in order', () => {
+      expect(SUPPORTED_FINANCIAL_YEARS).toEqual(['2023-24', '2024-25', '2025-26', '2026-27']);
+    });
+
+    test('every table has thresholds, activity test and rate caps', () => {
+      SUPPORTED_FINANCIAL_YEARS.forEach(year => {
+        const table = RATE_TABLES[year];
+        expect(table.FINANCIAL_YEAR.YEAR).toBe(year);
+        expect(table.STANDARD_RATE_THRESHOLDS.MAX_90_PERCENT).toBeGreaterThan(0);
+        expect(table.HIGHER_RATE_THRESHOLDS.REVERT_TO_STANDARD).toBeGreaterThan(0);
+        expect(table.ACTIVITY_TEST.HIGHER_HOURS_PER_FORTNIGHT).toBe(100);
+        expect(table.ACTIVITY_TEST.FIRST_NATIONS_MIN_HOURS_PER_FORTNIGHT).toBeGreaterThan(0);
+        expect(table.HOURLY_RATE_CAPS.CENTRE_BASED.NON_SCHOOL_AGE).toBeGreaterThan(0);
+      });
+    });
+
+    test('marks 2026-27 as estimated', () => {
+      expect(RATE_TABLES['2026-27'].FINANCIAL_YEAR.ESTIMATED).toBe(true);
+      expect(RATE_TABLES['2025-26'].FINANCIAL_YEAR.ESTIMATED).toBe(false);
+    });
+
+    test('legacy constants point at the default year', () => {
+      expect(DEFAULT_FINANCIAL_YEAR).toBe('2025-26');
+      expect(STANDARD_RATE_THRESHOLDS).toBe(RATE_TABLES['2025-26'].STANDARD_RATE_THRESHOLDS);
+      expect(FINANCIAL_YEAR.YEAR).toBe('2025-26');
+    });
+  });
+
+  describe('getFinancialYearForDate', () => {
+    test('1 July starts a new financial year', () => {
+      expect(getFinancialYearForDate('2025-07-01')).toBe('2025-26');
+    });
+
+    test('30 June ends the previous financial year', () => {
+      expect(getFinancialYearForDate('2025-06-30')).toBe('2024-25');
+    });
+
+    test('accepts Date objects', () => {
+      expect(getFinancialYearForDate(new Date(2024, 0, 15))).toBe('2023-24');
+    });
+
+    test('throws for invalid dates', () => {
+      expect(() => getFinancialYearForDate('not a date')).toThrow('Invalid date');
+    });
+  });
+
+  describe('resolveFinancialYear', () => {
+    test('defaults to the default financial year', () => {
+      expect(resolveFinancialYear()).toBe('2025-26');
+      expect(resolveFinancialYear(null)).toBe('2025-26');
+    });
+
+    test('returns registered year labels unchanged', () => {
+      expect(resolveFinancialYear('2024-25')).toBe('2024-25');
+    });
+
+    test('resolves effective dates to their financial year', () => {
+      expect(resolveFinancialYear('2026-07-01')).toBe('2026-27');
+    });
+
+    test('carries the latest table forward for later years', () => {
+      expect(resolveFinancialYear('2030-31')).toBe('2026-27');
+      expect(resolveFinancialYear('2031-01-01')).toBe('2026-27');
+    });
+
+    test('throws an input error for years before the registry', () => {
+      expect(() => resolveFinancialYear('2019-20')).toThrow('No CCS rates available for financial year 2019-20');
+      expect(() => resolveFinancialYear('2020-01-01')).toThrow(InputError);
+    });
+  });
+
+  describe('getRateTable', () => {
+    test('returns the table for a date', () => {
+      expect(getRateTable('2024-03-01').STANDARD_RATE_THRESHOLDS.MAX_90_PERCENT).toBe(80000);
+    });
+
+    test('uses the tiered activity test in 2025-26 until the 3 Day Guarantee starts', () => {
+      expect(ACTIVITY_TEST_CHANGEOVER_DATES).toEqual(['2026-01-05']);
+      expect(getRateTable('2025-07-01').ACTIVITY_TEST.TIERED).toBe(true);
+      expect(getRateTable(new Date(2026, 0, 4)).ACTIVITY_TEST.TIERED).toBe(true);
+      expect(getRateTable('2026-01-05').ACTIVITY_TEST).toBe(RATE_TABLES['2025-26'].ACTIVITY_TEST);
+      expect(getRateTable('2025-26').ACTIVITY_TEST).toBe(RATE_TABLES['2025-26'].ACTIVITY_TEST);
+    });
+
+    test('returns the same earlier table for every date before the changeover', () => {
+      const earlier = getRateTable('2025-08-01');
+
+      expect(getRateTable('2025-12-31')).toBe(earlier);
+      expect(earlier.FINANCIAL_YEAR.YEAR).toBe('2025-26');
+      expect(earlier.HOURLY_RATE_CAPS).toBe(RATE_TABLES['2025-26'].HOURLY_RATE_CAPS);
+    });
+  });
+
+  describe('rate caps by year', () => {
+    test('uses the default year when no year given', () => {
+      expect(getHourlyRateCap('centre-based', 3)).toBe(14.63);
+    });
+
+    test('returns each year\'s centre-based cap', () => {
+      expect(getHourlyRateCap('centre-based', 3, '2023-24')).toBe(13.73);
+      expect(getHourlyRateCap('centre-based', 3, '2024-25')).toBe(14.29);
+      expect(getHourlyRateCap('centre-based', 8, '2024-25')).toBe(12.51);
+    });
+
+    test('daily rate cap uses the year\'s hourly cap', () => {
+      expect(getDailyRateCap('family-day-care', 2, 10, '2024-25')).toBeCloseTo(132.3, 2);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for the bundled public holiday registry
+ */
+
+import {
+  AUSTRALIAN_STATES,
+  AUSTRALIAN_STATE_LABELS,
+  PUBLIC_HOLIDAYS,
+  PUBLIC_HOLIDAY_YEARS,
+  getPublicHolidays
+} from '../../src/js/config/public-holidays.js';
+import { SUPPORTED_FINANCIAL_YEARS, getFinancialYearForDate } from '../../src/js/config/ccs-config.js';
+
+describe('Public Holiday Registry', () => {
+  describe('PUBLIC_HOLIDAYS', () => {
+    test('covers every supported financial year', () => {
+      expect(PUBLIC_HOLIDAY_YEARS).toEqual(SUPPORTED_FINANCIAL_YEARS);
+    });
+
+    test('lists every state and territory each year', () => {
+      PUBLIC_HOLIDAY_YEARS.forEach(year => {
+        Object.values(AUSTRALIAN_STATES).forEach(state => {
+          expect(Array.isArray(PUBLIC_HOLIDAYS[year][state])).toBe(true);
+          expect(AUSTRALIAN_STATE_LABELS[state]).toBeDefined();
+        });
+      });
+    });
+
+    test('only lists weekdays inside their financial year', () => {
+      PUBLIC_HOLIDAY_YEARS.forEach(year => {
+        const { ESTIMATED: _estimated, ...lists } = PUBLIC_HOLIDAYS[year];
+        Object.values(lists).flat().forEach(holiday => {
+          const dayOfWeek = new Date(`${holiday.date}T00:00:00Z`).getUTCDay();
+          expect([holiday.date, dayOfWeek >= 1 && dayOfWeek <= 5]).toEqual([holiday.date, true]);
+          expect(getFinancialYearForDate(holiday.date)).toBe(year);
+        });
+      });
+    });
+
+    test('marks 2026-27 as estimated', () => {
+      expect(PUBLIC_HOLIDAYS['2026-27'].ESTIMATED).toBe(true);
+      expect(PUBLIC_HOLIDAYS['2025-26'].ESTIMATED).toBe(false);
+    });
+  });
+
+  describe('getPublicHolidays', () => {
+    test('combines national and state holidays in date order', () => {
+      const holidays = getPublicHolidays('vic', '2025-07-01', '2025-12-31');
+
+      expect(holidays.map(holiday => holiday.date)).toEqual([
+        '2025-09-26',
+        '2025-11-04',
+        '2025-12-25',
+        '2025-12-26'
+      ]);
+      expect(holidays[0].name).toBe('AFL Grand Final Friday');
+    });
+
+    test('spans financial years', () => {
+      const holidays = getPublicHolidays('nsw', '2025-06-01', '2025-10-31');
+      expect(holidays.map(holiday => holiday.name)).toEqual(['King\'s Birthday', 'Labour Day']);
+    });
+
+    test('lists substitute days for weekend holidays', () => {
+      const dates = getPublicHolidays('wa', '2026-04-01', '2026-04-30').map(holiday => holiday.date);
+      expect(dates).toContain('2026-04-27');
+      expect(getPublicHolidays('nsw', '2026-04-01', '2026-04-30').map(holiday => holiday.date))
+        .not.toContain('2026-04-27');
+    });
+
+    test('leaves out holidays that fall on a weekend', () => {
+      // Easter Saturday and Sunday, and Anzac Day on a Saturday
+      const dates = getPublicHolidays('nsw', '2026-04-01', '2026-04-30').map(holiday => holiday.date);
+      expect(dates).toEqual(['2026-04-03', '2026-04-06']);
+    });
+
+    test('returns nothing for years without data', () => {
+      expect(getPublicHolidays('qld', '2030-07-01', '2031-06-30')).toEqual([]);
+    });
+
+    test('rejects an unknown state', () => {
+      expect(() => getPublicHolidays('nz', '2025-07-01', '2026-06-30')).toThrow('Unknown state: nz');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Golden households for the shared calculation engine
+ * Inputs use the calculator form data shape. Expected values are what both the
+ * form (computeHousehold) and the scenario generator must produce.
+ */
+
+const parent = (income, days, hours) => ({
+  income,
+  days,
+  hours,
+  workDays: [],
+  exemption: null,
+  activities: {}
+});
+
+const dailyChild = (age, daysOfCare, extra = {}) => ({
+  age,
+  careType: 'centre-based',
+  feeType: 'daily',
+  dailyFee: 150,
+  hoursPerDay: 10,
+  daysOfCare,
+  accsCategory: null,
+  firstNations: false,
+  ...extra
+});
+
+const eldestAndBabyResults = [
+  {
+    rateType: 'standard',
+    subsidyRate: 72,
+    subsidisedHoursPerFortnight: 72,
+    weeklySubsidy: 300.21,
+    weeklyWithheld: 15.8,
+    weeklyFullCost: 450,
+    weeklyOutOfPocket: 149.79
+  },
+  {
+    rateType: 'higher',
+    subsidyRate: 84,
+    subsidisedHoursPerFortnight: 72,
+    weeklySubsidy: 350.24,
+    weeklyWithheld: 18.43,
+    weeklyFullCost: 450,
+    weeklyOutOfPocket: 99.76
+  }
+];
+
+export const householdGoldenCases = [
+  {
+    name: 'two parents, two daily-fee children listed eldest first',
+    input: {
+      parent1: parent(120000, 5, 7.6),
+      parent2: parent(90000, 3, 7.6),
+      children: [dailyChild(4, 3), dailyChild(1, 3)],
+      withholdingRate: 5,
+      financialYear: '2025-26'
+    },
+    expected: {
+      householdIncome: 174000,
+      subsidisedHoursPerWeek: 36,
+      children: eldestAndBabyResults,
+      weekly: { subsidy: 650.45, grossSubsidy: 684.69, withheld: 34.23, fullCost: 900, outOfPocket: 249.55 },
+      annualOutOfPocket: 12976.6
+    }
+  },
+  {
+    name: 'two parents, two daily-fee children listed youngest first',
+    input: {
+      parent1: parent(120000, 5, 7.6),
+      parent2: parent(90000, 3, 7.6),
+      children: [dailyChild(1, 3), dailyChild(4, 3)],
+      withholdingRate: 5,
+      financialYear: '2025-26'
+    },
+    expected: {
+      householdIncome: 174000,
+      subsidisedHoursPerWeek: 36,
+      // The eldest by age keeps the standard rate whatever the input order
+      children: [...eldestAndBabyResults].reverse(),
+      weekly: { subsidy: 650.45, grossSubsidy: 684.69, withheld: 34.23, fullCost: 900, outOfPocket: 249.55 },
+      annualOutOfPocket: 12976.6
+    }
+  },
+  {
+    name: 'single parent, hourly family day care, no withholding',
+    input: {
+      parent1: parent(70000, 4, 8),
+      parent2: null,
+      children: [
+        {
+          age: 2,
+          careType: 'family-day-care',
+          feeType: 'hourly',
+          providerFee: 14,
+          hoursPerWeek: 32,
+          accsCategory: null,
+          firstNations: false
+        }
+      ],
+      withholdingRate: 0,
+      financialYear: '2024-25'
+    },
+    expected: {
+      householdIncome: 56000,
+      subsidisedHoursPerWeek: 50,
+      children: [
+        {
+          rateType: 'standard',
+          subsidyRate: 90,
+          subsidisedHoursPerFortnight: 100,
+          weeklySubsidy: 381.02,
+          weeklyWithheld: 0,
+          weeklyFullCost: 448,
+          weeklyOutOfPocket: 66.98
+        }
+      ],
+      weekly: { subsidy: 381.02, grossSubsidy: 381.02, withheld: 0, fullCost: 448, outOfPocket: 66.98 },
+      annualOutOfPocket: 3482.96
+    }
+  },
+  {
+    name: 'grandparent carer not working, daily-fee ACCS child',
+    input: {
+      parent1: parent(30000, 0, 0),
+      parent2: parent(0, 0, 0),
+      children: [dailyChild(3, 5, { dailyFee: 120, accsCategory: 'grandparent' })],
+      withholdingRate: 5,
+      financialYear: '2025-26'
+    },
+    expected: {
+      householdIncome: 0,
+      subsidisedHoursPerWeek: 36,
+      children: [
+        {
+          rateType: 'accs',
+          subsidyRate: 100,
+          subsidisedHoursPerFortnight: 100,
+          weeklySubsidy: 570,
+          weeklyWithheld: 30,
+          weeklyFullCost: 600,
+          weeklyOutOfPocket: 30
+        }
+      ],
+      weekly: { subsidy: 570, grossSubsidy: 600, withheld: 30, fullCost: 600, outOfPocket: 30 },
+      annualOutOfPocket: 1560
+    }
+  }
+];
@@ -83,6 +83,7 @@ describe('Phase 8.6 auth + storage integration', () => {
     storageManager.lastSavedState = null;
     storageManager.activeScenarioId = null;
     storageManager.activeScenarioName = 'My Scenario';
+    storageManager.activeScenarioRole = 'owner';
     syncIconEl.textContent = '';
     syncTextEl.textContent = '';
     syncStatusEl.classList._classes.clear();
@@ -200,4 +201,69 @@ describe('Phase 8.6 auth + storage integration', () => {
     expect(fallbackLoaded.formData.parent1.income).toBe(99000);
     global.fetch = (...args) => fetchMock.handler()(...args);
   });
+
+  test.each(['view', 'edit'])('keeps the user\'s own household after opening a scenario shared with %s access and reloading', async (role) => {
+    const ownState = {
+      formData: { parent1: { income: 65000 } },
+      timestamp: '2026-03-01T09:00:00.000Z'
+    };
+    const sharedState = {
+      formData: { parent1: { income: 180000 } },
+      timestamp: '2026-03-02T09:00:00.000Z'
+    };
+    localStorage.setItem('ccsCalculator', JSON.stringify({ version: 1, state: ownState, timestamp: ownState.timestamp }));
+
+    const requests = [];
+    global.fetch = (url, options = {}) => {
+      const method = options.method || 'GET';
+      requests.push(`${method} ${url}`);
+      const routes = {
+        'GET /.auth/me': { clientPrincipal: { userId: 'invitee', userDetails: 'invitee@example.com', identityProvider: 'github', userRoles: ['authenticated'] } },
+        'GET /api/user/profile': { activeScenarioId: 'own-1' },
+        'GET /api/scenarios/own-1': { id: 'own-1', name: 'Mine', data: ownState, role: 'owner', etag: 'W/"own"' },
+        'GET /api/scenarios/shared-1': { id: 'shared-1', name: 'Their Household', data: sharedState, role, etag: 'W/"shared"' },
+        'PUT /api/scenarios/shared-1': { id: 'shared-1', etag: 'W/"shared-2"' }
+      };
+      const data = routes[`${method} ${url}`];
+      return Promise.resolve(data ? mockResponse(true, 200, data) : mockResponse(false, 404, {}));
+    };
+
+    // Open the shared scenario from a dashboard link and edit it
+    storageManager.cloudStorageAvailable = true;
+    await storageManager.openScenario('shared-1');
+    await storageManager.saveScenario({ ...sharedState, timestamp: '2026-03-03T09:00:00.000Z' });
+    expect(JSON.parse(localStorage.getItem('ccsCalculator')).state).toEqual(ownState);
+
+    // Reload: a fresh page starts on the user's own active scenario
+    requests.length = 0;
+    authManager.clearCache();
+    storageManager.activeScenarioId = null;
+    storageManager.activeScenarioRole = 'owner';
+    await storageManager.initialize();
+
+    expect(requests.filter(request => !request.startsWith('GET'))).toEqual([]);
+    expect(JSON.parse(localStorage.getItem('ccsCalculator')).state).toEqual(ownState);
+    global.fetch = (...args) => fetchMock.handler()(...args);
+  });
+
+  test('does not sync local data into a shared scenario that is still open', async () => {
+    const ownState = { formData: { parent1: { income: 65000 } }, timestamp: new Date().toISOString() };
+    localStorage.setItem('ccsCalculator', JSON.stringify({ version: 1, state: ownState, timestamp: ownState.timestamp }));
+    storageManager.cloudStorageAvailable = true;
+    storageManager.activeScenarioId = 'shared-1';
+    storageManager.activeScenarioRole = 'edit';
+
+    const requests = [];
+    global.fetch = (url, options = {}) => {
+      requests.push(`${options.method || 'GET'} ${url}`);
+      return Promise.resolve(mockResponse(false, 404, {}));
+    };
+
+    await storageManager.syncWithCloud();
+
+    expect(requests).toEqual([]);
+    expect(storageManager.activeScenarioRole).toBe('edit');
+    storageManager.activeScenarioRole = 'owner';
+    global.fetch = (...args) => fetchMock.handler()(...args);
+  });
 });
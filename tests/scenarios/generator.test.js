@@ -2,6 +2,7 @@
  * Unit tests for scenario generator module
  */
 
+import { jest } from '@jest/globals';
 import {
   generateCommonScenarios,
   generateSingleParentScenarios,
@@ -170,6 +171,23 @@ describe('Scenario Generator', () => {
     });
   });
 
+  describe('strict generation', () => {
+    const invalidData = { ...baseData, parent1DropOff: true, parent2DropOff: true };
+
+    test('leaves out scenarios the engine rejects by default', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const scenarios = generateCommonScenarios(invalidData);
+      expect(scenarios.length).toBeLessThan(generateCommonScenarios(baseData).length);
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    test('throws the engine error when strict', () => {
+      expect(() => generateCommonScenarios(invalidData, { strict: true }))
+        .toThrow('Only one parent can do the drop-off');
+    });
+  });
+
   describe('createCustomScenario', () => {
     test('creates custom scenario with specific work days', () => {
       const customData = {
@@ -202,6 +220,193 @@ describe('Scenario Generator', () => {
     });
   });
 
+  describe('ACCS scenarios', () => {
+    test('grandparent carers get 100% subsidy even when not working', () => {
+      const scenario = createCustomScenario({
+        parent1BaseIncome: 30000,
+        parent2BaseIncome: 0,
+        parent1Days: 0,
+        parent2Days: 0,
+        parent1HoursPerDay: 7.6,
+        children: [
+          { age: 3, careType: 'centre-based', hoursPerWeek: 40, providerFee: 16, accsCategory: 'grandparent' }
+        ]
+      });
+
+      const child = scenario.childResults[0];
+      expect(child.accsCategory).toBe('grandparent');
+      expect(child.subsidyRate).toBe(100);
+      expect(child.hoursWithSubsidy).toBe(40);
+      // 40 hours × $16 with 5% withheld
+      expect(child.weeklySubsidy).toBeCloseTo(608, 2);
+    });
+
+    test('transition to work children still follow the activity test', () => {
+      const scenario = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 5,
+        children: [
+          { age: 3, careType: 'centre-based', hoursPerWeek: 50, providerFee: 12, accsCategory: 'transition-to-work' }
+        ]
+      });
+
+      const child = scenario.childResults[0];
+      expect(child.subsidyRate).toBe(95);
+      // Hours come from parent availability (5 × 7.6), within the 50 hours/week activity test limit
+      expect(child.hoursWithSubsidy).toBeCloseTo(38, 6);
+    });
+  });
+
+  describe('per-child subsidised hours', () => {
+    test('First Nations child gets 100 hours while sibling follows the activity test', () => {
+      const scenario = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 3,
+        parent1HoursPerDay: 10,
+        parent2HoursPerDay: 2,
+        financialYear: '2025-26',
+        children: [
+          { age: 4, careType: 'centre-based', hoursPerWeek: 50, providerFee: 12, firstNations: true },
+          { age: 2, careType: 'centre-based', hoursPerWeek: 50, providerFee: 12 }
+        ]
+      });
+
+      const [firstNationsChild, sibling] = scenario.childResults;
+      expect(firstNationsChild.subsidisedHoursPerFortnight).toBe(100);
+      expect(firstNationsChild.subsidisedHoursReason).toContain('First Nations');
+      expect(sibling.subsidisedHoursPerFortnight).toBe(72);
+    });
+
+    test('parent exemption lifts household hours', () => {
+      const scenario = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 1,
+        parent2HoursPerDay: 4,
+        parent2Exemption: 'carer',
+        financialYear: '2024-25'
+      });
+
+      expect(scenario.subsidisedHours.hoursPerFortnight).toBe(100);
+      expect(scenario.childResults[0].subsidisedHoursReason).toContain('Carer');
+    });
+  });
+
+  describe('recognised activities', () => {
+    test('study hours count towards the activity test', () => {
+      const withoutStudy = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 1,
+        parent2HoursPerDay: 4,
+        financialYear: '2024-25'
+      });
+      const withStudy = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 1,
+        parent2HoursPerDay: 4,
+        parent2Activities: { study: 20 },
+        financialYear: '2024-25'
+      });
+
+      // 8 hours of work → 36 hours; 8 + 20 study hours → 72 hours
+      expect(withoutStudy.subsidisedHours.hoursPerFortnight).toBe(36);
+      expect(withStudy.subsidisedHours.hoursPerFortnight).toBe(72);
+    });
+  });
+
+  describe('commutes', () => {
+    test('books care for the commute as well as work', () => {
+      const working = { ...baseData, parent1Days: 5, parent2Days: 0, parent1HoursPerDay: 6 };
+
+      // 6 hours of work, or 7 hours away with the commute, for 5 days at $12.50 an hour
+      expect(createCustomScenario(working).totalWeeklyCost).toBe(375);
+      expect(createCustomScenario({ ...working, parent1CommuteHours: 0.5 }).totalWeeklyCost).toBe(437.5);
+    });
+  });
+
+  describe('shift rosters', () => {
+    const shift = { startTime: '22:00', endTime: '06:00' };
+    const dayShift = { startTime: '09:00', endTime: '17:00' };
+    const nights = [{ monday: shift, tuesday: shift, wednesday: shift, thursday: shift, friday: shift }];
+    const days = [{ monday: dayShift, tuesday: dayShift, wednesday: dayShift, thursday: dayShift, friday: dayShift }];
+
+    test('needs no care when shifts do not overlap', () => {
+      const plain = createCustomScenario({ ...baseData, parent1Days: 5, parent2Days: 5 });
+      const rostered = createCustomScenario({
+        ...baseData,
+        parent1Days: 5,
+        parent2Days: 5,
+        parent1Roster: nights,
+        parent2Roster: days
+      });
+
+      expect(plain.totalWeeklyCost).toBeGreaterThan(0);
+      expect(rostered.totalWeeklyCost).toBe(0);
+    });
+
+    test('drops a roster when the scenario changes that parent\'s days', () => {
+      const rostered = createCustomScenario({
+        ...baseData,
+        parent1Days: 3,
+        parent2Days: 5,
+        parent1Roster: nights,
+        parent2Roster: days
+      });
+
+      // Parent 1 works Monday to Wednesday, so care is 3 days × 8 hours at $12.50
+      expect(rostered.totalWeeklyCost).toBe(300);
+    });
+  });
+
+  describe('date-range scenarios', () => {
+    const rangeData = {
+      ...baseData,
+      parent1Days: 5,
+      parent2Days: 5,
+      children: [
+        { age: 3, careType: 'centre-based', hoursPerWeek: 50, providerFee: 16 }
+      ]
+    };
+
+    test('has no date range breakdown by default', () => {
+      const scenario = createCustomScenario(rangeData);
+      expect(scenario.dateRange).toBeNull();
+      expect(scenario.annualSubsidy).toBeCloseTo(scenario.totalWeeklySubsidy * 52, 6);
+    });
+
+    test('splits a March to February budget at 1 July', () => {
+      const scenario = createCustomScenario({
+        ...rangeData,
+        startDate: '2025-03-01',
+        endDate: '2026-02-28'
+      });
+
+      expect(scenario.financialYear).toBe('2024-25');
+      expect(scenario.dateRange.periods).toHaveLength(3);
+      expect(scenario.dateRange.periods[0].ratesFinancialYear).toBe('2024-25');
+      expect(scenario.dateRange.periods[1].ratesFinancialYear).toBe('2025-26');
+      expect(scenario.dateRange.periods[2].startDate).toBe('2026-01-05');
+      expect(scenario.annualSubsidy).toBe(scenario.dateRange.totals.subsidy);
+      expect(scenario.annualOutOfPocket).toBe(scenario.dateRange.totals.outOfPocket);
+    });
+
+    test('later periods use the higher 2025-26 rate cap', () => {
+      const scenario = createCustomScenario({
+        ...rangeData,
+        startDate: '2025-03-01',
+        endDate: '2026-02-28'
+      });
+
+      const [before, after] = scenario.dateRange.periods;
+      expect(after.weekly.weeklySubsidy).toBeGreaterThan(before.weekly.weeklySubsidy);
+      expect(scenario.annualSubsidy).toBeGreaterThan(scenario.totalWeeklySubsidy * 52);
+    });
+  });
+
   describe('compareScenarios', () => {
     test('compares scenarios by net income (descending)', () => {
       const scenario1 = {
@@ -392,15 +597,28 @@ describe('Scenario Generator', () => {
       expect(fullTimeScenario.subsidisedHours.hoursPerWeek).toBe(50);
     });
 
-    test('calculates net income after childcare', () => {
+    test('calculates net income after tax and childcare', () => {
       const scenarios = generateCommonScenarios(baseData);
       
       scenarios.forEach(scenario => {
-        const expectedNet = scenario.householdIncome - scenario.annualOutOfPocket;
+        expect(scenario.afterTaxIncome).toBeCloseTo(scenario.householdIncome - scenario.incomeTax, 2);
+        const expectedNet = scenario.afterTaxIncome - scenario.annualOutOfPocket;
         expect(scenario.netIncomeAfterChildcare).toBeCloseTo(expectedNet, 2);
       });
     });
 
+    test('ranks an extra work day by what the household keeps after tax', () => {
+      const scenarios = generateCommonScenarios(baseData);
+      const fourDays = scenarios.find(s => s.parent1Days === 5 && s.parent2Days === 4);
+      const fiveDays = scenarios.find(s => s.parent1Days === 5 && s.parent2Days === 5);
+
+      const grossGain = (fiveDays.householdIncome - fiveDays.annualOutOfPocket) -
+        (fourDays.householdIncome - fourDays.annualOutOfPocket);
+      const netGain = fiveDays.netIncomeAfterChildcare - fourDays.netIncomeAfterChildcare;
+
+      expect(netGain).toBeLessThan(grossGain);
+    });
+
     test('calculates childcare cost percentage', () => {
       const scenarios = generateCommonScenarios(baseData);
       
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for the batch household calculator CLI
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import {
+  parseArgs,
+  parseCsv,
+  householdsFromCsvRows,
+  readHouseholds,
+  calculateHouseholdReport,
+  formatReportsCsv,
+  reportFileNames,
+  main
+} from '../../scripts/calculate-households.js';
+import { householdGoldenCases } from '../fixtures/household-golden.js';
+
+const EXAMPLE_CSV = 'scripts/examples/households.csv';
+
+// Both parents do the drop-off, which only clashes once a scenario has them both at work
+const goldenWithScenarioClash = () => {
+  const [golden] = householdGoldenCases;
+  return {
+    ...golden.input,
+    parent1: { ...golden.input.parent1, dropOff: true },
+    parent2: { ...golden.input.parent2, days: 0, dropOff: true }
+  };
+};
+
+describe('Batch household calculator', () => {
+  describe('parseArgs', () => {
+    test('applies defaults', () => {
+      expect(parseArgs(['households.csv'])).toEqual({
+        input: 'households.csv',
+        scenarios: 'simplified',
+        format: 'json'
+      });
+    });
+
+    test('reads every option', () => {
+      const options = parseArgs([
+        'households.json', '--year', '2024-25', '--withholding', '10',
+        '--scenarios', 'all', '--format', 'csv', '--out', 'reports'
+      ]);
+
+      expect(options).toEqual({
+        input: 'households.json',
+        year: '2024-25',
+        withholding: 10,
+        scenarios: 'all',
+        format: 'csv',
+        out: 'reports'
+      });
+    });
+
+    test('rejects invalid values', () => {
+      expect(() => parseArgs([])).toThrow('An input file is required');
+      expect(() => parseArgs(['a.csv', '--year', '1999-00'])).toThrow('Invalid financial year: 1999-00');
+      expect(() => parseArgs(['a.csv', '--withholding', '120'])).toThrow('Withholding rate must be between 0 and 100');
+      expect(() => parseArgs(['a.csv', '--scenarios', 'some'])).toThrow('Invalid scenario mode: some');
+      expect(() => parseArgs(['a.csv', '--format', 'xml'])).toThrow('Invalid report format: xml');
+      expect(() => parseArgs(['a.csv', '--verbose'])).toThrow('Unknown option: --verbose');
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes and CRLF line endings', () => {
+      expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([
+        ['a', 'b'],
+        ['x, y', 'say "hi"']
+      ]);
+    });
+  });
+
+  describe('householdsFromCsvRows', () => {
+    test('groups child rows by household_id', () => {
+      const households = readHouseholds(EXAMPLE_CSV);
+
+      expect(households.map(household => household.id)).toEqual(['smith', 'nguyen']);
+      expect(households[0].children).toHaveLength(2);
+      expect(households[0].parent2).toEqual({ income: 90000, days: 3, hours: 7.6, exemption: null });
+      expect(households[1].children[0]).toMatchObject({ feeType: 'hourly', providerFee: 14, hoursPerWeek: 32 });
+    });
+
+    test('records the CSV rows of each household', () => {
+      const households = readHouseholds(EXAMPLE_CSV);
+      expect(households.map(household => household.rows)).toEqual([[2, 3], [4]]);
+    });
+
+    test('requires a household_id column', () => {
+      expect(() => householdsFromCsvRows([['id'], ['1']])).toThrow('CSV must have a household_id column');
+    });
+  });
+
+  describe('calculateHouseholdReport', () => {
+    test('matches the shared engine golden result', () => {
+      const [golden] = householdGoldenCases;
+      const report = calculateHouseholdReport(
+        { id: 'golden', ...golden.input },
+        { scenarios: 'simplified' }
+      );
+
+      expect(report.householdId).toBe('golden');
+      expect(report.breakdown.weekly).toEqual(golden.expected.weekly);
+      expect(report.scenarios[0].name).toBe('Your Current Settings');
+      expect(report.scenarios[0].annualOutOfPocket).toBe(golden.expected.annualOutOfPocket);
+    });
+
+    test('rejects values that are not numbers, naming the CSV row', () => {
+      const [header, first, second] = parseCsv(fs.readFileSync(EXAMPLE_CSV, 'utf-8'));
+      const [household] = householdsFromCsvRows([
+        header,
+        ['smith', 'abc', ...first.slice(2)],
+        [...second.slice(0, 9), 'one', ...second.slice(10)]
+      ]);
+
+      expect(() => calculateHouseholdReport(household, { scenarios: 'none' })).toThrow(
+        'parent1.income must be a number (row 2); children[1].age must be a number (row 3)'
+      );
+    });
+
+    test('rejects a thousands separator in a number', () => {
+      const [header, first] = parseCsv('household_id,parent1_income,parent1_days,parent1_hours,child_age,care_type,daily_fee,hours_per_day\n' +
+        'a,"120,000",5,8,2,centre-based,150,10\n');
+      const [household] = householdsFromCsvRows([header, first]);
+
+      expect(() => calculateHouseholdReport(household, { scenarios: 'none' }))
+        .toThrow('parent1.income must be a number (row 2)');
+    });
+
+    test('rejects a household when the engine rejects one of its scenarios', () => {
+      const household = { id: 'clash', ...goldenWithScenarioClash() };
+
+      expect(calculateHouseholdReport(household, { scenarios: 'none' }).breakdown).toBeDefined();
+      expect(() => calculateHouseholdReport(household, { scenarios: 'simplified' }))
+        .toThrow('Only one parent can do the drop-off');
+    });
+
+    test('uses command-line year and withholding when a household sets neither', () => {
+      const [golden] = householdGoldenCases;
+      const { withholdingRate: _rate, financialYear: _year, ...input } = golden.input;
+      const report = calculateHouseholdReport(input, { year: '2024-25', withholding: 0, scenarios: 'none' });
+
+      expect(report.financialYear).toBe('2024-25');
+      expect(report.breakdown.weekly.withheld).toBe(0);
+      expect(report.scenarios).toEqual([]);
+    });
+  });
+
+  describe('formatReportsCsv', () => {
+    test('writes the household as entered followed by its scenarios', () => {
+      const reports = readHouseholds(EXAMPLE_CSV)
+        .map(household => calculateHouseholdReport(household, { scenarios: 'single-parent' }));
+      const lines = formatReportsCsv(reports).trim().split('\n');
+
+      expect(lines[0]).toBe('householdId,row,parent1Days,parent2Days,householdIncome,weeklySubsidy,' +
+        'weeklyOutOfPocket,annualSubsidy,annualOutOfPocket,netIncomeAfterChildcare,childcareCostPercentage');
+      expect(lines[1]).toBe('smith,As entered,5,3,174000,650.45,249.55,33823.4,12976.6,123957.4,7.46');
+      // 2 households × (1 entered row + 5 single-parent scenarios) + header
+      expect(lines).toHaveLength(13);
+    });
+  });
+
+  describe('reportFileNames', () => {
+    test('adds a suffix when household ids map to the same file name', () => {
+      const reports = ['a b', 'a_b', 'A_B', 'a_b-2', 'smith'].map(householdId => ({ householdId }));
+
+      expect(reportFileNames(reports, 'json')).toEqual([
+        'a_b.json',
+        'a_b-2.json',
+        'A_B-3.json',
+        'a_b-2-2.json',
+        'smith.json'
+      ]);
+    });
+  });
+
+  describe('main', () => {
+    test('reports an input file that cannot be read instead of throwing', () => {
+      const errors = [];
+      jest.spyOn(console, 'error').mockImplementation(message => errors.push(message));
+
+      expect(main(['missing-households.csv'])).toBe(2);
+      expect(errors[0]).toMatch(/^Could not read missing-households\.csv: ENOENT/);
+      console.error.mockRestore();
+    });
+
+    test('reports a household with a rejected scenario and exits with status 1', () => {
+      const [golden] = householdGoldenCases;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'households-'));
+      const input = path.join(dir, 'households.json');
+      fs.writeFileSync(input, JSON.stringify([
+        { id: 'valid', ...golden.input },
+        { id: 'clash', ...goldenWithScenarioClash() }
+      ]));
+      const errors = [];
+      jest.spyOn(console, 'error').mockImplementation(message => errors.push(message));
+      const output = [];
+      jest.spyOn(process.stdout, 'write').mockImplementation(text => output.push(text));
+
+      try {
+        expect(main([input])).toBe(1);
+      } finally {
+        console.error.mockRestore();
+        process.stdout.write.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(errors).toEqual(['Household clash: Only one parent can do the drop-off']);
+      expect(JSON.parse(output.join('')).map(report => report.householdId)).toEqual(['valid']);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for Scenario Merge Module
+ */
+
+import {
+  diffScenarioData,
+  mergeScenarioData,
+  MERGE_RESOLUTIONS
+} from '../../src/js/storage/scenario-merge.js';
+
+function buildState(overrides = {}) {
+  return {
+    formData: {
+      parent1: { income: 80000, days: 5, hours: 8, workDays: ['monday', 'tuesday'] },
+      parent2: { income: 60000, days: 3, hours: 8, workDays: [] },
+      children: [{ id: 'child-a', age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150 }],
+      withholdingRate: 5,
+      financialYear: '2025-26',
+      ...overrides
+    },
+    results: { totalWeeklyGap: 100 },
+    timestamp: '2026-03-01T00:00:00.000Z'
+  };
+}
+
+function resolutionOf(fields, path) {
+  return fields.find(field => field.path === path).resolution;
+}
+
+describe('Scenario Merge', () => {
+  const base = buildState();
+
+  describe('diffScenarioData', () => {
+    test('marks fields changed on one side and on both', () => {
+      const local = buildState({
+        parent1: { ...base.formData.parent1, income: 90000 },
+        withholdingRate: 10
+      });
+      const server = buildState({
+        parent2: { ...base.formData.parent2, days: 4 },
+        withholdingRate: 0
+      });
+
+      const fields = diffScenarioData(base, local, server);
+      expect(resolutionOf(fields, 'parent1.income')).toBe(MERGE_RESOLUTIONS.LOCAL);
+      expect(resolutionOf(fields, 'parent2.days')).toBe(MERGE_RESOLUTIONS.SERVER);
+      expect(resolutionOf(fields, 'withholdingRate')).toBe(MERGE_RESOLUTIONS.CONFLICT);
+      expect(resolutionOf(fields, 'children.child-a.age')).toBe(MERGE_RESOLUTIONS.SAME);
+      expect(fields.find(field => field.path === 'withholdingRate')).toMatchObject({
+        label: 'Withholding rate',
+        base: 5,
+        local: 10,
+        server: 0
+      });
+    });
+
+    test('labels parent fields and children', () => {
+      const fields = diffScenarioData(base, base, base);
+      expect(fields.find(field => field.path === 'parent2.hours').label).toBe('Parent 2 hours per day');
+      expect(fields.find(field => field.path === 'children.child-a.dailyFee').label).toBe('Child 1 daily fee');
+    });
+
+    test('treats every difference as a conflict without a base', () => {
+      const local = buildState({ withholdingRate: 10 });
+      const fields = diffScenarioData(null, local, base);
+      expect(resolutionOf(fields, 'withholdingRate')).toBe(MERGE_RESOLUTIONS.CONFLICT);
+      expect(resolutionOf(fields, 'parent1.income')).toBe(MERGE_RESOLUTIONS.SAME);
+    });
+  });
+
+  describe('mergeScenarioData', () => {
+    test('merges changes to different fields automatically', () => {
+      const local = buildState({ parent1: { ...base.formData.parent1, income: 90000 } });
+      const server = buildState({ parent2: { ...base.formData.parent2, days: 4 } });
+
+      const merged = mergeScenarioData(base, local, server);
+      expect(merged.formData.parent1.income).toBe(90000);
+      expect(merged.formData.parent2.days).toBe(4);
+      expect(merged.formData.children).toEqual(base.formData.children);
+      expect(merged.results).toBeNull();
+    });
+
+    test('uses the chosen side for conflicting fields', () => {
+      const local = buildState({ withholdingRate: 10, financialYear: '2026-27' });
+      const server = buildState({ withholdingRate: 0, financialYear: '2024-25' });
+
+      const merged = mergeScenarioData(base, local, server, {
+        withholdingRate: MERGE_RESOLUTIONS.LOCAL,
+        financialYear: MERGE_RESOLUTIONS.SERVER
+      });
+      expect(merged.formData.withholdingRate).toBe(10);
+      expect(merged.formData.financialYear).toBe('2024-25');
+    });
+
+    test('throws when a conflicting field has no choice', () => {
+      const local = buildState({ withholdingRate: 10 });
+      const server = buildState({ withholdingRate: 0 });
+      expect(() => mergeScenarioData(base, local, server))
+        .toThrow('Choose which version of Withholding rate to keep');
+    });
+
+    test('keeps a child added on one side and removes one deleted on the other', () => {
+      const twoChildren = buildState({
+        children: [...base.formData.children, { id: 'child-b', age: 4, careType: 'centre-based', feeType: 'daily', dailyFee: 140 }]
+      });
+      const local = buildState({
+        children: [...twoChildren.formData.children, { id: 'child-c', age: 0, careType: 'family-day-care' }]
+      });
+      const server = buildState({ children: [twoChildren.formData.children[1]] });
+
+      const merged = mergeScenarioData(twoChildren, local, server);
+      expect(merged.formData.children.map(child => child.id)).toEqual(['child-b', 'child-c']);
+    });
+
+    test('merges each child field by id after a child is removed on the other side', () => {
+      const [first] = base.formData.children;
+      const second = { id: 'child-b', age: 4, careType: 'centre-based', feeType: 'daily', dailyFee: 140 };
+      const twoChildren = buildState({ children: [first, second] });
+      const local = buildState({ children: [first, { ...second, age: 5 }] });
+      const server = buildState({ children: [{ ...second, dailyFee: 145 }] });
+
+      const fields = diffScenarioData(twoChildren, local, server);
+      expect(resolutionOf(fields, 'children.child-a')).toBe(MERGE_RESOLUTIONS.SERVER);
+      expect(fields.some(field => field.resolution === MERGE_RESOLUTIONS.CONFLICT)).toBe(false);
+
+      const merged = mergeScenarioData(twoChildren, local, server);
+      expect(merged.formData.children).toEqual([{ ...second, age: 5, dailyFee: 145 }]);
+    });
+
+    test('keeps this device\'s order when children are reordered', () => {
+      const [first] = base.formData.children;
+      const second = { id: 'child-b', age: 4, careType: 'centre-based', feeType: 'daily', dailyFee: 140 };
+      const twoChildren = buildState({ children: [first, second] });
+      const local = buildState({ children: [second, first] });
+      const server = buildState({ children: [{ ...first, dailyFee: 155 }, second] });
+
+      const merged = mergeScenarioData(twoChildren, local, server);
+      expect(merged.formData.children).toEqual([second, { ...first, dailyFee: 155 }]);
+    });
+
+    test('matches children saved without ids by position', () => {
+      const child = { age: 2, careType: 'centre-based', feeType: 'daily', dailyFee: 150 };
+      const legacy = buildState({ children: [child] });
+      const local = buildState({ children: [{ ...child, age: 3 }] });
+      const server = buildState({ children: [{ ...child, dailyFee: 160 }] });
+
+      const fields = diffScenarioData(legacy, local, server);
+      expect(resolutionOf(fields, 'children.0.age')).toBe(MERGE_RESOLUTIONS.LOCAL);
+      expect(mergeScenarioData(legacy, local, server).formData.children).toEqual([{ ...child, age: 3, dailyFee: 160 }]);
+    });
+
+    test('returns the server state when there is no local state', () => {
+      expect(mergeScenarioData(base, null, base)).toBe(base);
+    });
+  });
+});
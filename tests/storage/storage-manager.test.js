@@ -2,8 +2,10 @@
  * Tests for Storage Manager Module
  */
 
+import { jest } from '@jest/globals';
 import { storageManager } from '../../src/js/storage/storage-manager.js';
 import { authManager } from '../../src/js/auth/auth-manager.js';
+import { SyncQueue, createMemoryOutbox } from '../../src/js/storage/sync-queue.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -41,8 +43,11 @@ const syncStatusEl = {
   }
 };
 
+const dispatchedEvents = [];
+
 global.document = {
-  getElementById: (id) => (id === 'sync-status' ? syncStatusEl : null)
+  getElementById: (id) => (id === 'sync-status' ? syncStatusEl : null),
+  dispatchEvent: (event) => { dispatchedEvents.push(event); return true; }
 };
 
 /** Helper: build a mock Response-like object */
@@ -97,6 +102,14 @@ describe('StorageManager', () => {
     storageManager.lastSavedState = null;
     storageManager.activeScenarioId = null;
     storageManager.activeScenarioName = 'My Scenario';
+    storageManager.activeScenarioRole = 'owner';
+    storageManager.viewingSnapshot = false;
+    storageManager.serverEtag = null;
+    storageManager.baseState = null;
+    storageManager.conflictResolver = null;
+    storageManager.syncQueue = new SyncQueue(createMemoryOutbox());
+    storageManager._writtenEtags.clear();
+    dispatchedEvents.length = 0;
     syncStatusEl.classList._classes.clear();
     syncIconEl.textContent = '';
     syncTextEl.textContent = '';
@@ -237,6 +250,23 @@ describe('StorageManager', () => {
       expect(syncTextEl.textContent).toBe('Synced');
     });
 
+    test('should queue the save and show a pending count on network error', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'existing-id';
+      storageManager.serverEtag = 'W/"1"';
+      global.fetch = () => Promise.reject(new Error('Network error'));
+
+      await storageManager.saveScenario({ formData: { parent1: { income: 50000 } } });
+      await storageManager.deleteScenario('other-id');
+
+      const pending = await storageManager.syncQueue.getPending();
+      expect(pending.map(entry => entry.type)).toEqual(['update', 'delete']);
+      expect(pending[0].etag).toBe('W/"1"');
+      expect(syncTextEl.textContent).toBe('2 changes waiting to sync');
+      expect(syncStatusEl.classList.contains('pending')).toBe(true);
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
     test('should update sync status to error when cloud save fails', async () => {
       storageManager.cloudStorageAvailable = true;
       const state = { formData: { parent1: { income: 50000 } }, timestamp: new Date().toISOString() };
@@ -269,6 +299,208 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('replayQueue()', () => {
+    test('should replay queued writes in order with the ETag once back online', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'existing-id';
+      storageManager.serverEtag = 'W/"1"';
+      const state = { formData: { parent1: { income: 50000 } } };
+
+      global.fetch = () => Promise.reject(new Error('Network error'));
+      await storageManager.saveScenario(state);
+      await storageManager.renameScenario('existing-id', 'Renamed');
+      expect(await storageManager.syncQueue.count()).toBe(2);
+
+      const requests = [];
+      global.fetch = (url, options) => {
+        requests.push({ url, method: options.method, ifMatch: options.headers?.['If-Match'] });
+        return Promise.resolve(mockResponse(true, 200, { id: 'existing-id', etag: `W/"${requests.length + 1}"` }));
+      };
+      // Clear the backoff so the replay runs now
+      for (const entry of await storageManager.syncQueue.getPending()) {
+        await storageManager.syncQueue._outbox.put({ ...entry, nextAttemptAt: 0 });
+      }
+      await storageManager.replayQueue();
+
+      expect(requests).toEqual([
+        { url: '/api/scenarios/existing-id', method: 'PUT', ifMatch: 'W/"1"' },
+        { url: '/api/scenarios/existing-id', method: 'PUT', ifMatch: undefined }
+      ]);
+      expect(await storageManager.syncQueue.count()).toBe(0);
+      expect(storageManager.serverEtag).toBe('W/"3"');
+      expect(storageManager.baseState).toEqual(state);
+      expect(syncTextEl.textContent).toBe('Synced');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should send a later queued save with the ETag the earlier replays left', async () => {
+      storageManager.cloudStorageAvailable = true;
+      await storageManager.syncQueue.enqueue({
+        type: 'update', scenarioId: 'existing-id', body: { data: { formData: {} } }, etag: 'W/"1"'
+      });
+      await storageManager.syncQueue.enqueue({ type: 'rename', scenarioId: 'existing-id', body: { name: 'Renamed' } });
+      await storageManager.syncQueue.enqueue({
+        type: 'update', scenarioId: 'existing-id', body: { data: { formData: {} } }, etag: 'W/"1"'
+      });
+
+      const ifMatches = [];
+      global.fetch = (url, options) => {
+        ifMatches.push(options.headers['If-Match']);
+        return Promise.resolve(mockResponse(true, 200, { id: 'existing-id', etag: `W/"${ifMatches.length + 1}"` }));
+      };
+      await storageManager.replayQueue();
+
+      expect(ifMatches).toEqual(['W/"1"', undefined, 'W/"3"']);
+      expect(await storageManager.syncQueue.count()).toBe(0);
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should not track the version of a queued save to a scenario that is no longer active', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'other-id';
+      storageManager.serverEtag = 'W/"7"';
+      const otherBase = { formData: { parent1: { income: 90000 } } };
+      storageManager.baseState = otherBase;
+      await storageManager.syncQueue.enqueue({
+        type: 'update', scenarioId: 'existing-id', body: { data: { formData: {} } }, etag: 'W/"1"'
+      });
+      await storageManager.syncQueue.enqueue({
+        type: 'create', scenarioId: null, body: { data: { formData: {} } }
+      });
+
+      fetchMock
+        .enqueue(mockResponse(true, 200, { id: 'existing-id', etag: 'W/"2"' }))
+        .enqueue(mockResponse(true, 201, { id: 'new-id', etag: 'W/"1"' }));
+      await storageManager.replayQueue();
+
+      expect(await storageManager.syncQueue.count()).toBe(0);
+      expect(storageManager.activeScenarioId).toBe('other-id');
+      expect(storageManager.serverEtag).toBe('W/"7"');
+      expect(storageManager.baseState).toBe(otherBase);
+    });
+
+    test('should retry server errors and drop writes the server rejects', async () => {
+      storageManager.cloudStorageAvailable = true;
+      await storageManager.syncQueue.enqueue({ type: 'delete', scenarioId: 'gone' });
+      await storageManager.syncQueue.enqueue({ type: 'delete', scenarioId: 'other' });
+
+      fetchMock
+        .enqueue(mockResponse(false, 404, {}))
+        .enqueue(mockResponse(false, 503, {}));
+      await storageManager.replayQueue();
+
+      const pending = await storageManager.syncQueue.getPending();
+      expect(pending).toHaveLength(1);
+      expect(pending[0]).toMatchObject({ scenarioId: 'other', attempts: 1 });
+      expect(syncTextEl.textContent).toBe('1 change waiting to sync');
+    });
+
+    test('should merge a queued save that conflicts with another device', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'existing-id';
+      const base = { formData: { parent1: { income: 50000, days: 3 } } };
+      const local = { formData: { parent1: { income: 70000, days: 3 } } };
+      const server = { formData: { parent1: { income: 50000, days: 4 } } };
+      storageManager.baseState = base;
+      await storageManager.syncQueue.enqueue({
+        type: 'update', scenarioId: 'existing-id', body: { data: local }, etag: 'W/"1"'
+      });
+
+      const requests = [];
+      fetchMock
+        // Replayed PUT - changed on another device
+        .enqueue(mockResponse(false, 409, { serverVersion: { data: server, etag: 'W/"2"' } }))
+        // PUT of the merged state
+        .enqueue(mockResponse(true, 200, { id: 'existing-id', etag: 'W/"3"' }));
+      global.fetch = (url, options) => {
+        requests.push(options);
+        return fetchMock.handler()(url, options);
+      };
+      await storageManager.replayQueue();
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].headers['If-Match']).toBe('W/"2"');
+      expect(JSON.parse(requests[1].body).data.formData.parent1).toEqual({ income: 70000, days: 4 });
+      expect(await storageManager.syncQueue.count()).toBe(0);
+      expect(storageManager.serverEtag).toBe('W/"3"');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should merge a conflicting queued save of another scenario without touching the form', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'other-id';
+      storageManager.serverEtag = 'W/"7"';
+      const activeBase = { formData: { parent1: { income: 120000, days: 5 } } };
+      storageManager.baseState = activeBase;
+      storageManager.conflictResolver = jest.fn();
+      const base = { formData: { parent1: { income: 50000, days: 3, hours: 8 } } };
+      const local = { formData: { parent1: { income: 70000, days: 3, hours: 9 } } };
+      const server = { formData: { parent1: { income: 50000, days: 4, hours: 10 } } };
+      await storageManager.syncQueue.enqueue({
+        type: 'update', scenarioId: 'existing-id', body: { name: 'Plan B', data: local }, etag: 'W/"1"', base
+      });
+
+      const requests = [];
+      fetchMock
+        .enqueue(mockResponse(false, 409, { serverVersion: { data: server, etag: 'W/"2"' } }))
+        .enqueue(mockResponse(true, 200, { id: 'existing-id', etag: 'W/"3"' }));
+      global.fetch = (url, options) => {
+        requests.push({ url, options });
+        return fetchMock.handler()(url, options);
+      };
+      await storageManager.replayQueue();
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].url).toBe('/api/scenarios/existing-id');
+      expect(requests[1].options.headers['If-Match']).toBe('W/"2"');
+      const body = JSON.parse(requests[1].options.body);
+      expect(body.name).toBe('Plan B');
+      // Hours changed on both devices: the server's value is kept
+      expect(body.data.formData.parent1).toEqual({ income: 70000, days: 4, hours: 10 });
+      expect(await storageManager.syncQueue.count()).toBe(0);
+      expect(storageManager.conflictResolver).not.toHaveBeenCalled();
+      expect(dispatchedEvents).toHaveLength(0);
+      expect(storageManager.activeScenarioId).toBe('other-id');
+      expect(storageManager.serverEtag).toBe('W/"7"');
+      expect(storageManager.baseState).toBe(activeBase);
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should replay only the writes of the user signed in now', async () => {
+      storageManager.cloudStorageAvailable = true;
+      authManager.user = { id: 'user-1' };
+      global.fetch = () => Promise.reject(new Error('Network error'));
+      await storageManager.deleteScenario('mine');
+      authManager.user = { id: 'user-2' };
+
+      const requests = [];
+      global.fetch = (url, options) => {
+        requests.push(url);
+        return fetchMock.handler()(url, options);
+      };
+      for (const entry of await storageManager.syncQueue.getPending()) {
+        await storageManager.syncQueue._outbox.put({ ...entry, nextAttemptAt: 0 });
+      }
+      await storageManager.replayQueue();
+
+      expect(requests).toHaveLength(0);
+      const pending = await storageManager.syncQueue.getPending();
+      expect(pending).toHaveLength(1);
+      expect(pending[0]).toMatchObject({ scenarioId: 'mine', userId: 'user-1' });
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should discard the signed-in user\'s unsynced writes', async () => {
+      await storageManager.syncQueue.enqueue({ type: 'delete', scenarioId: 'a', userId: 'user-1' });
+      await storageManager.syncQueue.enqueue({ type: 'delete', scenarioId: 'b', userId: 'user-2' });
+      authManager.user = { id: 'user-1' };
+
+      expect(await storageManager.discardQueuedWrites()).toBe(1);
+      const pending = await storageManager.syncQueue.getPending();
+      expect(pending.map(entry => entry.scenarioId)).toEqual(['b']);
+    });
+  });
+
   describe('listScenarios()', () => {
     test('should return empty array when cloud is unavailable', async () => {
       storageManager.cloudStorageAvailable = false;
@@ -325,6 +557,8 @@ describe('StorageManager', () => {
   });
 
   describe('handleConflict()', () => {
+    const baseState = { formData: { parent1: { income: 50000, days: 3 }, withholdingRate: 5 } };
+
     test('should save server version to localStorage', async () => {
       const serverData = { formData: { parent1: { income: 75000 } }, timestamp: new Date().toISOString() };
       await storageManager.handleConflict({ serverVersion: { data: serverData } });
@@ -332,6 +566,60 @@ describe('StorageManager', () => {
       expect(saved.state.formData.parent1.income).toBe(75000);
       expect(syncTextEl.textContent).toBe('Conflict resolved');
     });
+
+    test('should merge changes to different fields and save with the server ETag', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.activeScenarioId = 'existing-id';
+      storageManager.baseState = baseState;
+      const localState = { formData: { parent1: { income: 60000, days: 3 }, withholdingRate: 5 } };
+      const serverData = { formData: { parent1: { income: 50000, days: 4 }, withholdingRate: 5 } };
+
+      let captured = null;
+      global.fetch = (url, options) => {
+        captured = { url, ifMatch: options.headers['If-Match'], body: JSON.parse(options.body) };
+        return Promise.resolve(mockResponse(true, 200, { id: 'existing-id', etag: 'etag-3' }));
+      };
+
+      await storageManager.handleConflict({ serverVersion: { data: serverData, etag: 'etag-2' } }, localState);
+      global.fetch = (...args) => fetchMock.handler()(...args);
+
+      expect(captured.url).toBe('/api/scenarios/existing-id');
+      expect(captured.ifMatch).toBe('etag-2');
+      expect(captured.body.data.formData.parent1).toEqual({ income: 60000, days: 4 });
+      expect(storageManager.serverEtag).toBe('etag-3');
+      expect(dispatchedEvents[0].type).toBe('scenarioMerged');
+      expect(syncTextEl.textContent).toBe('Conflict resolved');
+    });
+
+    test('should ask the conflict resolver about fields changed on both devices', async () => {
+      storageManager.baseState = baseState;
+      const localState = { formData: { parent1: { income: 60000, days: 3 }, withholdingRate: 5 } };
+      const serverData = { formData: { parent1: { income: 70000, days: 3 }, withholdingRate: 5 } };
+      let askedFields = null;
+      storageManager.conflictResolver = async (fields) => {
+        askedFields = fields.filter(field => field.resolution === 'conflict').map(field => field.path);
+        return { 'parent1.income': 'local' };
+      };
+
+      await storageManager.handleConflict({ serverVersion: { data: serverData } }, localState);
+
+      expect(askedFields).toEqual(['parent1.income']);
+      const saved = JSON.parse(localStorage.getItem('ccsCalculator'));
+      expect(saved.state.formData.parent1.income).toBe(60000);
+    });
+
+    test('should keep local edits unsaved when the resolver is cancelled', async () => {
+      storageManager.baseState = baseState;
+      const localState = { formData: { parent1: { income: 60000, days: 3 }, withholdingRate: 5 } };
+      const serverData = { formData: { parent1: { income: 70000, days: 3 }, withholdingRate: 5 } };
+      storageManager.conflictResolver = async () => null;
+
+      const result = await storageManager.handleConflict({ serverVersion: { data: serverData } }, localState);
+
+      expect(result).toBeUndefined();
+      expect(dispatchedEvents).toHaveLength(0);
+      expect(syncTextEl.textContent).toBe('Conflict – not saved');
+    });
   });
 
   describe('syncWithCloud()', () => {
@@ -428,11 +716,13 @@ describe('StorageManager', () => {
       global.fetch = (...args) => fetchMock.handler()(...args);
     });
 
-    test('should return false on network error', async () => {
+    test('should queue the rename on network error', async () => {
       storageManager.cloudStorageAvailable = true;
       global.fetch = () => Promise.reject(new Error('Network error'));
       const result = await storageManager.renameScenario('some-id', 'New Name');
-      expect(result).toBe(false);
+      expect(result).toBe(true);
+      const [entry] = await storageManager.syncQueue.getPending();
+      expect(entry).toMatchObject({ type: 'rename', scenarioId: 'some-id', body: { name: 'New Name' } });
       global.fetch = (...args) => fetchMock.handler()(...args);
     });
   });
@@ -485,6 +775,270 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('loadScenario()', () => {
+    test('should remember the server ETag and data as the merge base', async () => {
+      storageManager.cloudStorageAvailable = true;
+      const data = { formData: { parent1: { income: 80000 } } };
+      fetchMock.enqueue(mockResponse(true, 200, { id: 'some-id', data, etag: 'etag-1' }));
+
+      await storageManager.loadScenario('some-id');
+
+      expect(storageManager.serverEtag).toBe('etag-1');
+      expect(storageManager.baseState).toEqual(data);
+    });
+  });
+
+  describe('openScenario()', () => {
+    function captureRequests(scenario) {
+      const requests = [];
+      global.fetch = (url, options = {}) => {
+        requests.push(`${options.method || 'GET'} ${url}`);
+        return Promise.resolve(mockResponse(true, 200, scenario));
+      };
+      return requests;
+    }
+
+    afterEach(() => {
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should activate a scenario the user owns', async () => {
+      storageManager.cloudStorageAvailable = true;
+      const requests = captureRequests({ id: 'own-1', name: 'Mine', data: {}, role: 'owner' });
+
+      const scenario = await storageManager.openScenario('own-1');
+
+      expect(scenario.id).toBe('own-1');
+      expect(requests).toEqual(['GET /api/scenarios/own-1', 'POST /api/scenarios/own-1/activate']);
+      expect(storageManager.activeScenarioId).toBe('own-1');
+    });
+
+    test.each(['view', 'edit'])('should open a scenario shared with %s access without activating it', async (role) => {
+      storageManager.cloudStorageAvailable = true;
+      const requests = captureRequests({ id: 'shared-1', name: 'Household', data: {}, role });
+
+      const scenario = await storageManager.openScenario('shared-1');
+
+      expect(scenario.id).toBe('shared-1');
+      expect(requests).toEqual(['GET /api/scenarios/shared-1']);
+      expect(storageManager.activeScenarioRole).toBe(role);
+      expect(storageManager.activeScenarioId).toBe('shared-1');
+      expect(storageManager.activeScenarioName).toBe('Household');
+    });
+
+    test('should return null when the scenario cannot be loaded', async () => {
+      storageManager.cloudStorageAvailable = true;
+      fetchMock.enqueue(mockResponse(false, 404, {}));
+      expect(await storageManager.openScenario('missing')).toBeNull();
+      expect(storageManager.activeScenarioId).toBeNull();
+    });
+  });
+
+  describe('listScenarioVersions()', () => {
+    test('should return empty array when cloud is unavailable', async () => {
+      storageManager.cloudStorageAvailable = false;
+      const result = await storageManager.listScenarioVersions('some-id');
+      expect(result).toEqual([]);
+    });
+
+    test('should return versions array from cloud', async () => {
+      storageManager.cloudStorageAvailable = true;
+      const versions = [{ revision: 2, changes: [] }, { revision: 1, changes: [] }];
+      fetchMock.enqueue(mockResponse(true, 200, { versions, continuationToken: null }));
+      const result = await storageManager.listScenarioVersions('some-id');
+      expect(result).toEqual(versions);
+    });
+
+    test('should return empty array when the scenario is not found', async () => {
+      storageManager.cloudStorageAvailable = true;
+      fetchMock.enqueue(mockResponse(false, 404, {}));
+      const result = await storageManager.listScenarioVersions('non-existent');
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('restoreScenarioVersion()', () => {
+    test('should return null when cloud is unavailable', async () => {
+      storageManager.cloudStorageAvailable = false;
+      const result = await storageManager.restoreScenarioVersion('some-id', 1);
+      expect(result).toBeNull();
+    });
+
+    test('should POST to the restore route and return the restored scenario', async () => {
+      storageManager.cloudStorageAvailable = true;
+      let captured = null;
+      global.fetch = (url, options) => {
+        captured = { url, method: options.method };
+        return Promise.resolve(mockResponse(true, 200, { id: 'id 1', revision: 3, data: {} }));
+      };
+      const result = await storageManager.restoreScenarioVersion('id 1', 1);
+      expect(captured).toEqual({ url: '/api/scenarios/id%201/versions/1/restore', method: 'POST' });
+      expect(result).toMatchObject({ id: 'id 1', revision: 3 });
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should return null when the restore fails', async () => {
+      storageManager.cloudStorageAvailable = true;
+      fetchMock.enqueue(mockResponse(false, 404, {}));
+      const result = await storageManager.restoreScenarioVersion('some-id', 9);
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('sharing', () => {
+    test('should list scenarios shared with the user', async () => {
+      storageManager.cloudStorageAvailable = true;
+      const scenarios = [{ id: 's1', name: 'Household', role: 'edit', status: 'accepted', sharedBy: 'a@b.com' }];
+      fetchMock.enqueue(mockResponse(true, 200, { scenarios }));
+      expect(await storageManager.listSharedScenarios()).toEqual(scenarios);
+    });
+
+    test('should return empty arrays when cloud is unavailable', async () => {
+      storageManager.cloudStorageAvailable = false;
+      expect(await storageManager.listSharedScenarios()).toEqual([]);
+      expect(await storageManager.listScenarioShares('s1')).toEqual([]);
+    });
+
+    test('should POST the invitation and return the share', async () => {
+      storageManager.cloudStorageAvailable = true;
+      let captured = null;
+      global.fetch = (url, options) => {
+        captured = { url, method: options.method, body: JSON.parse(options.body) };
+        return Promise.resolve(mockResponse(true, 201, { email: 'partner@example.com', role: 'view', status: 'pending' }));
+      };
+      const share = await storageManager.shareScenario('id 1', 'partner@example.com', 'view');
+      expect(captured).toEqual({
+        url: '/api/scenarios/id%201/shares',
+        method: 'POST',
+        body: { email: 'partner@example.com', role: 'view' }
+      });
+      expect(share.status).toBe('pending');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should return null when the invitation is rejected', async () => {
+      storageManager.cloudStorageAvailable = true;
+      fetchMock.enqueue(mockResponse(false, 400, {}));
+      expect(await storageManager.shareScenario('s1', 'me@example.com', 'edit')).toBeNull();
+    });
+
+    test("should leave a shared scenario using the signed-in user's email", async () => {
+      storageManager.cloudStorageAvailable = true;
+      authManager.user = { userId: 'u2', email: 'partner@example.com' };
+      let captured = null;
+      global.fetch = (url, options) => {
+        captured = { url, method: options.method };
+        return Promise.resolve(mockResponse(true, 204, {}));
+      };
+      expect(await storageManager.leaveSharedScenario('s1')).toBe(true);
+      expect(captured).toEqual({ url: '/api/scenarios/s1/shares/partner%40example.com', method: 'DELETE' });
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should only save a view-only shared scenario locally', async () => {
+      storageManager.cloudStorageAvailable = true;
+      fetchMock.enqueue(mockResponse(true, 200, { id: 's1', name: 'Household', data: {}, role: 'view', etag: 'W/"1"' }));
+      await storageManager.loadScenario('s1');
+      expect(storageManager.activeScenarioRole).toBe('view');
+
+      let fetched = false;
+      global.fetch = () => { fetched = true; return Promise.resolve(mockResponse(true, 200, {})); };
+      const state = { formData: { parent1: { income: 50000 } } };
+      await storageManager.saveScenario(state);
+      expect(fetched).toBe(false);
+      expect(storageManager.lastSavedState).toEqual(state);
+      expect(syncTextEl.textContent).toBe('View only – changes not saved');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+  });
+
+  describe('share links', () => {
+    const shareLink = {
+      code: 'Ab3dEf7h',
+      name: 'Two days of care',
+      data: { formData: { parent1: { income: 80000 } } },
+      expiresAt: null
+    };
+
+    test('should POST the snapshot and return the link', async () => {
+      storageManager.cloudStorageAvailable = true;
+      let captured = null;
+      global.fetch = (url, options) => {
+        captured = { url, method: options.method, body: JSON.parse(options.body) };
+        return Promise.resolve(mockResponse(true, 201, { code: 'Ab3dEf7h', expiresAt: null }));
+      };
+      const state = { formData: { parent1: { income: 80000 } } };
+      const link = await storageManager.createShareLink(state, 'Two days of care', 7);
+      expect(captured).toEqual({
+        url: '/api/shares',
+        method: 'POST',
+        body: { name: 'Two days of care', data: state, expiresInDays: 7 }
+      });
+      expect(link.code).toBe('Ab3dEf7h');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should not create a link when cloud is unavailable', async () => {
+      storageManager.cloudStorageAvailable = false;
+      expect(await storageManager.createShareLink({ formData: {} })).toBeNull();
+    });
+
+    test('should load a snapshot without signing in', async () => {
+      storageManager.cloudStorageAvailable = false;
+      fetchMock.enqueue(mockResponse(true, 200, shareLink));
+      expect(await storageManager.loadShareLink('Ab3dEf7h')).toEqual({ shareLink, error: null });
+    });
+
+    test('should report missing and expired links', async () => {
+      fetchMock.enqueue(mockResponse(false, 404, {}));
+      fetchMock.enqueue(mockResponse(false, 410, {}));
+      fetchMock.enqueue(mockResponse(false, 500, {}));
+      expect((await storageManager.loadShareLink('missing1')).error).toBe('notFound');
+      expect((await storageManager.loadShareLink('expired1')).error).toBe('expired');
+      expect((await storageManager.loadShareLink('broken11')).error).toBe('failed');
+    });
+
+    test('should never save while a snapshot is shown', async () => {
+      storageManager.cloudStorageAvailable = true;
+      storageManager.viewingSnapshot = true;
+      let fetched = false;
+      global.fetch = () => { fetched = true; return Promise.resolve(mockResponse(true, 200, {})); };
+
+      storageManager.autoSave({ formData: {} });
+      await storageManager.saveScenario({ formData: { parent1: { income: 1 } } });
+
+      expect(fetched).toBe(false);
+      expect(localStorage.getItem('ccsCalculator')).toBeNull();
+      expect(syncTextEl.textContent).toBe('');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should copy a snapshot to a new active cloud scenario', async () => {
+      storageManager.cloudStorageAvailable = true;
+      const requests = [];
+      global.fetch = (url, options) => {
+        requests.push({ url, method: options.method, body: options.body && JSON.parse(options.body) });
+        return Promise.resolve(mockResponse(true, 201, { id: 'copy-1', name: 'Two days of care' }));
+      };
+
+      expect(await storageManager.copySnapshotToScenarios(shareLink)).toBe(true);
+      expect(requests.map(r => `${r.method} ${r.url}`)).toEqual([
+        'POST /api/scenarios',
+        'POST /api/scenarios/copy-1/activate'
+      ]);
+      expect(requests[0].body).toMatchObject({ name: 'Two days of care', data: shareLink.data, isActive: true });
+      expect(storageManager.activeScenarioId).toBe('copy-1');
+      global.fetch = (...args) => fetchMock.handler()(...args);
+    });
+
+    test('should copy a snapshot to this device when signed out', async () => {
+      storageManager.cloudStorageAvailable = false;
+      expect(await storageManager.copySnapshotToScenarios(shareLink)).toBe(true);
+      const saved = JSON.parse(localStorage.getItem('ccsCalculator'));
+      expect(saved.state.formData).toEqual(shareLink.data.formData);
+    });
+  });
+
   describe('_extractKeyInputs()', () => {
     test('should return empty object when state has no formData', () => {
       const result = storageManager._extractKeyInputs(null);
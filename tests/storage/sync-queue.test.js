@@ -0,0 +1,247 @@
+/**
+ * Tests for Sync Queue Module
+ */
+
+import { jest } from '@jest/globals';
+import {
+  SyncQueue,
+  createMemoryOutbox,
+  createIndexedDbOutbox,
+  createOutbox,
+  getRetryDelay,
+  SYNC_OPERATIONS,
+  SYNC_OUTCOMES,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS
+} from '../../src/js/storage/sync-queue.js';
+
+function update(scenarioId, income, etag = 'W/"1"') {
+  return {
+    type: SYNC_OPERATIONS.UPDATE,
+    scenarioId,
+    body: { data: { formData: { parent1: { income } } } },
+    etag
+  };
+}
+
+/**
+ * Minimal IndexedDB stand-in: open() fails with openError, or succeeds with a
+ * database whose transactions end with the given event.
+ */
+function fakeIndexedDb({ openError = null, transactionEnd = 'complete' } = {}) {
+  return {
+    open: () => {
+      const request = {};
+      setTimeout(() => {
+        if (openError) {
+          request.error = openError;
+          request.onerror();
+          return;
+        }
+        request.result = {
+          transaction: () => {
+            const transaction = { error: null, objectStore: () => ({ getAll: () => ({ result: [] }) }) };
+            setTimeout(() => transaction[`on${transactionEnd}`]());
+            return transaction;
+          }
+        };
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('Sync Queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new SyncQueue(createMemoryOutbox());
+  });
+
+  describe('getRetryDelay', () => {
+    test('doubles the delay after each failed attempt', () => {
+      expect(getRetryDelay(1)).toBe(RETRY_BASE_DELAY_MS);
+      expect(getRetryDelay(2)).toBe(RETRY_BASE_DELAY_MS * 2);
+      expect(getRetryDelay(4)).toBe(RETRY_BASE_DELAY_MS * 8);
+    });
+
+    test('caps the delay', () => {
+      expect(getRetryDelay(30)).toBe(RETRY_MAX_DELAY_MS);
+    });
+  });
+
+  describe('enqueue', () => {
+    test('keeps writes in the order they were queued', async () => {
+      await queue.enqueue(update('a', 1));
+      await queue.enqueue({ type: SYNC_OPERATIONS.RENAME, scenarioId: 'a', body: { name: 'Renamed' } });
+      await queue.enqueue({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'b' });
+
+      const pending = await queue.getPending();
+      expect(pending.map(entry => entry.type)).toEqual(['update', 'rename', 'delete']);
+      expect(pending[2]).toMatchObject({ scenarioId: 'b', body: null, etag: null, attempts: 0 });
+    });
+
+    test('replaces the body of a queued save of the same scenario', async () => {
+      await queue.enqueue(update('a', 1));
+      const count = await queue.enqueue(update('a', 2, 'W/"2"'));
+
+      expect(count).toBe(1);
+      const [entry] = await queue.getPending();
+      expect(entry.body.data.formData.parent1.income).toBe(2);
+      // The original ETag is kept so the server still checks the version the edits started from
+      expect(entry.etag).toBe('W/"1"');
+    });
+
+    test('does not combine saves of different scenarios or across a rename', async () => {
+      await queue.enqueue(update('a', 1));
+      await queue.enqueue(update('b', 1));
+      await queue.enqueue({ type: SYNC_OPERATIONS.RENAME, scenarioId: 'b', body: { name: 'B' } });
+      await queue.enqueue(update('b', 2));
+
+      expect(await queue.count()).toBe(4);
+    });
+
+    test('records the user of each write and does not combine saves of different users', async () => {
+      await queue.enqueue({ ...update('a', 1), userId: 'user-1' });
+      await queue.enqueue({ ...update('a', 2), userId: 'user-2' });
+
+      const pending = await queue.getPending();
+      expect(pending.map(entry => entry.userId)).toEqual(['user-1', 'user-2']);
+      expect(await queue.count('user-1')).toBe(1);
+      expect(await queue.count('user-3')).toBe(0);
+    });
+  });
+
+  describe('discard', () => {
+    test('removes only the given user\'s writes', async () => {
+      await queue.enqueue({ ...update('a', 1), userId: 'user-1' });
+      await queue.enqueue({ ...update('b', 1), userId: 'user-2' });
+      await queue.enqueue({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'c', userId: 'user-1' });
+
+      expect(await queue.discard('user-1')).toBe(2);
+      expect((await queue.getPending()).map(entry => entry.scenarioId)).toEqual(['b']);
+    });
+  });
+
+  describe('flush', () => {
+    test('sends every write in order and empties the queue', async () => {
+      await queue.enqueue({ type: SYNC_OPERATIONS.CREATE, scenarioId: null, body: { name: 'New' } });
+      await queue.enqueue({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'b' });
+
+      const sent = [];
+      const result = await queue.flush(async (entry) => {
+        sent.push(entry.type);
+        return SYNC_OUTCOMES.DONE;
+      });
+
+      expect(sent).toEqual(['create', 'delete']);
+      expect(result).toEqual({ remaining: 0, retryIn: null });
+      expect(await queue.count()).toBe(0);
+    });
+
+    test('drops writes that can never succeed and carries on', async () => {
+      await queue.enqueue({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'gone' });
+      await queue.enqueue(update('a', 1));
+
+      const sent = [];
+      await queue.flush(async (entry) => {
+        sent.push(entry.scenarioId);
+        return entry.scenarioId === 'gone' ? SYNC_OUTCOMES.DROP : SYNC_OUTCOMES.DONE;
+      });
+
+      expect(sent).toEqual(['gone', 'a']);
+      expect(await queue.count()).toBe(0);
+    });
+
+    test('stops at a failed write and backs off before retrying it', async () => {
+      await queue.enqueue(update('a', 1));
+      await queue.enqueue({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'b' });
+
+      const sent = [];
+      const result = await queue.flush(async (entry) => {
+        sent.push(entry.type);
+        return SYNC_OUTCOMES.RETRY;
+      });
+
+      expect(sent).toEqual(['update']);
+      expect(result).toEqual({ remaining: 2, retryIn: RETRY_BASE_DELAY_MS });
+      const [entry] = await queue.getPending();
+      expect(entry.attempts).toBe(1);
+      expect(entry.nextAttemptAt).toBeGreaterThan(Date.now());
+
+      // Not due yet - nothing is sent
+      const again = await queue.flush(async () => SYNC_OUTCOMES.DONE);
+      expect(again.remaining).toBe(2);
+      expect(again.retryIn).toBeGreaterThan(0);
+    });
+
+    test('retries a write whose send throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await queue.enqueue(update('a', 1));
+
+      const result = await queue.flush(async () => { throw new Error('boom'); });
+
+      expect(result.remaining).toBe(1);
+      console.error.mockRestore();
+    });
+
+    test('replays only the signed-in user\'s writes and holds the rest', async () => {
+      await queue.enqueue({ ...update('a', 1), userId: 'user-1' });
+      await queue.enqueue({ ...update('b', 1), userId: 'user-2' });
+
+      const sent = [];
+      const result = await queue.flush(async (entry) => {
+        sent.push(entry.scenarioId);
+        return SYNC_OUTCOMES.DONE;
+      }, 'user-2');
+
+      expect(sent).toEqual(['b']);
+      expect(result).toEqual({ remaining: 0, retryIn: null });
+      expect((await queue.getPending()).map(entry => entry.userId)).toEqual(['user-1']);
+    });
+
+    test('does not fold a save into the write being sent', async () => {
+      await queue.enqueue(update('a', 1));
+
+      const bodies = [];
+      await queue.flush(async (entry) => {
+        bodies.push(entry.body.data.formData.parent1.income);
+        if (bodies.length === 1) {
+          await queue.enqueue(update('a', 2));
+        }
+        return SYNC_OUTCOMES.DONE;
+      });
+
+      expect(bodies).toEqual([1, 2]);
+    });
+  });
+
+  describe('outbox', () => {
+    afterEach(() => {
+      delete global.indexedDB;
+    });
+
+    test('uses memory when IndexedDB is missing', async () => {
+      const outbox = createOutbox();
+      await outbox.add({ type: SYNC_OPERATIONS.DELETE, scenarioId: 'a' });
+      expect(await outbox.getAll()).toHaveLength(1);
+    });
+
+    test('falls back to memory when IndexedDB cannot be opened', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.indexedDB = fakeIndexedDb({ openError: new Error('blocked') });
+      const outboxQueue = new SyncQueue(createOutbox());
+
+      expect(await outboxQueue.enqueue(update('a', 1))).toBe(1);
+      expect(await outboxQueue.count()).toBe(1);
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+
+    test('rejects when a transaction is aborted', async () => {
+      global.indexedDB = fakeIndexedDb({ transactionEnd: 'abort' });
+      await expect(createIndexedDbOutbox().getAll()).rejects.toThrow('IndexedDB transaction aborted');
+    });
+  });
+});